@@ -7,7 +7,17 @@
 
 const { program } = require("commander");
 const { init } = require("../lib/cli/init");
+const { initWizard } = require("../lib/cli/init-wizard");
+const { migrate } = require("../lib/cli/migrate");
+const { listRules, explain } = require("../lib/cli/rules");
 const { lintFiles } = require("../lib/cli/lint");
+const { cacheStats, cacheInfo, cacheClear } = require("../lib/cli/cache");
+const { todos } = require("../lib/cli/todos");
+const { stats } = require("../lib/cli/stats");
+const { doctor } = require("../lib/cli/doctor");
+const { lsp } = require("../lib/cli/lsp");
+const { installHooks, uninstallHooks } = require("../lib/cli/hooks");
+const { ticketsSync } = require("../lib/cli/tickets");
 const pkg = require("../package.json");
 
 program
@@ -21,22 +31,198 @@ program
   .option("-p, --preset <name>", "Preset: minimal, recommended, strict", "recommended")
   .option("--flat", "Use ESLint flat config format (eslint.config.js)")
   .option("--no-flat", "Use legacy .eslintrc format")
-  .action((options) => {
+  .option("-i, --interactive", "Detect frameworks and choose presets and file globs")
+  .option("-y, --yes", "Write a project-aware config from detected defaults without prompting")
+  .action(async (options) => {
+    if (options.interactive || options.yes) {
+      const exitCode = await initWizard({
+        preset: options.preset,
+        flat: options.flat,
+        yes: options.yes,
+      });
+      process.exit(exitCode);
+    }
+
     init({
       preset: options.preset,
       flat: options.flat,
     });
   });
 
+program
+  .command("migrate [config]")
+  .description("Convert a legacy .eslintrc config to flat config")
+  .option("--dry-run", "Print the diff without writing eslint.config.js")
+  .option("--force", "Overwrite an existing flat config")
+  .action((config, options) => {
+    const exitCode = migrate(config, {
+      dryRun: options.dryRun,
+      force: options.force,
+    });
+    process.exit(exitCode);
+  });
+
+program
+  .command("rules")
+  .description("List rules with their category, fixable status and presets")
+  .option("--preset <name>", "Only list rules enabled by this preset")
+  .option("--format <format>", "Output format (text|json)", "text")
+  .action((options) => {
+    const exitCode = listRules({
+      preset: options.preset,
+      format: options.format,
+    });
+    process.exit(exitCode);
+  });
+
+program
+  .command("explain <rule>")
+  .description("Show a rule's options, messages, presets and documentation")
+  .option("--format <format>", "Output format (text|json)", "text")
+  .option("--no-docs", "Omit the documentation page")
+  .action((rule, options) => {
+    const exitCode = explain(rule, {
+      format: options.format,
+      docs: options.docs,
+    });
+    process.exit(exitCode);
+  });
+
 program
   .command("lint [files...]")
   .description("Lint files for comment quality issues")
-  .option("-p, --preset <preset>", "Rule preset (minimal|recommended|strict|analysis)", "recommended")
+  .option("-p, --preset <preset>", "Rule preset (minimal|recommended|strict|analysis, default: .lintmylinesrc preset or recommended)")
   .option("-f, --fix", "Automatically fix problems")
-  .option("--format <format>", "Output format (stylish|json|compact)", "stylish")
+  .option("--fix-interactive", "Show each fix as a diff and choose to apply, skip or edit it")
+  .option("--format <format>", "Output format (stylish|json|compact|sarif|html|junit|checkstyle|gitlab)", "stylish")
+  .option("--since <ref>", "Only report issues on lines changed since a git ref")
+  .option("--staged", "Only report issues on lines changed in the git index")
+  .option("--index", "With --staged, lint the staged content instead of the working tree")
+  .option("--max-warnings <n>", "Fail when there are more than n warnings")
+  .option("--baseline <file>", "Only report issues that are not in the baseline file")
+  .option("--baseline-create", "Record current issues in the baseline file instead of reporting them")
+  .option("--cache", "Only re-lint files that changed since the last cached run")
+  .option("--cache-strategy <strategy>", "How the cache detects changed files (metadata|content)", "metadata")
+  .option("--concurrency <n>", "Lint with n worker threads, or \"auto\" for one per CPU")
+  .option("--stdin", "Lint code piped to stdin; with --fix, print the fixed code")
+  .option("--stdin-filename <path>", "Path to lint stdin as (selects the processor and config)")
+  .option("--workspaces", "Lint each npm/yarn/pnpm workspace package with its own config and summarize per package")
+  .option("--workspace <name>", "Only lint this workspace package; repeatable, implies --workspaces", (value, previous = []) => [...previous, value])
+  .action(async (files, options) => {
+    const exitCode = await lintFiles(files, options);
+    process.exit(exitCode);
+  });
+
+const cache = program
+  .command("cache")
+  .description("Inspect or clear the lint --cache files");
+
+cache
+  .command("stats")
+  .description("Show cache location, size, entries and whether the current config invalidates it")
+  .option("-p, --preset <preset>", "Preset the current config lints with", "recommended")
+  .option("--cache-strategy <strategy>", "Cache strategy the current config uses (metadata|content)", "metadata")
+  .option("--format <format>", "Output format (text|json)", "text")
+  .action((options) => {
+    process.exit(cacheStats(options));
+  });
+
+cache
+  .command("info")
+  .description("Show the cache file lint --cache would use and what its key is derived from")
+  .option("-p, --preset <preset>", "Preset to derive the cache key for", "recommended")
+  .option("--cache-strategy <strategy>", "Cache strategy (metadata|content)", "metadata")
+  .option("--format <format>", "Output format (text|json)", "text")
+  .action((options) => {
+    process.exit(cacheInfo(options));
+  });
+
+cache
+  .command("clear")
+  .description("Remove all cache files")
+  .action(() => {
+    process.exit(cacheClear());
+  });
+
+program
+  .command("todos [files...]")
+  .description("Inventory TODO/FIXME/NOTE comments")
+  .option("--format <format>", "Output format (json|csv|markdown)", "markdown")
+  .option("-g, --group-by <field>", "Group by owner, ticket or directory")
+  .option("-o, --output <file>", "Write the report to a file instead of stdout")
+  .option("-k, --keywords <list>", "Comma-separated keywords to include", "TODO,FIXME,NOTE")
+  .option("--ticket-pattern <regex>", "Regex used to recognize ticket IDs")
   .action(async (files, options) => {
     const patterns = files.length > 0 ? files : ["."];
-    const exitCode = await lintFiles(patterns, options);
+    const exitCode = await todos(patterns, options);
+    process.exit(exitCode);
+  });
+
+program
+  .command("stats [files...]")
+  .description("Measure comment metrics and record them in the history file")
+  .option("-p, --preset <preset>", "Rule preset for violation counts (default: .lintmylinesrc preset or recommended)")
+  .option("--history <file>", "History file (default: .lintmylinesrc stats.history or .lint-my-lines-history.json)")
+  .option("--no-record", "Do not write the history file")
+  .option("--trend", "Show changes against earlier entries and fail on regressions beyond the tolerance")
+  .option("--base <commit>", "Compare with this commit's entry instead of the previous one")
+  .option("--limit <n>", "Entries shown by --trend", "10")
+  .option("--format <format>", "Output format (text|json)", "text")
+  .action(async (files, options) => {
+    const exitCode = await stats(files, options);
+    process.exit(exitCode);
+  });
+
+const tickets = program
+  .command("tickets")
+  .description("Snapshot the tickets that TODO/FIXME comments reference");
+
+tickets
+  .command("sync [files...]")
+  .description("Fetch referenced tickets and write the issue-tracker-integration snapshotPath")
+  .option("-p, --preset <preset>", "Rule preset (default: .lintmylinesrc preset or recommended)")
+  .option("-o, --output <file>", "Snapshot file (default: the rule's snapshotPath)")
+  .action(async (files, options) => {
+    const exitCode = await ticketsSync(files, options);
+    process.exit(exitCode);
+  });
+
+program
+  .command("doctor")
+  .description("Check the ESLint version, config files, parsers, rule settings and tracker tokens")
+  .option("--format <format>", "Output format (text|json)", "text")
+  .action(async (options) => {
+    const exitCode = await doctor(options);
+    process.exit(exitCode);
+  });
+
+program
+  .command("install-hooks")
+  .description("Install a pre-commit hook that lints the staged content of changed files")
+  .option("-p, --preset <preset>", "Rule preset (default: .lintmylinesrc preset or recommended)")
+  .option("--max-warnings <n>", "Fail the commit when there are more than n warnings")
+  .option("--manager <manager>", "Where to install the hook (git|husky, default: husky if .husky/ exists)")
+  .action((options) => {
+    const exitCode = installHooks(options);
+    process.exit(exitCode);
+  });
+
+program
+  .command("uninstall-hooks")
+  .description("Remove the pre-commit hook and restore the hook it chained")
+  .option("--manager <manager>", "Where the hook is installed (git|husky, default: husky if .husky/ exists)")
+  .action((options) => {
+    const exitCode = uninstallHooks(options);
+    process.exit(exitCode);
+  });
+
+program
+  .command("lsp")
+  .description("Run a language server with diagnostics, quick fixes and TODO hovers")
+  .option("--stdio", "Communicate over stdin and stdout (the only transport)")
+  .option("-p, --preset <preset>", "Rule preset (default: .lintmylinesrc preset or recommended)")
+  .action(async (options) => {
+    const exitCode = await lsp(options);
     process.exit(exitCode);
   });
 
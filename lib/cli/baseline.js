@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Violation baselines for the lint command
+ * @author Jules
+ *
+ * A baseline records the messages a codebase already has, so only new
+ * comment issues fail the build. Each message is identified by a
+ * location-independent fingerprint:
+ *
+ * - the rule ID
+ * - the normalized text of the comment it was reported on (or of the
+ *   source line, for messages not on a comment)
+ * - the names of the functions that enclose it
+ *
+ * Line and column numbers and the file path are deliberately left out, so
+ * entries survive comments moving around during refactors. Identical
+ * fingerprints are counted, and a baseline entry suppresses at most as
+ * many messages as it recorded.
+ *
+ * @example
+ * // Record current issues
+ * lint-my-lines lint --baseline-create
+ *
+ * // Later: only report issues not in the baseline
+ * lint-my-lines lint --baseline .lint-my-lines-baseline.json
+ *
+ * @module cli/baseline
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { getFunctionName } = require("../utils/jsdoc-utils");
+const { recountResult, getResultSource } = require("../utils/result-utils");
+const { createLogger } = require("../utils/debug");
+const { createCollectorESLint } = require("./collector");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for baseline operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Default baseline file name, relative to the working directory.
+ * @type {string}
+ */
+const DEFAULT_BASELINE_FILE = ".lint-my-lines-baseline.json";
+
+/**
+ * Baseline file format version.
+ * @type {number}
+ */
+const BASELINE_VERSION = 1;
+
+/**
+ * Internal plugin name for the context collector rule.
+ * @type {string}
+ */
+const CONTEXT_PLUGIN = "lint-my-lines-baseline";
+
+/**
+ * Function name used for messages outside any function.
+ * @type {string}
+ */
+const PROGRAM_SCOPE = "(program)";
+
+// ---------------------------------------------------------------------------
+// Context Collection
+// ---------------------------------------------------------------------------
+
+/**
+ * Check whether a position lies inside a location.
+ * @param {Object} loc - ESLint SourceLocation
+ * @param {{ line: number, column: number }} pos - 1-based line, 0-based column
+ * @returns {boolean} True if pos is within loc
+ */
+function containsPosition(loc, pos) {
+  const afterStart = pos.line > loc.start.line ||
+    (pos.line === loc.start.line && pos.column >= loc.start.column);
+  const beforeEnd = pos.line < loc.end.line ||
+    (pos.line === loc.end.line && pos.column <= loc.end.column);
+  return afterStart && beforeEnd;
+}
+
+/**
+ * Create a plugin whose rule records the comments and functions of a file.
+ * @param {Object} context - Object that receives `comments` and `functions`
+ * @returns {Object} ESLint plugin object
+ */
+function createContextPlugin(context) {
+  /**
+   * Record a function node.
+   * @param {Object} node - Function AST node
+   */
+  function recordFunction(node) {
+    context.functions.push({
+      loc: node.loc,
+      name: getFunctionName(node) || "(anonymous)",
+    });
+  }
+
+  return {
+    rules: {
+      collect: {
+        meta: {
+          type: "suggestion",
+          schema: [],
+        },
+        create(ruleContext) {
+          const sourceCode = ruleContext.getSourceCode();
+
+          return {
+            Program() {
+              for (const comment of sourceCode.getAllComments()) {
+                context.comments.push({ loc: comment.loc, text: comment.value });
+              }
+            },
+            FunctionDeclaration: recordFunction,
+            FunctionExpression: recordFunction,
+            ArrowFunctionExpression: recordFunction,
+          };
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Collect comment and function locations for every result with messages.
+ *
+ * Files are re-parsed (without caching) so the context is available even
+ * when ESLint served the lint results from its cache.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} [options] - Options
+ * @param {Object} [options.parserOptions] - Parser options used for linting
+ * @returns {Promise<Map<string, Object>>} Context keyed by file path, with
+ *   `comments`, `functions` and `lines`
+ */
+async function collectMessageContexts(results, options = {}) {
+  const contexts = new Map();
+
+  for (const result of results) {
+    if (!result.messages.some((message) => message.ruleId)) {
+      continue;
+    }
+
+    const source = typeof result.output === "string" ? result.output : getResultSource(result);
+    if (source === null) {
+      continue;
+    }
+
+    const context = { comments: [], functions: [], lines: source.split(/\r?\n/) };
+    const eslint = createCollectorESLint(
+      { overrideConfig: { parserOptions: options.parserOptions } },
+      CONTEXT_PLUGIN,
+      createContextPlugin(context)
+    );
+
+    await eslint.lintText(source, { filePath: result.filePath });
+    contexts.set(result.filePath, context);
+  }
+
+  return contexts;
+}
+
+// ---------------------------------------------------------------------------
+// Fingerprints
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize comment or line text for fingerprinting.
+ *
+ * Strips leading block comment asterisks and collapses whitespace, so
+ * re-indentation does not change the fingerprint.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^\s*\*+\s?/, ""))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Describe where a message was reported, independent of its location.
+ *
+ * @param {Object} message - ESLint lint message
+ * @param {Object} [context] - File context from collectMessageContexts
+ * @returns {{ text: string, function: string }} Normalized text and
+ *   enclosing function names (outermost first, joined with ".")
+ */
+function describeMessage(message, context) {
+  if (!context) {
+    return { text: "", function: PROGRAM_SCOPE };
+  }
+
+  // ESLint messages use 1-based columns, AST locations 0-based
+  const pos = { line: message.line, column: Math.max((message.column || 1) - 1, 0) };
+
+  const comment = context.comments.find((c) => containsPosition(c.loc, pos));
+  const text = comment
+    ? normalizeText(comment.text)
+    : normalizeText(context.lines[message.line - 1] || "");
+
+  const names = context.functions
+    .filter((fn) => containsPosition(fn.loc, pos))
+    .map((fn) => fn.name);
+
+  return { text, function: names.length > 0 ? names.join(".") : PROGRAM_SCOPE };
+}
+
+/**
+ * Compute the fingerprint of a message.
+ * @param {string} ruleId - Rule ID
+ * @param {{ text: string, function: string }} description - From describeMessage
+ * @returns {string} Hex fingerprint
+ */
+function fingerprint(ruleId, description) {
+  return crypto
+    .createHash("sha1")
+    .update(`${ruleId}\n${description.text}\n${description.function}`)
+    .digest("hex");
+}
+
+// ---------------------------------------------------------------------------
+// Baseline Creation and Matching
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a baseline from lint results.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Map<string, Object>} contexts - From collectMessageContexts
+ * @param {string} [cwd=process.cwd()] - Directory file paths are relative to
+ * @returns {Object} Baseline object ready to be written as JSON
+ */
+function createBaseline(results, contexts, cwd = process.cwd()) {
+  const entries = new Map();
+
+  for (const result of results) {
+    const file = path.relative(cwd, result.filePath).split(path.sep).join("/");
+    const context = contexts.get(result.filePath);
+
+    for (const message of result.messages) {
+      // Parse errors are never baselined
+      if (!message.ruleId) {
+        continue;
+      }
+
+      const description = describeMessage(message, context);
+      const id = fingerprint(message.ruleId, description);
+
+      if (!entries.has(id)) {
+        entries.set(id, {
+          fingerprint: id,
+          ruleId: message.ruleId,
+          text: description.text,
+          function: description.function,
+          files: [],
+          count: 0,
+        });
+      }
+
+      const entry = entries.get(id);
+      entry.count++;
+      if (!entry.files.includes(file)) {
+        entry.files.push(file);
+      }
+    }
+  }
+
+  // Sorted output keeps regenerated baselines diff-friendly
+  const sorted = [...entries.values()].sort((a, b) =>
+    a.ruleId.localeCompare(b.ruleId) ||
+    a.files[0].localeCompare(b.files[0]) ||
+    a.fingerprint.localeCompare(b.fingerprint)
+  );
+
+  return { version: BASELINE_VERSION, entries: sorted };
+}
+
+/**
+ * Read and validate a baseline file.
+ * @param {string} filePath - Baseline file path
+ * @returns {Object} Parsed baseline
+ * @throws {Error} If the file is missing or malformed
+ */
+function loadBaseline(filePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read baseline ${filePath}: ${error.message}`);
+  }
+
+  if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.entries)) {
+    throw new Error(`Invalid baseline ${filePath}: expected version ${BASELINE_VERSION} with an entries array`);
+  }
+
+  return baseline;
+}
+
+/**
+ * Write a baseline to disk.
+ * @param {string} filePath - Baseline file path
+ * @param {Object} baseline - Baseline from createBaseline
+ */
+function writeBaseline(filePath, baseline) {
+  fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`, "utf8");
+}
+
+/**
+ * Remove messages that are recorded in the baseline.
+ *
+ * Results are mutated and recounted. Baseline entries whose count was not
+ * fully used are returned as stale, with `count` set to the unused amount.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} baseline - Baseline from loadBaseline
+ * @param {Map<string, Object>} contexts - From collectMessageContexts
+ * @returns {{ suppressed: number, stale: Object[] }} Match summary
+ */
+function applyBaseline(results, baseline, contexts) {
+  const remaining = new Map(baseline.entries.map((entry) => [entry.fingerprint, entry.count]));
+  let suppressed = 0;
+
+  for (const result of results) {
+    const context = contexts.get(result.filePath);
+
+    result.messages = result.messages.filter((message) => {
+      if (!message.ruleId) {
+        return true;
+      }
+
+      const id = fingerprint(message.ruleId, describeMessage(message, context));
+      const count = remaining.get(id) || 0;
+
+      if (count > 0) {
+        remaining.set(id, count - 1);
+        suppressed++;
+        return false;
+      }
+      return true;
+    });
+
+    recountResult(result);
+  }
+
+  const stale = baseline.entries
+    .filter((entry) => remaining.get(entry.fingerprint) > 0)
+    .map((entry) => ({ ...entry, count: remaining.get(entry.fingerprint) }));
+
+  log.debug("Baseline suppressed %d message(s), %d stale entr(ies)", suppressed, stale.length);
+
+  return { suppressed, stale };
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  DEFAULT_BASELINE_FILE,
+  collectMessageContexts,
+  describeMessage,
+  fingerprint,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  applyBaseline,
+};
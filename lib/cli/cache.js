@@ -0,0 +1,339 @@
+/**
+ * @fileoverview The `cache` CLI command: inspect and clear the lint cache
+ * @author Jules
+ *
+ * `lint --cache` stores ESLint's cache files under
+ * `node_modules/.cache/lint-my-lines/<key>`, where the key is derived from
+ * the plugin version, the Node major version and the preset. Next to them,
+ * `cache-info.json` records what each file was written for, so these
+ * subcommands can explain why a cache file will or won't be reused:
+ *
+ * - `cache stats` - location, size, entry counts and invalidation status
+ * - `cache info` - the cache file `lint --cache` would use right now
+ * - `cache clear` - remove the cache directory
+ *
+ * @example
+ * lint-my-lines cache stats --preset strict
+ * lint-my-lines cache clear
+ *
+ * @module cli/cache
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const path = require("path");
+
+const {
+  CACHE_STRATEGIES,
+  getDefaultCacheDir,
+  generateCacheKey,
+  getCurrentCacheInfo,
+  getCacheStats,
+  getCacheEntries,
+  clearCache,
+} = require("../utils/cache-integration");
+const { getESLintVersion } = require("../utils/eslint-compat");
+const { renderTable } = require("../utils/table-utils");
+const { presetRules } = require("./lint");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Supported output formats.
+ * @type {string[]}
+ */
+const FORMATS = ["text", "json"];
+
+/**
+ * Recorded metadata fields that invalidate a cache file when they differ,
+ * with their display names.
+ * @type {Array<[string, string]>}
+ */
+const INVALIDATING_FIELDS = [
+  ["pluginVersion", "plugin version"],
+  ["nodeMajor", "Node major"],
+  ["preset", "preset"],
+  ["strategy", "strategy"],
+];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate the shared command options.
+ *
+ * @param {Object} options - Command options
+ * @returns {string|null} Error message, or null if the options are valid
+ * @private
+ */
+function validateOptions(options) {
+  if (!FORMATS.includes(options.format)) {
+    return `Invalid format "${options.format}". Choose from: ${FORMATS.join(", ")}`;
+  }
+
+  const presets = Object.keys(presetRules);
+  if (!presets.includes(options.preset)) {
+    return `Invalid preset "${options.preset}". Choose from: ${presets.join(", ")}`;
+  }
+
+  if (!CACHE_STRATEGIES.includes(options.strategy)) {
+    return `Invalid cache strategy "${options.strategy}". Choose from: ${CACHE_STRATEGIES.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize command options and apply defaults.
+ *
+ * @param {Object} options - Command options
+ * @returns {{ format: string, preset: string, strategy: string }} Normalized options
+ * @private
+ */
+function normalizeOptions(options) {
+  return {
+    format: options.format || "text",
+    preset: options.preset || "recommended",
+    strategy: options.cacheStrategy || "metadata",
+  };
+}
+
+/**
+ * Explain why a cache file would not be reused by the current config.
+ *
+ * @param {Object|null} recorded - Metadata recorded by `lint --cache`
+ * @param {Object} current - Current metadata, including strategy
+ * @returns {string[]} Reasons; empty if the cache file is still valid
+ *
+ * @example
+ * getInvalidationReasons(
+ *   { pluginVersion: "1.0.2", nodeMajor: "20", preset: "strict", strategy: "metadata" },
+ *   { pluginVersion: "1.0.3", nodeMajor: "20", preset: "strict", strategy: "metadata" }
+ * );
+ * // => ["plugin version 1.0.2 -> 1.0.3"]
+ */
+function getInvalidationReasons(recorded, current) {
+  if (!recorded) {
+    return ["no metadata recorded"];
+  }
+
+  return INVALIDATING_FIELDS
+    .filter(([field]) => recorded[field] !== current[field])
+    .map(([field, label]) => `${label} ${recorded[field] || "unknown"} -> ${current[field]}`);
+}
+
+/**
+ * Check whether a cache file belongs to a cache key, either directly or as
+ * a `lint --concurrency` shard (`<key>.<shard>-of-<count>`).
+ *
+ * @param {string} fileName - Cache file name
+ * @param {string} key - Cache key
+ * @returns {boolean} True if the file caches results for the key
+ * @private
+ */
+function isCacheFor(fileName, key) {
+  return fileName === key || fileName.startsWith(`${key}.`);
+}
+
+/**
+ * Describe the cache file `lint --cache` would use for the given options.
+ *
+ * @param {{ preset: string, strategy: string }} options - Normalized options
+ * @returns {{ key: string, file: string, info: Object }} Current cache file
+ * @private
+ */
+function getCurrentCache(options) {
+  const key = generateCacheKey({ preset: options.preset });
+
+  return {
+    key,
+    file: path.join(getDefaultCacheDir(), key),
+    info: { ...getCurrentCacheInfo({ preset: options.preset }), strategy: options.strategy },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+/**
+ * Report the cache location, size, entry counts and whether each cache
+ * file is invalidated by the current config.
+ *
+ * @param {Object} [options] - Command options
+ * @param {string} [options.preset="recommended"] - Preset the current config lints with
+ * @param {string} [options.cacheStrategy="metadata"] - Strategy the current config uses
+ * @param {string} [options.format="text"] - Output format (text|json)
+ * @returns {number} Exit code
+ */
+function cacheStats(options = {}) {
+  const normalized = normalizeOptions(options);
+  const error = validateOptions(normalized);
+
+  if (error) {
+    console.error(`Error: ${error}`);
+    return 1;
+  }
+
+  const current = getCurrentCache(normalized);
+  const entries = getCacheEntries().map((entry) => {
+    const reasons = getInvalidationReasons(entry.info, current.info);
+    return { ...entry, current: isCacheFor(entry.key, current.key), invalidated: reasons.length > 0, reasons };
+  });
+  const active = entries.filter((entry) => entry.current);
+  const invalidated = active.filter((entry) => entry.invalidated);
+  const currentReasons = [...new Set(invalidated.flatMap((entry) => entry.reasons))];
+  const stats = getCacheStats();
+
+  if (normalized.format === "json") {
+    console.log(JSON.stringify({
+      location: getDefaultCacheDir(),
+      size: stats.size,
+      files: stats.files,
+      pluginVersion: current.info.pluginVersion,
+      current: {
+        key: current.key,
+        preset: normalized.preset,
+        strategy: normalized.strategy,
+        exists: active.length > 0,
+        invalidated: active.length > 0 ? invalidated.length > 0 : null,
+        reasons: currentReasons,
+      },
+      entries: entries.map((entry) => ({
+        key: entry.key,
+        file: entry.file,
+        size: entry.size,
+        entries: entry.entries,
+        ...(entry.info || {}),
+        current: entry.current,
+        invalidated: entry.invalidated,
+        reasons: entry.reasons,
+      })),
+    }, null, 2));
+    return 0;
+  }
+
+  console.log(`Cache location: ${getDefaultCacheDir()}`);
+  console.log(`Plugin version: ${current.info.pluginVersion}`);
+
+  if (entries.length === 0) {
+    console.log("\nNo cache files. Run \"lint-my-lines lint --cache\" to create one.");
+    return 0;
+  }
+
+  console.log(`Total size:     ${stats.sizeHuman} (${stats.files} file(s))\n`);
+  console.log(renderTable(
+    ["Key", "Preset", "Plugin", "Node", "Strategy", "Entries", "Size", "Status"],
+    entries.map((entry) => {
+      const info = entry.info || {};
+      return [
+        entry.key,
+        info.preset || "-",
+        info.pluginVersion || "-",
+        info.nodeMajor || "-",
+        info.strategy || "-",
+        entry.entries === null ? "-" : String(entry.entries),
+        entry.sizeHuman,
+        entry.invalidated ? `invalidated (${entry.reasons.join(", ")})` : "valid",
+      ];
+    })
+  ));
+
+  const config = `preset ${normalized.preset}, strategy ${normalized.strategy}`;
+  const keys = (list) => list.map((entry) => entry.key).join(", ");
+  if (active.length === 0) {
+    console.log(`\nCurrent config (${config}) has no cache file yet.`);
+  } else if (invalidated.length > 0) {
+    console.log(`\nCurrent config (${config}) invalidates cache ${keys(invalidated)}: ${currentReasons.join(", ")}.`);
+  } else {
+    console.log(`\nCurrent config (${config}) reuses cache ${keys(active)}.`);
+  }
+
+  return 0;
+}
+
+/**
+ * Show the cache file `lint --cache` would use and what its key is
+ * derived from.
+ *
+ * @param {Object} [options] - Command options
+ * @param {string} [options.preset="recommended"] - Preset to derive the key for
+ * @param {string} [options.cacheStrategy="metadata"] - Cache strategy
+ * @param {string} [options.format="text"] - Output format (text|json)
+ * @returns {number} Exit code
+ */
+function cacheInfo(options = {}) {
+  const normalized = normalizeOptions(options);
+  const error = validateOptions(normalized);
+
+  if (error) {
+    console.error(`Error: ${error}`);
+    return 1;
+  }
+
+  const current = getCurrentCache(normalized);
+  const entry = getCacheEntries().find((e) => e.key === current.key);
+  const info = {
+    key: current.key,
+    file: current.file,
+    exists: Boolean(entry),
+    entries: entry ? entry.entries : null,
+    preset: normalized.preset,
+    strategy: normalized.strategy,
+    pluginVersion: current.info.pluginVersion,
+    nodeMajor: current.info.nodeMajor,
+    eslintVersion: getESLintVersion(),
+  };
+
+  if (normalized.format === "json") {
+    console.log(JSON.stringify(info, null, 2));
+    return 0;
+  }
+
+  console.log(renderTable(["Setting", "Value"], [
+    ["Cache key", info.key],
+    ["Cache file", `${info.file}${info.exists ? "" : " (not created yet)"}`],
+    ["Entries", info.entries === null ? "-" : String(info.entries)],
+    ["Preset", info.preset],
+    ["Strategy", info.strategy],
+    ["Plugin version", info.pluginVersion],
+    ["Node major", info.nodeMajor],
+    ["ESLint version", info.eslintVersion],
+  ]));
+
+  return 0;
+}
+
+/**
+ * Remove the cache directory.
+ *
+ * @returns {number} Exit code
+ */
+function cacheClear() {
+  const location = getDefaultCacheDir();
+
+  if (clearCache({ location })) {
+    console.log(`Cleared cache at ${location}`);
+  } else {
+    console.log(`No cache to clear at ${location}`);
+  }
+
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  cacheStats,
+  cacheInfo,
+  cacheClear,
+  getInvalidationReasons,
+};
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Collector rules for commands that gather data while linting
+ * @author Jules
+ *
+ * Commands such as `stats`, `todos` and `tickets sync` read comments from
+ * the files `lint` would check. Instead of walking and parsing files
+ * themselves, they run a single "collector" rule inside ESLint: the rule
+ * never reports, it only records what it sees into an object owned by the
+ * command. File enumeration, ignore patterns, processors and parsers then
+ * match the `lint` command exactly.
+ *
+ * @module cli/collector
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const { createESLintInstance } = require("../utils/eslint-compat");
+const { parseActionComment } = require("../utils/action-comment-utils");
+const { countCommentLines } = require("../utils/comment-utils");
+const { getAgeThresholds } = require("../utils/date-utils");
+const plugin = require("../index");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Internal plugin name for the comment metrics rule.
+ * @type {string}
+ */
+const METRICS_PLUGIN = "lint-my-lines-metrics";
+
+// ---------------------------------------------------------------------------
+// Collector ESLint
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an ESLint instance that runs only a collector rule.
+ *
+ * The linter's config supplies everything that decides which files are
+ * read and how they are parsed; its rule settings, including those of
+ * overrides, are replaced by `<name>/collect`. Caching is off, because
+ * cached results would skip the collector rule entirely.
+ *
+ * @param {Object} linter - `{ cwd, overrideConfig }`, as from createLinter
+ * @param {string} name - Plugin name to register the collector under
+ * @param {Object} collector - ESLint plugin with a `collect` rule
+ * @returns {import("eslint").ESLint} ESLint instance
+ *
+ * @example
+ * const eslint = createCollectorESLint(linter, "lint-my-lines-todos", createCollectorPlugin(entries));
+ * await eslint.lintFiles(patterns);
+ */
+function createCollectorESLint(linter, name, collector) {
+  const overrideConfig = linter.overrideConfig || {};
+
+  return createESLintInstance({
+    cwd: linter.cwd,
+    plugins: {
+      "lint-my-lines": plugin,
+      [name]: collector,
+    },
+    overrideConfig: {
+      ...overrideConfig,
+      plugins: [...(overrideConfig.plugins || []), name],
+      rules: { [`${name}/collect`]: "warn" },
+      // Keep processors and parsers, drop rule settings
+      overrides: (overrideConfig.overrides || []).map((override) => ({ ...override, rules: {} })),
+    },
+    cache: false,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Comment Metrics
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a plugin whose rule adds each file's comment metrics to a total.
+ *
+ * Comment and code lines are counted like the comment-code-ratio rule, and
+ * TODO ages are graded like the todo-aging-warnings rule.
+ *
+ * @param {Object} totals - `{ commentLines, codeLines, todos }`, mutated
+ * @param {{ maxAgeDays: number, criticalAgeDays: number }} thresholds - TODO age buckets
+ * @param {Function} [createListeners] - Called with each file's SourceCode;
+ *   returns extra rule listeners
+ * @returns {Object} ESLint plugin object
+ */
+function createMetricsPlugin(totals, thresholds, createListeners) {
+  return {
+    rules: {
+      collect: {
+        meta: {
+          type: "suggestion",
+          schema: [],
+        },
+        create(context) {
+          const sourceCode = context.getSourceCode();
+
+          return {
+            ...(createListeners ? createListeners(sourceCode) : {}),
+            Program() {
+              const comments = sourceCode.getAllComments();
+
+              for (const comment of comments) {
+                const parsed = parseActionComment(comment.value);
+                if (!parsed || parsed.keyword !== "TODO") {
+                  continue;
+                }
+
+                if (parsed.ageDays === null) {
+                  totals.todos.undated++;
+                } else if (parsed.ageDays >= thresholds.criticalAgeDays) {
+                  totals.todos.critical++;
+                } else if (parsed.ageDays >= thresholds.maxAgeDays) {
+                  totals.todos.aged++;
+                } else {
+                  totals.todos.fresh++;
+                }
+              }
+
+              const counts = countCommentLines(sourceCode.lines, comments);
+              totals.commentLines += counts.commentLines;
+              totals.codeLines += counts.codeLines;
+            },
+          };
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Count the comment lines, code lines and TODO comments of linted files.
+ *
+ * TODOs are bucketed by the linter's todo-aging-warnings thresholds.
+ *
+ * @param {Object} linter - `{ cwd, overrideConfig }` the files were linted with
+ * @param {string[]} files - Absolute file paths
+ * @param {Function} [createListeners] - Extra rule listeners per file, see
+ *   createMetricsPlugin
+ * @returns {Promise<Object>} `{ commentLines, codeLines, todos }`, with
+ *   `todos` holding `total`, `fresh`, `aged`, `critical` and `undated`
+ *
+ * @example
+ * const { commentLines, codeLines } = await collectCommentMetrics(linter, files);
+ */
+async function collectCommentMetrics(linter, files, createListeners) {
+  const totals = {
+    commentLines: 0,
+    codeLines: 0,
+    todos: { fresh: 0, aged: 0, critical: 0, undated: 0 },
+  };
+
+  if (files.length > 0) {
+    const thresholds = getAgeThresholds(linter.overrideConfig.rules || {});
+    const eslint = createCollectorESLint(
+      linter,
+      METRICS_PLUGIN,
+      createMetricsPlugin(totals, thresholds, createListeners)
+    );
+
+    await eslint.lintFiles(files);
+  }
+
+  const { todos } = totals;
+  return {
+    ...totals,
+    todos: { total: todos.fresh + todos.aged + todos.critical + todos.undated, ...todos },
+  };
+}
+
+module.exports = {
+  createCollectorESLint,
+  collectCommentMetrics,
+};
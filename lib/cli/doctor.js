@@ -0,0 +1,842 @@
+/**
+ * @fileoverview Environment and configuration diagnostics for `lint-my-lines doctor`
+ * @author Jules
+ *
+ * Misconfigured setups tend to fail silently: a processor runs without its
+ * parser, a flat preset is extended from `.eslintrc`, or a rule is set
+ * twice and the wrong severity wins. `doctor` inspects the project and
+ * reports each problem with a suggested fix:
+ *
+ * - ESLint version, and whether it is supported
+ * - The ESLint config file in use, and config files it shadows or ignores
+ * - Optional parsers, and processors or dependencies that need a missing one
+ * - `.lintmylinesrc` validity and deprecated keys
+ * - Unknown rules, invalid or deprecated rule options, and deprecated rules
+ * - Rules set twice for the same files with different severities
+ * - `issue-tracker-integration` tokens whose `$ENV_VAR` is not set
+ *
+ * A rule may mark an option deprecated with `deprecated: true` on its
+ * schema property, and itself with `meta.deprecated` and `meta.replacedBy`.
+ *
+ * Overriding a preset's severity in a later block of your own is the
+ * intended way to customize presets, so it is not reported as a conflict.
+ *
+ * @example
+ * lint-my-lines doctor
+ * lint-my-lines doctor --format json
+ *
+ * @module cli/doctor
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const plugin = require("../index");
+const { getESLintVersion, isESLintV9 } = require("../utils/eslint-compat");
+const { createLogger } = require("../utils/debug");
+const { findLegacyConfig, loadLegacyConfig } = require("./migrate");
+const { detectProject } = require("./init-wizard");
+const { readProjectConfig, validateProjectConfig, validateRules } = require("./project-config");
+const { presetRules } = require("./lint");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for doctor operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Supported output formats.
+ * @type {string[]}
+ */
+const FORMATS = ["text", "json"];
+
+/**
+ * Oldest supported ESLint version, from the eslint peer dependency.
+ * @type {number[]}
+ */
+const MIN_ESLINT_VERSION = [8, 56, 0];
+
+/**
+ * ESLint 8 release that added `eslint.config.mjs` and `eslint.config.cjs`.
+ * @type {number[]}
+ */
+const ESLINT_MODULE_CONFIGS_VERSION = [8, 57, 0];
+
+/**
+ * Flat config file names, in ESLint's lookup order.
+ * @type {string[]}
+ */
+const FLAT_CONFIG_FILES = ["eslint.config.js", "eslint.config.mjs", "eslint.config.cjs"];
+
+/**
+ * Optional parsers, the framework dependency that needs each, and the
+ * processor that needs it.
+ * @type {Array<{ name: string, framework: string, label: string, processor?: string }>}
+ */
+const PARSERS = [
+  { name: "@typescript-eslint/parser", framework: "typescript", label: "TypeScript" },
+  { name: "vue-eslint-parser", framework: "vue", label: "Vue", processor: "lint-my-lines/.vue" },
+  { name: "svelte-eslint-parser", framework: "svelte", label: "Svelte", processor: "lint-my-lines/.svelte" },
+];
+
+/**
+ * Rule ID prefix for the plugin's rules.
+ * @type {string}
+ */
+const RULE_PREFIX = "lint-my-lines/";
+
+/**
+ * Prefix of lint-my-lines presets in legacy extends.
+ * @type {string}
+ */
+const EXTENDS_PREFIX = "plugin:lint-my-lines/";
+
+/**
+ * Rule whose token options may reference environment variables.
+ * @type {string}
+ */
+const TRACKER_RULE = "issue-tracker-integration";
+
+/**
+ * Severity names by numeric and string severity.
+ * @type {Object<string, string>}
+ */
+const SEVERITY_NAMES = { 0: "off", 1: "warn", 2: "error", off: "off", warn: "warn", error: "error" };
+
+/**
+ * Symbols for finding severities in text output.
+ * @type {Object<string, string>}
+ */
+const SYMBOLS = { error: "✖", warning: "⚠" };
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a version string into numbers.
+ * @param {string} version - Version such as "8.57.1"
+ * @returns {number[]} Major, minor and patch
+ */
+function parseVersion(version) {
+  return String(version).split(/[.-]/).slice(0, 3).map((part) => parseInt(part, 10) || 0);
+}
+
+/**
+ * Check whether a version is at least another.
+ * @param {number[]} version - Parsed version
+ * @param {number[]} minimum - Parsed minimum version
+ * @returns {boolean} True if `version >= minimum`
+ */
+function isAtLeast(version, minimum) {
+  for (let i = 0; i < minimum.length; i++) {
+    if (version[i] !== minimum[i]) {
+      return version[i] > minimum[i];
+    }
+  }
+  return true;
+}
+
+/**
+ * Get the severity name of a rule setting.
+ * @param {*} setting - Rule setting (severity or `[severity, ...options]`)
+ * @returns {string|undefined} "off", "warn" or "error"
+ */
+function getSeverity(setting) {
+  return SEVERITY_NAMES[Array.isArray(setting) ? setting[0] : setting];
+}
+
+/**
+ * Find the installed version of a package resolvable from a directory.
+ * @param {string} name - Package name
+ * @param {string} cwd - Directory to resolve from
+ * @returns {string|null} Version, or null if the package is not installed
+ */
+function findPackageVersion(name, cwd) {
+  let dir;
+  try {
+    dir = path.dirname(require.resolve(name, { paths: [cwd] }));
+  } catch {
+    return null;
+  }
+
+  // Packages with "exports" may hide package.json, so walk up from the entry point
+  while (dir !== path.dirname(dir)) {
+    const pkgPath = path.join(dir, "package.json");
+    if (fs.existsSync(pkgPath)) {
+      try {
+        const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+        if (pkg.name === name) {
+          return pkg.version || "unknown";
+        }
+      } catch {
+        // Keep looking
+      }
+    }
+    dir = path.dirname(dir);
+  }
+
+  return "unknown";
+}
+
+// ---------------------------------------------------------------------------
+// Config Files
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the nearest flat and legacy config files from a directory upwards.
+ *
+ * @param {string} cwd - Directory to start from
+ * @returns {{ flat: string|null, legacy: string|null }} Absolute paths; a
+ *   legacy config in package.json is returned as `<dir>/package.json`
+ */
+function findConfigFiles(cwd) {
+  const found = { flat: null, legacy: null };
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    if (!found.flat) {
+      const flat = FLAT_CONFIG_FILES.find((file) => fs.existsSync(path.join(dir, file)));
+      found.flat = flat ? path.join(dir, flat) : null;
+    }
+
+    if (!found.legacy) {
+      const legacy = findLegacyConfig(dir);
+      const pkgPath = path.join(dir, "package.json");
+
+      if (legacy) {
+        found.legacy = path.join(dir, legacy);
+      } else if (fs.existsSync(pkgPath)) {
+        try {
+          found.legacy = JSON.parse(fs.readFileSync(pkgPath, "utf8")).eslintConfig ? pkgPath : null;
+        } catch {
+          // A broken package.json is reported by npm, not by us
+        }
+      }
+    }
+
+    if ((found.flat && found.legacy) || dir === path.dirname(dir)) {
+      return found;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Decide which config file ESLint would use, and report files it ignores.
+ *
+ * ESLint 9 reads flat config unless `ESLINT_USE_FLAT_CONFIG=false`. ESLint 8
+ * reads flat config when `ESLINT_USE_FLAT_CONFIG=true` or an
+ * `eslint.config.*` file it supports exists, and `.eslintrc` otherwise.
+ *
+ * @param {string} cwd - Project directory
+ * @param {number[]} version - Parsed ESLint version
+ * @param {Object} env - Environment variables
+ * @param {Function} report - Receives findings
+ * @returns {{ type: string, file: string }|null} Config in use, or null
+ */
+function resolveConfigFile(cwd, version, env, report) {
+  const found = findConfigFiles(cwd);
+  const relative = (file) => path.relative(cwd, file) || path.basename(file);
+  const inPackageJson = found.legacy && path.basename(found.legacy) === "package.json";
+  const legacyName = inPackageJson ? `the eslintConfig key in ${relative(found.legacy)}` : relative(found.legacy || cwd);
+  const useFlatEnv = env.ESLINT_USE_FLAT_CONFIG;
+
+  let flat = found.flat;
+  if (flat && version[0] < 9 && !isAtLeast(version, ESLINT_MODULE_CONFIGS_VERSION) && !flat.endsWith(".js")) {
+    report("error", "config",
+      `ESLint ${version.join(".")} only reads eslint.config.js, so ${relative(flat)} is ignored`,
+      `Rename it to eslint.config.js, or upgrade to ESLint ${ESLINT_MODULE_CONFIGS_VERSION.join(".")} or later`);
+    flat = null;
+  }
+
+  const useFlat = version[0] >= 9 ? useFlatEnv !== "false" : useFlatEnv === "true" || (useFlatEnv !== "false" && Boolean(flat));
+
+  if (useFlat) {
+    if (!flat) {
+      if (found.legacy) {
+        report("error", "config",
+          `ESLint ${version.join(".")} reads flat config and ignores ${legacyName}`,
+          inPackageJson
+            ? "Move its settings to eslint.config.js, then remove the eslintConfig key"
+            : `Run \`lint-my-lines migrate ${legacyName}\` to convert it to eslint.config.js`);
+      } else {
+        report("warning", "config", "No ESLint config file found; `eslint` will not run lint-my-lines rules",
+          "Run `lint-my-lines init` to create eslint.config.js (`lint-my-lines lint` works without one)");
+      }
+      return null;
+    }
+
+    if (found.legacy) {
+      report("warning", "config", `${legacyName} is ignored because ${relative(flat)} is used`,
+        inPackageJson
+          ? `Move its settings to ${relative(flat)}, then remove the eslintConfig key`
+          : `Move its settings to ${relative(flat)} (\`lint-my-lines migrate ${legacyName} --dry-run\` shows them translated), then remove ${legacyName}`);
+    }
+    return { type: "flat", file: flat };
+  }
+
+  if (!found.legacy) {
+    report("warning", "config", "No ESLint config file found; `eslint` will not run lint-my-lines rules",
+      "Run `lint-my-lines init --no-flat` to create .eslintrc.json (`lint-my-lines lint` works without one)");
+    return null;
+  }
+
+  if (version[0] >= 9) {
+    report("warning", "config", "ESLINT_USE_FLAT_CONFIG=false makes ESLint 9 read the deprecated .eslintrc format",
+      inPackageJson
+        ? "Move the eslintConfig key in package.json to eslint.config.js, then unset ESLINT_USE_FLAT_CONFIG"
+        : `Run \`lint-my-lines migrate ${legacyName}\`, then unset ESLINT_USE_FLAT_CONFIG`);
+  }
+  return { type: "legacy", file: found.legacy };
+}
+
+// ---------------------------------------------------------------------------
+// Config Sources
+// ---------------------------------------------------------------------------
+
+/**
+ * Load a flat config and describe the rule settings of each block.
+ *
+ * @param {string} file - Absolute path of the flat config
+ * @param {string} label - File name shown in findings
+ * @param {Function} report - Receives findings
+ * @returns {Promise<Object[]>} Sources: `{ label, key, scope, preset, rules, processor }`
+ */
+async function loadFlatSources(file, label, report) {
+  let config;
+  try {
+    const loaded = await import(pathToFileURL(file).href);
+    config = await (loaded.default === undefined ? loaded : loaded.default);
+  } catch (error) {
+    report("error", "config", `Could not load ${label}: ${error.message}`,
+      "Fix the error, then run `lint-my-lines doctor` again");
+    return [];
+  }
+
+  const blocks = [].concat(config).flat(Infinity);
+
+  return blocks.map((block, index) => {
+    const where = `${label} config[${index}]`;
+
+    if (typeof block === "string") {
+      const preset = block.startsWith(EXTENDS_PREFIX) ? block.slice(EXTENDS_PREFIX.length) : null;
+      report("error", "config", `${where} is the eslintrc preset name "${block}"; flat config needs config objects`,
+        preset ? `Use lintMyLines.configs["flat/${preset}"] instead` : "Use the plugin's flat config object instead");
+      return null;
+    }
+    if (!block || typeof block !== "object") {
+      return null;
+    }
+
+    const name = typeof block.name === "string" ? block.name : null;
+    const legacyExtends = [].concat(block.extends || []).filter((entry) => typeof entry === "string" && entry.startsWith(EXTENDS_PREFIX));
+    if (Array.isArray(block.plugins) || legacyExtends.length > 0) {
+      const preset = legacyExtends.length > 0 ? legacyExtends[0].slice(EXTENDS_PREFIX.length) : "recommended";
+      report("error", "config", `${where} is an eslintrc config object (${Array.isArray(block.plugins) ? "plugins array" : "extends"}); flat config ignores it`,
+        `Use lintMyLines.configs["flat/${preset.replace(/^flat\//, "")}"], or \`plugins: { "lint-my-lines": lintMyLines }\``);
+    }
+
+    return {
+      label: name ? `${where} ("${name}")` : where,
+      key: `${where}.rules`,
+      scope: JSON.stringify([block.files || null, block.ignores || null]),
+      preset: Boolean(name && name.startsWith(RULE_PREFIX)),
+      rules: block.rules || {},
+      processor: typeof block.processor === "string" ? block.processor : null,
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Load a legacy config and describe the rule settings of each level.
+ *
+ * Presets extended with `plugin:lint-my-lines/<name>` become preset
+ * sources; `rules` become user sources.
+ *
+ * @param {string} file - Absolute path of the legacy config or package.json
+ * @param {string} label - File name shown in findings
+ * @param {Function} report - Receives findings
+ * @returns {Object[]} Sources: `{ label, location, scope, preset, rules, processor }`
+ */
+function loadLegacySources(file, label, report) {
+  let config;
+  try {
+    config = path.basename(file) === "package.json"
+      ? JSON.parse(fs.readFileSync(file, "utf8")).eslintConfig
+      : loadLegacyConfig(file);
+  } catch (error) {
+    report("error", "config", `Could not load ${label}: ${error.message}`,
+      "Fix the error, then run `lint-my-lines doctor` again");
+    return [];
+  }
+
+  const legacyPresets = Object.keys(plugin.configs).filter((name) => !name.startsWith("flat/"));
+  const sources = [];
+
+  /**
+   * Add the sources of one config level and its overrides.
+   * @param {Object} level - Top-level config or override block
+   * @param {string} where - Label prefix for the level
+   * @param {string} scope - Files the level applies to
+   */
+  function addLevel(level, where, scope) {
+    for (const entry of [].concat(level.extends || [])) {
+      if (typeof entry !== "string" || !entry.startsWith(EXTENDS_PREFIX)) {
+        continue;
+      }
+
+      const preset = entry.slice(EXTENDS_PREFIX.length);
+      if (preset.startsWith("flat/")) {
+        report("error", "config", `${where}extends "${entry}", a flat config preset; .eslintrc cannot read it`,
+          `Extend "${EXTENDS_PREFIX}${preset.slice("flat/".length)}" instead, or run \`lint-my-lines migrate\` to switch to flat config`);
+      } else if (!legacyPresets.includes(preset)) {
+        report("error", "config", `${where}extends unknown preset "${entry}"`,
+          `Use one of: ${legacyPresets.map((name) => `${EXTENDS_PREFIX}${name}`).join(", ")}`);
+      } else {
+        sources.push({
+          label: `${where}extends "${entry}"`,
+          scope,
+          preset: true,
+          rules: plugin.configs[preset].rules,
+          processor: null,
+        });
+      }
+    }
+
+    sources.push({
+      label: `${where}rules`,
+      location: where.trim().replace(/\.$/, ""),
+      scope,
+      preset: false,
+      rules: level.rules || {},
+      processor: typeof level.processor === "string" ? level.processor : null,
+    });
+
+    [].concat(level.overrides || []).forEach((override, index) => {
+      if (override && typeof override === "object") {
+        addLevel(override, `${where}overrides[${index}].`,
+          JSON.stringify([scope, override.files || null, override.excludedFiles || null]));
+      }
+    });
+  }
+
+  addLevel(config || {}, `${label} `, JSON.stringify(null));
+  return sources;
+}
+
+/**
+ * Validate the project config and describe its rule settings.
+ *
+ * @param {string} cwd - Project directory
+ * @param {Function} report - Receives findings
+ * @returns {{ file: string|null, sources: Object[] }} Project config file and
+ *   sources (scoped apart from ESLint config sources)
+ */
+function loadProjectSources(cwd, report) {
+  let found;
+  try {
+    found = readProjectConfig(cwd);
+  } catch (error) {
+    report("error", "project-config", error.message, "Fix the JSON syntax of the file");
+    return { file: null, sources: [] };
+  }
+
+  if (!found) {
+    return { file: null, sources: [] };
+  }
+
+  const { file, config } = found;
+  const errors = validateProjectConfig(config, Object.keys(presetRules));
+
+  for (const error of errors) {
+    report("error", "project-config", `${file}: ${error}`, describeOptionFix(error));
+  }
+
+  if (errors.length > 0 || !config || typeof config !== "object") {
+    return { file, sources: [] };
+  }
+
+  const scope = (files) => JSON.stringify(["lintmylinesrc", files || null]);
+  const preset = config.preset || "recommended";
+  const sources = [{ label: `${file} preset "${preset}"`, scope: scope(), preset: true, rules: presetRules[preset], processor: null }];
+
+  if (config.overrides && !Array.isArray(config.overrides)) {
+    report("warning", "project-config", `${file}: an "overrides" object is read as "rules" for compatibility with earlier releases`,
+      "Rename the \"overrides\" object to \"rules\" (\"overrides\" now takes [{ files, rules }] blocks)");
+    sources.push({ label: `${file} overrides`, scope: scope(), preset: false, rules: config.overrides, processor: null });
+  }
+
+  sources.push({ label: `${file} rules`, scope: scope(), preset: false, rules: config.rules || {}, processor: null });
+
+  if (Array.isArray(config.overrides)) {
+    config.overrides.forEach((override, index) => {
+      sources.push({
+        label: `${file} overrides[${index}].rules`,
+        scope: scope([override.files, override.excludedFiles || null]),
+        preset: false,
+        rules: override.rules || {},
+        processor: null,
+      });
+    });
+  }
+
+  return { file, sources };
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Suggest a fix for a rule setting error from validateRules.
+ * @param {string} error - Error message
+ * @returns {string} Suggested fix
+ */
+function describeOptionFix(error) {
+  const rule = /\["lint-my-lines\/([\w-]+)"\]/.exec(error);
+
+  if (/is not a lint-my-lines rule/.test(error)) {
+    return "Check the rule name with `lint-my-lines rules`";
+  }
+  if (rule && plugin.rules[rule[1]]) {
+    return `See the options of the rule with \`lint-my-lines explain ${rule[1]}\``;
+  }
+  return "Correct the value; see the Project Configuration File section of the integration guide";
+}
+
+/**
+ * Check the lint-my-lines rule settings of ESLint config sources against
+ * the rules and their schemas, and report deprecated rules and options.
+ *
+ * @param {Object[]} sources - Config sources
+ * @param {Function} report - Receives findings
+ * @param {boolean} validate - Validate settings (the project config is
+ *   validated when it is loaded)
+ */
+function checkRuleSettings(sources, report, validate) {
+  for (const source of sources.filter((entry) => !entry.preset)) {
+    for (const [ruleId, setting] of Object.entries(source.rules)) {
+      if (!ruleId.startsWith(RULE_PREFIX)) {
+        continue;
+      }
+
+      if (validate) {
+        const errors = validateRules({ [ruleId]: setting }, source.key || source.label);
+        for (const error of errors) {
+          report("error", "rules", error, describeOptionFix(error));
+        }
+        if (errors.length > 0) {
+          continue;
+        }
+      }
+
+      const ruleName = ruleId.slice(RULE_PREFIX.length);
+      const rule = plugin.rules[ruleName];
+      if (!rule || getSeverity(setting) === "off") {
+        continue;
+      }
+
+      if (rule.meta.deprecated) {
+        const replacedBy = [].concat(rule.meta.replacedBy || []);
+        report("warning", "rules", `${source.label}: ${ruleId} is deprecated`,
+          replacedBy.length > 0 ? `Use ${replacedBy.map((name) => `${RULE_PREFIX}${name}`).join(" or ")} instead` : "Remove the rule");
+      }
+
+      const schema = Array.isArray(rule.meta.schema) ? rule.meta.schema : [];
+      const options = Array.isArray(setting) ? setting.slice(1) : [];
+
+      options.forEach((value, index) => {
+        const properties = schema[index] && schema[index].properties;
+        if (!properties || !value || typeof value !== "object") {
+          return;
+        }
+
+        for (const key of Object.keys(value).filter((name) => properties[name] && properties[name].deprecated)) {
+          report("warning", "rules", `${source.label}: option "${key}" of ${ruleId} is deprecated`,
+            `Remove it; see \`lint-my-lines explain ${ruleName}\` for its replacement`);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Report rules set with different severities by two sources for the same
+ * files, one finding per pair of sources. A user setting after a preset
+ * setting is an intended override.
+ *
+ * @param {Object[]} sources - Config sources, in config order
+ * @param {Function} report - Receives findings
+ */
+function checkConflicts(sources, report) {
+  const previous = new Map();
+  const conflicts = new Map();
+
+  for (const source of sources) {
+    for (const [ruleId, setting] of Object.entries(source.rules)) {
+      const severity = getSeverity(setting);
+      if (!ruleId.startsWith(RULE_PREFIX) || !severity) {
+        continue;
+      }
+
+      const key = `${source.scope}\n${ruleId}`;
+      const earlier = previous.get(key);
+      previous.set(key, { source, severity });
+
+      if (!earlier || earlier.severity === severity || (earlier.source.preset && !source.preset)) {
+        continue;
+      }
+
+      const pair = `${earlier.source.label}\n${source.label}`;
+      if (!conflicts.has(pair)) {
+        conflicts.set(pair, { earlier: earlier.source, later: source, rules: [] });
+      }
+      conflicts.get(pair).rules.push(`${ruleId} ("${earlier.severity}", then "${severity}")`);
+    }
+  }
+
+  for (const { earlier, later, rules } of conflicts.values()) {
+    report("warning", "rules",
+      `${earlier.label} and ${later.label} set different severities for ${rules.join(", ")}; the last one wins`,
+      earlier.preset && later.preset
+        ? "Keep only one of the presets"
+        : "Remove one of the settings, or limit the blocks to different files");
+  }
+}
+
+/**
+ * Report processors whose parser is not installed, and framework
+ * dependencies without their parser.
+ *
+ * @param {Object[]} parsers - `{ name, version }` of each optional parser
+ * @param {Object[]} sources - ESLint config sources
+ * @param {string} cwd - Project directory
+ * @param {Function} report - Receives findings
+ */
+function checkParsers(parsers, sources, cwd, report) {
+  const frameworks = fs.existsSync(path.join(cwd, "package.json")) ? detectProject(cwd).frameworks : [];
+
+  for (const parser of PARSERS) {
+    if (parsers.find((entry) => entry.name === parser.name).version) {
+      continue;
+    }
+
+    const install = `npm install --save-dev ${parser.name}`;
+    const user = parser.processor && sources.find((source) => source.processor === parser.processor);
+
+    if (user) {
+      report("error", "parsers",
+        `The ${parser.label} processor is registered in ${user.location || user.label}, but ${parser.name} is not installed`, install);
+    } else if (frameworks.includes(parser.framework)) {
+      report("warning", "parsers",
+        `package.json depends on ${parser.framework}, but ${parser.name} is not installed, so ${parser.label} files cannot be linted`, install);
+    }
+  }
+}
+
+/**
+ * Report `issue-tracker-integration` tokens that reference an unset
+ * environment variable. Token options are the schema properties that
+ * accept a `$ENV_VAR` reference.
+ *
+ * @param {Object[]} sources - Config sources
+ * @param {Object} env - Environment variables
+ * @param {Function} report - Receives findings
+ */
+function checkTrackerTokens(sources, env, report) {
+  const ruleId = `${RULE_PREFIX}${TRACKER_RULE}`;
+  const properties = plugin.rules[TRACKER_RULE].meta.schema[0].properties;
+  const tokenKeys = Object.keys(properties).filter((key) => /\$ENV_VAR/.test(properties[key].description || ""));
+
+  for (const source of sources) {
+    const setting = source.rules[ruleId];
+    const options = Array.isArray(setting) ? setting[1] : null;
+
+    if (!options || typeof options !== "object" || options.offline || getSeverity(setting) === "off") {
+      continue;
+    }
+
+    // Each `trackers` entry has its own tokens
+    const trackers = Array.isArray(options.trackers)
+      ? options.trackers.map((entry, index) => [`trackers[${index}].`, entry])
+      : [["", options]];
+
+    for (const [prefix, tracker] of trackers) {
+      for (const key of tokenKeys) {
+        const value = tracker && tracker[key];
+        if (typeof value !== "string" || !value.startsWith("$")) {
+          continue;
+        }
+
+        const variable = value.slice(1);
+        if (!env[variable]) {
+          report("warning", "tokens",
+            `${source.label}: ${ruleId} ${prefix}${key} references $${variable}, which is not set`,
+            `Set it with \`export ${variable}=<token>\` (or in CI secrets), or set offline: true to skip ticket validation`);
+        }
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Diagnosis
+// ---------------------------------------------------------------------------
+
+/**
+ * Run every check.
+ *
+ * @param {Object} [options] - Diagnosis options
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @returns {Promise<Object>} Report: `{ eslint: { version, flatConfigDefault },
+ *   configFile, projectConfig, parsers, findings }`, where each finding is
+ *   `{ severity, check, message, fix }`
+ *
+ * @example
+ * const report = await diagnose();
+ * const errors = report.findings.filter((finding) => finding.severity === "error");
+ */
+async function diagnose(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const env = options.env || process.env;
+  const findings = [];
+
+  /**
+   * Record a finding.
+   * @param {string} severity - "error" or "warning"
+   * @param {string} check - Check that found it
+   * @param {string} message - What is wrong
+   * @param {string} fix - Suggested fix
+   */
+  function report(severity, check, message, fix) {
+    findings.push({ severity, check, message, fix });
+  }
+
+  // ESLint
+  const eslintVersion = getESLintVersion();
+  const version = parseVersion(eslintVersion);
+  if (!isAtLeast(version, MIN_ESLINT_VERSION)) {
+    report("error", "eslint", `ESLint ${eslintVersion} is not supported (requires ^8.56.0 or ^9.0.0)`,
+      "Run `npm install --save-dev eslint@9`");
+  }
+
+  // ESLint config
+  const config = resolveConfigFile(cwd, version, env, report);
+  const configLabel = config ? path.relative(cwd, config.file) || path.basename(config.file) : null;
+  let sources = [];
+  if (config && config.type === "flat") {
+    sources = await loadFlatSources(config.file, configLabel, report);
+  } else if (config) {
+    sources = loadLegacySources(config.file, configLabel, report);
+  }
+
+  checkRuleSettings(sources, report, true);
+
+  // Project config
+  const project = loadProjectSources(cwd, report);
+  checkRuleSettings(project.sources, report, false);
+
+  const allSources = [...sources, ...project.sources];
+  checkConflicts(allSources, report);
+  checkTrackerTokens(allSources, env, report);
+
+  // Parsers
+  const parsers = PARSERS.map((parser) => ({ name: parser.name, version: findPackageVersion(parser.name, cwd) }));
+  checkParsers(parsers, sources, cwd, report);
+
+  log.debug("Doctor found %d problem(s)", findings.length);
+
+  return {
+    eslint: { version: eslintVersion, flatConfigDefault: isESLintV9() },
+    configFile: config ? { file: configLabel, type: config.type } : null,
+    projectConfig: project.file,
+    parsers,
+    findings: [
+      ...findings.filter((finding) => finding.severity === "error"),
+      ...findings.filter((finding) => finding.severity !== "error"),
+    ],
+  };
+}
+
+/**
+ * Format a diagnosis as text.
+ * @param {Object} report - From diagnose()
+ * @returns {string} Text report
+ */
+function formatReport(report) {
+  const parsers = report.parsers
+    .map((parser) => `${parser.name} ${parser.version || "(not installed)"}`)
+    .join(", ");
+
+  const lines = [
+    `ESLint:          ${report.eslint.version}${report.eslint.flatConfigDefault ? " (flat config by default)" : ""}`,
+    `Config file:     ${report.configFile ? `${report.configFile.file} (${report.configFile.type})` : "none"}`,
+    `Project config:  ${report.projectConfig || "none"}`,
+    `Parsers:         ${parsers}`,
+    "",
+  ];
+
+  if (report.findings.length === 0) {
+    lines.push("No problems found.");
+    return lines.join("\n");
+  }
+
+  for (const finding of report.findings) {
+    lines.push(`${SYMBOLS[finding.severity]} ${finding.message}`);
+    lines.push(`  Fix: ${finding.fix}`);
+  }
+
+  const errors = report.findings.filter((finding) => finding.severity === "error").length;
+  lines.push("", `${errors} error(s), ${report.findings.length - errors} warning(s)`);
+
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Print environment and configuration diagnostics.
+ *
+ * @param {Object} [options] - CLI options
+ * @param {string} [options.format="text"] - Output format (text|json)
+ * @returns {Promise<number>} Exit code (0 = no errors, 1 = errors found)
+ */
+async function doctor(options = {}) {
+  const format = options.format || "text";
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Error: Invalid format "${format}". Choose from: ${FORMATS.join(", ")}`);
+    return 1;
+  }
+
+  const report = await diagnose();
+
+  console.log(format === "json" ? JSON.stringify(report, null, 2) : formatReport(report));
+
+  return report.findings.some((finding) => finding.severity === "error") ? 1 : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  doctor,
+  diagnose,
+  formatReport,
+};
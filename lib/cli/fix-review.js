@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Interactive review of autofixes for `lint --fix-interactive`
+ * @author Jules
+ *
+ * Instead of applying every fix, `--fix-interactive` shows each proposed
+ * fix as a before/after diff of the lines it touches and asks what to do:
+ *
+ * - `y` - apply the fix
+ * - `n` - skip it (the default, also used when input ends)
+ * - `e` - edit the replacement text, then apply it
+ * - `a` - apply this fix and every later fix of the same rule
+ * - `q` - skip this and all remaining fixes
+ *
+ * Fixes are reviewed file by file in source order. A fix that overlaps one
+ * already accepted in the same file is skipped, since both cannot be
+ * applied in one pass. Accepted fixes are set as each result's `output`,
+ * ready for `ESLint.outputFixes()`.
+ *
+ * @module cli/fix-review
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const { applyFixes, getResultSource } = require("../utils/result-utils");
+const { createLogger } = require("../utils/debug");
+const { toRelativePath } = require("../formatters/formatter-utils");
+const { createPrompter } = require("./init-wizard");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for fix review
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Answers accepted at the review prompt.
+ * @type {string[]}
+ */
+const ACTIONS = ["y", "n", "e", "a", "q"];
+
+/**
+ * Explanation of the answers, printed before the first fix.
+ * @type {string}
+ */
+const HELP = "y = apply, n = skip, e = edit the replacement, a = apply all fixes of this rule, q = quit";
+
+/**
+ * ANSI escape codes for the diff.
+ * @type {Object<string, string>}
+ */
+const COLORS = {
+  red: "\u001b[31m",
+  green: "\u001b[32m",
+  cyan: "\u001b[36m",
+  dim: "\u001b[2m",
+  reset: "\u001b[0m",
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Decide whether to color output written to a stream.
+ *
+ * `NO_COLOR` turns colors off and `FORCE_COLOR` on; otherwise only
+ * terminals get colors.
+ *
+ * @param {NodeJS.WritableStream} stream - Output stream
+ * @returns {boolean} True to use colors
+ */
+function supportsColor(stream) {
+  if (process.env.NO_COLOR) {
+    return false;
+  }
+  if (process.env.FORCE_COLOR) {
+    return process.env.FORCE_COLOR !== "0";
+  }
+  return Boolean(stream.isTTY);
+}
+
+/**
+ * Wrap text in an ANSI color.
+ * @param {string} text - Text
+ * @param {string} color - Key of COLORS
+ * @param {boolean} enabled - Whether to color at all
+ * @returns {string} Colored text
+ */
+function paint(text, color, enabled) {
+  return enabled ? `${COLORS[color]}${text}${COLORS.reset}` : text;
+}
+
+/**
+ * Format a fix as a diff of the whole lines it touches.
+ *
+ * @param {string} text - Source text
+ * @param {{ range: number[], text: string }} fix - ESLint fix
+ * @param {Object} [options] - Format options
+ * @param {boolean} [options.color=false] - Color removed and added lines
+ * @returns {string} Lines prefixed with `-` (before) and `+` (after)
+ *
+ * @example
+ * formatFixDiff("// TODO: Fix\n", { range: [0, 12], text: "// TODO (TICKET-XXX): Fix" });
+ * // - // TODO: Fix
+ * // + // TODO (TICKET-XXX): Fix
+ */
+function formatFixDiff(text, fix, options = {}) {
+  const [start, end] = fix.range;
+  const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+  const nextNewline = text.indexOf("\n", end);
+  const lineEnd = nextNewline === -1 ? text.length : nextNewline;
+
+  const before = text.slice(lineStart, lineEnd);
+  const after = text.slice(lineStart, start) + fix.text + text.slice(end, lineEnd);
+
+  return [
+    ...before.split("\n").map((line) => paint(`- ${line}`, "red", options.color)),
+    ...after.split("\n").map((line) => paint(`+ ${line}`, "green", options.color)),
+  ].join("\n");
+}
+
+/**
+ * Show replacement text on one line, with escaped newlines.
+ * @param {string} text - Replacement text
+ * @returns {string} Escaped text
+ */
+function escapeReplacement(text) {
+  return text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+/**
+ * Read replacement text typed on one line.
+ * @param {string} text - Typed text, with `\n` for newlines
+ * @returns {string} Replacement text
+ */
+function unescapeReplacement(text) {
+  return text.replace(/\\(\\|n)/g, (match, char) => (char === "n" ? "\n" : "\\"));
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Ask about every fix in the results and set each result's `output` to
+ * its source with the accepted fixes applied.
+ *
+ * @param {Object[]} results - ESLint lint results, linted without `fix`
+ * @param {Object} [options] - Review options
+ * @param {Object} [options.prompter] - Prompter from createPrompter (default:
+ *   one reading stdin and writing to `output`)
+ * @param {NodeJS.WritableStream} [options.output=process.stderr] - Stream for
+ *   diffs and prompts, so stdout only carries the lint report
+ * @param {boolean} [options.color] - Color diffs (default: if `output` is a terminal)
+ * @param {string} [options.cwd=process.cwd()] - Directory file names are shown relative to
+ * @returns {Promise<{ accepted: number, skipped: number }>} Fix counts
+ *
+ * @example
+ * const review = await reviewFixes(results);
+ * if (review.accepted > 0) {
+ *   await ESLint.outputFixes(results);
+ * }
+ */
+async function reviewFixes(results, options = {}) {
+  const output = options.output || process.stderr;
+  const color = options.color === undefined ? supportsColor(output) : options.color;
+  const cwd = options.cwd || process.cwd();
+  const prompter = options.prompter || createPrompter({ output });
+
+  const acceptedRules = new Set();
+  let accepted = 0;
+  let skipped = 0;
+  let quit = false;
+  let helpShown = false;
+
+  try {
+    for (const result of results) {
+      const fixable = result.messages
+        .filter((message) => message.fix)
+        .sort((a, b) => a.fix.range[0] - b.fix.range[0] || a.fix.range[1] - b.fix.range[1]);
+
+      const source = fixable.length > 0 ? getResultSource(result) : null;
+      if (source === null) {
+        continue;
+      }
+
+      const file = toRelativePath(result.filePath, cwd);
+      const fileAccepted = [];
+      let lastEnd = -1;
+
+      for (const message of fixable) {
+        if (quit || message.fix.range[0] < lastEnd) {
+          skipped++;
+          continue;
+        }
+
+        let fix = message.fix;
+        let answer = acceptedRules.has(message.ruleId) ? "y" : null;
+
+        if (!answer) {
+          if (!helpShown) {
+            output.write(`${HELP}\n`);
+            helpShown = true;
+          }
+
+          output.write(`\n${paint(`${file}:${message.line}:${message.column}`, "cyan", color)}  ` +
+            `${message.message}  ${paint(message.ruleId || "", "dim", color)}\n`);
+          output.write(`${formatFixDiff(source, fix, { color })}\n`);
+
+          answer = await prompter.choose("Apply this fix?", ACTIONS, "n");
+        }
+
+        if (answer === "e") {
+          const typed = await prompter.ask(`Replacement, \\n for a new line [${escapeReplacement(fix.text)}]:`);
+          if (typed) {
+            fix = { range: fix.range, text: unescapeReplacement(typed) };
+            output.write(`${formatFixDiff(source, fix, { color })}\n`);
+          }
+        } else if (answer === "a") {
+          acceptedRules.add(message.ruleId);
+        } else if (answer === "q") {
+          quit = true;
+        }
+
+        if (answer === "y" || answer === "e" || answer === "a") {
+          fileAccepted.push({ ...message, fix });
+          lastEnd = fix.range[1];
+          accepted++;
+        } else {
+          skipped++;
+        }
+      }
+
+      if (fileAccepted.length > 0) {
+        result.output = applyFixes(source, fileAccepted).output;
+      }
+    }
+  } finally {
+    if (!options.prompter) {
+      prompter.close();
+    }
+  }
+
+  log.debug("Fix review: %d accepted, %d skipped", accepted, skipped);
+  output.write(`\nApplied ${accepted} fix(es), skipped ${skipped}.\n`);
+
+  return { accepted, skipped };
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  formatFixDiff,
+  reviewFixes,
+};
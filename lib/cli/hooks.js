@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Pre-commit hook installer for `lint-my-lines install-hooks`
+ * @author Jules
+ *
+ * Installs a pre-commit hook that runs `lint --staged --index`: it lints
+ * the staged content of changed files, read from the git index, and
+ * reports issues on staged lines only. Unstaged edits in the working tree
+ * neither hide nor cause failures.
+ *
+ * The hook is written to one of:
+ *
+ * - `git`: the repository's hooks directory (`.git/hooks`, or
+ *   `core.hooksPath`). An existing hook is moved to `pre-commit.chained`
+ *   and runs first; uninstalling moves it back.
+ * - `husky`: `.husky/pre-commit`. The lint command is appended after the
+ *   commands already there, between marker comments.
+ *
+ * @example
+ * lint-my-lines install-hooks --preset strict --max-warnings 0
+ * lint-my-lines uninstall-hooks
+ *
+ * @module cli/hooks
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+
+const { createLogger } = require("../utils/debug");
+const { runGit, getRepoRoot } = require("../utils/git-utils");
+const { presetRules } = require("./lint");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for hook operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Supported hook managers.
+ * @type {string[]}
+ */
+const MANAGERS = ["git", "husky"];
+
+/**
+ * Name of the hook.
+ * @type {string}
+ */
+const HOOK_NAME = "pre-commit";
+
+/**
+ * Suffix of the existing hook the git hook runs first.
+ * @type {string}
+ */
+const CHAINED_SUFFIX = ".chained";
+
+/**
+ * Comments around the lines the installer owns.
+ * @type {string}
+ */
+const BLOCK_START = "# >>> lint-my-lines >>>";
+const BLOCK_END = "# <<< lint-my-lines <<<";
+
+// ---------------------------------------------------------------------------
+// Hook Scripts
+// ---------------------------------------------------------------------------
+
+/**
+ * Render the shell lines that run the linter.
+ *
+ * The local binary is preferred; `npx --no` never installs a missing one.
+ *
+ * @param {Object} options - Hook options
+ * @param {string} [options.preset] - Preset to lint with
+ * @param {number} [options.maxWarnings] - Warnings allowed before the commit fails
+ * @returns {string[]} Shell lines
+ */
+function renderLintCommand(options) {
+  let args = "lint --staged --index";
+  if (options.preset) {
+    args += ` --preset ${options.preset}`;
+  }
+  if (options.maxWarnings !== undefined) {
+    args += ` --max-warnings ${options.maxWarnings}`;
+  }
+
+  return [
+    "if [ -x node_modules/.bin/lint-my-lines ]; then",
+    `  node_modules/.bin/lint-my-lines ${args}`,
+    "else",
+    `  npx --no -- lint-my-lines ${args}`,
+    "fi",
+  ];
+}
+
+/**
+ * Render the script for the git hooks directory.
+ * @param {Object} options - Hook options for renderLintCommand
+ * @returns {string} Hook script
+ */
+function renderGitHook(options) {
+  return [
+    "#!/bin/sh",
+    BLOCK_START,
+    "# Installed by `lint-my-lines install-hooks`; remove with `lint-my-lines uninstall-hooks`",
+    "",
+    "# The hook that was here before runs first",
+    `chained="$(dirname "$0")/${HOOK_NAME}${CHAINED_SUFFIX}"`,
+    "if [ -x \"$chained\" ]; then",
+    "  \"$chained\" \"$@\" || exit $?",
+    "fi",
+    "",
+    ...renderLintCommand(options),
+    BLOCK_END,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render the block appended to a husky hook.
+ * @param {Object} options - Hook options for renderLintCommand
+ * @returns {string} Block, without a trailing newline
+ */
+function renderHuskyBlock(options) {
+  return [BLOCK_START, ...renderLintCommand(options), BLOCK_END].join("\n");
+}
+
+/**
+ * Remove the installer's block from a script.
+ * @param {string} text - Script
+ * @returns {string} Script without the block
+ */
+function removeBlock(text) {
+  const start = text.indexOf(BLOCK_START);
+  const end = text.indexOf(BLOCK_END, start);
+  if (start === -1 || end === -1) {
+    return text;
+  }
+  return text.slice(0, start) + text.slice(end + BLOCK_END.length).replace(/^\n/, "");
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a file if it exists.
+ * @param {string} filePath - File path
+ * @returns {string|null} Content, or null if there is no file
+ */
+function readIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+}
+
+/**
+ * Write an executable script.
+ * @param {string} filePath - File path
+ * @param {string} content - Script
+ */
+function writeScript(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  fs.chmodSync(filePath, 0o755);
+}
+
+/**
+ * Get the directory git runs hooks from.
+ * @param {string} root - Repository root
+ * @returns {string} Absolute hooks directory (honors core.hooksPath)
+ */
+function getHooksDir(root) {
+  return path.resolve(root, runGit(["rev-parse", "--git-path", "hooks"], { cwd: root }).trim());
+}
+
+/**
+ * Find the repository root and the hook manager for a command.
+ *
+ * @param {Object} options - Command options
+ * @returns {{ root: string, manager: string, cwd: string }|null} Target, or
+ *   null after printing an error
+ */
+function resolveTarget(options) {
+  const cwd = options.cwd || process.cwd();
+
+  if (options.manager && !MANAGERS.includes(options.manager)) {
+    console.error(`Error: Invalid hook manager "${options.manager}". Choose from: ${MANAGERS.join(", ")}`);
+    return null;
+  }
+
+  let root;
+  try {
+    root = getRepoRoot(cwd);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return null;
+  }
+
+  const manager = options.manager || (fs.existsSync(path.join(root, ".husky")) ? "husky" : "git");
+  log.debug("Hook manager: %s (repository: %s)", manager, root);
+
+  return { root, manager, cwd };
+}
+
+// ---------------------------------------------------------------------------
+// Main Functions
+// ---------------------------------------------------------------------------
+
+/**
+ * Install the pre-commit hook, or update the options of an installed one.
+ *
+ * @param {Object} [options] - Command options
+ * @param {string} [options.preset] - Preset the hook lints with (default:
+ *   the `.lintmylinesrc` preset when the hook runs)
+ * @param {string|number} [options.maxWarnings] - Warnings allowed before the
+ *   commit fails (default: warnings never fail)
+ * @param {string} [options.manager] - "git" or "husky" (default: husky if
+ *   the repository has a `.husky` directory)
+ * @param {string} [options.cwd=process.cwd()] - Directory inside the repository
+ * @returns {number} Exit code (0 = success, 1 = error)
+ */
+function installHooks(options = {}) {
+  const validPresets = Object.keys(presetRules);
+  if (options.preset && !validPresets.includes(options.preset)) {
+    console.error(`Error: Invalid preset "${options.preset}". Choose from: ${validPresets.join(", ")}`);
+    return 1;
+  }
+
+  const maxWarnings = options.maxWarnings === undefined ? undefined : Number(options.maxWarnings);
+  if (maxWarnings !== undefined && !(Number.isInteger(maxWarnings) && maxWarnings >= 0)) {
+    console.error(`Error: Invalid --max-warnings "${options.maxWarnings}". Use a non-negative integer`);
+    return 1;
+  }
+
+  const target = resolveTarget(options);
+  if (!target) {
+    return 1;
+  }
+
+  const { root, manager, cwd } = target;
+  const hookOptions = { preset: options.preset, maxWarnings };
+
+  if (manager === "husky") {
+    const hookPath = path.join(root, ".husky", HOOK_NAME);
+    const existing = readIfExists(hookPath);
+    const kept = existing === null ? "" : removeBlock(existing).trimEnd();
+
+    writeScript(hookPath, `${kept ? `${kept}\n\n` : ""}${renderHuskyBlock(hookOptions)}\n`);
+    console.log(`${existing && existing.includes(BLOCK_START) ? "Updated" : "Added"} lint-my-lines in ${path.relative(cwd, hookPath)}`);
+    return 0;
+  }
+
+  // core.hooksPath=/dev/null is a common way to turn hooks off
+  const hooksDir = getHooksDir(root);
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    console.error(`Error: Git runs hooks from ${hooksDir} (core.hooksPath), which is not a directory`);
+    return 1;
+  }
+
+  const hookPath = path.join(hooksDir, HOOK_NAME);
+  const chainedPath = `${hookPath}${CHAINED_SUFFIX}`;
+  const existing = readIfExists(hookPath);
+  const installed = existing !== null && existing.includes(BLOCK_START);
+
+  if (existing !== null && !installed) {
+    if (fs.existsSync(chainedPath)) {
+      console.error(`Error: ${path.relative(cwd, chainedPath)} already exists. Merge it into ${path.relative(cwd, hookPath)} or remove it first`);
+      return 1;
+    }
+    fs.renameSync(hookPath, chainedPath);
+    console.log(`Moved the existing hook to ${path.relative(cwd, chainedPath)}; it runs before lint-my-lines`);
+  }
+
+  writeScript(hookPath, renderGitHook(hookOptions));
+  console.log(`${installed ? "Updated" : "Installed"} the pre-commit hook in ${path.relative(cwd, hookPath)}`);
+  return 0;
+}
+
+/**
+ * Remove the pre-commit hook, restoring the hook it chained.
+ *
+ * @param {Object} [options] - Command options
+ * @param {string} [options.manager] - "git" or "husky" (default: husky if
+ *   the repository has a `.husky` directory)
+ * @param {string} [options.cwd=process.cwd()] - Directory inside the repository
+ * @returns {number} Exit code (0 = removed or not installed, 1 = error)
+ */
+function uninstallHooks(options = {}) {
+  const target = resolveTarget(options);
+  if (!target) {
+    return 1;
+  }
+
+  const { root, manager, cwd } = target;
+  const hookPath = manager === "husky"
+    ? path.join(root, ".husky", HOOK_NAME)
+    : path.join(getHooksDir(root), HOOK_NAME);
+  const existing = readIfExists(hookPath);
+
+  if (existing === null || !existing.includes(BLOCK_START)) {
+    console.log(`No lint-my-lines hook found in ${path.relative(cwd, hookPath)}`);
+    return 0;
+  }
+
+  if (manager === "husky") {
+    const rest = removeBlock(existing).trimEnd();
+    if (rest) {
+      fs.writeFileSync(hookPath, `${rest}\n`);
+    } else {
+      fs.unlinkSync(hookPath);
+    }
+    console.log(`Removed lint-my-lines from ${path.relative(cwd, hookPath)}`);
+    return 0;
+  }
+
+  const chainedPath = `${hookPath}${CHAINED_SUFFIX}`;
+  fs.unlinkSync(hookPath);
+
+  if (fs.existsSync(chainedPath)) {
+    fs.renameSync(chainedPath, hookPath);
+    console.log(`Removed the pre-commit hook and restored the previous one in ${path.relative(cwd, hookPath)}`);
+  } else {
+    console.log(`Removed the pre-commit hook from ${path.relative(cwd, hookPath)}`);
+  }
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  installHooks,
+  uninstallHooks,
+};
@@ -0,0 +1,566 @@
+/**
+ * @fileoverview Project-aware setup wizard for `lint-my-lines init`
+ * @author Jules
+ *
+ * The wizard inspects package.json to find the frameworks, parsers and
+ * test runners a project uses, turns them into a setup plan, and writes
+ * an ESLint flat config that composes the matching `flat/*` presets with
+ * the config helpers:
+ *
+ * - The base preset is scoped to the source globs with
+ *   `createFileTypePreset`
+ * - Language and file type presets (typescript, react, vue, svelte,
+ *   markdown, accessibility, test-files) are scoped the same way
+ * - Excluded paths are applied to every block with
+ *   `createConfigWithExclude`
+ *
+ * With `--interactive` every part of the plan is confirmed at a prompt.
+ * With `--yes` the detected defaults are written without prompting.
+ *
+ * @example
+ * // Accept detected defaults (CI bootstrapping)
+ * lint-my-lines init --yes
+ *
+ * // Review each preset and glob
+ * lint-my-lines init --interactive
+ *
+ * @module cli/init-wizard
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const { PRESETS, findExistingConfig } = require("./init");
+const { LANGUAGE_PRESETS } = require("../configs/flat-config-factory");
+const { createLogger } = require("../utils/debug");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for init operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Dependencies that indicate a framework or language, keyed by preset.
+ * @type {Object<string, string[]>}
+ */
+const FRAMEWORK_DEPENDENCIES = {
+  typescript: ["typescript"],
+  react: ["react", "preact", "next", "react-native"],
+  vue: ["vue", "nuxt"],
+  svelte: ["svelte", "@sveltejs/kit"],
+  markdown: ["@eslint/markdown", "eslint-plugin-markdown", "vitepress", "@docusaurus/core"],
+};
+
+/**
+ * Dependencies that indicate a test runner.
+ * @type {string[]}
+ */
+const TEST_DEPENDENCIES = [
+  "mocha",
+  "jest",
+  "vitest",
+  "ava",
+  "jasmine",
+  "tap",
+  "@playwright/test",
+  "cypress",
+];
+
+/**
+ * Parser packages per preset, in order of preference. `expression` is the
+ * code that evaluates to the parser once `local` is imported.
+ * @type {Object<string, Array<{ module: string, local: string, expression: string }>>}
+ */
+const PARSER_DEPENDENCIES = {
+  typescript: [
+    { module: "@typescript-eslint/parser", local: "tsParser", expression: "tsParser" },
+    { module: "typescript-eslint", local: "tseslint", expression: "tseslint.parser" },
+  ],
+};
+
+/**
+ * Presets the wizard offers in addition to the base preset, in the order
+ * their config blocks are written. test-files comes last so its relaxed
+ * rules win for test files.
+ * @type {string[]}
+ */
+const OPTIONAL_PRESETS = ["typescript", "react", "vue", "svelte", "markdown", "accessibility", "test-files"];
+
+/**
+ * Presets whose files contain UI markup, used to scope accessibility.
+ * @type {string[]}
+ */
+const UI_PRESETS = ["react", "vue", "svelte"];
+
+/**
+ * Default globs for the base preset.
+ * @type {string[]}
+ */
+const DEFAULT_SOURCE_FILES = ["**/*.js", "**/*.mjs", "**/*.cjs"];
+
+/**
+ * Default globs for the test-files preset. The preset itself has no file
+ * patterns when used as a flat config, so the wizard always scopes it.
+ * @type {string[]}
+ */
+const DEFAULT_TEST_FILES = ["**/*.test.*", "**/*.spec.*", "**/__tests__/**", "test/**", "tests/**"];
+
+/**
+ * Build output directories excluded by default when they exist.
+ * @type {string[]}
+ */
+const OUTPUT_DIRECTORIES = ["dist", "build", "out", "coverage"];
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+/**
+ * Detect frameworks, parsers and test runners from package.json.
+ *
+ * @param {string} [cwd=process.cwd()] - Project directory
+ * @returns {Object} Detection result with `frameworks` (preset names),
+ *   `parsers` (preset name to parser entry), `testRunner` (or null),
+ *   `outputDirectories` and `esm`
+ */
+function detectProject(cwd = process.cwd()) {
+  let pkg = {};
+  const pkgPath = path.join(cwd, "package.json");
+
+  if (fs.existsSync(pkgPath)) {
+    try {
+      pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+    } catch {
+      console.warn("Warning: Could not parse package.json, skipping detection");
+    }
+  }
+
+  const dependencies = new Set([
+    ...Object.keys(pkg.dependencies || {}),
+    ...Object.keys(pkg.devDependencies || {}),
+    ...Object.keys(pkg.peerDependencies || {}),
+  ]);
+
+  const frameworks = Object.keys(FRAMEWORK_DEPENDENCIES)
+    .filter((preset) => FRAMEWORK_DEPENDENCIES[preset].some((dep) => dependencies.has(dep)));
+
+  const parsers = {};
+  for (const [preset, candidates] of Object.entries(PARSER_DEPENDENCIES)) {
+    const parser = candidates.find((candidate) => dependencies.has(candidate.module));
+    if (parser) {
+      parsers[preset] = parser;
+    }
+  }
+
+  const detection = {
+    frameworks,
+    parsers,
+    testRunner: TEST_DEPENDENCIES.find((dep) => dependencies.has(dep)) || null,
+    outputDirectories: OUTPUT_DIRECTORIES.filter((dir) => fs.existsSync(path.join(cwd, dir))),
+    esm: pkg.type === "module",
+  };
+
+  log.debug("Detected project: %o", detection);
+
+  return detection;
+}
+
+// ---------------------------------------------------------------------------
+// Planning
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the default file globs for an optional preset.
+ * @param {string} name - Preset name from OPTIONAL_PRESETS
+ * @param {string[]} enabled - Presets enabled so far
+ * @returns {string[]} Glob patterns
+ */
+function defaultFilesFor(name, enabled) {
+  if (name === "test-files") {
+    return DEFAULT_TEST_FILES;
+  }
+
+  if (name === "accessibility") {
+    const ui = UI_PRESETS.filter((preset) => enabled.includes(preset));
+    const sources = ui.length > 0 ? ui : ["react"];
+    return [...new Set(sources.flatMap((preset) => LANGUAGE_PRESETS[preset].files))];
+  }
+
+  return [...LANGUAGE_PRESETS[name].files];
+}
+
+/**
+ * Check whether an optional preset should be enabled by default.
+ * @param {string} name - Preset name from OPTIONAL_PRESETS
+ * @param {Object} detection - From detectProject
+ * @returns {boolean} True if detected
+ */
+function isDetected(name, detection) {
+  if (name === "test-files") {
+    return detection.testRunner !== null;
+  }
+  if (name === "accessibility") {
+    return UI_PRESETS.some((preset) => detection.frameworks.includes(preset));
+  }
+  return detection.frameworks.includes(name);
+}
+
+/**
+ * Resolve the preset name to use for a plan entry. TypeScript follows the
+ * base preset, so strict projects get typescript-strict.
+ * @param {string} name - Preset name from OPTIONAL_PRESETS
+ * @param {string} base - Base preset
+ * @returns {string} Flat config preset name (without "flat/")
+ */
+function resolvePresetName(name, base) {
+  return name === "typescript" && base === "strict" ? "typescript-strict" : name;
+}
+
+/**
+ * Build the setup plan from detection results, optionally asking the user
+ * to confirm each part.
+ *
+ * Without a prompter the detected defaults are used as-is.
+ *
+ * @param {Object} detection - From detectProject
+ * @param {Object} [options] - Options
+ * @param {string} [options.preset="recommended"] - Default base preset
+ * @param {Object} [options.prompter] - From createPrompter
+ * @returns {Promise<Object>} Plan with `preset`, `files`, `ignores`,
+ *   `presets` ({ name, files, parser }[]) and `missingParsers` (names of
+ *   enabled presets that need a parser the project does not have)
+ */
+async function createPlan(detection, options = {}) {
+  const prompter = options.prompter;
+  const plan = {
+    preset: options.preset || "recommended",
+    files: DEFAULT_SOURCE_FILES,
+    ignores: detection.outputDirectories.map((dir) => `${dir}/**`),
+    presets: [],
+    missingParsers: [],
+  };
+
+  if (prompter) {
+    plan.preset = await prompter.choose("Base preset", PRESETS, plan.preset);
+    plan.files = await prompter.askList("Files for the base preset", plan.files);
+    plan.ignores = await prompter.askList("Paths to exclude", plan.ignores);
+  }
+
+  const enabled = [];
+
+  for (const name of OPTIONAL_PRESETS) {
+    let enable = isDetected(name, detection);
+    let files = defaultFilesFor(name, enabled);
+
+    if (prompter) {
+      enable = await prompter.confirm(`Enable the ${name} preset?`, enable);
+      if (enable) {
+        files = await prompter.askList(`Files for ${name}`, files);
+      }
+    }
+
+    if (!enable || files.length === 0) {
+      continue;
+    }
+
+    enabled.push(name);
+    plan.presets.push({
+      name: resolvePresetName(name, plan.preset),
+      files,
+      parser: detection.parsers[name] || null,
+    });
+
+    if (PARSER_DEPENDENCIES[name] && !detection.parsers[name]) {
+      plan.missingParsers.push(name);
+    }
+  }
+
+  return plan;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a glob array as code.
+ * @param {string[]} files - Glob patterns
+ * @returns {string} Array literal
+ */
+function renderArray(files) {
+  return `[${files.map((file) => JSON.stringify(file)).join(", ")}]`;
+}
+
+/**
+ * Indent every line of a block after the first.
+ * @param {string} text - Code block
+ * @param {string} indent - Indentation to add
+ * @returns {string} Indented code
+ */
+function indentBlock(text, indent) {
+  return text.split("\n").join(`\n${indent}`);
+}
+
+/**
+ * Render a preset scoped to files, wrapped in an exclusion if needed.
+ * @param {string} preset - Flat preset name (without "flat/")
+ * @param {string[]} files - Glob patterns
+ * @param {boolean} hasIgnores - Whether to wrap in createConfigWithExclude
+ * @returns {string} Config array element
+ */
+function renderPresetBlock(preset, files, hasIgnores) {
+  const block = [
+    "createFileTypePreset({",
+    `  basePreset: lintMyLines.configs["flat/${preset}"],`,
+    `  files: ${renderArray(files)},`,
+    "})",
+  ].join("\n");
+
+  if (!hasIgnores) {
+    return block;
+  }
+
+  return `createConfigWithExclude(\n  ${indentBlock(block, "  ")},\n  ignores\n)`;
+}
+
+/**
+ * Render a plan as flat config source.
+ *
+ * @param {Object} plan - From createPlan
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.esm=false] - Use ES module syntax
+ * @returns {string} eslint.config.js or eslint.config.cjs content
+ */
+function renderFlatConfig(plan, options = {}) {
+  const hasIgnores = plan.ignores.length > 0;
+  const parsers = plan.presets.map((entry) => entry.parser).filter(Boolean);
+  const helpers = hasIgnores
+    ? "createConfigWithExclude, createFileTypePreset"
+    : "createFileTypePreset";
+
+  const imports = options.esm
+    ? [
+      'import lintMyLines from "eslint-plugin-lint-my-lines";',
+      `import { ${helpers} } from "eslint-plugin-lint-my-lines/helpers";`,
+      ...parsers.map((parser) => `import ${parser.local} from "${parser.module}";`),
+    ]
+    : [
+      'const lintMyLines = require("eslint-plugin-lint-my-lines");',
+      `const { ${helpers} } = require("eslint-plugin-lint-my-lines/helpers");`,
+      ...parsers.map((parser) => `const ${parser.local} = require("${parser.module}");`),
+    ];
+
+  const blocks = [renderPresetBlock(plan.preset, plan.files, hasIgnores)];
+
+  for (const entry of plan.presets) {
+    blocks.push(renderPresetBlock(entry.name, entry.files, hasIgnores));
+
+    if (entry.parser) {
+      blocks.push([
+        "{",
+        `  files: ${renderArray(entry.files)},`,
+        `  languageOptions: { parser: ${entry.parser.expression} },`,
+        "}",
+      ].join("\n"));
+    }
+  }
+
+  const lines = ["// Generated by lint-my-lines init", ...imports, ""];
+
+  if (hasIgnores) {
+    lines.push(`const ignores = ${renderArray(plan.ignores)};`, "");
+  }
+
+  lines.push(options.esm ? "export default [" : "module.exports = [");
+  for (const block of blocks) {
+    lines.push(`  ${indentBlock(block, "  ")},`);
+  }
+  lines.push("];", "");
+
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Prompts
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a line-based prompter.
+ *
+ * Lines are read through the readline async iterator, so answers piped in
+ * before a question is printed are not lost. When input ends, every
+ * remaining question takes its default.
+ *
+ * @param {Object} [streams] - Streams
+ * @param {NodeJS.ReadableStream} [streams.input=process.stdin] - Input
+ * @param {NodeJS.WritableStream} [streams.output=process.stdout] - Output
+ * @returns {Object} Prompter with `ask`, `askList`, `confirm`, `choose`
+ *   and `close`
+ */
+function createPrompter(streams = {}) {
+  const input = streams.input || process.stdin;
+  const output = streams.output || process.stdout;
+  const rl = readline.createInterface({ input, output, terminal: Boolean(input.isTTY) });
+  const lines = rl[Symbol.asyncIterator]();
+
+  /**
+   * Ask a question and return the trimmed answer ("" on end of input).
+   * @param {string} question - Question text including the default hint
+   * @returns {Promise<string>} Answer
+   */
+  async function ask(question) {
+    output.write(`${question} `);
+    const { value, done } = await lines.next();
+    if (done || !input.isTTY) {
+      output.write("\n");
+    }
+    return done ? "" : value.trim();
+  }
+
+  return {
+    ask,
+
+    async askList(question, defaults) {
+      const hint = defaults.length > 0 ? defaults.join(", ") : "none";
+      const answer = await ask(`${question} [${hint}]:`);
+      if (!answer) {
+        return defaults;
+      }
+      if (answer === "none") {
+        return [];
+      }
+      return answer.split(",").map((item) => item.trim()).filter(Boolean);
+    },
+
+    async confirm(question, defaultValue) {
+      const answer = await ask(`${question} ${defaultValue ? "(Y/n)" : "(y/N)"}`);
+      return answer ? /^y(es)?$/i.test(answer) : defaultValue;
+    },
+
+    async choose(question, choices, defaultValue) {
+      for (;;) {
+        const answer = await ask(`${question} (${choices.join("/")}) [${defaultValue}]:`);
+        if (!answer) {
+          return defaultValue;
+        }
+        if (choices.includes(answer)) {
+          return answer;
+        }
+        output.write(`Please choose one of: ${choices.join(", ")}\n`);
+      }
+    },
+
+    close() {
+      rl.close();
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Describe detection results for the console.
+ * @param {Object} detection - From detectProject
+ * @returns {string} Summary line
+ */
+function describeDetection(detection) {
+  const parts = detection.frameworks.map((framework) => {
+    const parser = detection.parsers[framework];
+    return parser ? `${framework} (${parser.module})` : framework;
+  });
+
+  if (detection.testRunner) {
+    parts.push(`tests (${detection.testRunner})`);
+  }
+
+  return parts.length > 0 ? parts.join(", ") : "plain JavaScript";
+}
+
+/**
+ * Run the setup wizard.
+ *
+ * @param {Object} [options] - CLI options
+ * @param {string} [options.preset] - Default base preset
+ * @param {boolean} [options.yes] - Accept detected defaults without prompting
+ * @param {boolean} [options.flat] - False when --no-flat was given
+ * @param {Object} [options.prompter] - Prompter override (for testing)
+ * @returns {Promise<number>} Exit code (0 = success, 1 = error)
+ */
+async function initWizard(options = {}) {
+  if (options.flat === false) {
+    console.error("Error: The setup wizard only generates flat config. Remove --no-flat.");
+    return 1;
+  }
+
+  if (options.preset && !PRESETS.includes(options.preset)) {
+    console.error(`Error: Invalid preset "${options.preset}". Choose from: ${PRESETS.join(", ")}`);
+    return 1;
+  }
+
+  const cwd = process.cwd();
+  const detection = detectProject(cwd);
+  console.log(`Detected: ${describeDetection(detection)}`);
+
+  const prompter = options.yes ? null : options.prompter || createPrompter();
+  let plan;
+  try {
+    plan = await createPlan(detection, { preset: options.preset, prompter });
+  } finally {
+    if (prompter) {
+      prompter.close();
+    }
+  }
+
+  const esm = detection.esm;
+  const content = renderFlatConfig(plan, { esm });
+  const existingConfig = findExistingConfig();
+
+  if (existingConfig) {
+    console.log(`\nExisting ESLint config found: ${existingConfig}`);
+    console.log("Merge the following into your existing configuration:\n");
+    console.log(content);
+    return 0;
+  }
+
+  const filename = esm ? "eslint.config.js" : "eslint.config.cjs";
+  fs.writeFileSync(path.join(cwd, filename), content, "utf8");
+
+  const presets = [plan.preset, ...plan.presets.map((entry) => entry.name)];
+  console.log(`\n Created ${filename} with ${presets.join(", ")} presets\n`);
+
+  for (const name of plan.missingParsers) {
+    const parser = PARSER_DEPENDENCIES[name][0].module;
+    console.log(`Note: ${name} files need a parser. Install it and add it to the config:`);
+    console.log(`     npm install ${parser} --save-dev\n`);
+  }
+
+  console.log("Run ESLint to check your comments:");
+  console.log("     npx eslint .\n");
+
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  initWizard,
+  detectProject,
+  createPlan,
+  renderFlatConfig,
+  createPrompter,
+};
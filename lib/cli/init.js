@@ -6,6 +6,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { readProjectConfig } = require("./project-config");
 
 const PRESETS = ["minimal", "recommended", "strict"];
 
@@ -14,38 +15,27 @@ const PRESETS = ["minimal", "recommended", "strict"];
  * @returns {object|null} Parsed config or null
  */
 function loadProjectConfig() {
-  const cwd = process.cwd();
-  const configFiles = [
-    ".lintmylinesrc",
-    ".lintmylinesrc.json",
-  ];
-
-  for (const file of configFiles) {
-    const filePath = path.join(cwd, file);
-    if (fs.existsSync(filePath)) {
-      try {
-        const content = fs.readFileSync(filePath, "utf8");
-        return JSON.parse(content);
-      } catch {
-        console.warn(`Warning: Could not parse ${file}`);
-      }
-    }
+  try {
+    const found = readProjectConfig();
+    return found ? found.config : null;
+  } catch (error) {
+    console.warn(`Warning: ${error.message}`);
+    return null;
   }
+}
 
-  // Check package.json
-  const pkgPath = path.join(cwd, "package.json");
-  if (fs.existsSync(pkgPath)) {
-    try {
-      const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
-      if (pkg.lintmylines) {
-        return pkg.lintmylines;
-      }
-    } catch {
-      // Ignore parse errors
-    }
-  }
+/**
+ * Get the rule settings from a project config
+ * @param {object|null} projectConfig - Parsed project config
+ * @returns {object} Rule settings
+ */
+function getRuleOverrides(projectConfig) {
+  // Earlier releases used an overrides object for rule settings
+  const legacyRules = projectConfig?.overrides && !Array.isArray(projectConfig.overrides)
+    ? projectConfig.overrides
+    : {};
 
-  return null;
+  return { ...legacyRules, ...projectConfig?.rules };
 }
 
 /**
@@ -181,7 +171,7 @@ function init(options) {
 
   // Load project config for overrides
   const projectConfig = loadProjectConfig();
-  const overrides = projectConfig?.overrides || {};
+  const overrides = getRuleOverrides(projectConfig);
 
   // Check for existing config
   const existingConfig = findExistingConfig();
@@ -240,4 +230,13 @@ function init(options) {
   }
 }
 
-module.exports = { init, loadProjectConfig, generateLegacyConfig, generateFlatConfig, generateFlatConfigCJS };
+module.exports = {
+  PRESETS,
+  init,
+  loadProjectConfig,
+  generateLegacyConfig,
+  generateFlatConfig,
+  generateFlatConfigCJS,
+  isESM,
+  findExistingConfig,
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Worker thread entry point for `lint --concurrency`
+ * @author Jules
+ *
+ * Lints one shard of files (see parallel-lint.js) and posts the results
+ * back to the main thread. The plugin is loaded here, so each worker has
+ * its own rule instances and performance caches.
+ *
+ * Receives `workerData`:
+ * - `files` - absolute paths to lint
+ * - `cwd` - directory the files are linted from
+ * - `fix` - whether to compute fixes (they are written by the main thread)
+ * - `overrideConfig` - ESLint override config
+ * - `cacheConfig` - cache options, with this shard's cache file
+ *
+ * Posts `{ results }` or `{ error }`.
+ *
+ * @module cli/lint-worker
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const { parentPort, workerData } = require("worker_threads");
+
+const { createESLintInstance } = require("../utils/eslint-compat");
+const { createLogger } = require("../utils/debug");
+const plugin = require("../index");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for worker messages
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Lint this worker's files.
+ *
+ * @param {Object} data - Worker data
+ * @returns {Promise<Object[]>} ESLint lint results
+ */
+async function lintShard(data) {
+  const eslint = createESLintInstance({
+    cwd: data.cwd,
+    fix: data.fix,
+    plugins: {
+      "lint-my-lines": plugin,
+    },
+    overrideConfig: data.overrideConfig,
+    ...data.cacheConfig,
+  });
+
+  const results = await eslint.lintFiles(data.files);
+  log.debug("Worker linted %d file(s)", results.length);
+
+  return results;
+}
+
+lintShard(workerData).then(
+  (results) => parentPort.postMessage({ results }),
+  (error) => parentPort.postMessage({ error: error.message })
+);
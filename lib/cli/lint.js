@@ -12,6 +12,12 @@
  * utilities. The appropriate ESLint instance is created based on the
  * installed version.
  *
+ * ## Project Configuration
+ *
+ * The preset, rule settings, ignore patterns, default file patterns and
+ * per-glob overrides can be set in `.lintmylinesrc` (see
+ * project-config.js). Command-line options take precedence.
+ *
  * ## Usage
  *
  * @example
@@ -32,6 +38,9 @@
 // Requirements
 // ---------------------------------------------------------------------------
 
+const fs = require("fs");
+const path = require("path");
+
 // v1.0.3: Use ESLint compat utilities for version-appropriate instance creation
 const {
   createESLintInstance,
@@ -40,11 +49,60 @@ const {
 } = require("../utils/eslint-compat");
 
 // v1.0.3: Use cache integration for improved performance
-const { getCacheConfig } = require("../utils/cache-integration");
+const {
+  CACHE_STRATEGIES,
+  getCacheConfig,
+  getCurrentCacheInfo,
+  recordCacheInfo,
+} = require("../utils/cache-integration");
 
 // v1.0.3: Debug logging
 const { createLogger } = require("../utils/debug");
 
+// Git diff helpers for --since / --staged
+const { getChangedLineRanges, getRepoRoot, readStagedFile, intersectsRanges } = require("../utils/git-utils");
+const { recountResult, getResultSource, applyFixes } = require("../utils/result-utils");
+
+// TODO age thresholds for report formatters
+const { getAgeThresholds } = require("../utils/date-utils");
+
+// Violation baselines
+const {
+  DEFAULT_BASELINE_FILE,
+  collectMessageContexts,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  applyBaseline,
+} = require("./baseline");
+
+// .lintmylinesrc
+const { loadProjectConfig } = require("./project-config");
+
+// --workspaces
+const {
+  discoverWorkspaces,
+  filterWorkspaces,
+  globToRegExp,
+  collectWorkspaceMetrics,
+  getWorkspaceTotal,
+  formatWorkspaceSummary,
+} = require("./workspaces");
+
+// --fix-interactive
+const { reviewFixes } = require("./fix-review");
+
+// --concurrency
+const {
+  resolveConcurrency,
+  getWorkerCount,
+  listLintTargets,
+  lintInWorkers,
+} = require("./parallel-lint");
+
+// Built-in formatters (SARIF, ...)
+const { getBuiltinFormatter } = require("../formatters");
+
 // ESLint is still needed for outputFixes static method
 const { ESLint } = require("eslint");
 
@@ -129,6 +187,803 @@ const presetRules = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// Parser Options
+// ---------------------------------------------------------------------------
+
+/**
+ * Parser options for linted files.
+ * @type {Object}
+ */
+const PARSER_OPTIONS = {
+  ecmaVersion: 2020,
+  sourceType: "module",
+};
+
+// ---------------------------------------------------------------------------
+// File Types
+// ---------------------------------------------------------------------------
+
+/**
+ * Component and document formats linted through the plugin's processors.
+ *
+ * Components need their framework's parser for the template comment rules;
+ * a type whose parser is not installed is left out of the config.
+ *
+ * @type {Object[]}
+ */
+const FILE_TYPES = [
+  {
+    extension: ".vue",
+    parser: "vue-eslint-parser",
+    rules: { "lint-my-lines/vue-template-comments": "warn" },
+  },
+  {
+    extension: ".svelte",
+    parser: "svelte-eslint-parser",
+    rules: { "lint-my-lines/svelte-template-comments": "warn" },
+  },
+  {
+    // Code blocks are examples, not modules (same as the markdown preset)
+    extension: ".md",
+    blockRules: {
+      "lint-my-lines/no-commented-code": "off",
+      "lint-my-lines/require-file-header": "off",
+    },
+  },
+];
+
+/**
+ * Resolve an optional parser from the project, then from this package.
+ *
+ * @param {string} name - Parser package name
+ * @returns {string|null} Absolute path, or null if it is not installed
+ */
+function resolveParser(name) {
+  try {
+    return require.resolve(name, { paths: [process.cwd(), __dirname] });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the config overrides that lint `.vue`, `.svelte` and `.md` files
+ * with the plugin's processors. Files are matched by name, so a buffer
+ * linted with `--stdin-filename` gets the same config as the file on disk.
+ *
+ * @returns {Object[]} ESLint overrides (cloneable, for worker threads)
+ *
+ * @example
+ * getFileTypeOverrides();
+ * // [{ files: ["*.md"], processor: "lint-my-lines/.md" },
+ * //  { files: ["**\/*.md/*.js"], rules: { ... } }]
+ */
+function getFileTypeOverrides() {
+  const overrides = [];
+
+  for (const type of FILE_TYPES) {
+    const override = {
+      files: [`*${type.extension}`],
+      processor: `lint-my-lines/${type.extension}`,
+    };
+
+    if (type.parser) {
+      const parser = resolveParser(type.parser);
+      if (!parser) {
+        log.debug("Not linting %s files: %s is not installed", type.extension, type.parser);
+        continue;
+      }
+      override.parser = parser;
+    }
+    if (type.rules) {
+      override.rules = type.rules;
+    }
+    overrides.push(override);
+
+    if (type.blockRules) {
+      overrides.push({ files: [`**/*${type.extension}/*.js`], rules: type.blockRules });
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Get the file type a path needs a missing parser for.
+ *
+ * @param {string} filePath - File path
+ * @returns {Object|undefined} File type from FILE_TYPES, if its parser is missing
+ */
+function getUnsupportedFileType(filePath) {
+  const type = FILE_TYPES.find((entry) => path.extname(filePath) === entry.extension);
+  return type && type.parser && !resolveParser(type.parser) ? type : undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Stdin
+// ---------------------------------------------------------------------------
+
+/**
+ * Read all of stdin as UTF-8.
+ *
+ * @returns {Promise<string>} Text piped to the process
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = "";
+
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => {
+      text += chunk;
+    });
+    process.stdin.on("end", () => resolve(text));
+    process.stdin.on("error", reject);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Output Formats
+// ---------------------------------------------------------------------------
+
+/**
+ * Formats whose output is parsed by other tools or saved as a report.
+ *
+ * The human-readable summary lines are not printed for these, so the
+ * output can be redirected straight into a file.
+ *
+ * @type {string[]}
+ */
+const MACHINE_READABLE_FORMATS = [
+  "json",
+  "json-with-metadata",
+  "sarif",
+  "html",
+  "junit",
+  "checkstyle",
+  "gitlab",
+];
+
+// ---------------------------------------------------------------------------
+// Diff-Aware Filtering
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve a path through symlinks so it matches paths reported by git.
+ * @param {string} filePath - Absolute file path
+ * @returns {string} Real path (or the input if it cannot be resolved)
+ */
+function toRealPath(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch {
+    return filePath;
+  }
+}
+
+/**
+ * Fix passes per file in diff mode, the same limit ESLint uses.
+ * @type {number}
+ */
+const MAX_FIX_PASSES = 10;
+
+/**
+ * Keep only the messages of a result that touch the changed lines.
+ *
+ * @param {Object} result - ESLint lint result, mutated and recounted
+ * @param {Array<[number, number]>} ranges - Changed line ranges of its file
+ * @returns {Object} The result
+ */
+function keepChangedMessages(result, ranges) {
+  // Parse errors apply to the whole file, so always keep them
+  result.messages = result.messages.filter((message) =>
+    message.fatal || intersectsRanges(ranges, message.line, message.endLine || message.line)
+  );
+  return recountResult(result);
+}
+
+/**
+ * Move line ranges by the lines that fixes added or removed above or
+ * inside them.
+ *
+ * @param {Array<[number, number]>} ranges - Line ranges in `text`
+ * @param {string} text - Text the fixes were applied to
+ * @param {Object[]} applied - Messages whose fixes were applied
+ * @returns {Array<[number, number]>} Line ranges in the fixed text
+ */
+function shiftRanges(ranges, text, applied) {
+  const countLines = (value) => (value.match(/\n/g) || []).length;
+  const shifts = applied.map(({ fix }) => ({
+    line: countLines(text.slice(0, fix.range[1])) + 1,
+    delta: countLines(fix.text) - countLines(text.slice(fix.range[0], fix.range[1])),
+  }));
+  const sumShifts = (test) => shifts.filter(test).reduce((sum, shift) => sum + shift.delta, 0);
+
+  return ranges.map(([start, end]) => {
+    const newStart = start + sumShifts((shift) => shift.line < start);
+    return [newStart, Math.max(newStart, end + sumShifts((shift) => shift.line <= end))];
+  });
+}
+
+/**
+ * Fix the messages on changed lines, pass after pass.
+ *
+ * Like ESLint's own fix loop, the output of each pass is linted again, so
+ * messages that a fix resolved are not reported and fixes that another
+ * fix enabled are applied. Code outside the developer's hunks is never
+ * rewritten.
+ *
+ * @param {import("eslint").ESLint} eslint - ESLint instance without fix
+ * @param {Object} result - ESLint lint result, already restricted to changes
+ * @param {Array<[number, number]>} ranges - Changed line ranges of its file
+ * @returns {Promise<Object>} Result of the last pass, with `output` if
+ *   anything was fixed
+ */
+async function fixChangedLines(eslint, result, ranges) {
+  const source = getResultSource(result);
+  if (source === null) {
+    return result;
+  }
+
+  let text = source;
+  let current = result;
+
+  for (let pass = 0; pass < MAX_FIX_PASSES && current.messages.some((message) => message.fix); pass++) {
+    const { output, applied } = applyFixes(text, current.messages);
+    ranges = shiftRanges(ranges, text, applied);
+    text = output;
+    [current] = await eslint.lintText(text, { filePath: result.filePath });
+    keepChangedMessages(current, ranges);
+  }
+
+  if (text !== source) {
+    current.output = text;
+  }
+  return current;
+}
+
+/**
+ * Keep only results for changed files and messages on changed lines.
+ *
+ * When fixing, only the fixes of the kept messages are applied (see
+ * fixChangedLines). Results are mutated and recounted.
+ *
+ * @param {Object[]} results - ESLint lint results (linted without fix)
+ * @param {Map<string, Array<[number, number]>>} changes - Changed line ranges by real path
+ * @param {import("eslint").ESLint|null} fixWith - ESLint instance to re-lint
+ *   fixed output with, or null to not fix
+ * @returns {Promise<Object[]>} Filtered results
+ */
+async function restrictToChanges(results, changes, fixWith) {
+  const filtered = [];
+
+  for (const result of results) {
+    const ranges = changes.get(toRealPath(result.filePath));
+    if (!ranges) {
+      continue;
+    }
+
+    keepChangedMessages(result, ranges);
+    filtered.push(fixWith ? await fixChangedLines(fixWith, result, ranges) : result);
+  }
+
+  return filtered;
+}
+
+/**
+ * Check by path alone whether ESLint would lint a file for some patterns.
+ *
+ * A file pattern matches that file and a glob the paths it describes. A
+ * directory matches the files below it that end in `.js` or match the
+ * `files` of an override, as in ESLint's own file listing. Ignore rules
+ * are not checked.
+ *
+ * @param {string} file - Absolute real path
+ * @param {string[]} patterns - File patterns
+ * @param {Object} linter - Linter from createLinter
+ * @returns {boolean} True if a pattern matches the file
+ */
+function matchesLintPatterns(file, patterns, linter) {
+  const cwd = toRealPath(linter.cwd);
+  const relative = path.relative(cwd, file).split(path.sep).join("/");
+
+  // Override globs ending in `*` do not add files to a directory listing
+  const targetGlobs = (linter.overrideConfig.overrides || [])
+    .flatMap((override) => [].concat(override.files))
+    .filter((glob) => !glob.endsWith("*"));
+
+  return patterns.some((pattern) => {
+    if (/[*?[{]/.test(pattern)) {
+      return globToRegExp(pattern).test(relative);
+    }
+
+    const target = path.resolve(cwd, pattern);
+    if (file === target) {
+      return true;
+    }
+    if (!file.startsWith(target.endsWith(path.sep) ? target : target + path.sep)) {
+      return false;
+    }
+
+    return file.endsWith(".js") || targetGlobs.some((glob) =>
+      globToRegExp(glob).test(glob.includes("/") ? relative : path.basename(file))
+    );
+  });
+}
+
+/**
+ * Lint the staged content of the changed files that the patterns match.
+ *
+ * Files are taken from the staged changes and matched against the patterns
+ * and ignore rules by path, so files deleted or moved in the working tree
+ * are linted too. Their content is read from the git index.
+ *
+ * @param {Object} linter - Linter from createLinter
+ * @param {string[]} patterns - File patterns
+ * @param {Map<string, Array<[number, number]>>} changes - Staged line ranges by real path
+ * @returns {Promise<Object[]>} ESLint lint results
+ */
+async function lintStagedContent(linter, patterns, changes) {
+  const { eslint, cwd } = linter;
+  const root = getRepoRoot(cwd);
+  const files = [];
+
+  for (const file of changes.keys()) {
+    if (matchesLintPatterns(file, patterns, linter) && !(await eslint.isPathIgnored(file))) {
+      files.push(file);
+    }
+  }
+
+  log.debug("Linting the staged content of %d file(s)", files.length);
+
+  const results = [];
+  for (const file of files) {
+    const text = readStagedFile(file, root);
+    results.push(...await eslint.lintText(text, { filePath: file }));
+  }
+
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Baseline Reporting
+// ---------------------------------------------------------------------------
+
+/**
+ * Print how many messages the baseline suppressed and which entries no
+ * longer occur.
+ *
+ * Stale entries are not listed in diff mode, where unchanged files are
+ * never reported and would all look stale.
+ *
+ * @param {{ suppressed: number, stale: Object[] }} summary - From applyBaseline
+ * @param {boolean} diffMode - Whether --since or --staged is active
+ */
+function reportBaselineSummary(summary, diffMode) {
+  if (summary.suppressed > 0) {
+    console.log(`${summary.suppressed} baselined issue(s) suppressed`);
+  }
+
+  if (diffMode || summary.stale.length === 0) {
+    return;
+  }
+
+  const staleCount = summary.stale.reduce((sum, entry) => sum + entry.count, 0);
+  console.log(`\n${staleCount} baselined issue(s) no longer occur. Re-run with --baseline-create to prune:`);
+
+  for (const entry of summary.stale) {
+    const text = entry.text.length > 60 ? `${entry.text.slice(0, 57)}...` : entry.text;
+    console.log(`  ${entry.ruleId} in ${entry.function} (${entry.files.join(", ")}): ${text}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Linting
+// ---------------------------------------------------------------------------
+
+/**
+ * Load a directory's project config and create the ESLint instance that
+ * lints it.
+ *
+ * @param {Object} [options] - Linter options
+ * @param {string} [options.cwd=process.cwd()] - Directory whose `.lintmylinesrc` is
+ *   used; patterns and ignore patterns are resolved from it
+ * @param {string} [options.preset] - Preset (default: the project config's preset,
+ *   or "recommended")
+ * @param {boolean} [options.fix=false] - Let ESLint compute fixes
+ * @param {boolean} [options.cache=false] - Cache results
+ * @param {string} [options.cacheStrategy="metadata"] - Cache strategy
+ * @param {string} [options.cacheSuffix] - Appended to the cache file name, so
+ *   directories linted with the same preset keep separate cache files
+ * @returns {Object} Linter: `{ eslint, cwd, preset, fix, projectConfig,
+ *   overrideConfig, cacheConfig }`
+ * @throws {Error} If the project config or the preset is invalid
+ *
+ * @example
+ * const linter = createLinter({ cwd: "packages/api", cache: true });
+ * const results = await runLinter(linter, [], { fix: false, concurrency: 1 });
+ */
+function createLinter(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const validPresets = Object.keys(presetRules);
+
+  const projectConfig = loadProjectConfig({ presets: validPresets, cwd });
+  if (projectConfig) {
+    log.debug("Using project config from %s", projectConfig.file);
+  }
+
+  const preset = options.preset || projectConfig?.preset || "recommended";
+  if (!validPresets.includes(preset)) {
+    throw new Error(`Invalid preset "${preset}". Choose from: ${validPresets.join(", ")}`);
+  }
+
+  log.debug("Using preset: %s with %d rules", preset, Object.keys(presetRules[preset]).length);
+
+  // Get cache configuration if caching is enabled
+  const cacheConfig = options.cache
+    ? getCacheConfig({ enabled: true, preset, strategy: options.cacheStrategy })
+    : { cache: false };
+
+  if (cacheConfig.cache && options.cacheSuffix) {
+    cacheConfig.cacheLocation = `${cacheConfig.cacheLocation}.${options.cacheSuffix}`;
+  }
+
+  log.debug("Cache config: %j", cacheConfig);
+
+  // Build the override config for lint-my-lines rules, layering the
+  // project config over the preset
+  const overrideConfig = {
+    plugins: ["lint-my-lines"],
+    parserOptions: PARSER_OPTIONS,
+    rules: { ...presetRules[preset], ...projectConfig?.rules },
+    overrides: getFileTypeOverrides(),
+  };
+
+  if (projectConfig) {
+    overrideConfig.ignorePatterns = projectConfig.ignorePatterns;
+    overrideConfig.overrides.push(...projectConfig.overrides);
+  }
+
+  // Use the compat utility to create a version-appropriate ESLint instance
+  const eslint = createESLintInstance({
+    cwd,
+    fix: options.fix || false,
+    plugins: {
+      "lint-my-lines": plugin,
+    },
+    overrideConfig,
+    ...cacheConfig,
+  });
+
+  log.debug("ESLint instance created for %s", cwd);
+
+  return {
+    eslint,
+    cwd,
+    preset,
+    fix: options.fix || false,
+    projectConfig,
+    overrideConfig,
+    cacheConfig,
+  };
+}
+
+/**
+ * Get the patterns to lint, falling back to the project config's `files`
+ * and then to the linter's directory.
+ *
+ * @param {Object} linter - Linter from createLinter
+ * @param {string[]} patterns - Patterns given on the command line
+ * @returns {string[]} Patterns to lint
+ *
+ * @example
+ * getLintPatterns(linter, []); // => ["src"] with `files: ["src"]` in .lintmylinesrc
+ */
+function getLintPatterns(linter, patterns) {
+  if (patterns.length > 0) {
+    return patterns;
+  }
+  return linter.projectConfig?.files.length > 0 ? linter.projectConfig.files : ["."];
+}
+
+/**
+ * Lint files with a linter from createLinter, then filter results to
+ * changed lines and write fixes.
+ *
+ * @param {Object} linter - Linter from createLinter
+ * @param {string[]} patterns - File patterns; when empty, the project config's
+ *   `files` or the linter's directory
+ * @param {Object} options - Run options
+ * @param {boolean} options.fix - Write fixes to disk
+ * @param {number} options.concurrency - Worker threads to lint with
+ * @param {Map<string, Array<[number, number]>>|null} [options.changes] - Changed
+ *   line ranges from getChangedLineRanges, to restrict results to
+ * @param {boolean} [options.index=false] - Lint the staged content of the
+ *   changed files instead of the working tree; needs staged `changes` and
+ *   ignores `fix`, `concurrency` and the cache
+ * @returns {Promise<Object[]>} ESLint lint results
+ */
+async function runLinter(linter, patterns, options) {
+  const { eslint, cwd, preset, overrideConfig, cacheConfig } = linter;
+  const lintPatterns = getLintPatterns(linter, patterns);
+
+  log.debug("Linting patterns: %j", lintPatterns);
+
+  if (options.index) {
+    return restrictToChanges(await lintStagedContent(linter, lintPatterns, options.changes), options.changes, null);
+  }
+
+  let results;
+  let cacheLocations = [cacheConfig.cacheLocation];
+
+  // Only list files up front when there may be enough for several workers
+  const files = options.concurrency > 1 ? await listLintTargets(lintPatterns, overrideConfig, cwd) : [];
+  const workerCount = getWorkerCount(options.concurrency, files.length);
+
+  if (workerCount > 1) {
+    log.debug("Linting %d file(s) with %d workers", files.length, workerCount);
+    ({ results, cacheLocations } = await lintInWorkers(files, workerCount, {
+      cwd,
+      fix: linter.fix,
+      overrideConfig,
+      cacheConfig,
+    }));
+  } else {
+    results = await eslint.lintFiles(lintPatterns);
+  }
+
+  log.debug("Lint complete: %d file(s) checked", results.length);
+
+  // Remember what the cache files were written for, for `cache stats`
+  if (cacheConfig.cache) {
+    for (const cacheLocation of cacheLocations) {
+      recordCacheInfo(cacheLocation, {
+        ...getCurrentCacheInfo({ preset }),
+        strategy: cacheConfig.cacheStrategy,
+      });
+    }
+  }
+
+  if (options.changes) {
+    results = await restrictToChanges(results, options.changes, options.fix ? eslint : null);
+    log.debug("Diff filter kept %d changed file(s)", results.length);
+  }
+
+  if (options.fix) {
+    log.debug("Applying fixes");
+    await ESLint.outputFixes(results);
+  }
+
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Reporting
+// ---------------------------------------------------------------------------
+
+/**
+ * Format results with a built-in or ESLint formatter.
+ *
+ * @param {Object} linter - Linter from createLinter the results came from
+ * @param {Object[]} results - ESLint lint results
+ * @param {string} format - Output format
+ * @returns {Promise<string>} Formatted output
+ */
+async function formatResults(linter, results, format) {
+  const { eslint, overrideConfig } = linter;
+
+  // Built-in formatters take precedence over ESLint's bundled ones
+  const builtinFormatter = getBuiltinFormatter(format);
+
+  return builtinFormatter
+    ? await builtinFormatter(results, {
+      cwd: process.cwd(),
+      rulesMeta: eslint.getRulesMetaForResults(results),
+      ageThresholds: getAgeThresholds(overrideConfig.rules),
+    })
+    : (await eslint.loadFormatter(format)).format(results);
+}
+
+/**
+ * Check the warning count against --max-warnings, reporting it on stderr
+ * when exceeded.
+ *
+ * @param {number} warningCount - Warnings found
+ * @param {number} [maxWarnings] - Warnings allowed, if limited
+ * @returns {boolean} True if there are too many warnings
+ */
+function exceedsMaxWarnings(warningCount, maxWarnings) {
+  if (maxWarnings === undefined || warningCount <= maxWarnings) {
+    return false;
+  }
+
+  console.error(`Error: Too many warnings (${warningCount}). The maximum is ${maxWarnings} (--max-warnings)`);
+  return true;
+}
+
+/**
+ * Apply the baseline, print the results in the requested format and
+ * print the summary.
+ *
+ * @param {Object} linter - Linter from createLinter the results came from
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} options - Reporting options
+ * @param {string} options.format - Output format
+ * @param {boolean} options.fix - Whether fixes were applied
+ * @param {Object|null} options.baseline - Loaded baseline, if any
+ * @param {boolean} options.diffMode - Whether --since or --staged is active
+ * @param {number} [options.maxWarnings] - Warnings allowed before the run fails
+ * @returns {Promise<number>} Exit code (0 = success/warnings only, 1 = errors
+ *   found or more than `maxWarnings` warnings)
+ */
+async function reportResults(linter, results, { format, fix, baseline, diffMode, maxWarnings }) {
+  let baselineSummary = null;
+
+  if (baseline) {
+    const contexts = await collectMessageContexts(results, { parserOptions: PARSER_OPTIONS });
+    baselineSummary = applyBaseline(results, baseline, contexts);
+  }
+
+  // -------------------------------------------------------------------------
+  // Format and output results
+  // -------------------------------------------------------------------------
+
+  const output = await formatResults(linter, results, format);
+
+  if (output) {
+    console.log(output);
+  }
+
+  // -------------------------------------------------------------------------
+  // Calculate and display summary
+  // -------------------------------------------------------------------------
+
+  const errorCount = results.reduce((sum, r) => sum + r.errorCount, 0);
+  const warningCount = results.reduce((sum, r) => sum + r.warningCount, 0);
+  const fixableCount = results.reduce(
+    (sum, r) => sum + r.fixableErrorCount + r.fixableWarningCount,
+    0
+  );
+
+  log.debug("Results: %d errors, %d warnings, %d fixable", errorCount, warningCount, fixableCount);
+
+  // Show summary message (machine-readable output must stay parseable)
+  if (!MACHINE_READABLE_FORMATS.includes(format)) {
+    if (errorCount === 0 && warningCount === 0) {
+      console.log("\nNo issues found.");
+    } else if (fixableCount > 0 && !fix) {
+      console.log(`\n${fixableCount} issue(s) can be auto-fixed with --fix`);
+    }
+
+    if (baselineSummary) {
+      reportBaselineSummary(baselineSummary, diffMode);
+    }
+  }
+
+  if (exceedsMaxWarnings(warningCount, maxWarnings)) {
+    return 1;
+  }
+
+  // Return exit code based on errors
+  // Warnings don't cause non-zero exit code unless --max-warnings is set
+  return errorCount > 0 ? 1 : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Workspaces
+// ---------------------------------------------------------------------------
+
+/**
+ * Lint each workspace package with its own project config and print a
+ * summary row per package.
+ *
+ * With `--format json`, the summaries, each package's results and the total
+ * are printed as one JSON object instead.
+ *
+ * @param {string[]} patterns - File patterns, resolved in each package
+ * @param {Object} options - Options of lintFiles, with defaults applied
+ * @returns {Promise<number>} Exit code (0 = success/warnings only, 1 = errors found)
+ */
+async function lintWorkspaces(patterns, options) {
+  const { fix, format, concurrency, diffMode } = options;
+
+  const unsupported = ["stdin", "baseline", "baselineCreate"].find((key) => options[key]);
+  if (unsupported) {
+    const option = unsupported.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+    console.error(`Error: --workspaces cannot be used with --${option}`);
+    return 1;
+  }
+
+  if (format !== "json" && MACHINE_READABLE_FORMATS.includes(format)) {
+    console.error(`Error: --workspaces cannot be used with --format ${format}. Use json for a machine-readable summary`);
+    return 1;
+  }
+
+  let workspaces;
+  try {
+    workspaces = discoverWorkspaces();
+    if (!workspaces) {
+      console.error("Error: No workspaces found. Declare them in package.json \"workspaces\" or pnpm-workspace.yaml");
+      return 1;
+    }
+    if (options.workspace && options.workspace.length > 0) {
+      workspaces = filterWorkspaces(workspaces, options.workspace);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+
+  try {
+    const changes = diffMode
+      ? getChangedLineRanges({ since: options.since, staged: options.staged, index: options.index })
+      : null;
+
+    const packages = [];
+    let linter = null;
+
+    for (const workspace of workspaces) {
+      log.debug("Linting workspace %s in %s", workspace.name, workspace.dir);
+
+      try {
+        linter = createLinter({
+          cwd: workspace.dir,
+          preset: options.preset,
+          fix: fix && !diffMode,
+          cache: options.cache,
+          cacheStrategy: options.cacheStrategy,
+          // Packages linted with the same preset must not share a cache file
+          cacheSuffix: workspace.path.replace(/[^\w.-]+/g, "-"),
+        });
+      } catch (error) {
+        console.error(`Error: ${workspace.path}: ${error.message}`);
+        return 1;
+      }
+
+      const results = await runLinter(linter, patterns, { fix, concurrency, changes });
+      const metrics = await collectWorkspaceMetrics(results.map((result) => result.filePath), {
+        cwd: workspace.dir,
+        overrideConfig: linter.overrideConfig,
+      });
+
+      packages.push({
+        name: workspace.name,
+        path: workspace.path,
+        preset: linter.preset,
+        files: results.length,
+        errorCount: results.reduce((sum, r) => sum + r.errorCount, 0),
+        warningCount: results.reduce((sum, r) => sum + r.warningCount, 0),
+        ...metrics,
+        results,
+      });
+    }
+
+    const total = getWorkspaceTotal(packages);
+
+    if (format === "json") {
+      console.log(JSON.stringify({ packages, total }, null, 2));
+    } else {
+      const results = packages.flatMap((pkg) => pkg.results);
+      const output = linter ? await formatResults(linter, results, format) : "";
+
+      if (output) {
+        console.log(`${output.trimEnd()}\n`);
+      }
+      console.log(formatWorkspaceSummary(packages));
+    }
+
+    if (exceedsMaxWarnings(total.warningCount, options.maxWarnings)) {
+      return 1;
+    }
+
+    return total.errorCount > 0 ? 1 : 0;
+  } catch (error) {
+    log.error("Lint error: %s", error.message);
+    console.error("Error running lint:", error.message);
+    return 1;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Main Function
 // ---------------------------------------------------------------------------
@@ -141,15 +996,43 @@ const presetRules = {
  *
  * - Multiple presets (minimal, recommended, strict, analysis)
  * - Autofix with the --fix option
- * - Multiple output formats (stylish, json, compact, etc.)
+ * - Multiple output formats (stylish, json, compact, sarif, etc.)
  * - Both ESLint v8 and v9
+ * - Project settings from `.lintmylinesrc`
  *
- * @param {string[]} patterns - File patterns to lint (glob patterns)
+ * @param {string[]} patterns - File patterns to lint (glob patterns); when
+ *   empty, the project config's `files` or the current directory
  * @param {Object} options - Lint options
- * @param {string} [options.preset="recommended"] - Rule preset to use
+ * @param {string} [options.preset] - Rule preset to use (default: the project
+ *   config's preset, or "recommended")
  * @param {boolean} [options.fix=false] - Auto-fix issues where possible
+ * @param {boolean} [options.fixInteractive=false] - Show each fix as a diff and ask whether
+ *   to apply, skip or edit it; accepted fixes are written before reporting
  * @param {string} [options.format="stylish"] - Output format for results
  * @param {boolean} [options.cache=false] - Enable caching for faster repeat runs
+ * @param {string} [options.cacheStrategy="metadata"] - How the cache detects changed files:
+ *   "metadata" (mtime and size) or "content" (file hash)
+ * @param {string|number} [options.concurrency=1] - Worker threads to lint with, or "auto"
+ *   for one per CPU
+ * @param {string} [options.since] - Only report messages on lines changed since this git ref
+ * @param {boolean} [options.staged=false] - Only report messages in files changed in the git index,
+ *   on lines that differ from HEAD in the linted copy
+ * @param {boolean} [options.index=false] - With `staged`, lint the staged content from the git
+ *   index instead of the working tree, as the pre-commit hook does
+ * @param {string|number} [options.maxWarnings] - Fail when there are more warnings than this
+ * @param {boolean} [options.baselineCreate=false] - Write all current messages to the baseline
+ *   file instead of reporting them
+ * @param {string} [options.baseline] - Baseline file; messages recorded in it are suppressed
+ *   (default for --baseline-create: .lint-my-lines-baseline.json)
+ * @param {boolean} [options.stdin=false] - Lint text read from stdin instead of files; with
+ *   `fix`, the fixed text is printed instead of the results
+ * @param {string} [options.stdinFilename] - Path the stdin text is linted as. It selects the
+ *   processor and the config (overrides, ignore patterns) that apply to it
+ * @param {boolean} [options.workspaces=false] - Lint each package of the npm, yarn or pnpm
+ *   workspace in the current directory with its own project config, and print a summary
+ *   table per package
+ * @param {string[]} [options.workspace] - Only lint these workspace packages (by name or
+ *   path); implies `workspaces`
  * @returns {Promise<number>} Exit code (0 = success/warnings only, 1 = errors found)
  *
  * @example
@@ -164,124 +1047,249 @@ const presetRules = {
  * });
  *
  * @example
+ * // Review TODO placeholders and other fixes one by one
+ * const exitCode = await lintFiles(['src'], {
+ *   fixInteractive: true
+ * });
+ *
+ * @example
  * // Output as JSON for CI integration
  * const exitCode = await lintFiles(['src/**\/*.js'], {
  *   format: 'json'
  * });
+ *
+ * @example
+ * // Only report issues that are not in the baseline
+ * const exitCode = await lintFiles(['src'], {
+ *   baseline: '.lint-my-lines-baseline.json'
+ * });
+ *
+ * @example
+ * // Cache results, detecting changes by file content
+ * const exitCode = await lintFiles(['src'], {
+ *   cache: true,
+ *   cacheStrategy: 'content'
+ * });
+ *
+ * @example
+ * // Lint a large repository on every CPU
+ * const exitCode = await lintFiles(['.'], {
+ *   preset: 'analysis',
+ *   concurrency: 'auto'
+ * });
+ *
+ * @example
+ * // Only report comments touched since main
+ * const exitCode = await lintFiles(['.'], {
+ *   since: 'main'
+ * });
+ *
+ * @example
+ * // Check what is about to be committed, failing on any warning
+ * const exitCode = await lintFiles([], {
+ *   staged: true,
+ *   index: true,
+ *   maxWarnings: 0
+ * });
+ *
+ * @example
+ * // Compare the packages of a monorepo
+ * const exitCode = await lintFiles([], {
+ *   workspaces: true,
+ *   workspace: ['@acme/api', '@acme/web']
+ * });
+ *
+ * @example
+ * // Lint an editor buffer piped to stdin as a Vue component
+ * const exitCode = await lintFiles([], {
+ *   stdin: true,
+ *   stdinFilename: 'src/App.vue'
+ * });
  */
-async function lintFiles(patterns, options = {}) {
+async function lintFiles(patterns = [], options = {}) {
   // Extract options with defaults
-  const preset = options.preset || "recommended";
   const fix = options.fix || false;
   const format = options.format || "stylish";
   const enableCache = options.cache || false;
+  const cacheStrategy = options.cacheStrategy || "metadata";
+  const concurrency = resolveConcurrency(options.concurrency);
+  const diffMode = Boolean(options.since || options.staged);
+  const maxWarnings = options.maxWarnings === undefined ? undefined : Number(options.maxWarnings);
 
-  log.debug("Starting lint with preset=%s, fix=%s, format=%s", preset, fix, format);
+  log.debug("Starting lint with fix=%s, format=%s", fix, format);
   log.debug("ESLint version: %s (v9: %s)", getESLintVersion(), isESLintV9());
 
   // -------------------------------------------------------------------------
-  // Validate preset
+  // Validate options
   // -------------------------------------------------------------------------
 
-  const validPresets = Object.keys(presetRules);
-  if (!validPresets.includes(preset)) {
-    console.error(`Error: Invalid preset "${preset}". Choose from: ${validPresets.join(", ")}`);
+  if (!CACHE_STRATEGIES.includes(cacheStrategy)) {
+    console.error(`Error: Invalid cache strategy "${cacheStrategy}". Choose from: ${CACHE_STRATEGIES.join(", ")}`);
     return 1;
   }
 
-  log.debug("Using preset: %s with %d rules", preset, Object.keys(presetRules[preset]).length);
+  if (concurrency === null) {
+    console.error(`Error: Invalid concurrency "${options.concurrency}". Use a positive integer or "auto"`);
+    return 1;
+  }
 
+  if (maxWarnings !== undefined && !(Number.isInteger(maxWarnings) && maxWarnings >= 0)) {
+    console.error(`Error: Invalid --max-warnings "${options.maxWarnings}". Use a non-negative integer`);
+    return 1;
+  }
+
+  if (options.since && options.staged) {
+    console.error("Error: --since and --staged cannot be used together");
+    return 1;
+  }
+
+  if (options.index) {
+    if (!options.staged) {
+      console.error("Error: --index requires --staged");
+      return 1;
+    }
+
+    // Fixes cannot be written back to the index
+    const conflict = ["fix", "fixInteractive", "workspaces", "workspace"].find((key) => options[key]);
+    if (conflict) {
+      const option = conflict.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+      console.error(`Error: --index cannot be used with --${option}`);
+      return 1;
+    }
+  }
+
+  if (options.fixInteractive) {
+    const conflict = ["fix", "stdin", "baselineCreate", "workspaces", "workspace"].find((key) => options[key]);
+    if (conflict) {
+      const option = conflict.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+      console.error(`Error: --fix-interactive cannot be used with --${option}`);
+      return 1;
+    }
+  }
+
+  if (options.stdinFilename && !options.stdin) {
+    console.error("Error: --stdin-filename requires --stdin");
+    return 1;
+  }
+
+  if (options.stdin) {
+    if (patterns.length > 0) {
+      console.error("Error: --stdin cannot be used with file patterns");
+      return 1;
+    }
+    if (diffMode || options.baselineCreate) {
+      const option = options.baselineCreate ? "--baseline-create" : (options.since ? "--since" : "--staged");
+      console.error(`Error: --stdin cannot be used with ${option}`);
+      return 1;
+    }
+
+    const unsupported = options.stdinFilename && getUnsupportedFileType(options.stdinFilename);
+    if (unsupported) {
+      console.error(`Error: Linting ${unsupported.extension} files requires ${unsupported.parser}. Install it with: npm install --save-dev ${unsupported.parser}`);
+      return 1;
+    }
+  }
+
+  if (options.workspaces || options.workspace) {
+    return lintWorkspaces(patterns, { ...options, fix, format, concurrency, diffMode, maxWarnings });
+  }
+
+  // -------------------------------------------------------------------------
+  // Load project config and create the ESLint instance
+  // -------------------------------------------------------------------------
+
+  let linter;
   try {
-    // -------------------------------------------------------------------------
-    // Build ESLint configuration
-    // -------------------------------------------------------------------------
+    // In diff mode, fixes are applied after filtering (see restrictToChanges)
+    linter = createLinter({
+      preset: options.preset,
+      fix: fix && !diffMode,
+      cache: enableCache,
+      cacheStrategy,
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
 
-    // Get cache configuration if caching is enabled
-    const cacheConfig = enableCache
-      ? getCacheConfig({ enabled: true, preset })
-      : { cache: false };
-
-    log.debug("Cache config: %j", cacheConfig);
-
-    // Build the override config for lint-my-lines rules
-    const overrideConfig = {
-      plugins: ["lint-my-lines"],
-      parserOptions: {
-        ecmaVersion: 2020,
-        sourceType: "module",
-      },
-      rules: presetRules[preset],
-    };
+  const { eslint } = linter;
 
+  try {
     // -------------------------------------------------------------------------
-    // Create ESLint instance
+    // Collect changed lines for diff-aware linting
     // -------------------------------------------------------------------------
 
-    // Use the compat utility to create a version-appropriate ESLint instance
-    const eslint = createESLintInstance({
-      fix,
-      plugins: {
-        "lint-my-lines": plugin,
-      },
-      overrideConfig,
-      ...cacheConfig,
-    });
+    // Load the baseline up front so a bad file fails before linting
+    const baseline = options.baseline && !options.baselineCreate
+      ? loadBaseline(options.baseline)
+      : null;
 
-    log.debug("ESLint instance created");
+    const changes = diffMode
+      ? getChangedLineRanges({ since: options.since, staged: options.staged, index: options.index })
+      : null;
 
     // -------------------------------------------------------------------------
-    // Run linting
+    // Lint stdin
     // -------------------------------------------------------------------------
 
-    log.debug("Linting patterns: %j", patterns);
+    if (options.stdin) {
+      const text = await readStdin();
+      const filePath = options.stdinFilename ? path.resolve(options.stdinFilename) : undefined;
 
-    const results = await eslint.lintFiles(patterns);
+      log.debug("Linting %d character(s) from stdin as %s", text.length, filePath || "<text>");
 
-    log.debug("Lint complete: %d file(s) checked", results.length);
+      const results = await eslint.lintText(text, { filePath });
+
+      // Editors and formatters replace the buffer with whatever is printed
+      if (fix) {
+        const output = typeof results[0].output === "string" ? results[0].output : text;
+        process.stdout.write(output);
+        return results[0].errorCount > 0 ? 1 : 0;
+      }
+
+      return await reportResults(linter, results, { format, fix, baseline, diffMode, maxWarnings });
+    }
 
     // -------------------------------------------------------------------------
-    // Apply fixes if requested
+    // Run linting
     // -------------------------------------------------------------------------
 
-    if (fix) {
-      log.debug("Applying fixes");
-      await ESLint.outputFixes(results);
-    }
+    let results = await runLinter(linter, patterns, { fix, concurrency, changes, index: options.index });
 
     // -------------------------------------------------------------------------
-    // Format and output results
+    // Review fixes
     // -------------------------------------------------------------------------
 
-    const formatter = await eslint.loadFormatter(format);
-    const output = formatter.format(results);
+    // Messages still carry their fixes when linting without --fix
+    if (options.fixInteractive) {
+      const review = await reviewFixes(results);
+
+      if (review.accepted > 0) {
+        await ESLint.outputFixes(results);
 
-    if (output) {
-      console.log(output);
+        // Accepted fixes can add or remove lines, which moves the changed ranges
+        const fixedChanges = diffMode
+          ? getChangedLineRanges({ since: options.since, staged: options.staged, index: options.index })
+          : null;
+        results = await runLinter(linter, patterns, { fix: false, concurrency, changes: fixedChanges });
+      }
     }
 
     // -------------------------------------------------------------------------
-    // Calculate and display summary
+    // Create the baseline
     // -------------------------------------------------------------------------
 
-    const errorCount = results.reduce((sum, r) => sum + r.errorCount, 0);
-    const warningCount = results.reduce((sum, r) => sum + r.warningCount, 0);
-    const fixableCount = results.reduce(
-      (sum, r) => sum + r.fixableErrorCount + r.fixableWarningCount,
-      0
-    );
-
-    log.debug("Results: %d errors, %d warnings, %d fixable", errorCount, warningCount, fixableCount);
+    if (options.baselineCreate) {
+      const contexts = await collectMessageContexts(results, { parserOptions: PARSER_OPTIONS });
+      const baselineFile = options.baseline || DEFAULT_BASELINE_FILE;
+      const created = createBaseline(results, contexts);
 
-    // Show summary message
-    if (errorCount === 0 && warningCount === 0) {
-      console.log("\nNo issues found.");
-    } else if (fixableCount > 0 && !fix) {
-      console.log(`\n${fixableCount} issue(s) can be auto-fixed with --fix`);
+      writeBaseline(baselineFile, created);
+      console.log(`Baseline written to ${baselineFile} (${created.entries.length} entries)`);
+      return 0;
     }
 
-    // Return exit code based on errors
-    // Warnings don't cause non-zero exit code
-    return errorCount > 0 ? 1 : 0;
+    return await reportResults(linter, results, { format, fix, baseline, diffMode, maxWarnings });
   } catch (error) {
     log.error("Lint error: %s", error.message);
     console.error("Error running lint:", error.message);
@@ -293,4 +1301,4 @@ async function lintFiles(patterns, options = {}) {
 // Module Exports
 // ---------------------------------------------------------------------------
 
-module.exports = { lintFiles };
+module.exports = { lintFiles, createLinter, getLintPatterns, runLinter, presetRules };
@@ -0,0 +1,740 @@
+/**
+ * @fileoverview Language server for `lint-my-lines lsp`
+ * @author Jules
+ *
+ * Runs a Language Server Protocol server over stdio so editors without an
+ * ESLint integration can show lint-my-lines results:
+ *
+ * - Diagnostics from the plugin's rules, published when a document is
+ *   opened, changed or saved
+ * - Quick fixes for problems with an autofix, and a "fix all" source action
+ * - Hover on a TODO/FIXME/NOTE comment with its owner, ticket and age
+ *
+ * Documents are linted with the same preset and `.lintmylinesrc` as the
+ * `lint` command, resolved from the workspace root. Saving the project
+ * config reloads it.
+ *
+ * stdout carries the protocol, so console output is sent to stderr while
+ * the server runs.
+ *
+ * @example
+ * lint-my-lines lsp --stdio
+ *
+ * @module cli/lsp
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const path = require("path");
+const { fileURLToPath } = require("url");
+
+const plugin = require("../index");
+const { createLogger } = require("../utils/debug");
+const { encodeMessage, createMessageReader } = require("../utils/json-rpc");
+const { applyFixes } = require("../utils/result-utils");
+const { parseActionComment } = require("../utils/action-comment-utils");
+const { formatAge, getAgeThresholds } = require("../utils/date-utils");
+const { getRuleDocsUrl, RULE_PREFIX } = require("../formatters/formatter-utils");
+const { createLinter } = require("./lint");
+const { PROJECT_CONFIG_FILES } = require("./project-config");
+const pkg = require("../../package.json");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for language server operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Name reported in serverInfo and as the source of diagnostics.
+ * @type {string}
+ */
+const SERVER_NAME = "lint-my-lines";
+
+/**
+ * JSON-RPC and LSP error codes.
+ * @enum {number}
+ */
+const ErrorCodes = {
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+  ServerNotInitialized: -32002,
+};
+
+/**
+ * LSP diagnostic severities for ESLint severities.
+ * @type {Object<number, number>}
+ */
+const DIAGNOSTIC_SEVERITY = { 2: 1, 1: 2 };
+
+/**
+ * LSP message type for window/showMessage errors.
+ * @type {number}
+ */
+const MESSAGE_TYPE_ERROR = 1;
+
+/**
+ * LSP text document sync kind: clients send changed ranges.
+ * @type {number}
+ */
+const SYNC_INCREMENTAL = 2;
+
+/**
+ * Code action kind of the "fix all" action.
+ * @type {string}
+ */
+const FIX_ALL_KIND = "source.fixAll.lint-my-lines";
+
+/**
+ * Files whose save reloads the linter, since they hold the project config.
+ * @type {string[]}
+ */
+const CONFIG_FILES = [...PROJECT_CONFIG_FILES, "package.json"];
+
+/**
+ * Start of a comment: a line or block comment, an HTML comment, or the
+ * `*` that continues a block comment.
+ * @type {RegExp}
+ */
+const COMMENT_START = /\/\/+|\/\*+|<!--|^\s*\*+(?!\/)/g;
+
+/**
+ * End of a block or HTML comment.
+ * @type {RegExp}
+ */
+const COMMENT_END = /\*\/|-->/;
+
+// ---------------------------------------------------------------------------
+// Positions
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the offset at which each line of a text starts.
+ * @param {string} text - Document text
+ * @returns {number[]} Offsets, one per line
+ */
+function getLineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Convert an offset to an LSP position.
+ * @param {number[]} lineStarts - From getLineStarts
+ * @param {number} offset - Offset into the text
+ * @returns {{ line: number, character: number }} Zero-based position
+ */
+function toPosition(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return { line: low, character: offset - lineStarts[low] };
+}
+
+/**
+ * Convert an LSP position to an offset.
+ * @param {number[]} lineStarts - From getLineStarts
+ * @param {{ line: number, character: number }} position - Zero-based position
+ * @param {number} length - Text length, the largest valid offset
+ * @returns {number} Offset into the text
+ */
+function toOffset(lineStarts, position, length) {
+  if (position.line >= lineStarts.length) {
+    return length;
+  }
+  return Math.min(lineStarts[position.line] + position.character, length);
+}
+
+/**
+ * Check whether two ranges overlap or touch.
+ * @param {Object} a - LSP range
+ * @param {Object} b - LSP range
+ * @returns {boolean} True if they intersect
+ */
+function rangesIntersect(a, b) {
+  const before = (x, y) => x.line < y.line || (x.line === y.line && x.character < y.character);
+  return !before(a.end, b.start) && !before(b.end, a.start);
+}
+
+/**
+ * Apply a content change from textDocument/didChange.
+ * @param {string} text - Current text
+ * @param {Object} change - Change with `text` and an optional `range`;
+ *   without a range it replaces the whole document
+ * @returns {string} Changed text
+ */
+function applyContentChange(text, change) {
+  if (!change.range) {
+    return change.text;
+  }
+
+  const lineStarts = getLineStarts(text);
+  const start = toOffset(lineStarts, change.range.start, text.length);
+  const end = toOffset(lineStarts, change.range.end, text.length);
+
+  return text.slice(0, start) + change.text + text.slice(end);
+}
+
+// ---------------------------------------------------------------------------
+// Diagnostics and Code Actions
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the file path of a document URI.
+ * @param {string} uri - Document URI
+ * @returns {string|undefined} Path for `file:` URIs, else undefined
+ */
+function uriToPath(uri) {
+  return uri && uri.startsWith("file:") ? fileURLToPath(uri) : undefined;
+}
+
+/**
+ * Get the range of an ESLint message.
+ *
+ * ESLint lines and columns start at 1; a message without an end covers
+ * its start character.
+ *
+ * @param {Object} message - ESLint message
+ * @returns {Object} LSP range
+ */
+function getMessageRange(message) {
+  const start = { line: Math.max(message.line - 1, 0), character: Math.max(message.column - 1, 0) };
+  const end = message.endLine
+    ? { line: message.endLine - 1, character: Math.max(message.endColumn - 1, 0) }
+    : { line: start.line, character: start.character + 1 };
+
+  return { start, end };
+}
+
+/**
+ * Convert an ESLint message to an LSP diagnostic.
+ * @param {Object} message - ESLint message
+ * @returns {Object} LSP diagnostic
+ */
+function toDiagnostic(message) {
+  const diagnostic = {
+    range: getMessageRange(message),
+    severity: DIAGNOSTIC_SEVERITY[message.severity] || DIAGNOSTIC_SEVERITY[1],
+    source: SERVER_NAME,
+    message: message.message,
+  };
+
+  if (message.ruleId) {
+    diagnostic.code = message.ruleId;
+
+    const rule = message.ruleId.startsWith(RULE_PREFIX)
+      ? plugin.rules[message.ruleId.slice(RULE_PREFIX.length)]
+      : null;
+    const href = getRuleDocsUrl(message.ruleId, rule && rule.meta);
+    if (href) {
+      diagnostic.codeDescription = { href };
+    }
+  }
+
+  return diagnostic;
+}
+
+/**
+ * Convert an ESLint fix to an LSP text edit.
+ * @param {number[]} lineStarts - Line starts of the text the fix was made for
+ * @param {Object} fix - ESLint fix with `range` and `text`
+ * @returns {Object} LSP text edit
+ */
+function toTextEdit(lineStarts, fix) {
+  return {
+    range: { start: toPosition(lineStarts, fix.range[0]), end: toPosition(lineStarts, fix.range[1]) },
+    newText: fix.text,
+  };
+}
+
+/**
+ * Build the code actions for a range of a linted document.
+ * @param {Object} document - Open document whose messages match its text
+ * @param {Object} range - Requested LSP range
+ * @returns {Object[]} Quick fixes for messages in the range, then the
+ *   "fix all" action if any message is fixable
+ */
+function getCodeActions(document, range) {
+  const lineStarts = getLineStarts(document.text);
+  const workspaceEdit = (edits) => ({ changes: { [document.uri]: edits } });
+  const actions = [];
+
+  for (const message of document.messages) {
+    const diagnostic = toDiagnostic(message);
+    if (!rangesIntersect(diagnostic.range, range)) {
+      continue;
+    }
+
+    if (message.fix) {
+      actions.push({
+        title: `Fix this ${message.ruleId} problem`,
+        kind: "quickfix",
+        diagnostics: [diagnostic],
+        isPreferred: true,
+        edit: workspaceEdit([toTextEdit(lineStarts, message.fix)]),
+      });
+    }
+    for (const suggestion of message.suggestions || []) {
+      actions.push({
+        title: suggestion.desc,
+        kind: "quickfix",
+        diagnostics: [diagnostic],
+        edit: workspaceEdit([toTextEdit(lineStarts, suggestion.fix)]),
+      });
+    }
+  }
+
+  const { applied } = applyFixes(document.text, document.messages);
+  if (applied.length > 0) {
+    actions.push({
+      title: "Fix all auto-fixable lint-my-lines problems",
+      kind: FIX_ALL_KIND,
+      edit: workspaceEdit(applied.map((message) => toTextEdit(lineStarts, message.fix))),
+    });
+  }
+
+  return actions;
+}
+
+// ---------------------------------------------------------------------------
+// Hover
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the action comment under a character of a line.
+ *
+ * Each comment start before the character is tried in turn, so a `//`
+ * inside a string before the real comment does not hide it.
+ *
+ * @param {string} lineText - Line of the document
+ * @param {number} character - Zero-based character on the line
+ * @param {Object} [parseOptions] - Options for parseActionComment
+ * @returns {{ comment: Object, start: number, end: number }|null} Parsed
+ *   comment and its character range, or null
+ */
+function findActionComment(lineText, character, parseOptions) {
+  for (const match of lineText.matchAll(COMMENT_START)) {
+    const start = match.index + match[0].search(/\S/);
+    if (start > character) {
+      break;
+    }
+
+    const textStart = match.index + match[0].length;
+    const close = COMMENT_END.exec(lineText.slice(textStart));
+    const end = close ? textStart + close.index + close[0].length : lineText.length;
+    if (character > end) {
+      continue;
+    }
+
+    const comment = parseActionComment(lineText.slice(textStart, close ? textStart + close.index : end), parseOptions);
+    if (comment) {
+      return { comment, start, end };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe an action comment as hover Markdown.
+ * @param {Object} comment - From parseActionComment
+ * @param {{ maxAgeDays: number, criticalAgeDays: number }} thresholds - Age
+ *   thresholds from getAgeThresholds
+ * @returns {string} Markdown
+ */
+function describeActionComment(comment, thresholds) {
+  const lines = [`**${comment.keyword}**`, ""];
+
+  lines.push(`- Owner: ${comment.owner || "none"}`);
+  lines.push(`- Ticket: ${comment.ticket || "none"}`);
+
+  if (!comment.date) {
+    lines.push("- Age: undated");
+  } else if (comment.ageDays < 0) {
+    lines.push("- Age: dated in the future");
+  } else {
+    let age = comment.ageDays === 0 ? "added today" : `${formatAge(comment.ageDays)} old`;
+    if (comment.ageDays >= thresholds.criticalAgeDays) {
+      age += ` (critical: over ${thresholds.criticalAgeDays} days)`;
+    } else if (comment.ageDays >= thresholds.maxAgeDays) {
+      age += ` (aged: over ${thresholds.maxAgeDays} days)`;
+    }
+    lines.push(`- Age: ${age}`);
+  }
+
+  if (!comment.formatted) {
+    lines.push("", `Not in the \`${comment.keyword} (reference): description\` format.`);
+  }
+
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a language server that handles parsed JSON-RPC messages.
+ *
+ * Transport is left to the caller, so the server can be driven by a
+ * scripted client in tests.
+ *
+ * @param {Object} options - Server options
+ * @param {Function} options.send - Called with each outgoing message
+ * @param {Function} [options.onExit] - Called with the exit code on `exit`:
+ *   0 after `shutdown`, else 1
+ * @param {string} [options.preset] - Preset (default: the project config's
+ *   preset, or "recommended")
+ * @param {string} [options.cwd=process.cwd()] - Directory used when the
+ *   client sends no workspace root
+ * @returns {{ handle: Function }} Server; `handle(message)` returns a
+ *   promise that settles once the message is handled, including any lint
+ *   it triggers
+ *
+ * @example
+ * const server = createLanguageServer({ send: (message) => sent.push(message) });
+ * await server.handle({ jsonrpc: "2.0", id: 1, method: "initialize", params: {} });
+ */
+function createLanguageServer(options) {
+  const { send, onExit = () => {} } = options;
+  const documents = new Map();
+  const pending = new Set();
+  let root = options.cwd || process.cwd();
+  let linter = null;
+  let thresholds = getAgeThresholds({});
+  let initialized = false;
+  let shutdown = false;
+
+  /**
+   * Send a notification to the client.
+   * @param {string} method - Method
+   * @param {Object} params - Parameters
+   */
+  function notify(method, params) {
+    send({ jsonrpc: "2.0", method, params });
+  }
+
+  /**
+   * Create the linter for the workspace root, reporting config errors to
+   * the user.
+   */
+  function loadLinter() {
+    try {
+      linter = createLinter({ cwd: root, preset: options.preset });
+      thresholds = getAgeThresholds(linter.overrideConfig.rules);
+    } catch (error) {
+      linter = null;
+      notify("window/showMessage", { type: MESSAGE_TYPE_ERROR, message: `${SERVER_NAME}: ${error.message}` });
+    }
+  }
+
+  /**
+   * Lint a document's current text.
+   * @param {Object} document - Open document
+   * @param {string} text - Text to lint
+   * @returns {Promise<Object[]>} ESLint messages
+   */
+  async function lintText(document, text) {
+    if (!linter) {
+      return [];
+    }
+
+    try {
+      const results = await linter.eslint.lintText(text, { filePath: uriToPath(document.uri), warnIgnored: false });
+      return results.length > 0 ? results[0].messages : [];
+    } catch (error) {
+      log.warn("Could not lint %s: %s", document.uri, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Lint a document and publish its diagnostics.
+   *
+   * Only one lint runs per document. Changes made meanwhile are linted
+   * when it finishes, and only diagnostics for the latest text are
+   * published.
+   *
+   * @param {Object} document - Open document
+   * @returns {Promise<void>} Settles once the latest text is published
+   */
+  function scheduleLint(document) {
+    if (document.linting) {
+      document.stale = true;
+      return document.linting;
+    }
+
+    document.linting = (async () => {
+      do {
+        document.stale = false;
+        const { text, version } = document;
+        const messages = await lintText(document, text);
+
+        if (documents.get(document.uri) !== document) {
+          return;
+        }
+        if (!document.stale) {
+          document.messages = messages;
+          document.lintedText = text;
+          notify("textDocument/publishDiagnostics", {
+            uri: document.uri,
+            version,
+            diagnostics: messages.map(toDiagnostic),
+          });
+        }
+      } while (document.stale);
+    })().finally(() => {
+      document.linting = null;
+    });
+
+    return document.linting;
+  }
+
+  const requests = {
+    initialize(params) {
+      const folder = params.workspaceFolders && params.workspaceFolders[0];
+      root = uriToPath(params.rootUri) || uriToPath(folder && folder.uri) || params.rootPath || root;
+      initialized = true;
+      loadLinter();
+
+      return {
+        capabilities: {
+          textDocumentSync: { openClose: true, change: SYNC_INCREMENTAL, save: { includeText: false } },
+          hoverProvider: true,
+          codeActionProvider: { codeActionKinds: ["quickfix", FIX_ALL_KIND] },
+        },
+        serverInfo: { name: SERVER_NAME, version: pkg.version },
+      };
+    },
+
+    async shutdown() {
+      shutdown = true;
+
+      // Let pending lints publish before the client stops listening
+      await Promise.all([...documents.values()].map((document) => document.linting));
+      return null;
+    },
+
+    "textDocument/codeAction"(params) {
+      const document = documents.get(params.textDocument.uri);
+
+      // Fix ranges are offsets into the linted text, so wait for a lint of
+      // the current text
+      if (!document || document.lintedText !== document.text) {
+        return [];
+      }
+
+      const only = params.context && params.context.only;
+      return getCodeActions(document, params.range).filter((action) => !only ||
+        only.some((kind) => action.kind === kind || action.kind.startsWith(`${kind}.`)));
+    },
+
+    "textDocument/hover"(params) {
+      const document = documents.get(params.textDocument.uri);
+      if (!document) {
+        return null;
+      }
+
+      const { line, character } = params.position;
+      const lineText = document.text.split("\n")[line] || "";
+      const found = findActionComment(lineText.replace(/\r$/, ""), character);
+      if (!found) {
+        return null;
+      }
+
+      return {
+        contents: { kind: "markdown", value: describeActionComment(found.comment, thresholds) },
+        range: { start: { line, character: found.start }, end: { line, character: found.end } },
+      };
+    },
+  };
+
+  const notifications = {
+    async exit() {
+      // Clients may send exit without waiting for the shutdown response
+      await Promise.all(pending);
+      onExit(shutdown ? 0 : 1);
+    },
+
+    "textDocument/didOpen"(params) {
+      const { uri, text, version } = params.textDocument;
+      const document = { uri, text, version, messages: [], lintedText: null, linting: null, stale: false };
+      documents.set(uri, document);
+      return scheduleLint(document);
+    },
+
+    "textDocument/didChange"(params) {
+      const document = documents.get(params.textDocument.uri);
+      if (!document) {
+        return undefined;
+      }
+
+      document.text = params.contentChanges.reduce(applyContentChange, document.text);
+      document.version = params.textDocument.version;
+      return scheduleLint(document);
+    },
+
+    "textDocument/didSave"(params) {
+      const filePath = uriToPath(params.textDocument.uri);
+
+      if (filePath && path.dirname(filePath) === root && CONFIG_FILES.includes(path.basename(filePath))) {
+        log.debug("Reloading the project config after %s was saved", filePath);
+        loadLinter();
+        return Promise.all([...documents.values()].map(scheduleLint));
+      }
+
+      const document = documents.get(params.textDocument.uri);
+      return document ? scheduleLint(document) : undefined;
+    },
+
+    "textDocument/didClose"(params) {
+      const { uri } = params.textDocument;
+      documents.delete(uri);
+      notify("textDocument/publishDiagnostics", { uri, diagnostics: [] });
+    },
+  };
+
+  /**
+   * Handle a request and send its response.
+   * @param {Object} message - Request
+   * @returns {Promise<void>} Settles once the response is sent
+   */
+  async function handleRequest(message) {
+    const respondError = (code, text) => send({ jsonrpc: "2.0", id: message.id, error: { code, message: text } });
+
+    if (!initialized && message.method !== "initialize") {
+      return respondError(ErrorCodes.ServerNotInitialized, "The server is not initialized");
+    }
+    if (shutdown) {
+      return respondError(ErrorCodes.InvalidRequest, "The server is shutting down");
+    }
+
+    const handler = requests[message.method];
+    if (!handler) {
+      return respondError(ErrorCodes.MethodNotFound, `Unknown method: ${message.method}`);
+    }
+
+    try {
+      const result = await handler(message.params || {});
+      return send({ jsonrpc: "2.0", id: message.id, result });
+    } catch (error) {
+      log.error("%s failed: %s", message.method, error.stack);
+      return respondError(ErrorCodes.InternalError, error.message);
+    }
+  }
+
+  return {
+    async handle(message) {
+      if (!message || typeof message.method !== "string") {
+        // Responses to server requests; the server sends none
+        return undefined;
+      }
+      if (message.id !== undefined) {
+        const response = handleRequest(message);
+        pending.add(response);
+        await response;
+        pending.delete(response);
+        return undefined;
+      }
+
+      // Notifications other than exit are dropped before initialize
+      const handler = notifications[message.method];
+      if (!handler || (!initialized && message.method !== "exit")) {
+        return undefined;
+      }
+
+      try {
+        return await handler(message.params || {});
+      } catch (error) {
+        log.error("%s failed: %s", message.method, error.stack);
+        return undefined;
+      }
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Run the language server until the client sends `exit` or closes the
+ * input stream.
+ *
+ * @param {Object} [options] - Command options
+ * @param {string} [options.preset] - Preset for all documents
+ * @param {stream.Readable} [options.input=process.stdin] - Client messages
+ * @param {stream.Writable} [options.output=process.stdout] - Server messages
+ * @returns {Promise<number>} Exit code: 0 if the client shut the server
+ *   down before `exit`, else 1
+ */
+function lsp(options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+
+  const consoleMethods = { log: console.log, info: console.info, debug: console.debug };
+  console.log = console.info = console.debug = (...args) => console.error(...args);
+
+  return new Promise((resolve) => {
+    let finished = false;
+
+    const finish = (exitCode) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      input.removeListener("data", onData);
+      input.removeListener("end", onEnd);
+      input.pause();
+      Object.assign(console, consoleMethods);
+      resolve(exitCode);
+    };
+
+    const server = createLanguageServer({
+      preset: options.preset,
+      send: (message) => output.write(encodeMessage(message)),
+      onExit: finish,
+    });
+    const reader = createMessageReader(
+      (message) => server.handle(message),
+      (error) => log.warn("%s", error.message)
+    );
+
+    const onData = (chunk) => reader.push(chunk);
+    const onEnd = () => finish(1);
+
+    input.on("data", onData);
+    input.on("end", onEnd);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  lsp,
+  createLanguageServer,
+};
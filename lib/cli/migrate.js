@@ -0,0 +1,502 @@
+/**
+ * @fileoverview Migrate legacy .eslintrc configs to flat config
+ * @author Jules
+ *
+ * Reads a JSON, YAML or CommonJS `.eslintrc` file and translates its
+ * lint-my-lines settings to an ESLint flat config:
+ *
+ * - `plugin:lint-my-lines/<preset>` extends become
+ *   `lintMyLines.configs["flat/<preset>"]`
+ * - `lint-my-lines/*` rule settings are carried over as-is
+ * - Each `overrides` block becomes `createConfigForFiles` entries for its
+ *   globs, wrapped in `createConfigWithExclude` for `excludedFiles`
+ *
+ * Everything else (other plugins, core rules, env, parser settings, ...)
+ * is reported as a warning so it can be migrated by hand.
+ *
+ * @example
+ * // Preview the migration
+ * lint-my-lines migrate --dry-run
+ *
+ * // Write eslint.config.js from .eslintrc.yml
+ * lint-my-lines migrate .eslintrc.yml
+ *
+ * @module cli/migrate
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const yaml = require("js-yaml");
+const { createTwoFilesPatch } = require("diff");
+
+const { isESM, findExistingConfig } = require("./init");
+const plugin = require("../index");
+const { createLogger } = require("../utils/debug");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for migration operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Legacy config file names, in ESLint's lookup order.
+ * @type {string[]}
+ */
+const LEGACY_CONFIG_FILES = [
+  ".eslintrc.js",
+  ".eslintrc.cjs",
+  ".eslintrc.yaml",
+  ".eslintrc.yml",
+  ".eslintrc.json",
+  ".eslintrc",
+];
+
+/**
+ * Prefix of lint-my-lines presets in legacy extends.
+ * @type {string}
+ */
+const EXTENDS_PREFIX = "plugin:lint-my-lines/";
+
+/**
+ * Prefix of lint-my-lines rule IDs.
+ * @type {string}
+ */
+const RULE_PREFIX = "lint-my-lines/";
+
+/**
+ * Top-level keys that have no flat config equivalent and can be dropped
+ * silently.
+ * @type {string[]}
+ */
+const DROPPED_KEYS = ["root", "$schema"];
+
+/**
+ * Keys handled by the translation. Anything else produces a warning.
+ * @type {string[]}
+ */
+const TRANSLATED_KEYS = ["extends", "plugins", "rules", "overrides", "files", "excludedFiles"];
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the legacy config file in a directory.
+ * @param {string} [cwd=process.cwd()] - Directory to search
+ * @returns {string|null} File name or null
+ */
+function findLegacyConfig(cwd = process.cwd()) {
+  return LEGACY_CONFIG_FILES.find((file) => fs.existsSync(path.join(cwd, file))) || null;
+}
+
+/**
+ * Remove // and /* comments from JSON text, leaving strings intact.
+ * @param {string} text - JSON with comments
+ * @returns {string} Plain JSON
+ */
+function stripJsonComments(text) {
+  let result = "";
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      result += char;
+      if (char === "\\") {
+        result += text[++i] || "";
+      } else if (char === "\"") {
+        inString = false;
+      }
+    } else if (char === "\"") {
+      inString = true;
+      result += char;
+    } else if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") {
+        i++;
+      }
+      result += "\n";
+    } else if (char === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Load a legacy config file.
+ *
+ * Parsing follows ESLint's legacy loader: CommonJS files are required,
+ * YAML files are parsed as YAML, `.json` as JSON with comments, and the
+ * extensionless `.eslintrc` as YAML (which accepts JSON).
+ *
+ * @param {string} filePath - Absolute path to the config file
+ * @returns {Object} Config object
+ * @throws {Error} If the file cannot be parsed
+ */
+function loadLegacyConfig(filePath) {
+  const ext = path.extname(filePath);
+
+  try {
+    if (ext === ".js" || ext === ".cjs") {
+      delete require.cache[require.resolve(filePath)];
+      return require(filePath);
+    }
+
+    const content = fs.readFileSync(filePath, "utf8");
+
+    if (ext === ".json") {
+      return JSON.parse(stripJsonComments(content));
+    }
+
+    return yaml.load(ext === ".yaml" || ext === ".yml" ? content : stripJsonComments(content)) || {};
+  } catch (error) {
+    throw new Error(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Translation
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize a string or array setting to an array.
+ * @param {string|string[]|undefined} value - Setting value
+ * @returns {string[]} Array of values
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Convert an eslintrc override glob to a flat config glob.
+ *
+ * eslintrc matches patterns without a slash against the base name in any
+ * directory; flat config matches them against the project root only.
+ *
+ * @param {string} pattern - eslintrc glob
+ * @returns {string} Flat config glob
+ */
+function toFlatGlob(pattern) {
+  return pattern.includes("/") ? pattern : `**/${pattern}`;
+}
+
+/**
+ * Translate the extends, plugins and rules of one config level.
+ *
+ * @param {Object} config - Top-level config or override block
+ * @param {string} where - Location label for warnings (e.g. "overrides[0]")
+ * @param {string[]} warnings - Receives warnings
+ * @returns {{ presets: string[], rules: Object }} Flat preset names
+ *   (without "flat/") and lint-my-lines rule settings
+ */
+function translateLevel(config, where, warnings) {
+  const prefix = where ? `${where}.` : "";
+  const presets = [];
+  const rules = {};
+
+  for (const entry of toArray(config.extends)) {
+    const preset = typeof entry === "string" && entry.startsWith(EXTENDS_PREFIX)
+      ? entry.slice(EXTENDS_PREFIX.length)
+      : null;
+
+    if (preset && plugin.configs[`flat/${preset}`]) {
+      presets.push(preset);
+    } else {
+      warnings.push(`Could not translate ${prefix}extends "${entry}"`);
+    }
+  }
+
+  for (const name of toArray(config.plugins)) {
+    if (name !== "lint-my-lines" && name !== "eslint-plugin-lint-my-lines") {
+      warnings.push(`Could not translate ${prefix}plugins "${name}"`);
+    }
+  }
+
+  const skippedRules = [];
+  for (const [ruleId, setting] of Object.entries(config.rules || {})) {
+    if (!ruleId.startsWith(RULE_PREFIX)) {
+      skippedRules.push(ruleId);
+      continue;
+    }
+
+    if (!util.isDeepStrictEqual(JSON.parse(JSON.stringify(setting)), setting)) {
+      warnings.push(`Could not translate ${prefix}rules "${ruleId}": options cannot be written as JSON`);
+      continue;
+    }
+
+    rules[ruleId] = setting;
+  }
+
+  if (skippedRules.length > 0) {
+    warnings.push(`Skipped ${prefix}rules from ESLint core or other plugins: ${skippedRules.join(", ")}`);
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!TRANSLATED_KEYS.includes(key) && !DROPPED_KEYS.includes(key)) {
+      warnings.push(`Could not translate ${prefix}${key}`);
+    }
+  }
+
+  return { presets, rules };
+}
+
+/**
+ * Translate a legacy config to a list of flat config blocks.
+ *
+ * @param {Object} config - Legacy config object
+ * @returns {{ blocks: Object[], warnings: string[] }} Blocks of the form
+ *   `{ preset, files, ignores }` or `{ rules, files, ignores }`, in config
+ *   order, and warnings for settings that were not translated
+ */
+function translateConfig(config) {
+  const warnings = [];
+  const blocks = [];
+
+  /**
+   * Add the blocks for one config level.
+   * @param {{ presets: string[], rules: Object }} level - From translateLevel
+   * @param {string[]} [files] - Flat globs the level applies to
+   * @param {string[]} [ignores] - Flat globs excluded from the level
+   */
+  function addLevel(level, files, ignores) {
+    for (const preset of level.presets) {
+      blocks.push({ preset, files, ignores });
+    }
+    if (Object.keys(level.rules).length > 0) {
+      blocks.push({ rules: level.rules, files, ignores });
+    }
+  }
+
+  addLevel(translateLevel({ ...config, overrides: undefined }, "", warnings));
+
+  toArray(config.overrides).forEach((override, index) => {
+    const where = `overrides[${index}]`;
+    const files = toArray(override.files).map(toFlatGlob);
+    const ignores = toArray(override.excludedFiles).map(toFlatGlob);
+
+    if (files.length === 0) {
+      warnings.push(`Could not translate ${where}: no files`);
+      return;
+    }
+
+    if (override.overrides) {
+      warnings.push(`Could not translate ${where}.overrides (nested overrides)`);
+    }
+
+    addLevel(
+      translateLevel({ ...override, overrides: undefined }, where, warnings),
+      files,
+      ignores.length > 0 ? ignores : undefined
+    );
+  });
+
+  log.debug("Translated %d block(s) with %d warning(s)", blocks.length, warnings.length);
+
+  return { blocks, warnings };
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a glob array as code.
+ * @param {string[]} globs - Glob patterns
+ * @returns {string} Array literal
+ */
+function renderArray(globs) {
+  return `[${globs.map((glob) => JSON.stringify(glob)).join(", ")}]`;
+}
+
+/**
+ * Render a JSON value on one line, with spacing like hand-written config.
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Code
+ */
+function renderValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(renderValue).join(", ")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value)
+      .map(([key, item]) => `${JSON.stringify(key)}: ${renderValue(item)}`);
+    return entries.length > 0 ? `{ ${entries.join(", ")} }` : "{}";
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Render one translated block as a config array element.
+ * @param {Object} block - Block from translateConfig
+ * @returns {string} Code, unindented
+ */
+function renderBlock(block) {
+  let code = block.preset
+    ? `lintMyLines.configs["flat/${block.preset}"]`
+    : [
+      "{",
+      "  rules: {",
+      ...Object.entries(block.rules).map(([ruleId, setting]) =>
+        `    ${JSON.stringify(ruleId)}: ${renderValue(setting)},`),
+      "  },",
+      "}",
+    ].join("\n");
+
+  if (block.files) {
+    code = code.includes("\n")
+      ? `createConfigForFiles(\n  ${code.replace(/\n/g, "\n  ")},\n  ${renderArray(block.files)}\n)`
+      : `createConfigForFiles(${code}, ${renderArray(block.files)})`;
+  }
+
+  if (block.ignores) {
+    code = `createConfigWithExclude(\n  ${code.replace(/\n/g, "\n  ")},\n  ${renderArray(block.ignores)}\n)`;
+  }
+
+  return code;
+}
+
+/**
+ * Render translated blocks as flat config source.
+ *
+ * @param {Object[]} blocks - Blocks from translateConfig
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.esm=false] - Use ES module syntax
+ * @param {string} [options.source] - Legacy file name for the header comment
+ * @returns {string} eslint.config.js or eslint.config.cjs content
+ */
+function renderFlatConfig(blocks, options = {}) {
+  const helpers = [];
+  if (blocks.some((block) => block.ignores)) {
+    helpers.push("createConfigWithExclude");
+  }
+  if (blocks.some((block) => block.files)) {
+    helpers.push("createConfigForFiles");
+  }
+
+  const lines = [`// Migrated from ${options.source || ".eslintrc"} by lint-my-lines migrate`];
+
+  if (options.esm) {
+    lines.push('import lintMyLines from "eslint-plugin-lint-my-lines";');
+    if (helpers.length > 0) {
+      lines.push(`import { ${helpers.join(", ")} } from "eslint-plugin-lint-my-lines/helpers";`);
+    }
+  } else {
+    lines.push('const lintMyLines = require("eslint-plugin-lint-my-lines");');
+    if (helpers.length > 0) {
+      lines.push(`const { ${helpers.join(", ")} } = require("eslint-plugin-lint-my-lines/helpers");`);
+    }
+  }
+
+  lines.push("", options.esm ? "export default [" : "module.exports = [");
+  // Presets scoped to some files do not register the plugin for the rest
+  lines.push('  { plugins: { "lint-my-lines": lintMyLines } },');
+  for (const block of blocks) {
+    lines.push(`  ${renderBlock(block).replace(/\n/g, "\n  ")},`);
+  }
+  lines.push("];", "");
+
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Migrate a legacy config to flat config.
+ *
+ * @param {string} [file] - Legacy config path (detected when omitted)
+ * @param {Object} [options] - CLI options
+ * @param {boolean} [options.dryRun] - Print the diff without writing
+ * @param {boolean} [options.force] - Overwrite an existing flat config
+ * @returns {number} Exit code (0 = success, 1 = error)
+ */
+function migrate(file, options = {}) {
+  const cwd = process.cwd();
+  const legacyFile = file || findLegacyConfig(cwd);
+
+  if (!legacyFile) {
+    console.error(`Error: No legacy config found. Looked for: ${LEGACY_CONFIG_FILES.join(", ")}`);
+    return 1;
+  }
+
+  const legacyPath = path.resolve(cwd, legacyFile);
+  if (!fs.existsSync(legacyPath)) {
+    console.error(`Error: ${legacyFile} not found`);
+    return 1;
+  }
+
+  let config;
+  try {
+    config = loadLegacyConfig(legacyPath);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+
+  const { blocks, warnings } = translateConfig(config);
+  const source = path.basename(legacyPath);
+  const esm = isESM();
+  const outputFile = esm ? "eslint.config.js" : "eslint.config.cjs";
+  const content = renderFlatConfig(blocks, { esm, source });
+
+  const existing = findExistingConfig();
+  if (!options.dryRun && !options.force && existing && existing.startsWith("eslint.config")) {
+    console.error(`Error: ${existing} already exists. Use --force to overwrite it.`);
+    return 1;
+  }
+
+  console.log(createTwoFilesPatch(source, outputFile, fs.readFileSync(legacyPath, "utf8"), content));
+
+  for (const warning of warnings) {
+    console.error(`Warning: ${warning}`);
+  }
+
+  if (blocks.length === 0) {
+    console.error("Warning: No lint-my-lines settings found to migrate");
+  }
+
+  if (options.dryRun) {
+    return 0;
+  }
+
+  fs.writeFileSync(path.join(cwd, outputFile), content, "utf8");
+  console.log(`Created ${outputFile} from ${source}`);
+  console.log(warnings.length > 0
+    ? `Review the warnings above, then remove ${source}.`
+    : `Run ESLint to verify the new config, then remove ${source}.`);
+
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  migrate,
+  findLegacyConfig,
+  loadLegacyConfig,
+  stripJsonComments,
+  translateConfig,
+  renderFlatConfig,
+};
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Parallel linting with worker threads for the lint command
+ * @author Jules
+ *
+ * `lint --concurrency <n|auto>` splits the files to lint across
+ * `worker_threads`. Each worker (see lint-worker.js) loads its own copy of
+ * the plugin, so rule state and the caches in performance-cache.js are
+ * never shared between threads.
+ *
+ * ## How files are split
+ *
+ * 1. The file list is resolved by ESLint itself, using a processor that
+ *    returns no code blocks. Patterns, ignore files, `ignorePatterns` and
+ *    extensions are handled exactly as in a single-threaded run, but no
+ *    file is parsed.
+ * 2. Files are assigned to shards by a hash of their path, so a file lands
+ *    in the same shard on every run with the same worker count.
+ * 3. With `--cache`, every shard has its own cache file
+ *    (`<cache file>.<shard>-of-<count>`). ESLint prunes entries it did not
+ *    visit when it saves a cache, so shards cannot share one file.
+ * 4. Results are merged back in the order ESLint listed the files.
+ *
+ * Fixes are not written by workers; their results carry `output`, and the
+ * lint command writes them with `ESLint.outputFixes()` as usual.
+ *
+ * @module cli/parallel-lint
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const { createESLintInstance } = require("../utils/eslint-compat");
+const { createLogger } = require("../utils/debug");
+const plugin = require("../index");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for parallel linting
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Worker entry point.
+ * @type {string}
+ */
+const WORKER_PATH = path.join(__dirname, "lint-worker.js");
+
+/**
+ * Fewest files worth starting a worker for. Starting a worker loads ESLint
+ * and the plugin again, which costs more than linting a handful of files.
+ * @type {number}
+ */
+const MIN_FILES_PER_WORKER = 50;
+
+/**
+ * Name of the internal plugin whose processor lists files without linting.
+ * @type {string}
+ */
+const LIST_PLUGIN = "lint-my-lines-list";
+
+/**
+ * Plugin with a processor that yields no code blocks.
+ * @type {Object}
+ */
+const listPlugin = {
+  processors: {
+    files: {
+      preprocess: () => [],
+      postprocess: () => [],
+    },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a `--concurrency` value.
+ *
+ * `auto` uses one worker per available CPU.
+ *
+ * @param {string|number|undefined} value - Option value
+ * @returns {number|null} Worker count, or null if the value is invalid
+ *
+ * @example
+ * resolveConcurrency("4");    // => 4
+ * resolveConcurrency("auto"); // => os.availableParallelism()
+ * resolveConcurrency("0");    // => null
+ */
+function resolveConcurrency(value) {
+  if (value === undefined) {
+    return 1;
+  }
+  if (value === "auto") {
+    return typeof os.availableParallelism === "function"
+      ? os.availableParallelism()
+      : os.cpus().length;
+  }
+
+  const count = Number(value);
+  return Number.isInteger(count) && count > 0 ? count : null;
+}
+
+/**
+ * Decide how many workers to start for a number of files.
+ *
+ * @param {number} concurrency - Requested worker count
+ * @param {number} fileCount - Files to lint
+ * @returns {number} Worker count; 1 means lint in the current thread
+ */
+function getWorkerCount(concurrency, fileCount) {
+  return Math.max(1, Math.min(concurrency, Math.floor(fileCount / MIN_FILES_PER_WORKER)));
+}
+
+/**
+ * Assign files to shards by a hash of their path.
+ *
+ * @param {string[]} files - Absolute file paths
+ * @param {number} count - Number of shards
+ * @returns {string[][]} Files per shard, in input order
+ */
+function shardFiles(files, count) {
+  const shards = Array.from({ length: count }, () => []);
+
+  for (const file of files) {
+    const hash = crypto.createHash("md5").update(file).digest().readUInt32BE(0);
+    shards[hash % count].push(file);
+  }
+
+  return shards;
+}
+
+/**
+ * Get the cache file a shard uses.
+ *
+ * @param {string} cacheLocation - Cache file of a single-threaded run
+ * @param {number} index - Shard index
+ * @param {number} count - Number of shards
+ * @returns {string} Shard cache file
+ */
+function getShardCacheLocation(cacheLocation, index, count) {
+  return `${cacheLocation}.${index + 1}-of-${count}`;
+}
+
+/**
+ * List the files ESLint would lint for some patterns, without parsing them.
+ *
+ * @param {string[]} patterns - File patterns
+ * @param {Object} overrideConfig - Config the files will be linted with
+ * @param {string} [cwd] - Directory patterns are resolved from (default: process.cwd())
+ * @returns {Promise<string[]>} Absolute file paths, in ESLint's order
+ */
+async function listLintTargets(patterns, overrideConfig, cwd) {
+  const eslint = createESLintInstance({
+    cwd,
+    plugins: {
+      "lint-my-lines": plugin,
+      [LIST_PLUGIN]: listPlugin,
+    },
+    overrideConfig: {
+      ...overrideConfig,
+      plugins: [...(overrideConfig.plugins || []), LIST_PLUGIN],
+      processor: `${LIST_PLUGIN}/files`,
+      // File type overrides set their own processor and parser
+      overrides: (overrideConfig.overrides || []).map(({ parser: _parser, ...override }) => ({
+        ...override,
+        processor: `${LIST_PLUGIN}/files`,
+      })),
+    },
+    cache: false,
+  });
+
+  const results = await eslint.lintFiles(patterns);
+  return results.map((result) => result.filePath);
+}
+
+/**
+ * Lint files in a worker thread.
+ *
+ * @param {Object} workerData - Data for lint-worker.js
+ * @returns {{ worker: Worker, promise: Promise<Object[]> }} The worker and its results
+ * @private
+ */
+function startWorker(workerData) {
+  const worker = new Worker(WORKER_PATH, { workerData });
+
+  const promise = new Promise((resolve, reject) => {
+    let settled = false;
+
+    worker.once("message", (message) => {
+      settled = true;
+      if (message.error) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.results);
+      }
+    });
+    worker.once("error", (error) => {
+      settled = true;
+      reject(error);
+    });
+    worker.once("exit", (code) => {
+      if (!settled) {
+        reject(new Error(`Lint worker exited with code ${code}`));
+      }
+    });
+  });
+
+  return { worker, promise };
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Lint files across worker threads.
+ *
+ * @param {string[]} files - Absolute file paths from listLintTargets
+ * @param {number} workerCount - Number of workers
+ * @param {Object} options - Lint options
+ * @param {string} [options.cwd] - Directory the files are linted from (default: process.cwd())
+ * @param {boolean} options.fix - Compute fixes (results carry `output`)
+ * @param {Object} options.overrideConfig - ESLint override config (must be cloneable)
+ * @param {Object} options.cacheConfig - Cache options from getCacheConfig
+ * @returns {Promise<{ results: Object[], cacheLocations: string[] }>} Results in
+ *   the order of `files`, and the cache files that were written
+ *
+ * @example
+ * const files = await listLintTargets(["src"], overrideConfig);
+ * const { results } = await lintInWorkers(files, 4, {
+ *   fix: false,
+ *   overrideConfig,
+ *   cacheConfig: { cache: false },
+ * });
+ */
+async function lintInWorkers(files, workerCount, options) {
+  const shards = shardFiles(files, workerCount);
+  const cacheLocations = [];
+
+  const workers = shards
+    .map((shard, index) => ({ shard, index }))
+    .filter(({ shard }) => shard.length > 0)
+    .map(({ shard, index }) => {
+      const cacheConfig = { ...options.cacheConfig };
+
+      if (cacheConfig.cache) {
+        cacheConfig.cacheLocation = getShardCacheLocation(cacheConfig.cacheLocation, index, workerCount);
+        cacheLocations.push(cacheConfig.cacheLocation);
+      }
+
+      log.debug("Starting lint worker %d with %d file(s)", index + 1, shard.length);
+
+      return startWorker({
+        files: shard,
+        cwd: options.cwd,
+        fix: options.fix,
+        overrideConfig: options.overrideConfig,
+        cacheConfig,
+      });
+    });
+
+  let shardResults;
+  try {
+    shardResults = await Promise.all(workers.map(({ promise }) => promise));
+  } catch (error) {
+    await Promise.all(workers.map(({ worker }) => worker.terminate()));
+    throw error;
+  }
+
+  // Merge in the order ESLint listed the files
+  const order = new Map(files.map((file, index) => [file, index]));
+  const results = shardResults
+    .flat()
+    .sort((a, b) => order.get(a.filePath) - order.get(b.filePath));
+
+  return { results, cacheLocations };
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  MIN_FILES_PER_WORKER,
+  resolveConcurrency,
+  getWorkerCount,
+  shardFiles,
+  getShardCacheLocation,
+  listLintTargets,
+  lintInWorkers,
+};
@@ -0,0 +1,468 @@
+/**
+ * @fileoverview Project configuration (.lintmylinesrc) for the CLI
+ * @author Jules
+ *
+ * The standalone CLI reads its settings from the first of:
+ *
+ * - `.lintmylinesrc`
+ * - `.lintmylinesrc.json`
+ * - the `lintmylines` key in `package.json`
+ *
+ * Supported keys:
+ *
+ * | Key | Description |
+ * |-----|-------------|
+ * | `preset` | Base preset (minimal, recommended, strict, analysis) |
+ * | `rules` | Rule settings layered on top of the preset |
+ * | `ignorePatterns` | Globs that are never linted |
+ * | `files` | Patterns linted when none are given on the command line |
+ * | `overrides` | `[{ files, excludedFiles, rules }]` blocks for specific globs |
+ * | `stats` | `{ history, tolerance }` for the `stats` command |
+ *
+ * For compatibility with earlier releases, an `overrides` object (rather
+ * than an array) is read as rule settings, like `rules`.
+ *
+ * Rule settings are validated against each rule's `meta.schema`, and every
+ * error names the offending key, e.g.
+ * `rules["lint-my-lines/enforce-comment-length"][1].maxLength should be integer`.
+ *
+ * @module cli/project-config
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const plugin = require("../index");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Project config files, in lookup order.
+ * @type {string[]}
+ */
+const PROJECT_CONFIG_FILES = [".lintmylinesrc", ".lintmylinesrc.json"];
+
+/**
+ * Key in package.json that holds the project config.
+ * @type {string}
+ */
+const PACKAGE_JSON_KEY = "lintmylines";
+
+/**
+ * Top-level keys accepted in the project config.
+ * @type {string[]}
+ */
+const CONFIG_KEYS = ["preset", "rules", "ignorePatterns", "files", "overrides", "stats"];
+
+/**
+ * Keys accepted in each `overrides` block.
+ * @type {string[]}
+ */
+const OVERRIDE_KEYS = ["files", "excludedFiles", "rules"];
+
+/**
+ * Keys accepted in the `stats` block.
+ * @type {string[]}
+ */
+const STATS_KEYS = ["history", "tolerance"];
+
+/**
+ * Metrics that accept a `stats.tolerance`.
+ * @type {string[]}
+ */
+const STATS_METRICS = ["commentRatio", "jsdocCoverage", "todos", "criticalTodos", "violations"];
+
+/**
+ * Rule ID prefix for the plugin's rules.
+ * @type {string}
+ */
+const RULE_PREFIX = "lint-my-lines/";
+
+/**
+ * Valid rule severities.
+ * @type {Array<string|number>}
+ */
+const SEVERITIES = ["off", "warn", "error", 0, 1, 2];
+
+// ---------------------------------------------------------------------------
+// Module State
+// ---------------------------------------------------------------------------
+
+/**
+ * Schema validator, configured like ESLint's rule option validation.
+ * @type {Ajv.Ajv}
+ * @private
+ */
+const ajv = new Ajv({ jsonPointers: true, missingRefs: "ignore", useDefaults: false });
+
+/**
+ * Compiled option validators by rule name.
+ * @type {Map<string, Function|null>}
+ * @private
+ */
+const validators = new Map();
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Find and parse the project config.
+ *
+ * @param {string} [cwd=process.cwd()] - Directory to search
+ * @returns {{ file: string, config: Object }|null} Raw config and where it
+ *   came from, or null if the project has none
+ * @throws {Error} If a config file is not valid JSON
+ */
+function readProjectConfig(cwd = process.cwd()) {
+  for (const file of PROJECT_CONFIG_FILES) {
+    const filePath = path.join(cwd, file);
+    if (fs.existsSync(filePath)) {
+      try {
+        return { file, config: JSON.parse(fs.readFileSync(filePath, "utf8")) };
+      } catch (error) {
+        throw new Error(`Could not parse ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  const pkgPath = path.join(cwd, "package.json");
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+      if (pkg[PACKAGE_JSON_KEY]) {
+        return { file: `package.json#${PACKAGE_JSON_KEY}`, config: pkg[PACKAGE_JSON_KEY] };
+      }
+    } catch {
+      // A broken package.json is reported by npm, not by us
+    }
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Append a property name or array index to a key path.
+ *
+ * @param {string} keyPath - Key path so far
+ * @param {string|number} segment - Property name or index
+ * @returns {string} Extended key path
+ * @private
+ */
+function appendKey(keyPath, segment) {
+  if (typeof segment === "number" || /^\d+$/.test(segment)) {
+    return `${keyPath}[${segment}]`;
+  }
+  if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+    return keyPath ? `${keyPath}.${segment}` : segment;
+  }
+  return `${keyPath}[${JSON.stringify(segment)}]`;
+}
+
+/**
+ * Get the options validator for a rule, following ESLint's handling of
+ * array and object schemas.
+ *
+ * @param {string} ruleName - Rule name without the plugin prefix
+ * @returns {Function|null} Compiled validator, or null if the rule takes any options
+ * @private
+ */
+function getValidator(ruleName) {
+  if (!validators.has(ruleName)) {
+    const schema = plugin.rules[ruleName].meta.schema;
+    let optionsSchema = schema || null;
+
+    if (Array.isArray(schema)) {
+      optionsSchema = schema.length > 0
+        ? { type: "array", items: schema, minItems: 0, maxItems: schema.length }
+        : { type: "array", minItems: 0, maxItems: 0 };
+    }
+
+    validators.set(ruleName, optionsSchema ? ajv.compile(optionsSchema) : null);
+  }
+
+  return validators.get(ruleName);
+}
+
+/**
+ * Describe a schema validation error at a config key.
+ *
+ * @param {string} keyPath - Key path of the rule setting
+ * @param {Object} error - Ajv error for the options array (without severity)
+ * @returns {string} Error message
+ * @private
+ */
+function describeSchemaError(keyPath, error) {
+  // Options start after the severity, so shift the first index by one
+  const [index, ...rest] = error.dataPath.split("/").slice(1);
+  let at = index === undefined ? keyPath : appendKey(keyPath, Number(index) + 1);
+
+  for (const segment of rest) {
+    at = appendKey(at, segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+  }
+
+  if (error.keyword === "additionalProperties") {
+    return `${appendKey(at, error.params.additionalProperty)} is not a known option`;
+  }
+  if (error.keyword === "enum") {
+    return `${at} should be one of ${error.params.allowedValues.map((v) => JSON.stringify(v)).join(", ")}`;
+  }
+  if (index === undefined) {
+    return `${at} options ${error.message}`;
+  }
+  return `${at} ${error.message}`;
+}
+
+/**
+ * Validate rule settings against the plugin's rules and their schemas.
+ *
+ * @param {*} rules - Rule settings keyed by rule ID
+ * @param {string} keyPath - Key path of the settings object
+ * @returns {string[]} Error messages
+ */
+function validateRules(rules, keyPath) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return [`${keyPath} should be an object of rule settings`];
+  }
+
+  const errors = [];
+
+  for (const [ruleId, setting] of Object.entries(rules)) {
+    const ruleKey = appendKey(keyPath, ruleId);
+    const ruleName = ruleId.startsWith(RULE_PREFIX) ? ruleId.slice(RULE_PREFIX.length) : null;
+
+    if (!ruleName || !plugin.rules[ruleName]) {
+      errors.push(`${ruleKey} is not a lint-my-lines rule`);
+      continue;
+    }
+
+    const [severity, ...options] = Array.isArray(setting) ? setting : [setting];
+
+    if (!SEVERITIES.includes(severity)) {
+      errors.push(`${Array.isArray(setting) ? `${ruleKey}[0]` : ruleKey} should be "off", "warn" or "error" (or 0, 1, 2)`);
+      continue;
+    }
+
+    const validate = getValidator(ruleName);
+    if (validate && !validate(options)) {
+      errors.push(describeSchemaError(ruleKey, validate.errors[0]));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a glob list.
+ *
+ * @param {*} value - Value to check
+ * @param {string} keyPath - Key path of the value
+ * @returns {string[]} Error messages
+ * @private
+ */
+function validateGlobs(value, keyPath) {
+  if (typeof value === "string") {
+    return value ? [] : [`${keyPath} should not be empty`];
+  }
+  if (!Array.isArray(value)) {
+    return [`${keyPath} should be a glob or an array of globs`];
+  }
+  return value
+    .map((glob, index) => (typeof glob === "string" && glob ? null : `${keyPath}[${index}] should be a non-empty string`))
+    .filter(Boolean);
+}
+
+/**
+ * Validate the `stats` block.
+ *
+ * @param {*} stats - Value of `stats`
+ * @returns {string[]} Error messages
+ * @private
+ */
+function validateStats(stats) {
+  if (!stats || typeof stats !== "object" || Array.isArray(stats)) {
+    return ["stats should be an object"];
+  }
+
+  const errors = Object.keys(stats)
+    .filter((key) => !STATS_KEYS.includes(key))
+    .map((key) => `${appendKey("stats", key)} is not a supported key (expected ${STATS_KEYS.join(", ")})`);
+
+  if (stats.history !== undefined && (typeof stats.history !== "string" || !stats.history)) {
+    errors.push("stats.history should be a non-empty string");
+  }
+
+  const tolerance = stats.tolerance;
+  if (tolerance !== undefined && (!tolerance || typeof tolerance !== "object" || Array.isArray(tolerance))) {
+    errors.push("stats.tolerance should be an object");
+  } else if (tolerance !== undefined) {
+    for (const [metric, value] of Object.entries(tolerance)) {
+      const keyPath = appendKey("stats.tolerance", metric);
+
+      if (!STATS_METRICS.includes(metric)) {
+        errors.push(`${keyPath} is not a known metric (expected ${STATS_METRICS.join(", ")})`);
+      } else if (typeof value !== "number" || !(value >= 0)) {
+        errors.push(`${keyPath} should be a number >= 0`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a project config.
+ *
+ * @param {*} config - Raw project config
+ * @param {string[]} presets - Valid preset names
+ * @returns {string[]} Error messages, each naming the offending key
+ *
+ * @example
+ * validateProjectConfig({ preset: "loose" }, ["minimal", "recommended"]);
+ * // => ['preset should be one of "minimal", "recommended"']
+ */
+function validateProjectConfig(config, presets) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return ["config should be an object"];
+  }
+
+  const errors = Object.keys(config)
+    .filter((key) => !CONFIG_KEYS.includes(key))
+    .map((key) => `${appendKey("", key)} is not a supported key (expected ${CONFIG_KEYS.join(", ")})`);
+
+  if (config.preset !== undefined && !presets.includes(config.preset)) {
+    errors.push(`preset should be one of ${presets.map((p) => JSON.stringify(p)).join(", ")}`);
+  }
+  if (config.rules !== undefined) {
+    errors.push(...validateRules(config.rules, "rules"));
+  }
+  if (config.ignorePatterns !== undefined) {
+    errors.push(...validateGlobs(config.ignorePatterns, "ignorePatterns"));
+  }
+  if (config.files !== undefined) {
+    errors.push(...validateGlobs(config.files, "files"));
+  }
+
+  if (config.stats !== undefined) {
+    errors.push(...validateStats(config.stats));
+  }
+
+  if (config.overrides !== undefined && !Array.isArray(config.overrides)) {
+    // Earlier releases used an overrides object for rule settings
+    errors.push(...validateRules(config.overrides, "overrides"));
+  } else if (config.overrides !== undefined) {
+    config.overrides.forEach((override, index) => {
+      const keyPath = `overrides[${index}]`;
+
+      if (!override || typeof override !== "object" || Array.isArray(override)) {
+        errors.push(`${keyPath} should be an object`);
+        return;
+      }
+
+      for (const key of Object.keys(override).filter((k) => !OVERRIDE_KEYS.includes(k))) {
+        errors.push(`${appendKey(keyPath, key)} is not a supported key (expected ${OVERRIDE_KEYS.join(", ")})`);
+      }
+
+      if (override.files === undefined) {
+        errors.push(`${keyPath}.files is required`);
+      } else {
+        errors.push(...validateGlobs(override.files, `${keyPath}.files`));
+      }
+      if (override.excludedFiles !== undefined) {
+        errors.push(...validateGlobs(override.excludedFiles, `${keyPath}.excludedFiles`));
+      }
+      if (override.rules !== undefined) {
+        errors.push(...validateRules(override.rules, `${keyPath}.rules`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Load, validate and normalize the project config.
+ *
+ * Glob settings are normalized to arrays, and a legacy `overrides` object
+ * is merged into `rules`.
+ *
+ * @param {Object} options - Load options
+ * @param {string[]} options.presets - Valid preset names
+ * @param {string} [options.cwd=process.cwd()] - Directory to search
+ * @returns {{ file: string, preset: string|undefined, rules: Object,
+ *   ignorePatterns: string[], files: string[], overrides: Object[],
+ *   stats: { history?: string, tolerance: Object } }|null}
+ *   Normalized config, or null if the project has none
+ * @throws {Error} If the config cannot be parsed or is invalid; the message
+ *   lists every problem
+ *
+ * @example
+ * const project = loadProjectConfig({ presets: ["minimal", "recommended"] });
+ * if (project) {
+ *   console.log(`Using ${project.file}`);
+ * }
+ */
+function loadProjectConfig(options) {
+  const found = readProjectConfig(options.cwd);
+  if (!found) {
+    return null;
+  }
+
+  const { file, config } = found;
+  const errors = validateProjectConfig(config, options.presets);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${file}:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+
+  const toArray = (value) => (value === undefined ? [] : [].concat(value));
+  const legacyRules = config.overrides && !Array.isArray(config.overrides) ? config.overrides : {};
+
+  return {
+    file,
+    preset: config.preset,
+    rules: { ...legacyRules, ...config.rules },
+    ignorePatterns: toArray(config.ignorePatterns),
+    files: toArray(config.files),
+    overrides: Array.isArray(config.overrides)
+      ? config.overrides.map((override) => ({
+        files: toArray(override.files),
+        ...(override.excludedFiles && { excludedFiles: toArray(override.excludedFiles) }),
+        rules: override.rules || {},
+      }))
+      : [],
+    stats: {
+      ...(config.stats && config.stats.history && { history: config.stats.history }),
+      tolerance: (config.stats && config.stats.tolerance) || {},
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  PROJECT_CONFIG_FILES,
+  STATS_METRICS,
+  readProjectConfig,
+  validateProjectConfig,
+  validateRules,
+  loadProjectConfig,
+};
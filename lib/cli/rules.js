@@ -0,0 +1,481 @@
+/**
+ * @fileoverview Rule catalog for the `rules` and `explain` CLI commands
+ * @author Jules
+ *
+ * `rules` lists every rule exported by the plugin with its category,
+ * fixable status and the presets that enable it. `explain <rule>` prints
+ * one rule's options (from `meta.schema`), message IDs, presets and its
+ * `docs/rules/<rule>.md` page.
+ *
+ * Preset membership is resolved from the preset definitions in
+ * flat-config-factory.js, and inheritance from getPresetInheritanceChain,
+ * so the output always matches what the presets actually enable.
+ *
+ * @example
+ * lint-my-lines rules --preset strict
+ * lint-my-lines explain enforce-comment-length
+ *
+ * @module cli/rules
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+
+const plugin = require("../index");
+const {
+  PRESET_DEFINITIONS,
+  LANGUAGE_PRESETS,
+  getPresetInheritanceChain,
+} = require("../configs/flat-config-factory");
+const { renderTable } = require("../utils/table-utils");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Supported output formats.
+ * @type {string[]}
+ */
+const FORMATS = ["text", "json"];
+
+/**
+ * Rule ID prefix used in preset rule settings.
+ * @type {string}
+ */
+const RULE_PREFIX = "lint-my-lines/";
+
+/**
+ * Directory containing the rule documentation pages.
+ * @type {string}
+ */
+const DOCS_DIR = path.join(__dirname, "../../docs/rules");
+
+/**
+ * Extracts "(default: X)" from schema property descriptions.
+ * @type {RegExp}
+ */
+const DESCRIPTION_DEFAULT = /\s*\(default:\s*([^)]*)\)/i;
+
+// ---------------------------------------------------------------------------
+// Presets
+// ---------------------------------------------------------------------------
+
+/**
+ * All preset rule settings, keyed by preset name. Language presets
+ * replace core definitions of the same name, matching the flat configs.
+ * @returns {Object<string, Object>} Rule settings per preset
+ */
+function getPresetRules() {
+  const presets = {};
+  for (const [name, definition] of Object.entries({ ...PRESET_DEFINITIONS, ...LANGUAGE_PRESETS })) {
+    presets[name] = definition.rules;
+  }
+  return presets;
+}
+
+/**
+ * Check whether a rule setting enables the rule.
+ * @param {string|number|Array|undefined} setting - Rule setting
+ * @returns {boolean} True if the severity is not "off"
+ */
+function isEnabled(setting) {
+  const severity = Array.isArray(setting) ? setting[0] : setting;
+  return severity !== undefined && severity !== "off" && severity !== 0;
+}
+
+/**
+ * Find the presets that enable a rule.
+ *
+ * For each preset, `inheritedFrom` names the first preset in its
+ * inheritance chain that already enables the rule, or is null when the
+ * preset introduces it.
+ *
+ * @param {string} ruleName - Rule name without the plugin prefix
+ * @returns {Array<{ preset: string, setting: *, inheritedFrom: string|null }>}
+ *   Enabling presets
+ */
+function getRulePresets(ruleName) {
+  const ruleId = `${RULE_PREFIX}${ruleName}`;
+  const presetRules = getPresetRules();
+
+  return Object.keys(presetRules)
+    .filter((preset) => isEnabled(presetRules[preset][ruleId]))
+    .map((preset) => {
+      const origin = getPresetInheritanceChain(preset)
+        .find((ancestor) => presetRules[ancestor] && isEnabled(presetRules[ancestor][ruleId]));
+
+      return {
+        preset,
+        setting: presetRules[preset][ruleId],
+        inheritedFrom: origin && origin !== preset ? origin : null,
+      };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Schema Rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Describe a JSON schema type in TypeScript-like notation.
+ * @param {Object} schema - JSON schema
+ * @returns {string} Type description
+ */
+function describeType(schema) {
+  if (!schema) {
+    return "any";
+  }
+
+  if (schema.enum) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (variants) {
+    return variants.map(describeType).join(" | ");
+  }
+
+  if (schema.type === "array") {
+    const items = describeType(schema.items);
+    return items.includes(" | ") ? `(${items})[]` : `${items}[]`;
+  }
+
+  let type = Array.isArray(schema.type) ? schema.type.join(" | ") : schema.type || "any";
+
+  if (schema.minimum !== undefined) {
+    type += ` >= ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined) {
+    type += ` <= ${schema.maximum}`;
+  }
+
+  return type;
+}
+
+/**
+ * Flatten a rule's options schema into table rows.
+ *
+ * Nested option objects (such as `commentContext`) are expanded into
+ * dotted names. Defaults come from the schema's `default` keyword, or
+ * from a "(default: X)" note in the description.
+ *
+ * @param {Array|Object} schema - Rule `meta.schema`
+ * @returns {Array<{ name: string, type: string, default: string|null, description: string }>}
+ *   Option rows
+ */
+function describeOptions(schema) {
+  const rows = [];
+
+  /**
+   * Add rows for an object schema's properties.
+   * @param {Object} objectSchema - Schema with `properties`
+   * @param {string} prefix - Dotted name prefix
+   */
+  function addProperties(objectSchema, prefix) {
+    for (const [key, property] of Object.entries(objectSchema.properties || {})) {
+      const name = `${prefix}${key}`;
+
+      if (property.type === "object" && property.properties) {
+        addProperties(property, `${name}.`);
+        continue;
+      }
+
+      let description = property.description || "";
+      let defaultValue = property.default !== undefined ? JSON.stringify(property.default) : null;
+
+      const match = description.match(DESCRIPTION_DEFAULT);
+      if (match) {
+        defaultValue = defaultValue || match[1].trim();
+        description = description.replace(DESCRIPTION_DEFAULT, "").trim();
+      }
+
+      rows.push({ name, type: describeType(property), default: defaultValue, description });
+    }
+  }
+
+  for (const entry of Array.isArray(schema) ? schema : [schema]) {
+    if (entry && entry.properties) {
+      addProperties(entry, "");
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Read option defaults from the "Option | ... | Default" tables of a rule
+ * documentation page. Used for options whose schema does not state one.
+ * @param {string|null} docsPath - Documentation page path
+ * @returns {Map<string, string>} Default values keyed by option name
+ */
+function readDocumentedDefaults(docsPath) {
+  const defaults = new Map();
+  if (!docsPath) {
+    return defaults;
+  }
+
+  let columns = null;
+  for (const line of fs.readFileSync(docsPath, "utf8").split(/\r?\n/)) {
+    if (!line.startsWith("|")) {
+      columns = null;
+      continue;
+    }
+
+    // Split on unescaped pipes; "\|" is a literal pipe inside a cell
+    const cells = line.slice(1, line.endsWith("|") ? -1 : undefined)
+      .split(/(?<!\\)\|/)
+      .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+
+    if (!columns) {
+      columns = { name: cells.indexOf("Option"), value: cells.indexOf("Default") };
+      continue;
+    }
+
+    const name = cells[columns.name];
+    const value = cells[columns.value];
+    if (columns.name === -1 || columns.value === -1 || !name || /^-+$/.test(name)) {
+      continue;
+    }
+    if (value && value !== "-") {
+      defaults.set(name.replace(/`/g, ""), value.replace(/`/g, ""));
+    }
+  }
+
+  return defaults;
+}
+
+// ---------------------------------------------------------------------------
+// Catalog
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the catalog entry for one rule.
+ * @param {string} name - Rule name without the plugin prefix
+ * @returns {Object} Catalog entry
+ */
+function describeRule(name) {
+  const meta = plugin.rules[name].meta || {};
+  const docs = meta.docs || {};
+  const docsPath = path.join(DOCS_DIR, `${name}.md`);
+  const hasDocs = fs.existsSync(docsPath);
+  const documentedDefaults = readDocumentedDefaults(hasDocs ? docsPath : null);
+
+  const options = describeOptions(meta.schema || []).map((option) => ({
+    ...option,
+    default: option.default || documentedDefaults.get(option.name) || null,
+  }));
+
+  return {
+    name,
+    ruleId: `${RULE_PREFIX}${name}`,
+    description: docs.description || "",
+    category: docs.category || "Uncategorized",
+    type: meta.type || null,
+    fixable: meta.fixable || null,
+    hasSuggestions: Boolean(meta.hasSuggestions),
+    presets: getRulePresets(name),
+    options,
+    messages: meta.messages || {},
+    docsPath: hasDocs ? docsPath : null,
+  };
+}
+
+/**
+ * Describe every rule the plugin exports.
+ * @returns {Object[]} Catalog entries, sorted by category then name
+ */
+function getRuleCatalog() {
+  return Object.keys(plugin.rules)
+    .map(describeRule)
+    .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+}
+
+// ---------------------------------------------------------------------------
+// Text Output
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a rule setting like it is written in a config.
+ * @param {*} setting - Rule setting
+ * @returns {string} Setting text
+ */
+function formatSetting(setting) {
+  if (!Array.isArray(setting)) {
+    return String(setting);
+  }
+  return [setting[0], ...setting.slice(1).map((option) => JSON.stringify(option))].join(" ");
+}
+
+/**
+ * Render an explain entry as text.
+ * @param {Object} entry - Catalog entry from describeRule
+ * @param {Object} options - Options
+ * @param {boolean} options.docs - Include the documentation page
+ * @returns {string} Text output
+ */
+function formatExplain(entry, options) {
+  const lines = [
+    entry.ruleId,
+    "",
+    entry.description,
+    "",
+    `Category: ${entry.category}`,
+    `Type:     ${entry.type || "-"}`,
+    `Fixable:  ${entry.fixable || "no"}`,
+  ];
+
+  lines.push("", "Options:");
+  if (entry.options.length === 0) {
+    lines.push("  (none)");
+  } else {
+    lines.push(renderTable(
+      ["Option", "Type", "Default", "Description"],
+      entry.options.map((option) => [option.name, option.type, option.default || "-", option.description]),
+      "  "
+    ));
+  }
+
+  lines.push("", "Messages:");
+  const messages = Object.entries(entry.messages);
+  if (messages.length === 0) {
+    lines.push("  (none)");
+  } else {
+    lines.push(renderTable(["ID", "Message"], messages, "  "));
+  }
+
+  lines.push("", "Presets:");
+  if (entry.presets.length === 0) {
+    lines.push("  (not enabled by any preset)");
+  } else {
+    lines.push(renderTable(
+      ["Preset", "Setting", ""],
+      entry.presets.map((p) => [
+        p.preset,
+        formatSetting(p.setting),
+        p.inheritedFrom ? `inherited from ${p.inheritedFrom}` : "",
+      ]),
+      "  "
+    ));
+  }
+
+  if (options.docs && entry.docsPath) {
+    lines.push("", "Documentation:", "", fs.readFileSync(entry.docsPath, "utf8").trimEnd());
+  }
+
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Main Functions
+// ---------------------------------------------------------------------------
+
+/**
+ * List all rules.
+ *
+ * @param {Object} [options] - CLI options
+ * @param {string} [options.format="text"] - Output format (text, json)
+ * @param {string} [options.preset] - Only list rules enabled by this preset
+ * @returns {number} Exit code (0 = success, 1 = error)
+ */
+function listRules(options = {}) {
+  const format = options.format || "text";
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Error: Invalid format "${format}". Choose from: ${FORMATS.join(", ")}`);
+    return 1;
+  }
+
+  const presetNames = Object.keys(getPresetRules());
+  if (options.preset && !presetNames.includes(options.preset)) {
+    console.error(`Error: Invalid preset "${options.preset}". Choose from: ${presetNames.join(", ")}`);
+    return 1;
+  }
+
+  const catalog = getRuleCatalog()
+    .filter((entry) => !options.preset || entry.presets.some((p) => p.preset === options.preset));
+
+  if (format === "json") {
+    console.log(JSON.stringify(catalog.map((entry) => ({
+      name: entry.name,
+      description: entry.description,
+      category: entry.category,
+      fixable: entry.fixable,
+      presets: entry.presets.map((p) => p.preset),
+    })), null, 2));
+    return 0;
+  }
+
+  console.log(renderTable(
+    ["Rule", "Category", "Fixable", "Presets"],
+    catalog.map((entry) => [
+      entry.name,
+      entry.category,
+      entry.fixable ? "yes" : "no",
+      entry.presets.map((p) => p.preset).join(", ") || "-",
+    ])
+  ));
+  console.log(`\n${catalog.length} rule(s). Run "lint-my-lines explain <rule>" for details.`);
+
+  return 0;
+}
+
+/**
+ * Explain one rule.
+ *
+ * @param {string} rule - Rule name, with or without the plugin prefix
+ * @param {Object} [options] - CLI options
+ * @param {string} [options.format="text"] - Output format (text, json)
+ * @param {boolean} [options.docs=true] - Include the documentation page
+ * @returns {number} Exit code (0 = success, 1 = error)
+ */
+function explain(rule, options = {}) {
+  const format = options.format || "text";
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Error: Invalid format "${format}". Choose from: ${FORMATS.join(", ")}`);
+    return 1;
+  }
+
+  const name = rule.startsWith(RULE_PREFIX) ? rule.slice(RULE_PREFIX.length) : rule;
+
+  if (!Object.prototype.hasOwnProperty.call(plugin.rules, name)) {
+    const similar = Object.keys(plugin.rules).filter((candidate) => candidate.includes(name));
+    console.error(`Error: Unknown rule "${rule}".`);
+    if (similar.length > 0) {
+      console.error(`Did you mean: ${similar.join(", ")}?`);
+    } else {
+      console.error('Run "lint-my-lines rules" to list all rules.');
+    }
+    return 1;
+  }
+
+  const entry = describeRule(name);
+
+  if (format === "json") {
+    const docsPath = entry.docsPath ? path.relative(path.join(DOCS_DIR, "../.."), entry.docsPath) : null;
+    console.log(JSON.stringify({ ...entry, docsPath: docsPath && docsPath.split(path.sep).join("/") }, null, 2));
+    return 0;
+  }
+
+  console.log(formatExplain(entry, { docs: options.docs !== false }));
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  listRules,
+  explain,
+  getRuleCatalog,
+  getRulePresets,
+  describeOptions,
+  describeType,
+};
@@ -0,0 +1,607 @@
+/**
+ * @fileoverview Comment metrics history and trends for the CLI
+ * @author Jules
+ *
+ * `lint-my-lines stats` measures the comment health of a repository and
+ * appends the measurement to a history file, keyed by the git commit it was
+ * taken at. `stats --trend` compares the measurement with earlier entries
+ * and fails when a metric got worse by more than its tolerance.
+ *
+ * ## Metrics
+ *
+ * - Comment-to-code ratio, counted like the comment-code-ratio rule
+ * - JSDoc coverage of exported functions (`export` declarations and
+ *   `module.exports` / `exports` assignments), checked like require-jsdoc
+ * - TODO comments by age bucket, using the todo-aging-warnings thresholds
+ *   of the lint config (fresh, aged, critical, undated)
+ * - Lint violations per rule, with the same config as `lint`
+ *
+ * ## History file
+ *
+ * `.lint-my-lines-history.json` (or `stats.history` in `.lintmylinesrc`)
+ * holds one entry per commit. Measuring a commit again replaces its entry.
+ *
+ * @example
+ * // Record the metrics of HEAD
+ * lint-my-lines stats
+ *
+ * // Record, then fail if a metric regressed since the previous entry
+ * lint-my-lines stats --trend
+ *
+ * @module cli/stats
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+
+const { isExportedNode, isModuleExportsAssignment, hasJSDocComment } = require("../utils/jsdoc-utils");
+const { getHeadCommit } = require("../utils/git-utils");
+const { renderTable } = require("../utils/table-utils");
+const { createLogger } = require("../utils/debug");
+const { createLinter, runLinter } = require("./lint");
+const { collectCommentMetrics } = require("./collector");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for stats operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Default history file name, relative to the working directory.
+ * @type {string}
+ */
+const DEFAULT_HISTORY_FILE = ".lint-my-lines-history.json";
+
+/**
+ * History file format version.
+ * @type {number}
+ */
+const HISTORY_VERSION = 1;
+
+/**
+ * Supported output formats.
+ * @type {string[]}
+ */
+const FORMATS = ["text", "json"];
+
+/**
+ * Entries shown by `--trend` by default.
+ * @type {number}
+ */
+const DEFAULT_TREND_LIMIT = 10;
+
+/**
+ * Metrics compared by `--trend`. Ratios are fractions (0.01 is one
+ * percentage point), and so are their tolerances.
+ * @type {Array<{ key: string, label: string, higherIsBetter: boolean, ratio: boolean, get: Function }>}
+ */
+const TREND_METRICS = [
+  { key: "commentRatio", label: "Comment ratio", higherIsBetter: true, ratio: true, get: (m) => m.commentRatio },
+  { key: "jsdocCoverage", label: "JSDoc coverage", higherIsBetter: true, ratio: true, get: (m) => m.jsdoc.coverage },
+  { key: "todos", label: "TODOs", higherIsBetter: false, ratio: false, get: (m) => m.todos.total },
+  { key: "criticalTodos", label: "Critical TODOs", higherIsBetter: false, ratio: false, get: (m) => m.todos.critical },
+  { key: "violations", label: "Violations", higherIsBetter: false, ratio: false, get: (m) => m.violations.total },
+];
+
+/**
+ * Regressions tolerated when `stats.tolerance` does not set a metric.
+ * @type {Object<string, number>}
+ */
+const DEFAULT_TOLERANCE = {
+  commentRatio: 0.01,
+  jsdocCoverage: 0.01,
+  todos: 0,
+  criticalTodos: 0,
+  violations: 0,
+};
+
+// ---------------------------------------------------------------------------
+// Collection
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the statement a JSDoc comment of an exported function belongs to.
+ *
+ * @param {Object} node - Function AST node
+ * @returns {Object|null} Export declaration or `module.exports` statement,
+ *   or null if the function is not exported
+ */
+function getExportStatement(node) {
+  const parent = node.parent;
+
+  if (isExportedNode(node)) {
+    // export const foo = () => {}
+    return parent.type === "VariableDeclarator" ? parent.parent.parent : parent;
+  }
+
+  if (parent && parent.type === "AssignmentExpression" && parent.right === node && isModuleExportsAssignment(parent)) {
+    return parent.parent.type === "ExpressionStatement" ? parent.parent : parent;
+  }
+
+  return null;
+}
+
+/**
+ * Create rule listeners that count exported functions and how many of
+ * them are documented.
+ *
+ * @param {Object} counts - `{ exported, documented }`, mutated
+ * @returns {Function} Listener factory for collectCommentMetrics
+ */
+function createJSDocListeners(counts) {
+  return (sourceCode) => {
+    /**
+     * Count an exported function and whether it is documented.
+     * @param {Object} node - Function AST node
+     */
+    function recordFunction(node) {
+      const statement = getExportStatement(node);
+      if (!statement) {
+        return;
+      }
+
+      counts.exported++;
+      if (hasJSDocComment(statement, sourceCode)) {
+        counts.documented++;
+      }
+    }
+
+    return {
+      FunctionDeclaration: recordFunction,
+      FunctionExpression: recordFunction,
+      ArrowFunctionExpression: recordFunction,
+    };
+  };
+}
+
+/**
+ * Measure the comment metrics of a set of files.
+ *
+ * Files are linted with the same config as `lint` (project config and
+ * preset) for the violation counts, then parsed once more with only the
+ * metrics rule.
+ *
+ * @param {string[]} patterns - File patterns; when empty, the project
+ *   config's `files` or the working directory
+ * @param {Object} [options] - Collection options
+ * @param {string} [options.cwd=process.cwd()] - Directory to measure from
+ * @param {string} [options.preset] - Preset (default: the project config's
+ *   preset, or "recommended")
+ * @returns {Promise<Object>} `{ preset, metrics, history, tolerance }`, with
+ *   `metrics` holding `files`, `commentLines`, `codeLines`, `commentRatio`,
+ *   `jsdoc: { exported, documented, coverage }`,
+ *   `todos: { total, fresh, aged, critical, undated }` and
+ *   `violations: { total, byRule }`. Ratios are null without code or exports.
+ *   `history` and `tolerance` are the project config's `stats` settings.
+ * @throws {Error} If the project config or preset is invalid
+ */
+async function collectStats(patterns, options = {}) {
+  const linter = createLinter({ cwd: options.cwd, preset: options.preset });
+  const results = await runLinter(linter, patterns, { fix: false, concurrency: 1 });
+
+  const jsdoc = { exported: 0, documented: 0 };
+  const totals = await collectCommentMetrics(
+    linter,
+    results.map((result) => result.filePath),
+    createJSDocListeners(jsdoc)
+  );
+
+  const byRule = {};
+  for (const message of results.flatMap((result) => result.messages)) {
+    // Parse errors are not violations
+    if (message.ruleId) {
+      byRule[message.ruleId] = (byRule[message.ruleId] || 0) + 1;
+    }
+  }
+
+  const sortedRules = Object.entries(byRule).sort(([a, x], [b, y]) => y - x || a.localeCompare(b));
+
+  log.debug("Measured %d file(s)", results.length);
+
+  return {
+    preset: linter.preset,
+    tolerance: linter.projectConfig ? linter.projectConfig.stats.tolerance : {},
+    history: linter.projectConfig ? linter.projectConfig.stats.history : undefined,
+    metrics: {
+      files: results.length,
+      commentLines: totals.commentLines,
+      codeLines: totals.codeLines,
+      commentRatio: totals.codeLines > 0 ? totals.commentLines / totals.codeLines : null,
+      jsdoc: {
+        ...jsdoc,
+        coverage: jsdoc.exported > 0 ? jsdoc.documented / jsdoc.exported : null,
+      },
+      todos: totals.todos,
+      violations: {
+        total: sortedRules.reduce((sum, [, count]) => sum + count, 0),
+        byRule: Object.fromEntries(sortedRules),
+      },
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// History
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a history file.
+ *
+ * @param {string} filePath - History file path
+ * @returns {Object} History; empty if the file does not exist
+ * @throws {Error} If the file is not a valid history file
+ */
+function loadHistory(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { version: HISTORY_VERSION, entries: [] };
+  }
+
+  let history;
+  try {
+    history = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read history ${filePath}: ${error.message}`);
+  }
+
+  if (!history || history.version !== HISTORY_VERSION || !Array.isArray(history.entries)) {
+    throw new Error(`Invalid history ${filePath}: expected version ${HISTORY_VERSION} with an entries array`);
+  }
+
+  return history;
+}
+
+/**
+ * Write a history file.
+ * @param {string} filePath - History file path
+ * @param {Object} history - History object
+ */
+function writeHistory(filePath, history) {
+  fs.writeFileSync(filePath, `${JSON.stringify(history, null, 2)}\n`, "utf8");
+}
+
+/**
+ * Append an entry to a history, replacing an earlier entry for the same
+ * commit.
+ *
+ * @param {Object} history - History from loadHistory
+ * @param {Object} entry - Entry with a `commit`
+ * @returns {Object} New history; the input is not changed
+ */
+function addHistoryEntry(history, entry) {
+  return {
+    ...history,
+    entries: [...history.entries.filter((existing) => existing.commit !== entry.commit), entry],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Trend
+// ---------------------------------------------------------------------------
+
+/**
+ * Compare an entry's metrics with an earlier entry.
+ *
+ * @param {Object} current - Current entry
+ * @param {Object} base - Entry to compare with
+ * @param {Object<string, number>} [tolerance] - Tolerated regression per
+ *   metric, over DEFAULT_TOLERANCE
+ * @returns {Object[]} One `{ key, label, ratio, current, base, delta,
+ *   tolerance, regressed }` per trend metric; `delta` is null if either
+ *   value is missing
+ *
+ * @example
+ * compareEntries(current, previous, { todos: 2 })
+ *   .filter((change) => change.regressed);
+ */
+function compareEntries(current, base, tolerance = {}) {
+  const tolerances = { ...DEFAULT_TOLERANCE, ...tolerance };
+
+  return TREND_METRICS.map((metric) => {
+    const currentValue = metric.get(current.metrics);
+    const baseValue = metric.get(base.metrics);
+    const delta = currentValue === null || baseValue === null ? null : currentValue - baseValue;
+    const worsening = delta === null ? 0 : (metric.higherIsBetter ? -delta : delta);
+
+    return {
+      key: metric.key,
+      label: metric.label,
+      ratio: metric.ratio,
+      current: currentValue,
+      base: baseValue,
+      delta,
+      tolerance: tolerances[metric.key],
+      // Rounding keeps float noise in ratios from counting as a regression
+      regressed: Number(worsening.toFixed(6)) > tolerances[metric.key],
+    };
+  });
+}
+
+/**
+ * Find the entry to compare with.
+ *
+ * @param {Object[]} entries - History entries, oldest first, ending with the current entry
+ * @param {string} [base] - Commit (or prefix) to compare with
+ * @returns {Object|null} The entry for `base`, or the one before the current
+ *   entry; null if there is none
+ * @throws {Error} If `base` matches no entry
+ */
+function findBaseEntry(entries, base) {
+  if (!base) {
+    return entries.length > 1 ? entries[entries.length - 2] : null;
+  }
+
+  const entry = entries.find((candidate) => candidate.commit && candidate.commit.startsWith(base));
+  if (!entry) {
+    throw new Error(`No history entry for commit "${base}"`);
+  }
+  return entry;
+}
+
+// ---------------------------------------------------------------------------
+// Formatting
+// ---------------------------------------------------------------------------
+
+/**
+ * Format a metric value.
+ * @param {number|null} value - Value
+ * @param {boolean} ratio - Whether the value is a ratio
+ * @returns {string} Value such as `18.5%` or `12`, or `-` if missing
+ */
+function formatValue(value, ratio) {
+  if (value === null) {
+    return "-";
+  }
+  return ratio ? `${(value * 100).toFixed(1)}%` : String(value);
+}
+
+/**
+ * Format a change between two values.
+ * @param {number|null} delta - Change
+ * @param {boolean} ratio - Whether the values are ratios (shown in points)
+ * @returns {string} Change such as `+1.5` or `-2`, or an empty string if none
+ */
+function formatDelta(delta, ratio) {
+  const value = ratio && delta !== null ? Number((delta * 100).toFixed(1)) : delta;
+  if (!value) {
+    return "";
+  }
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Shorten a commit hash for display.
+ * @param {string|null} commit - Commit hash
+ * @returns {string} Short hash, or `-` outside git
+ */
+function shortCommit(commit) {
+  return commit ? commit.slice(0, 7) : "-";
+}
+
+/**
+ * Format the metrics of an entry as text.
+ *
+ * @param {Object} entry - History entry
+ * @returns {string} Metrics and violations per rule
+ */
+function formatStats(entry) {
+  const { metrics } = entry;
+  const { jsdoc, todos, violations } = metrics;
+
+  const lines = [
+    `Comment metrics for ${shortCommit(entry.commit)}${entry.date ? ` (${entry.date.slice(0, 10)})` : ""}, preset ${entry.preset}`,
+    "",
+    renderTable(["Metric", "Value"], [
+      ["Files", String(metrics.files)],
+      ["Comment ratio", `${formatValue(metrics.commentRatio, true)} (${metrics.commentLines} comment / ${metrics.codeLines} code lines)`],
+      ["JSDoc coverage", `${formatValue(jsdoc.coverage, true)} (${jsdoc.documented} of ${jsdoc.exported} exported functions)`],
+      ["TODOs", `${todos.total} (fresh ${todos.fresh}, aged ${todos.aged}, critical ${todos.critical}, undated ${todos.undated})`],
+      ["Violations", String(violations.total)],
+    ], "  "),
+  ];
+
+  const rules = Object.entries(violations.byRule);
+  if (rules.length > 0) {
+    lines.push("", "Violations by rule:", "", renderTable(["Rule", "Count"], rules.map(([rule, count]) => [rule, String(count)]), "  "));
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Format the trend table of the latest history entries.
+ *
+ * Each value is followed by its change since the row above.
+ *
+ * @param {Object[]} entries - History entries, oldest first
+ * @param {number} limit - Entries to show
+ * @returns {string} Trend table
+ *
+ * @example
+ * formatTrend(history.entries, 10);
+ * // Commit   Date        Comment ratio  JSDoc coverage  TODOs   ...
+ * // 1a2b3c4  2026-10-01  18.0%          70.0%           9       ...
+ * // 5d6e7f8  2026-10-10  19.5% (+1.5)   75.0% (+5)      8 (-1)  ...
+ */
+function formatTrend(entries, limit) {
+  const shown = entries.slice(-limit);
+  const offset = entries.length - shown.length;
+
+  const rows = shown.map((entry, index) => {
+    const previous = entries[offset + index - 1];
+
+    return [
+      shortCommit(entry.commit),
+      entry.date ? entry.date.slice(0, 10) : "-",
+      ...TREND_METRICS.map((metric) => {
+        const value = metric.get(entry.metrics);
+        const previousValue = previous ? metric.get(previous.metrics) : null;
+        const delta = formatDelta(value === null || previousValue === null ? null : value - previousValue, metric.ratio);
+        return `${formatValue(value, metric.ratio)}${delta ? ` (${delta})` : ""}`;
+      }),
+    ];
+  });
+
+  const title = shown.length < entries.length
+    ? `Trend (last ${shown.length} of ${entries.length} entries):`
+    : `Trend (${entries.length} entries):`;
+
+  return `${title}\n\n${renderTable(["Commit", "Date", ...TREND_METRICS.map((metric) => metric.label)], rows, "  ")}`;
+}
+
+/**
+ * Describe the regressions of a comparison.
+ *
+ * @param {Object[]} changes - From compareEntries
+ * @returns {string[]} One line per regressed metric
+ */
+function describeRegressions(changes) {
+  return changes
+    .filter((change) => change.regressed)
+    .map((change) => {
+      const direction = change.delta > 0 ? "rose" : "fell";
+      const tolerance = change.ratio
+        ? `${Number((change.tolerance * 100).toFixed(2))} point(s)`
+        : String(change.tolerance);
+
+      return `${change.label} ${direction} from ${formatValue(change.base, change.ratio)} ` +
+        `to ${formatValue(change.current, change.ratio)} (tolerance: ${tolerance})`;
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Measure comment metrics, record them in the history file and optionally
+ * compare them with earlier entries.
+ *
+ * @param {string[]} patterns - File patterns to measure
+ * @param {Object} [options] - Command options
+ * @param {string} [options.preset] - Preset (default: the project config's
+ *   preset, or "recommended")
+ * @param {string} [options.history] - History file (default: `stats.history`
+ *   in `.lintmylinesrc`, or `.lint-my-lines-history.json`)
+ * @param {boolean} [options.record=true] - Write the entry to the history file
+ * @param {boolean} [options.trend=false] - Compare with earlier entries and
+ *   fail on regressions
+ * @param {string} [options.base] - Commit to compare with (default: the previous entry)
+ * @param {string|number} [options.limit=10] - Entries shown by `--trend`
+ * @param {string} [options.format="text"] - Output format (text|json)
+ * @returns {Promise<number>} Exit code (0 = success, 1 = error or regression)
+ */
+async function stats(patterns, options = {}) {
+  const format = options.format || "text";
+  const record = options.record !== false;
+  const limit = options.limit === undefined ? DEFAULT_TREND_LIMIT : Number(options.limit);
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Error: Invalid format "${format}". Choose from: ${FORMATS.join(", ")}`);
+    return 1;
+  }
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.error(`Error: Invalid --limit "${options.limit}". Expected a positive integer`);
+    return 1;
+  }
+
+  if (options.base && !options.trend) {
+    console.error("Error: --base can only be used with --trend");
+    return 1;
+  }
+
+  let commit = { sha: null, date: null };
+  try {
+    commit = getHeadCommit();
+  } catch (error) {
+    // Without history, metrics can be printed for any directory
+    if (record || options.trend) {
+      console.error(`Error: The stats history is keyed by git commit: ${error.message}`);
+      return 1;
+    }
+  }
+
+  try {
+    const measured = await collectStats(patterns, { preset: options.preset });
+    const historyFile = options.history || measured.history || DEFAULT_HISTORY_FILE;
+    const entry = {
+      commit: commit.sha,
+      date: commit.date,
+      recordedAt: new Date().toISOString(),
+      preset: measured.preset,
+      metrics: measured.metrics,
+    };
+
+    const history = addHistoryEntry(record || options.trend ? loadHistory(historyFile) : { entries: [] }, entry);
+    if (record) {
+      writeHistory(historyFile, history);
+      log.debug("Recorded %s in %s", shortCommit(entry.commit), historyFile);
+    }
+
+    if (!options.trend) {
+      if (format === "json") {
+        console.log(JSON.stringify(entry, null, 2));
+      } else {
+        console.log(formatStats(entry));
+        if (record) {
+          console.log(`\nRecorded in ${historyFile} (${history.entries.length} entries)`);
+        }
+      }
+      return 0;
+    }
+
+    const base = findBaseEntry(history.entries, options.base);
+    const changes = base ? compareEntries(entry, base, measured.tolerance) : [];
+    const regressions = describeRegressions(changes);
+
+    if (format === "json") {
+      console.log(JSON.stringify({ current: entry, base, changes, regressed: regressions.length > 0 }, null, 2));
+    } else {
+      console.log(formatStats(entry));
+      console.log(`\n${formatTrend(history.entries, limit)}`);
+
+      if (!base) {
+        console.log("\nNo earlier entry to compare with.");
+      } else if (regressions.length > 0) {
+        console.log(`\nRegressions since ${shortCommit(base.commit)}:`);
+        for (const regression of regressions) {
+          console.log(`  ${regression}`);
+        }
+      } else {
+        console.log(`\nNo regressions since ${shortCommit(base.commit)}.`);
+      }
+    }
+
+    return regressions.length > 0 ? 1 : 0;
+  } catch (error) {
+    log.error("Stats error: %s", error.message);
+    console.error("Error collecting stats:", error.message);
+    return 1;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  DEFAULT_HISTORY_FILE,
+  TREND_METRICS,
+  stats,
+  collectStats,
+  loadHistory,
+  writeHistory,
+  addHistoryEntry,
+  compareEntries,
+  findBaseEntry,
+  formatTrend,
+};
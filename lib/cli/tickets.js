@@ -0,0 +1,366 @@
+/**
+ * @fileoverview Ticket snapshots for `lint-my-lines tickets sync`
+ * @author Jules
+ *
+ * ESLint never awaits rule listeners, so `issue-tracker-integration`
+ * cannot report the results of network requests made while linting.
+ * `tickets sync` does the network part up front instead:
+ *
+ * 1. Collect every ticket ID referenced in TODO/FIXME comments of the
+ *    linted files, routed to the first of the file's trackers whose
+ *    `ticketPattern` matches it.
+ * 2. Fetch each ticket through the configured tracker client, always
+ *    fresh: the ticket cache is bypassed, and refreshed with the results.
+ * 3. Write state, title, assignee and fetch time to the rule's
+ *    `snapshotPath`, which the rule then validates against synchronously.
+ *
+ * Tracker settings come from the same config as `lint` (preset and
+ * `.lintmylinesrc`), per file, so overrides for some globs are honored.
+ * A snapshot is only written when every ticket in it could be fetched.
+ *
+ * @example
+ * lint-my-lines tickets sync
+ * lint-my-lines tickets sync src --output .lintmylines-tickets.json
+ *
+ * @module cli/tickets
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const path = require("path");
+
+const {
+  createClient,
+  getTrackerKey,
+  getTrackerConfigs,
+  routeTickets,
+} = require("../utils/issue-tracker-client");
+const { createSnapshot, toSnapshotEntry, writeSnapshot } = require("../utils/ticket-snapshot");
+const { createLogger } = require("../utils/debug");
+const { createLinter, getLintPatterns } = require("./lint");
+const { createCollectorESLint } = require("./collector");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for ticket operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Rule whose settings configure the trackers.
+ * @type {string}
+ */
+const TRACKER_RULE = "lint-my-lines/issue-tracker-integration";
+
+/**
+ * Internal plugin name for the collector rule.
+ * @type {string}
+ */
+const COLLECTOR_PLUGIN = "lint-my-lines-tickets";
+
+/**
+ * Tickets fetched at the same time from one tracker.
+ * @type {number}
+ */
+const FETCH_CONCURRENCY = 4;
+
+/**
+ * Descriptions of client validation errors.
+ * @type {Object<string, string>}
+ */
+const ERROR_DESCRIPTIONS = {
+  authFailed: "authentication failed, check the token",
+  rateLimited: "rate limited",
+  unreachable: "tracker unreachable",
+};
+
+// ---------------------------------------------------------------------------
+// Collection
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a plugin whose only rule records each file's comments.
+ *
+ * @param {Map<string, string[]>} comments - Receives comment texts by file path
+ * @returns {Object} ESLint plugin object
+ */
+function createCollectorPlugin(comments) {
+  return {
+    rules: {
+      collect: {
+        meta: {
+          type: "suggestion",
+          schema: [],
+        },
+        create(context) {
+          return {
+            Program() {
+              comments.set(
+                context.getFilename(),
+                context.getSourceCode().getAllComments().map((comment) => comment.value)
+              );
+            },
+          };
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Get the issue-tracker-integration options of a resolved config.
+ * @param {Object} config - Config from calculateConfigForFile
+ * @returns {Object|null} Rule options, or null if the rule is off or has
+ *   no tracker
+ */
+function getTrackerOptions(config) {
+  const setting = config.rules && config.rules[TRACKER_RULE];
+  const severity = Array.isArray(setting) ? setting[0] : setting;
+
+  if (setting === undefined || severity === 0 || severity === "off") {
+    return null;
+  }
+
+  const options = (Array.isArray(setting) && setting[1]) || {};
+  return getTrackerConfigs(options).length > 0 ? options : null;
+}
+
+/**
+ * Get the group of tickets for a snapshot and tracker, creating it on
+ * first use.
+ *
+ * @param {Map<string, Object>} groups - Groups by snapshot and tracker key
+ * @param {string|null} snapshotPath - Absolute snapshot path
+ * @param {Object} tracker - Tracker configuration
+ * @returns {Object} `{ snapshotPath, trackerKey, config, tickets }`
+ */
+function getGroup(groups, snapshotPath, tracker) {
+  const trackerKey = getTrackerKey(tracker);
+  const groupKey = `${snapshotPath}\0${trackerKey}`;
+
+  if (!groups.has(groupKey)) {
+    groups.set(groupKey, { snapshotPath, trackerKey, config: tracker, tickets: new Set() });
+  }
+  return groups.get(groupKey);
+}
+
+/**
+ * Collect the ticket IDs referenced in a set of files, grouped by the
+ * snapshot and tracker they belong to.
+ *
+ * @param {string[]} patterns - File patterns; when empty, the project
+ *   config's `files` or the working directory
+ * @param {Object} [options] - Collection options
+ * @param {string} [options.cwd=process.cwd()] - Directory to collect from
+ * @param {string} [options.preset] - Preset (default: the project config's
+ *   preset, or "recommended")
+ * @param {string} [options.output] - Snapshot path for every tracker,
+ *   instead of each rule setting's `snapshotPath`
+ * @returns {Promise<Object[]>} Groups of `{ snapshotPath, trackerKey,
+ *   config, tickets }`, with `snapshotPath` absolute (null if neither the
+ *   setting nor `output` names one) and `tickets` a sorted array of IDs
+ * @throws {Error} If the project config or preset is invalid
+ */
+async function collectTickets(patterns, options = {}) {
+  const linter = createLinter({ cwd: options.cwd, preset: options.preset });
+  const { cwd } = linter;
+  const comments = new Map();
+  const lintPatterns = getLintPatterns(linter, patterns);
+  const eslint = createCollectorESLint(linter, COLLECTOR_PLUGIN, createCollectorPlugin(comments));
+
+  log.debug("Collecting ticket references from: %j", lintPatterns);
+  await eslint.lintFiles(lintPatterns);
+
+  const groups = new Map();
+
+  for (const [filePath, texts] of comments) {
+    const trackerOptions = getTrackerOptions(await linter.eslint.calculateConfigForFile(filePath));
+    if (!trackerOptions) {
+      continue;
+    }
+
+    const snapshotSetting = options.output || trackerOptions.snapshotPath;
+    const snapshotPath = snapshotSetting ? path.resolve(cwd, snapshotSetting) : null;
+    const trackers = getTrackerConfigs(trackerOptions);
+
+    // Every configured tracker gets a snapshot entry, even without tickets
+    for (const tracker of trackers) {
+      getGroup(groups, snapshotPath, tracker);
+    }
+
+    for (const text of texts) {
+      for (const { ticketId, tracker } of routeTickets(text, trackers)) {
+        getGroup(groups, snapshotPath, tracker).tickets.add(ticketId);
+      }
+    }
+  }
+
+  log.debug("Found %d tracker setting(s) in %d file(s)", groups.size, comments.size);
+
+  return [...groups.values()].map((group) => ({
+    ...group,
+    tickets: [...group.tickets].sort(),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Fetching
+// ---------------------------------------------------------------------------
+
+/**
+ * Fetch tickets from one tracker, a few at a time.
+ *
+ * @param {Object} config - Tracker configuration for createClient
+ * @param {string[]} ticketIds - Ticket IDs
+ * @returns {Promise<Object[]>} Validation results, in the order of `ticketIds`
+ */
+async function fetchTickets(config, ticketIds) {
+  const client = createClient(config);
+  const results = new Array(ticketIds.length);
+  let next = 0;
+
+  /**
+   * Fetch tickets until none are left.
+   * @returns {Promise<void>}
+   */
+  async function work() {
+    while (next < ticketIds.length) {
+      const index = next++;
+      try {
+        results[index] = await client.validateTicket(ticketIds[index], { refresh: true });
+      } catch (error) {
+        results[index] = { error: "unreachable", message: error.message };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, ticketIds.length) }, work));
+  return results;
+}
+
+/**
+ * Describe a client validation error.
+ * @param {Object} result - Result with an `error`
+ * @returns {string} Description
+ */
+function describeError(result) {
+  if (result.error === "missingConfig") {
+    return `${result.field} is not configured`;
+  }
+  return result.message || ERROR_DESCRIPTIONS[result.error] || result.error;
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Fetch every referenced ticket and write the ticket snapshots.
+ *
+ * @param {string[]} patterns - File patterns to scan
+ * @param {Object} [options] - Command options
+ * @param {string} [options.preset] - Rule preset (default: the project
+ *   config's preset, or "recommended")
+ * @param {string} [options.output] - Write every tracker's tickets to this
+ *   snapshot, instead of each setting's `snapshotPath`
+ * @param {string} [options.cwd=process.cwd()] - Directory to sync from
+ * @returns {Promise<number>} Exit code (0 = success, 1 = error)
+ */
+async function ticketsSync(patterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+
+  let groups;
+  try {
+    groups = await collectTickets(patterns, options);
+  } catch (error) {
+    log.error("Ticket collection error: %s", error.message);
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+
+  if (groups.length === 0) {
+    console.error(`Error: No linted file enables ${TRACKER_RULE} with a tracker`);
+    return 1;
+  }
+
+  const unplaced = groups.filter((group) => !group.snapshotPath);
+  if (unplaced.length > 0) {
+    for (const group of unplaced) {
+      console.error(`Error: ${TRACKER_RULE} for ${group.trackerKey} has no snapshotPath. Set it or pass --output`);
+    }
+    return 1;
+  }
+
+  const now = new Date();
+  const snapshots = new Map();
+  const failed = new Set();
+  let exitCode = 0;
+
+  for (const group of groups) {
+    log.debug("Fetching %d ticket(s) from %s", group.tickets.length, group.trackerKey);
+    const results = await fetchTickets(group.config, group.tickets);
+
+    if (!snapshots.has(group.snapshotPath)) {
+      snapshots.set(group.snapshotPath, { snapshot: createSnapshot(now), counts: { total: 0, missing: 0, closed: 0 } });
+    }
+
+    const { snapshot, counts } = snapshots.get(group.snapshotPath);
+    const tickets = {};
+
+    group.tickets.forEach((ticketId, index) => {
+      const result = results[index];
+
+      if (result.error) {
+        console.error(`Error: Could not fetch ${ticketId} from ${group.trackerKey}: ${describeError(result)}`);
+        failed.add(group.snapshotPath);
+        exitCode = 1;
+        return;
+      }
+
+      tickets[ticketId] = toSnapshotEntry(result, now);
+      counts.total++;
+      counts.missing += result.exists ? 0 : 1;
+      counts.closed += result.exists && result.closed ? 1 : 0;
+    });
+
+    snapshot.trackers[group.trackerKey] = tickets;
+  }
+
+  for (const [snapshotPath, { snapshot, counts }] of snapshots) {
+    const relativePath = path.relative(cwd, snapshotPath);
+
+    if (failed.has(snapshotPath)) {
+      console.error(`Did not update ${relativePath} because some tickets could not be fetched`);
+      continue;
+    }
+
+    writeSnapshot(snapshotPath, snapshot);
+
+    const notes = [];
+    if (counts.missing > 0) {
+      notes.push(`${counts.missing} not found`);
+    }
+    if (counts.closed > 0) {
+      notes.push(`${counts.closed} closed`);
+    }
+    console.log(`Wrote ${counts.total} ticket(s) to ${relativePath}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}`);
+  }
+
+  return exitCode;
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  ticketsSync,
+  collectTickets,
+};
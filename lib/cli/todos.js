@@ -0,0 +1,440 @@
+/**
+ * @fileoverview TODO/FIXME/NOTE inventory for the CLI
+ * @author Jules
+ *
+ * This module collects every action comment in a set of files and
+ * exports them as structured data. It uses ESLint for file discovery
+ * and parsing (so ignore files and globs behave exactly like `lint`),
+ * and the shared action comment parser for the fields.
+ *
+ * ## Usage
+ *
+ * @example
+ * const { todos } = require('./todos');
+ *
+ * // Markdown table grouped by owner
+ * const exitCode = await todos(['src'], {
+ *   format: 'markdown',
+ *   groupBy: 'owner'
+ * });
+ *
+ * @module cli/todos
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+
+const { parseActionComment } = require("../utils/action-comment-utils");
+const { formatAge } = require("../utils/date-utils");
+const { createLogger } = require("../utils/debug");
+const { createCollectorESLint } = require("./collector");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for inventory operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * Supported output formats.
+ * @type {string[]}
+ */
+const FORMATS = ["json", "csv", "markdown"];
+
+/**
+ * Supported grouping fields.
+ * @type {string[]}
+ */
+const GROUP_FIELDS = ["owner", "ticket", "directory"];
+
+/**
+ * Group key used for entries without a value for the grouping field.
+ * @type {string}
+ */
+const NO_GROUP = "(none)";
+
+/**
+ * Internal plugin name for the collector rule.
+ * @type {string}
+ */
+const COLLECTOR_PLUGIN = "lint-my-lines-todos";
+
+// ---------------------------------------------------------------------------
+// Collection
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert a Date to a YYYY-MM-DD string in local time.
+ * @param {Date|null} date - Date to format
+ * @returns {string|null} Formatted date or null
+ */
+function toDateString(date) {
+  if (!date) {
+    return null;
+  }
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Create a plugin whose only rule records action comments into `entries`.
+ *
+ * The rule never reports. It runs inside ESLint so that file enumeration,
+ * ignore patterns and parsing match the `lint` command.
+ *
+ * @param {Object[]} entries - Array that receives collected entries
+ * @param {Object} options - Collection options
+ * @param {string[]} options.keywords - Keywords to keep (upper case)
+ * @param {string} [options.ticketPattern] - Regex source for ticket IDs
+ * @param {string} options.cwd - Directory that file paths are relative to
+ * @returns {Object} ESLint plugin object
+ */
+function createCollectorPlugin(entries, options) {
+  return {
+    rules: {
+      collect: {
+        meta: {
+          type: "suggestion",
+          schema: [],
+        },
+        create(context) {
+          const sourceCode = context.getSourceCode();
+          const file = path
+            .relative(options.cwd, context.getFilename())
+            .split(path.sep)
+            .join("/");
+
+          return {
+            Program() {
+              for (const comment of sourceCode.getAllComments()) {
+                const parsed = parseActionComment(comment.value, {
+                  ticketPattern: options.ticketPattern,
+                });
+
+                if (!parsed || !options.keywords.includes(parsed.keyword)) {
+                  continue;
+                }
+
+                entries.push({
+                  keyword: parsed.keyword,
+                  owner: parsed.owner,
+                  ticket: parsed.ticket,
+                  date: toDateString(parsed.date),
+                  ageDays: parsed.ageDays,
+                  reference: parsed.reference,
+                  formatted: parsed.formatted,
+                  description: parsed.description.replace(/\s+/g, " "),
+                  file,
+                  line: comment.loc.start.line,
+                  column: comment.loc.start.column + 1,
+                });
+              }
+            },
+          };
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Collect all action comments in the given file patterns.
+ *
+ * @param {string[]} patterns - File patterns to scan
+ * @param {Object} [options] - Collection options
+ * @param {string[]} [options.keywords] - Keywords to include (default: all)
+ * @param {string} [options.ticketPattern] - Regex source for ticket IDs
+ * @returns {Promise<{ entries: Object[], skipped: string[] }>} Collected
+ *   entries sorted by file and line, plus files that failed to parse
+ */
+async function collectTodos(patterns, options = {}) {
+  const cwd = process.cwd();
+  const keywords = (options.keywords || ["TODO", "FIXME", "NOTE"]).map((k) => k.toUpperCase());
+  const entries = [];
+
+  const linter = {
+    cwd,
+    overrideConfig: {
+      parserOptions: {
+        ecmaVersion: 2020,
+        sourceType: "module",
+      },
+    },
+  };
+  const eslint = createCollectorESLint(linter, COLLECTOR_PLUGIN, createCollectorPlugin(entries, {
+    keywords,
+    ticketPattern: options.ticketPattern,
+    cwd,
+  }));
+
+  log.debug("Collecting action comments from: %j", patterns);
+
+  const results = await eslint.lintFiles(patterns);
+  const skipped = results
+    .filter((result) => result.messages.some((message) => message.fatal))
+    .map((result) => path.relative(cwd, result.filePath));
+
+  entries.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+
+  log.debug("Collected %d action comment(s), skipped %d file(s)", entries.length, skipped.length);
+
+  return { entries, skipped };
+}
+
+// ---------------------------------------------------------------------------
+// Grouping
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the group key of an entry for a grouping field.
+ * @param {Object} entry - Collected entry
+ * @param {string} groupBy - One of GROUP_FIELDS
+ * @returns {string} Group key
+ */
+function getGroupKey(entry, groupBy) {
+  if (groupBy === "directory") {
+    return path.posix.dirname(entry.file);
+  }
+  return entry[groupBy] || NO_GROUP;
+}
+
+/**
+ * Group entries by owner, ticket or directory.
+ *
+ * Groups are sorted by key, with entries lacking a value last.
+ *
+ * @param {Object[]} entries - Collected entries
+ * @param {string} groupBy - One of GROUP_FIELDS
+ * @returns {Array<{ key: string, count: number, items: Object[] }>} Groups
+ */
+function groupTodos(entries, groupBy) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = getGroupKey(entry, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => {
+      if (a === NO_GROUP) return 1;
+      if (b === NO_GROUP) return -1;
+      return a.localeCompare(b);
+    })
+    .map(([key, items]) => ({ key, count: items.length, items }));
+}
+
+// ---------------------------------------------------------------------------
+// Formatters
+// ---------------------------------------------------------------------------
+
+/**
+ * Escape a value for a CSV cell.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, "\"\"")}"` : str;
+}
+
+/**
+ * Escape a value for a Markdown table cell.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function markdownCell(value) {
+  if (value === null || value === undefined || value === "") {
+    return "-";
+  }
+  return String(value).replace(/\|/g, "\\|");
+}
+
+/**
+ * Format entries as JSON.
+ * @param {Object[]} entries - Collected entries
+ * @param {string} [groupBy] - Optional grouping field
+ * @returns {string} JSON output
+ */
+function formatJson(entries, groupBy) {
+  if (!groupBy) {
+    return JSON.stringify({ total: entries.length, items: entries }, null, 2);
+  }
+  return JSON.stringify({
+    total: entries.length,
+    groupBy,
+    groups: groupTodos(entries, groupBy),
+  }, null, 2);
+}
+
+/**
+ * Format entries as CSV with a header row.
+ * @param {Object[]} entries - Collected entries
+ * @param {string} [groupBy] - Optional grouping field (adds a group column)
+ * @returns {string} CSV output
+ */
+function formatCsv(entries, groupBy) {
+  const columns = ["keyword", "owner", "ticket", "date", "ageDays", "file", "line", "description"];
+  const header = groupBy ? ["group", ...columns] : columns;
+  const lines = [header.join(",")];
+
+  const groups = groupBy ? groupTodos(entries, groupBy) : [{ key: null, items: entries }];
+  for (const group of groups) {
+    for (const entry of group.items) {
+      const cells = columns.map((column) => csvCell(entry[column]));
+      lines.push((groupBy ? [csvCell(group.key), ...cells] : cells).join(","));
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Format a list of entries as a Markdown table.
+ * @param {Object[]} entries - Entries to render
+ * @returns {string[]} Table lines
+ */
+function markdownTable(entries) {
+  const lines = [
+    "| Keyword | Owner | Ticket | Date | Age | Location | Description |",
+    "|---------|-------|--------|------|-----|----------|-------------|",
+  ];
+
+  for (const entry of entries) {
+    lines.push(`| ${[
+      entry.keyword,
+      entry.owner,
+      entry.ticket,
+      entry.date,
+      entry.ageDays === null ? null : formatAge(entry.ageDays),
+      `${entry.file}:${entry.line}`,
+      entry.description,
+    ].map(markdownCell).join(" | ")} |`);
+  }
+
+  return lines;
+}
+
+/**
+ * Format entries as Markdown, one table per group.
+ * @param {Object[]} entries - Collected entries
+ * @param {string} [groupBy] - Optional grouping field
+ * @returns {string} Markdown output
+ */
+function formatMarkdown(entries, groupBy) {
+  const lines = ["# Action Comment Inventory", "", `Total: ${entries.length}`, ""];
+
+  if (!groupBy) {
+    lines.push(...markdownTable(entries));
+    return lines.join("\n");
+  }
+
+  for (const group of groupTodos(entries, groupBy)) {
+    lines.push(`## ${groupBy}: ${group.key} (${group.count})`, "");
+    lines.push(...markdownTable(group.items), "");
+  }
+
+  return lines.join("\n").trimEnd();
+}
+
+/**
+ * Format collected entries.
+ * @param {Object[]} entries - Collected entries
+ * @param {Object} [options] - Format options
+ * @param {string} [options.format="markdown"] - One of FORMATS
+ * @param {string} [options.groupBy] - One of GROUP_FIELDS
+ * @returns {string} Formatted output
+ */
+function formatTodos(entries, options = {}) {
+  const format = options.format || "markdown";
+
+  switch (format) {
+    case "json":
+      return formatJson(entries, options.groupBy);
+    case "csv":
+      return formatCsv(entries, options.groupBy);
+    case "markdown":
+      return formatMarkdown(entries, options.groupBy);
+    default:
+      throw new Error(`Unknown format: ${format}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main Function
+// ---------------------------------------------------------------------------
+
+/**
+ * Inventory action comments and print or write the report.
+ *
+ * @param {string[]} patterns - File patterns to scan
+ * @param {Object} [options] - Command options
+ * @param {string} [options.format="markdown"] - Output format (json|csv|markdown)
+ * @param {string} [options.groupBy] - Group by owner, ticket or directory
+ * @param {string} [options.output] - Write the report to this file instead of stdout
+ * @param {string} [options.keywords] - Comma-separated keywords to include
+ * @param {string} [options.ticketPattern] - Regex source for ticket IDs
+ * @returns {Promise<number>} Exit code (0 = success, 1 = error)
+ */
+async function todos(patterns, options = {}) {
+  const format = options.format || "markdown";
+  const groupBy = options.groupBy;
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Error: Invalid format "${format}". Choose from: ${FORMATS.join(", ")}`);
+    return 1;
+  }
+
+  if (groupBy && !GROUP_FIELDS.includes(groupBy)) {
+    console.error(`Error: Invalid group "${groupBy}". Choose from: ${GROUP_FIELDS.join(", ")}`);
+    return 1;
+  }
+
+  try {
+    const { entries, skipped } = await collectTodos(patterns, {
+      keywords: options.keywords ? options.keywords.split(",").map((k) => k.trim()) : undefined,
+      ticketPattern: options.ticketPattern,
+    });
+
+    for (const file of skipped) {
+      console.error(`Warning: Could not parse ${file}, skipped`);
+    }
+
+    const output = formatTodos(entries, { format, groupBy });
+
+    if (options.output) {
+      fs.writeFileSync(options.output, `${output}\n`, "utf8");
+      console.log(`Wrote ${entries.length} action comment(s) to ${options.output}`);
+    } else {
+      console.log(output);
+    }
+
+    return 0;
+  } catch (error) {
+    log.error("Inventory error: %s", error.message);
+    console.error("Error collecting action comments:", error.message);
+    return 1;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = { todos, collectTodos, groupTodos, formatTodos };
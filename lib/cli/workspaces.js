@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Workspace discovery and per-package metrics for the lint command
+ * @author Jules
+ *
+ * `lint --workspaces` lints every package of an npm, yarn or pnpm
+ * monorepo with that package's own `.lintmylinesrc` and prints one summary
+ * row per package. This module finds the packages and collects the
+ * metrics for the summary; the linting itself is done by lint.js.
+ *
+ * ## Where packages are declared
+ *
+ * - `workspaces` in package.json, either an array of globs (npm, yarn) or
+ *   `{ packages: [...] }` (yarn classic)
+ * - `packages` in pnpm-workspace.yaml
+ *
+ * Globs support `*`, `**` and `?`, and `!` to exclude. Only directories
+ * with a package.json are packages; `node_modules` is never searched.
+ *
+ * @module cli/workspaces
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const { renderTable } = require("../utils/table-utils");
+const { createLogger } = require("../utils/debug");
+const { collectCommentMetrics } = require("./collector");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for workspace operations
+ * @type {Object}
+ */
+const log = createLogger("cli");
+
+/**
+ * pnpm's workspace file.
+ * @type {string}
+ */
+const PNPM_WORKSPACE_FILE = "pnpm-workspace.yaml";
+
+/**
+ * Directories never searched for packages.
+ * @type {Set<string>}
+ */
+const SKIPPED_DIRS = new Set(["node_modules", ".git"]);
+
+// ---------------------------------------------------------------------------
+// Discovery
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a JSON file, or return null if it does not exist.
+ *
+ * @param {string} file - File path
+ * @returns {Object|null} Parsed content
+ * @throws {Error} If the file exists but is not valid JSON
+ */
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the workspace globs declared in a monorepo root.
+ *
+ * @param {string} root - Monorepo root directory
+ * @returns {string[]|null} Globs from package.json and pnpm-workspace.yaml,
+ *   or null if neither declares workspaces
+ * @throws {Error} If package.json or pnpm-workspace.yaml cannot be parsed
+ *
+ * @example
+ * // package.json: { "workspaces": ["packages/*"] }
+ * readWorkspacePatterns(process.cwd()); // => ["packages/*"]
+ */
+function readWorkspacePatterns(root) {
+  let patterns = null;
+
+  const pkg = readJsonFile(path.join(root, "package.json"));
+  const workspaces = pkg && pkg.workspaces;
+  if (Array.isArray(workspaces)) {
+    patterns = [...workspaces];
+  } else if (workspaces && Array.isArray(workspaces.packages)) {
+    patterns = [...workspaces.packages];
+  }
+
+  const pnpmFile = path.join(root, PNPM_WORKSPACE_FILE);
+  if (fs.existsSync(pnpmFile)) {
+    let pnpmConfig;
+    try {
+      pnpmConfig = yaml.load(fs.readFileSync(pnpmFile, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not parse ${PNPM_WORKSPACE_FILE}: ${error.message}`);
+    }
+    if (pnpmConfig && Array.isArray(pnpmConfig.packages)) {
+      patterns = [...(patterns || []), ...pnpmConfig.packages];
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * Convert a workspace glob to a regular expression for relative paths.
+ *
+ * @param {string} pattern - Glob such as `packages/*` or `apps/**`
+ * @returns {RegExp} Expression matching posix paths relative to the root
+ *
+ * @example
+ * globToRegExp("packages/*").test("packages/api"); // => true
+ */
+function globToRegExp(pattern) {
+  const normalized = pattern.replace(/^\.\//, "").replace(/\/+$/, "");
+  let source = "";
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+
+    if (char === "*" && normalized[i + 1] === "*") {
+      // `**/` matches any number of directories, a trailing `/**` any depth below
+      if (normalized[i + 2] === "/") {
+        source += "(?:[^/]+/)*";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List directories below a root that contain a package.json.
+ *
+ * @param {string} root - Directory to search
+ * @param {number} maxDepth - Deepest directory level to visit
+ * @returns {string[]} Posix paths relative to the root
+ */
+function findPackageDirs(root, maxDepth) {
+  const found = [];
+
+  const visit = (relativeDir, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(root, relativeDir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || SKIPPED_DIRS.has(entry.name)) {
+        continue;
+      }
+
+      const child = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (fs.existsSync(path.join(root, child, "package.json"))) {
+        found.push(child);
+      }
+      if (depth < maxDepth) {
+        visit(child, depth + 1);
+      }
+    }
+  };
+
+  visit("", 1);
+  return found;
+}
+
+/**
+ * Find the packages of a monorepo.
+ *
+ * @param {string} [root=process.cwd()] - Monorepo root directory
+ * @returns {Object[]|null} Packages sorted by path, each `{ name, path, dir }`
+ *   (`path` relative to the root, `dir` absolute), or null if the root
+ *   declares no workspaces
+ * @throws {Error} If a workspace file cannot be parsed
+ *
+ * @example
+ * discoverWorkspaces("/repo");
+ * // => [{ name: "@acme/api", path: "packages/api", dir: "/repo/packages/api" }]
+ */
+function discoverWorkspaces(root = process.cwd()) {
+  const patterns = readWorkspacePatterns(root);
+  if (!patterns) {
+    return null;
+  }
+
+  const include = patterns.filter((pattern) => !pattern.startsWith("!")).map(globToRegExp);
+  const exclude = patterns.filter((pattern) => pattern.startsWith("!")).map((pattern) => globToRegExp(pattern.slice(1)));
+
+  // Globs without ** never match deeper than their own number of segments
+  const maxDepth = patterns.some((pattern) => pattern.includes("**"))
+    ? Infinity
+    : Math.max(0, ...patterns.map((pattern) => pattern.replace(/^!?\.\//, "").split("/").length));
+
+  const workspaces = findPackageDirs(root, maxDepth)
+    .filter((dir) => include.some((regex) => regex.test(dir)) && !exclude.some((regex) => regex.test(dir)))
+    .sort()
+    .map((relativeDir) => {
+      const dir = path.join(root, relativeDir);
+      const pkg = readJsonFile(path.join(dir, "package.json"));
+
+      return { name: (pkg && pkg.name) || relativeDir, path: relativeDir, dir };
+    });
+
+  log.debug("Found %d workspace(s) for %j", workspaces.length, patterns);
+
+  return workspaces;
+}
+
+/**
+ * Keep only the named workspaces.
+ *
+ * @param {Object[]} workspaces - Packages from discoverWorkspaces
+ * @param {string[]} names - Package names or paths
+ * @returns {Object[]} Matching packages
+ * @throws {Error} If a name matches no package
+ */
+function filterWorkspaces(workspaces, names) {
+  for (const name of names) {
+    if (!workspaces.some((workspace) => workspace.name === name || workspace.path === name)) {
+      const available = workspaces.map((workspace) => workspace.name).join(", ");
+      throw new Error(`Unknown workspace "${name}". Available: ${available}`);
+    }
+  }
+
+  return workspaces.filter((workspace) => names.includes(workspace.name) || names.includes(workspace.path));
+}
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+/**
+ * Count TODO comments and the comment-to-code ratio of linted files.
+ *
+ * Files are parsed with the same processors and ignore patterns they were
+ * linted with, but only the metrics rule runs.
+ *
+ * @param {string[]} files - Absolute file paths
+ * @param {Object} options - Collection options
+ * @param {string} options.cwd - Package directory
+ * @param {Object} options.overrideConfig - Config the files were linted with
+ * @returns {Promise<Object>} `{ todoCount, commentLines, codeLines, commentRatio }`;
+ *   the ratio is comment lines per code line (null if there is no code)
+ */
+async function collectWorkspaceMetrics(files, options) {
+  const { todos, commentLines, codeLines } = await collectCommentMetrics(options, files);
+
+  return {
+    todoCount: todos.total,
+    commentLines,
+    codeLines,
+    commentRatio: codeLines > 0 ? commentLines / codeLines : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Summary
+// ---------------------------------------------------------------------------
+
+/**
+ * Add up package summaries.
+ *
+ * The comment ratio of the total is not an average of the package ratios;
+ * it is recomputed from the packages' line counts.
+ *
+ * @param {Object[]} summaries - Package summaries
+ * @returns {Object} Total `{ packages, files, errorCount, warningCount, todoCount, commentRatio }`
+ */
+function getWorkspaceTotal(summaries) {
+  const sum = (key) => summaries.reduce((total, summary) => total + summary[key], 0);
+  const commentLines = sum("commentLines");
+  const codeLines = sum("codeLines");
+
+  return {
+    packages: summaries.length,
+    files: sum("files"),
+    errorCount: sum("errorCount"),
+    warningCount: sum("warningCount"),
+    todoCount: sum("todoCount"),
+    commentRatio: codeLines > 0 ? commentLines / codeLines : null,
+  };
+}
+
+/**
+ * Format a comment ratio as a percentage.
+ *
+ * @param {number|null} ratio - Comment lines per code line
+ * @returns {string} Percentage such as `12%`, or `-` without code
+ */
+function formatRatio(ratio) {
+  return ratio === null ? "-" : `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Render the per-package summary table with a total row.
+ *
+ * @param {Object[]} summaries - Package summaries
+ * @returns {string} Table text
+ *
+ * @example
+ * formatWorkspaceSummary(summaries);
+ * // Package    Path          Preset  Files  Errors  Warnings  TODOs  Comment ratio
+ * // @acme/api  packages/api  strict  12     0       3         1      18%
+ * // Total      1 package(s)          12     0       3         1      18%
+ */
+function formatWorkspaceSummary(summaries) {
+  const total = getWorkspaceTotal(summaries);
+  const row = (summary) => [
+    summary.files,
+    summary.errorCount,
+    summary.warningCount,
+    summary.todoCount,
+    formatRatio(summary.commentRatio),
+  ].map(String);
+
+  return renderTable(
+    ["Package", "Path", "Preset", "Files", "Errors", "Warnings", "TODOs", "Comment ratio"],
+    [
+      ...summaries.map((summary) => [summary.name, summary.path, summary.preset, ...row(summary)]),
+      ["Total", `${total.packages} package(s)`, "", ...row(total)],
+    ]
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  PNPM_WORKSPACE_FILE,
+  readWorkspacePatterns,
+  globToRegExp,
+  discoverWorkspaces,
+  filterWorkspaces,
+  collectWorkspaceMetrics,
+  getWorkspaceTotal,
+  formatWorkspaceSummary,
+};
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Checkstyle XML formatter for lint results
+ * @author Jules
+ *
+ * Produces a Checkstyle 4.3 report, the format read by Jenkins Warnings,
+ * SonarQube, reviewdog and other code-quality tools. Each linted file
+ * becomes a `file` element and each message an `error` element whose
+ * `source` is the rule ID.
+ *
+ * Checkstyle has no fields for rule metadata, so the rule's category and
+ * documentation URL are added as `category` and `url` attributes. Readers
+ * of the format ignore attributes they do not know.
+ *
+ * @module formatters/checkstyle
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const { getRuleDocsUrl, escapeMarkup, toRelativePath } = require("./formatter-utils");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Checkstyle format version written in the report.
+ * @type {string}
+ */
+const CHECKSTYLE_VERSION = "4.3";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build an `error` element from an ESLint message.
+ * @param {Object} message - ESLint lint message
+ * @param {Object} rulesMeta - Rule meta objects keyed by rule ID
+ * @returns {string} Error element XML
+ */
+function createError(message, rulesMeta) {
+  const attributes = [
+    ["line", message.line || 0],
+    ["column", message.column || 0],
+    ["severity", message.severity === 2 ? "error" : "warning"],
+    ["message", message.message],
+  ];
+
+  // Parse errors have no rule ID
+  if (message.ruleId) {
+    const meta = rulesMeta[message.ruleId] || {};
+    const docs = meta.docs || {};
+    const url = getRuleDocsUrl(message.ruleId, meta);
+
+    attributes.push(["source", message.ruleId]);
+    if (docs.category) {
+      attributes.push(["category", docs.category]);
+    }
+    if (url) {
+      attributes.push(["url", url]);
+    }
+  }
+
+  const xml = attributes.map(([name, value]) => `${name}="${escapeMarkup(value)}"`).join(" ");
+  return `    <error ${xml}/>`;
+}
+
+// ---------------------------------------------------------------------------
+// Formatter
+// ---------------------------------------------------------------------------
+
+/**
+ * Format lint results as a Checkstyle XML report.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} [context] - Formatter context
+ * @param {string} [context.cwd] - Directory that file paths are relative to
+ * @param {Object} [context.rulesMeta] - Rule meta objects keyed by rule ID
+ * @returns {string} Checkstyle XML
+ */
+function formatCheckstyle(results, context = {}) {
+  const cwd = context.cwd || process.cwd();
+  const rulesMeta = context.rulesMeta || {};
+
+  const files = results.map((result) => {
+    const name = escapeMarkup(toRelativePath(result.filePath, cwd));
+
+    if (result.messages.length === 0) {
+      return `  <file name="${name}"/>`;
+    }
+
+    const errors = result.messages.map((message) => createError(message, rulesMeta));
+    return `  <file name="${name}">\n${errors.join("\n")}\n  </file>`;
+  });
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    `<checkstyle version="${CHECKSTYLE_VERSION}">`,
+    ...files,
+    "</checkstyle>",
+  ].join("\n");
+}
+
+module.exports = formatCheckstyle;
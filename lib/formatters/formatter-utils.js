@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Helpers shared by the built-in formatters
+ * @author Jules
+ * @module formatters/formatter-utils
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const path = require("path");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Prefix of rule IDs owned by this plugin.
+ * @type {string}
+ */
+const RULE_PREFIX = "lint-my-lines/";
+
+/**
+ * Base URL for rule documentation, used when a rule has no `docs.url`.
+ * @type {string}
+ */
+const RULE_DOCS_BASE = "https://github.com/southpawriter02/lint-my-lines/blob/main/docs/rules/";
+
+/**
+ * Parser options for formatters that parse reported files again, matching
+ * the lint command's defaults.
+ * @type {Object}
+ */
+const PARSER_OPTIONS = {
+  ecmaVersion: 2020,
+  sourceType: "module",
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the documentation URL of a rule.
+ *
+ * @param {string} ruleId - Rule ID (with plugin prefix)
+ * @param {Object} [meta] - Rule meta object
+ * @returns {string|null} `meta.docs.url`, the plugin's docs page for its own
+ *   rules, or null
+ *
+ * @example
+ * getRuleDocsUrl("lint-my-lines/enforce-todo-format");
+ * // => "https://github.com/.../docs/rules/enforce-todo-format.md"
+ */
+function getRuleDocsUrl(ruleId, meta) {
+  const docs = (meta && meta.docs) || {};
+
+  if (docs.url) {
+    return docs.url;
+  }
+  if (ruleId && ruleId.startsWith(RULE_PREFIX)) {
+    return `${RULE_DOCS_BASE}${ruleId.slice(RULE_PREFIX.length)}.md`;
+  }
+  return null;
+}
+
+/**
+ * Escape text for HTML or XML content and attribute values.
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Convert a file path to a forward-slash path relative to a directory.
+ *
+ * @param {string} filePath - Absolute file path
+ * @param {string} cwd - Base directory
+ * @returns {string} Relative path
+ */
+function toRelativePath(filePath, cwd) {
+  return path.relative(cwd, filePath).split(path.sep).join("/");
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  RULE_PREFIX,
+  RULE_DOCS_BASE,
+  PARSER_OPTIONS,
+  getRuleDocsUrl,
+  escapeMarkup,
+  toRelativePath,
+};
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview GitLab Code Quality formatter for lint results
+ * @author Jules
+ *
+ * Produces the Code Climate based JSON report that GitLab shows in merge
+ * request widgets and diffs. Each message becomes an issue with:
+ *
+ * - `check_name` - the rule ID
+ * - `severity` - `major` for errors, `minor` for warnings, `critical` for
+ *   parse errors
+ * - `categories` - the rule's `docs.category` mapped to a Code Climate
+ *   category
+ * - `content.body` - the rule's category and documentation link
+ * - `fingerprint` - a stable ID that GitLab uses to match issues between
+ *   pipelines
+ *
+ * Fingerprints are built like baseline fingerprints (see cli/baseline.js):
+ * rule ID, normalized comment text and enclosing function names, plus the
+ * file path. Line numbers are left out, so an issue keeps its fingerprint
+ * when code above it changes. Identical issues in one file are numbered in
+ * order of appearance, because GitLab requires fingerprints to be unique.
+ *
+ * Files are parsed again to build fingerprints, so the formatter is async.
+ *
+ * @see https://docs.gitlab.com/ee/ci/testing/code_quality.html#code-quality-report-format
+ * @module formatters/gitlab
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const crypto = require("crypto");
+
+const { collectMessageContexts, describeMessage, fingerprint } = require("../cli/baseline");
+const { PARSER_OPTIONS, getRuleDocsUrl, toRelativePath } = require("./formatter-utils");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Code Climate categories for rule categories. Other categories map to
+ * DEFAULT_CATEGORY.
+ * @type {Object<string, string>}
+ */
+const CATEGORY_MAP = {
+  "Stylistic Issues": "Style",
+};
+
+/**
+ * Code Climate category for rules without a mapped category.
+ * @type {string}
+ */
+const DEFAULT_CATEGORY = "Clarity";
+
+/**
+ * Check name for messages without a rule ID (parse errors).
+ * @type {string}
+ */
+const PARSE_ERROR_NAME = "parse-error";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Map an ESLint message to a Code Quality severity.
+ * @param {Object} message - ESLint lint message
+ * @returns {string} "critical", "major" or "minor"
+ */
+function toSeverity(message) {
+  if (message.fatal) {
+    return "critical";
+  }
+  return message.severity === 2 ? "major" : "minor";
+}
+
+/**
+ * Describe a rule's metadata as Markdown for `content.body`.
+ * @param {string} ruleId - Rule ID (with plugin prefix)
+ * @param {Object} [meta] - Rule meta object
+ * @returns {string|null} Markdown, or null without metadata
+ */
+function createContentBody(ruleId, meta = {}) {
+  const docs = meta.docs || {};
+  const lines = [];
+
+  if (docs.description) {
+    lines.push(docs.description);
+  }
+  if (docs.category) {
+    lines.push(`Category: ${docs.category}`);
+  }
+
+  const url = getRuleDocsUrl(ruleId, meta);
+  if (url) {
+    lines.push(`[${ruleId} documentation](${url})`);
+  }
+
+  return lines.length > 0 ? lines.join("\n\n") : null;
+}
+
+/**
+ * Build a Code Quality issue from an ESLint message.
+ * @param {Object} message - ESLint lint message
+ * @param {string} file - Relative file path
+ * @param {string} id - Issue fingerprint
+ * @param {Object} rulesMeta - Rule meta objects keyed by rule ID
+ * @returns {Object} Code Quality issue
+ */
+function createIssue(message, file, id, rulesMeta) {
+  const line = Math.max(message.line || 1, 1);
+  const issue = {
+    type: "issue",
+    check_name: message.ruleId || PARSE_ERROR_NAME,
+    description: message.message,
+    severity: toSeverity(message),
+    fingerprint: id,
+    location: {
+      path: file,
+      lines: { begin: line, end: Math.max(message.endLine || line, line) },
+    },
+  };
+
+  if (message.ruleId) {
+    const meta = rulesMeta[message.ruleId] || {};
+    const category = meta.docs && meta.docs.category;
+    const body = createContentBody(message.ruleId, meta);
+
+    issue.categories = [CATEGORY_MAP[category] || DEFAULT_CATEGORY];
+    if (body) {
+      issue.content = { body };
+    }
+  }
+
+  return issue;
+}
+
+// ---------------------------------------------------------------------------
+// Formatter
+// ---------------------------------------------------------------------------
+
+/**
+ * Format lint results as a GitLab Code Quality report.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} [context] - Formatter context
+ * @param {string} [context.cwd] - Directory that file paths are relative to
+ * @param {Object} [context.rulesMeta] - Rule meta objects keyed by rule ID
+ * @returns {Promise<string>} Code Quality JSON
+ */
+async function formatGitlab(results, context = {}) {
+  const cwd = context.cwd || process.cwd();
+  const rulesMeta = context.rulesMeta || {};
+  const contexts = await collectMessageContexts(results, { parserOptions: PARSER_OPTIONS });
+  const issues = [];
+
+  for (const result of results) {
+    const file = toRelativePath(result.filePath, cwd);
+    const occurrences = new Map();
+
+    for (const message of result.messages) {
+      const base = message.ruleId
+        ? fingerprint(message.ruleId, describeMessage(message, contexts.get(result.filePath)))
+        : fingerprint(PARSE_ERROR_NAME, { text: message.message, function: "" });
+
+      const key = `${file}\n${base}`;
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+
+      const id = crypto.createHash("md5").update(`${key}\n${occurrence}`).digest("hex");
+      issues.push(createIssue(message, file, id, rulesMeta));
+    }
+  }
+
+  return JSON.stringify(issues, null, 2);
+}
+
+module.exports = formatGitlab;
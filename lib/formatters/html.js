@@ -0,0 +1,532 @@
+/**
+ * @fileoverview Self-contained HTML comment-health report for lint results
+ * @author Jules
+ *
+ * Produces a single HTML file that can be opened offline or archived as a
+ * CI artifact. It has no external scripts, styles or fonts. The report
+ * contains:
+ *
+ * - Totals for files, errors, warnings, TODO/FIXME comments and the
+ *   comment-to-code ratio
+ * - A per-rule breakdown, linking each rule to its documentation
+ * - A per-file breakdown with each file's comment-to-code ratio, counted
+ *   like the comment-code-ratio rule
+ * - A sortable TODO/FIXME table. Ages are read from the comment's reference
+ *   date and graded with the lint command's todo-aging-warnings thresholds,
+ *   or the rule defaults (aged after 30 days, critical after 90)
+ * - Every message with the source lines around it
+ *
+ * TODO/FIXME comments and line counts are collected by parsing each
+ * reported file again, so files that failed to parse have no ratio and no
+ * TODO entries. The reparsing makes the formatter async.
+ *
+ * @module formatters/html
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const { createESLintInstance } = require("../utils/eslint-compat");
+const { countCommentLines } = require("../utils/comment-utils");
+const { extractDateFromComment, calculateAgeDays, formatAge, getAgeThresholds } = require("../utils/date-utils");
+const { getResultSource } = require("../utils/result-utils");
+const { PARSER_OPTIONS, getRuleDocsUrl, escapeMarkup, toRelativePath } = require("./formatter-utils");
+
+const pkg = require("../../package.json");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Keywords listed in the TODO/FIXME table.
+ * @type {string[]}
+ */
+const ACTION_KEYWORDS = ["TODO", "FIXME"];
+
+/**
+ * Source lines shown before and after a message.
+ * @type {number}
+ */
+const SNIPPET_CONTEXT = 2;
+
+/**
+ * Internal plugin name for the comment collector rule.
+ * @type {string}
+ */
+const COLLECTOR_PLUGIN = "lint-my-lines-report";
+
+/**
+ * Inline stylesheet.
+ * @type {string}
+ */
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #1f2328; }
+h1 { font-size: 24px; margin-bottom: 4px; }
+h2 { font-size: 18px; margin-top: 32px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+.meta { color: #656d76; font-size: 13px; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+.card { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 120px; }
+.card .value { font-size: 22px; font-weight: 600; }
+.card .label { color: #656d76; font-size: 12px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { border-bottom: 1px solid #d0d7de; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+table.sortable th { cursor: pointer; user-select: none; }
+th[aria-sort="ascending"]::after { content: " \\25B2"; }
+th[aria-sort="descending"]::after { content: " \\25BC"; }
+.num { text-align: right; }
+.error { color: #cf222e; }
+.warning { color: #9a6700; }
+.status-critical { color: #cf222e; font-weight: 600; }
+.status-aged { color: #9a6700; font-weight: 600; }
+details { border: 1px solid #d0d7de; border-radius: 6px; margin: 8px 0; padding: 8px 12px; }
+summary { cursor: pointer; font-weight: 600; }
+.message { margin: 12px 0; }
+pre { background: #f6f8fa; border-radius: 6px; font-size: 12px; margin: 4px 0; overflow-x: auto; padding: 8px 0; }
+pre span { display: block; padding: 0 12px; white-space: pre; }
+pre span.hit { background: #fff8c5; }
+.gutter { color: #8c959f; display: inline-block; min-width: 3em; }
+`;
+
+/**
+ * Inline script that sorts `table.sortable` by the clicked column. Cells
+ * sort by their `data-sort` attribute when present, numerically if possible.
+ * @type {string}
+ */
+const SCRIPT = `
+(function () {
+  function value(cell) {
+    var raw = cell.hasAttribute("data-sort") ? cell.getAttribute("data-sort") : cell.textContent;
+    var number = Number(raw);
+    return raw !== "" && !isNaN(number) ? number : raw.toLowerCase();
+  }
+  document.querySelectorAll("table.sortable th").forEach(function (th) {
+    th.addEventListener("click", function () {
+      var table = th.closest("table");
+      var index = Array.prototype.indexOf.call(th.parentNode.children, th);
+      var ascending = th.getAttribute("aria-sort") !== "ascending";
+      table.querySelectorAll("th").forEach(function (other) { other.removeAttribute("aria-sort"); });
+      th.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+      var body = table.tBodies[0];
+      var rows = Array.prototype.slice.call(body.rows);
+      rows.sort(function (a, b) {
+        var x = value(a.cells[index]);
+        var y = value(b.cells[index]);
+        var order = typeof x === "number" && typeof y === "number" ? x - y : String(x).localeCompare(String(y));
+        return ascending ? order : -order;
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+})();
+`;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Format a comment ratio as a percentage.
+ * @param {number|null} ratio - Comment lines per code line
+ * @returns {string} Percentage such as `12%`, or `-` without code
+ */
+function formatRatio(ratio) {
+  return ratio === null ? "-" : `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Grade the age of an action comment like todo-aging-warnings does.
+ * @param {number|null} ageDays - Age in days, or null without a past date
+ * @param {{ maxAgeDays: number, criticalAgeDays: number }} thresholds - Age thresholds
+ * @returns {string} "critical", "aged", "ok" or "undated"
+ */
+function getAgeStatus(ageDays, thresholds) {
+  if (ageDays === null) {
+    return "undated";
+  }
+  if (ageDays >= thresholds.criticalAgeDays) {
+    return "critical";
+  }
+  return ageDays >= thresholds.maxAgeDays ? "aged" : "ok";
+}
+
+/**
+ * Build a TODO/FIXME table entry from a comment.
+ *
+ * @param {{ value: string, line: number }} comment - Collected comment
+ * @param {string} file - Relative file path
+ * @param {{ maxAgeDays: number, criticalAgeDays: number }} thresholds - Age thresholds
+ * @returns {Object|null} Entry, or null if the comment is not a TODO/FIXME
+ */
+function createActionEntry(comment, file, thresholds) {
+  const extracted = extractDateFromComment(comment.value);
+  if (!ACTION_KEYWORDS.includes(extracted.keyword)) {
+    return null;
+  }
+
+  // Like todo-aging-warnings, future dates have no age
+  const ageDays = extracted.date ? calculateAgeDays(extracted.date) : -1;
+  const age = ageDays >= 0 ? ageDays : null;
+
+  return {
+    keyword: extracted.keyword,
+    reference: extracted.reference,
+    description: (extracted.description || comment.value.replace(/^[\s*]*(?:TODO|FIXME)\b\s*:?/i, ""))
+      .replace(/\s+/g, " ")
+      .trim(),
+    ageDays: age,
+    status: getAgeStatus(age, thresholds),
+    file,
+    line: comment.line,
+  };
+}
+
+/**
+ * Create a plugin whose rule records the comments and line counts of the
+ * file being linted.
+ *
+ * @param {Object} target - Receives `comments`, `commentLines` and `codeLines`
+ * @returns {Object} ESLint plugin object
+ */
+function createCollectorPlugin(target) {
+  return {
+    rules: {
+      collect: {
+        meta: {
+          type: "suggestion",
+          schema: [],
+        },
+        create(context) {
+          const sourceCode = context.getSourceCode();
+
+          return {
+            Program() {
+              const comments = sourceCode.getAllComments();
+              const counts = countCommentLines(sourceCode.lines, comments);
+
+              target.comments = comments.map((comment) => ({ value: comment.value, line: comment.loc.start.line }));
+              target.commentLines = counts.commentLines;
+              target.codeLines = counts.codeLines;
+            },
+          };
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Parse reported files again to collect their comments and line counts.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {string} cwd - Directory the files were linted from
+ * @returns {Promise<Map<string, Object>>} `{ source, comments, commentLines,
+ *   codeLines }` by file path; `comments` is null if the file did not parse
+ */
+async function collectFileData(results, cwd) {
+  const target = {};
+  const eslint = createESLintInstance({
+    cwd,
+    plugins: { [COLLECTOR_PLUGIN]: createCollectorPlugin(target) },
+    overrideConfig: {
+      plugins: [COLLECTOR_PLUGIN],
+      parserOptions: PARSER_OPTIONS,
+      rules: { [`${COLLECTOR_PLUGIN}/collect`]: "warn" },
+    },
+    cache: false,
+  });
+
+  const data = new Map();
+
+  for (const result of results) {
+    const source = getResultSource(result);
+    const entry = { source, comments: null, commentLines: 0, codeLines: 0 };
+
+    if (source !== null) {
+      target.comments = null;
+      await eslint.lintText(source, { filePath: result.filePath });
+      if (target.comments) {
+        Object.assign(entry, target);
+      }
+    }
+
+    data.set(result.filePath, entry);
+  }
+
+  return data;
+}
+
+/**
+ * Count messages per rule.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} rulesMeta - Rule meta objects keyed by rule ID
+ * @returns {Object[]} Rows sorted by message count, most first
+ */
+function getRuleRows(results, rulesMeta) {
+  const rows = new Map();
+
+  for (const result of results) {
+    for (const message of result.messages) {
+      const ruleId = message.ruleId || "(parse error)";
+      if (!rows.has(ruleId)) {
+        const meta = rulesMeta[ruleId] || {};
+        rows.set(ruleId, {
+          ruleId,
+          description: (meta.docs && meta.docs.description) || "",
+          category: (meta.docs && meta.docs.category) || "",
+          url: message.ruleId ? getRuleDocsUrl(ruleId, meta) : null,
+          errors: 0,
+          warnings: 0,
+          files: new Set(),
+        });
+      }
+
+      const row = rows.get(ruleId);
+      row[message.severity === 2 ? "errors" : "warnings"]++;
+      row.files.add(result.filePath);
+    }
+  }
+
+  return [...rows.values()].sort((a, b) => (b.errors + b.warnings) - (a.errors + a.warnings) ||
+    a.ruleId.localeCompare(b.ruleId));
+}
+
+/**
+ * Get the source lines around a message.
+ *
+ * @param {string[]} lines - Source lines
+ * @param {Object} message - ESLint lint message
+ * @returns {Array<{ number: number, text: string, hit: boolean }>} Snippet lines
+ */
+function getSnippet(lines, message) {
+  const line = message.line || 1;
+  const endLine = message.endLine || line;
+  const first = Math.max(1, line - SNIPPET_CONTEXT);
+  const last = Math.min(lines.length, endLine + SNIPPET_CONTEXT);
+  const snippet = [];
+
+  for (let number = first; number <= last; number++) {
+    snippet.push({ number, text: lines[number - 1], hit: number >= line && number <= endLine });
+  }
+
+  return snippet;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a numeric table cell.
+ * @param {number} value - Cell value
+ * @returns {string} HTML
+ */
+function numberCell(value) {
+  return `<td class="num">${value}</td>`;
+}
+
+/**
+ * Render the summary cards.
+ * @param {Object} totals - Report totals
+ * @returns {string} HTML
+ */
+function renderSummary(totals) {
+  const cards = [
+    ["Files", totals.files],
+    ["Errors", totals.errors],
+    ["Warnings", totals.warnings],
+    ["TODO/FIXME", totals.actionComments],
+    ["Comment ratio", formatRatio(totals.commentRatio)],
+  ];
+
+  return `<div class="cards">${cards.map(([label, value]) =>
+    `<div class="card"><div class="value">${escapeMarkup(value)}</div><div class="label">${label}</div></div>`).join("")}</div>`;
+}
+
+/**
+ * Render the per-rule table.
+ * @param {Object[]} rows - Rows from getRuleRows
+ * @returns {string} HTML
+ */
+function renderRuleTable(rows) {
+  if (rows.length === 0) {
+    return "<p>No messages.</p>";
+  }
+
+  const body = rows.map((row) => {
+    const name = row.url
+      ? `<a href="${escapeMarkup(row.url)}">${escapeMarkup(row.ruleId)}</a>`
+      : escapeMarkup(row.ruleId);
+
+    return `<tr><td>${name}</td><td>${escapeMarkup(row.category)}</td><td>${escapeMarkup(row.description)}</td>` +
+      `${numberCell(row.errors)}${numberCell(row.warnings)}${numberCell(row.files.size)}</tr>`;
+  });
+
+  return `<table class="sortable"><thead><tr><th>Rule</th><th>Category</th><th>Description</th>` +
+    `<th>Errors</th><th>Warnings</th><th>Files</th></tr></thead><tbody>${body.join("")}</tbody></table>`;
+}
+
+/**
+ * Render the per-file table.
+ * @param {Object[]} files - Report files
+ * @returns {string} HTML
+ */
+function renderFileTable(files) {
+  const body = files.map((file) => {
+    const ratio = file.commentRatio === null ? "" : ` data-sort="${file.commentRatio}"`;
+
+    return `<tr><td><a href="#file-${file.index}">${escapeMarkup(file.path)}</a></td>` +
+      `${numberCell(file.errors)}${numberCell(file.warnings)}${numberCell(file.actionComments)}` +
+      `<td class="num"${ratio}>${formatRatio(file.commentRatio)}</td></tr>`;
+  });
+
+  return `<table class="sortable"><thead><tr><th>File</th><th>Errors</th><th>Warnings</th>` +
+    `<th>TODO/FIXME</th><th>Comment ratio</th></tr></thead><tbody>${body.join("")}</tbody></table>`;
+}
+
+/**
+ * Render the TODO/FIXME table, oldest first.
+ * @param {Object[]} entries - Entries from createActionEntry
+ * @returns {string} HTML
+ */
+function renderActionTable(entries) {
+  if (entries.length === 0) {
+    return "<p>No TODO or FIXME comments.</p>";
+  }
+
+  const sorted = [...entries].sort((a, b) => (b.ageDays ?? -1) - (a.ageDays ?? -1) ||
+    a.file.localeCompare(b.file) || a.line - b.line);
+
+  const body = sorted.map((entry) => {
+    const age = entry.ageDays === null ? "-" : formatAge(entry.ageDays);
+
+    return `<tr><td>${entry.keyword}</td><td class="num" data-sort="${entry.ageDays ?? -1}">${escapeMarkup(age)}</td>` +
+      `<td class="status-${entry.status}">${entry.status}</td><td>${escapeMarkup(entry.reference || "")}</td>` +
+      `<td>${escapeMarkup(entry.description)}</td>` +
+      `<td data-sort="${escapeMarkup(entry.file)}:${String(entry.line).padStart(6, "0")}">${escapeMarkup(entry.file)}:${entry.line}</td></tr>`;
+  });
+
+  return `<table class="sortable"><thead><tr><th>Keyword</th><th>Age</th><th>Status</th><th>Reference</th>` +
+    `<th>Description</th><th>Location</th></tr></thead><tbody>${body.join("")}</tbody></table>`;
+}
+
+/**
+ * Render each file's messages with source snippets.
+ * @param {Object[]} files - Report files
+ * @returns {string} HTML
+ */
+function renderMessages(files) {
+  const withMessages = files.filter((file) => file.messages.length > 0);
+  if (withMessages.length === 0) {
+    return "<p>No messages.</p>";
+  }
+
+  return withMessages.map((file) => {
+    const messages = file.messages.map((message) => {
+      const severity = message.severity === 2 ? "error" : "warning";
+      const snippet = file.lines
+        ? `<pre>${getSnippet(file.lines, message).map((line) =>
+          `<span${line.hit ? " class=\"hit\"" : ""}><span class="gutter">${line.number}</span>${escapeMarkup(line.text)}</span>`).join("")}</pre>`
+        : "";
+
+      return `<div class="message"><span class="${severity}">${severity}</span> ` +
+        `${message.line || 0}:${message.column || 0} ${escapeMarkup(message.message)} ` +
+        `<span class="meta">${escapeMarkup(message.ruleId || "")}</span>${snippet}</div>`;
+    });
+
+    return `<details id="file-${file.index}" open><summary>${escapeMarkup(file.path)} ` +
+      `<span class="meta">(${file.errors} error(s), ${file.warnings} warning(s))</span></summary>${messages.join("")}</details>`;
+  }).join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Formatter
+// ---------------------------------------------------------------------------
+
+/**
+ * Format lint results as a self-contained HTML report.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} [context] - Formatter context
+ * @param {string} [context.cwd] - Directory that file paths are shown relative to
+ * @param {Object} [context.rulesMeta] - Rule meta objects keyed by rule ID
+ * @param {{ maxAgeDays: number, criticalAgeDays: number }} [context.ageThresholds] - TODO
+ *   age thresholds (default: the todo-aging-warnings defaults)
+ * @returns {Promise<string>} HTML document
+ *
+ * @example
+ * // npx lint-my-lines lint src --format html > comment-health.html
+ * const html = await formatHtml(results, { cwd: process.cwd(), rulesMeta });
+ */
+async function formatHtml(results, context = {}) {
+  const cwd = context.cwd || process.cwd();
+  const rulesMeta = context.rulesMeta || {};
+  const thresholds = context.ageThresholds || getAgeThresholds({});
+  const fileData = await collectFileData(results, cwd);
+
+  const actionEntries = [];
+  let commentLines = 0;
+  let codeLines = 0;
+
+  const files = results.map((result, index) => {
+    const data = fileData.get(result.filePath);
+    const filePath = toRelativePath(result.filePath, cwd);
+    const entries = (data.comments || [])
+      .map((comment) => createActionEntry(comment, filePath, thresholds))
+      .filter(Boolean);
+
+    actionEntries.push(...entries);
+    commentLines += data.commentLines;
+    codeLines += data.codeLines;
+
+    return {
+      index,
+      path: filePath,
+      errors: result.errorCount,
+      warnings: result.warningCount,
+      actionComments: entries.length,
+      commentRatio: data.comments && data.codeLines > 0 ? data.commentLines / data.codeLines : null,
+      messages: result.messages,
+      lines: data.source === null ? null : data.source.split(/\r?\n/),
+    };
+  });
+
+  const totals = {
+    files: files.length,
+    errors: results.reduce((sum, result) => sum + result.errorCount, 0),
+    warnings: results.reduce((sum, result) => sum + result.warningCount, 0),
+    actionComments: actionEntries.length,
+    commentRatio: codeLines > 0 ? commentLines / codeLines : null,
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Comment health report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Comment health report</h1>
+<div class="meta">Generated by lint-my-lines ${escapeMarkup(pkg.version)} on ${new Date().toISOString()}</div>
+${renderSummary(totals)}
+<h2>Rules</h2>
+${renderRuleTable(getRuleRows(results, rulesMeta))}
+<h2>Files</h2>
+${renderFileTable(files)}
+<h2>TODO and FIXME comments</h2>
+<p class="meta">Aged after ${thresholds.maxAgeDays} days, critical after ${thresholds.criticalAgeDays} days, counted from the date in the comment's reference.</p>
+${renderActionTable(actionEntries)}
+<h2>Messages</h2>
+${renderMessages(files)}
+<script>${SCRIPT}</script>
+</body>
+</html>`;
+}
+
+module.exports = formatHtml;
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Built-in formatters for the lint command
+ * @author Jules
+ *
+ * Formatters bundled with the plugin. Each one follows the ESLint custom
+ * formatter signature `(results, context) => string`, where context holds
+ * `cwd` and `rulesMeta` (plus the lint command's `ageThresholds`), and may
+ * return a promise. Names not listed here are passed through to
+ * `ESLint#loadFormatter` (stylish, json, compact, ...).
+ *
+ * Because they share the ESLint signature, each module can also be passed
+ * directly to `eslint --format`.
+ *
+ * @module formatters
+ */
+"use strict";
+
+/**
+ * Built-in formatters keyed by `--format` name.
+ * @type {Object<string, Function>}
+ */
+const formatters = {
+  sarif: require("./sarif"),
+  html: require("./html"),
+  junit: require("./junit"),
+  checkstyle: require("./checkstyle"),
+  gitlab: require("./gitlab"),
+};
+
+/**
+ * Get a built-in formatter by name.
+ * @param {string} name - Formatter name
+ * @returns {Function|null} Formatter function or null if not built in
+ */
+function getBuiltinFormatter(name) {
+  return Object.prototype.hasOwnProperty.call(formatters, name) ? formatters[name] : null;
+}
+
+module.exports = {
+  formatters,
+  getBuiltinFormatter,
+};
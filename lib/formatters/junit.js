@@ -0,0 +1,136 @@
+/**
+ * @fileoverview JUnit XML formatter for lint results
+ * @author Jules
+ *
+ * Produces a JUnit XML report for CI systems that display test results.
+ * Each linted file becomes a `testsuite`, and each message a failed
+ * `testcase` named after its rule. Files without messages get one passing
+ * test case, so clean files are counted too.
+ *
+ * Each failed test case carries the rule's category and documentation URL
+ * as `properties`, and repeats the URL in the failure text for tools that
+ * only show the failure body.
+ *
+ * @module formatters/junit
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const { getRuleDocsUrl, escapeMarkup, toRelativePath } = require("./formatter-utils");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Test case name for messages without a rule ID (parse errors).
+ * @type {string}
+ */
+const PARSE_ERROR_NAME = "parse-error";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the `properties` element of a failed test case.
+ * @param {string} ruleId - Rule ID (with plugin prefix)
+ * @param {Object} [meta] - Rule meta object
+ * @returns {string} Properties XML, or an empty string without metadata
+ */
+function createProperties(ruleId, meta = {}) {
+  const docs = meta.docs || {};
+  const properties = [];
+
+  if (docs.category) {
+    properties.push(["category", docs.category]);
+  }
+
+  const url = getRuleDocsUrl(ruleId, meta);
+  if (url) {
+    properties.push(["docs", url]);
+  }
+
+  if (properties.length === 0) {
+    return "";
+  }
+
+  const items = properties
+    .map(([name, value]) => `<property name="${name}" value="${escapeMarkup(value)}"/>`)
+    .join("");
+  return `<properties>${items}</properties>`;
+}
+
+/**
+ * Build a failed test case from an ESLint message.
+ * @param {Object} message - ESLint lint message
+ * @param {string} classname - Test case class name (the relative file path)
+ * @param {Object} rulesMeta - Rule meta objects keyed by rule ID
+ * @returns {string} Test case XML
+ */
+function createTestCase(message, classname, rulesMeta) {
+  const name = message.ruleId || PARSE_ERROR_NAME;
+  const severity = message.severity === 2 ? "error" : "warning";
+  const properties = message.ruleId ? createProperties(message.ruleId, rulesMeta[message.ruleId]) : "";
+
+  let body = `${classname}:${message.line || 0}:${message.column || 0} ${severity}: ${message.message}`;
+  const url = message.ruleId ? getRuleDocsUrl(message.ruleId, rulesMeta[message.ruleId]) : null;
+  if (url) {
+    body += `\nSee ${url}`;
+  }
+
+  return `    <testcase time="0" name="${escapeMarkup(name)}" classname="${escapeMarkup(classname)}">\n` +
+    (properties ? `      ${properties}\n` : "") +
+    `      <failure type="${severity}" message="${escapeMarkup(message.message)}">${escapeMarkup(body)}</failure>\n` +
+    "    </testcase>";
+}
+
+// ---------------------------------------------------------------------------
+// Formatter
+// ---------------------------------------------------------------------------
+
+/**
+ * Format lint results as a JUnit XML report.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} [context] - Formatter context
+ * @param {string} [context.cwd] - Directory that file paths are relative to
+ * @param {Object} [context.rulesMeta] - Rule meta objects keyed by rule ID
+ * @returns {string} JUnit XML
+ */
+function formatJunit(results, context = {}) {
+  const cwd = context.cwd || process.cwd();
+  const rulesMeta = context.rulesMeta || {};
+
+  let totalTests = 0;
+  let totalFailures = 0;
+
+  const suites = results.map((result) => {
+    const file = toRelativePath(result.filePath, cwd);
+    const testCases = result.messages.map((message) => createTestCase(message, file, rulesMeta));
+    const failures = testCases.length;
+
+    if (testCases.length === 0) {
+      testCases.push(`    <testcase time="0" name="lint-my-lines" classname="${escapeMarkup(file)}"/>`);
+    }
+
+    totalTests += testCases.length;
+    totalFailures += failures;
+
+    return `  <testsuite name="${escapeMarkup(file)}" tests="${testCases.length}" failures="${failures}" errors="0" time="0">\n` +
+      `${testCases.join("\n")}\n` +
+      "  </testsuite>";
+  });
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    `<testsuites name="lint-my-lines" tests="${totalTests}" failures="${totalFailures}" errors="0" time="0">`,
+    ...suites,
+    "</testsuites>",
+  ].join("\n");
+}
+
+module.exports = formatJunit;
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview SARIF 2.1.0 formatter for lint results
+ * @author Jules
+ *
+ * Produces a Static Analysis Results Interchange Format (SARIF) log that
+ * code-scanning dashboards can ingest. Each rule that produced a message
+ * becomes a `tool.driver.rules` entry built from its `meta.docs`, and each
+ * message becomes a `results` entry with a region and, for fixable rules,
+ * the unapplied fix as a SARIF replacement.
+ *
+ * @see https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ * @module formatters/sarif
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const pkg = require("../../package.json");
+const { getRuleDocsUrl } = require("./formatter-utils");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const SARIF_VERSION = "2.1.0";
+
+/**
+ * Base URI identifier for artifact locations relative to the lint cwd.
+ * @type {string}
+ */
+const SRCROOT = "%SRCROOT%";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert a file path to a URI relative to the base directory.
+ * @param {string} filePath - Absolute file path
+ * @param {string} cwd - Base directory
+ * @returns {string} Forward-slash relative URI
+ */
+function toRelativeUri(filePath, cwd) {
+  return path
+    .relative(cwd, filePath)
+    .split(path.sep)
+    .map(encodeURIComponent)
+    .join("/");
+}
+
+/**
+ * Map an ESLint severity to a SARIF level.
+ * @param {number} severity - ESLint severity (1 = warn, 2 = error)
+ * @returns {string} SARIF level
+ */
+function toLevel(severity) {
+  return severity === 2 ? "error" : "warning";
+}
+
+/**
+ * Build a SARIF reportingDescriptor for a rule.
+ * @param {string} ruleId - Rule ID (with plugin prefix)
+ * @param {Object} [meta] - Rule meta object
+ * @returns {Object} SARIF rule entry
+ */
+function createRuleDescriptor(ruleId, meta = {}) {
+  const docs = meta.docs || {};
+  const descriptor = { id: ruleId };
+
+  if (docs.description) {
+    descriptor.shortDescription = { text: docs.description };
+  }
+
+  const helpUri = getRuleDocsUrl(ruleId, meta);
+  if (helpUri) {
+    descriptor.helpUri = helpUri;
+  }
+
+  descriptor.properties = {
+    tags: docs.category ? [docs.category] : [],
+  };
+
+  if (docs.category) {
+    descriptor.properties.category = docs.category;
+  }
+
+  if (meta.fixable) {
+    descriptor.properties.fixable = meta.fixable;
+  }
+
+  return descriptor;
+}
+
+/**
+ * Build a SARIF region from an ESLint message.
+ *
+ * ESLint columns are 1-based like SARIF; a missing end position means the
+ * message covers a single point.
+ *
+ * @param {Object} message - ESLint lint message
+ * @returns {Object} SARIF region
+ */
+function createRegion(message) {
+  const region = {
+    startLine: Math.max(message.line || 1, 1),
+    startColumn: Math.max(message.column || 1, 1),
+  };
+
+  if (message.endLine) {
+    region.endLine = message.endLine;
+    region.endColumn = message.endColumn || region.startColumn;
+  }
+
+  return region;
+}
+
+/**
+ * Build a SARIF fix from an ESLint fix object.
+ * @param {Object} fix - ESLint fix ({ range, text })
+ * @param {Object} artifactLocation - SARIF artifact location of the file
+ * @returns {Object} SARIF fix
+ */
+function createFix(fix, artifactLocation) {
+  return {
+    description: { text: "Apply the lint-my-lines autofix" },
+    artifactChanges: [
+      {
+        artifactLocation,
+        replacements: [
+          {
+            deletedRegion: {
+              charOffset: fix.range[0],
+              charLength: fix.range[1] - fix.range[0],
+            },
+            insertedContent: { text: fix.text },
+          },
+        ],
+      },
+    ],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Formatter
+// ---------------------------------------------------------------------------
+
+/**
+ * Format lint results as a SARIF 2.1.0 log.
+ *
+ * @param {Object[]} results - ESLint lint results
+ * @param {Object} [context] - Formatter context
+ * @param {string} [context.cwd] - Directory that URIs are relative to
+ * @param {Object} [context.rulesMeta] - Rule meta objects keyed by rule ID
+ * @returns {string} SARIF JSON
+ */
+function formatSarif(results, context = {}) {
+  const cwd = context.cwd || process.cwd();
+  const rulesMeta = context.rulesMeta || {};
+
+  const rules = [];
+  const ruleIndexes = new Map();
+  const artifacts = [];
+  const sarifResults = [];
+
+  for (const result of results) {
+    const artifactLocation = {
+      uri: toRelativeUri(result.filePath, cwd),
+      uriBaseId: SRCROOT,
+      index: artifacts.length,
+    };
+    artifacts.push({ location: { uri: artifactLocation.uri, uriBaseId: SRCROOT } });
+
+    for (const message of result.messages) {
+      const sarifResult = {
+        level: toLevel(message.severity),
+        message: { text: message.message },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation,
+              region: createRegion(message),
+            },
+          },
+        ],
+      };
+
+      // Parse errors have no rule ID
+      if (message.ruleId) {
+        if (!ruleIndexes.has(message.ruleId)) {
+          ruleIndexes.set(message.ruleId, rules.length);
+          rules.push(createRuleDescriptor(message.ruleId, rulesMeta[message.ruleId]));
+        }
+        sarifResult.ruleId = message.ruleId;
+        sarifResult.ruleIndex = ruleIndexes.get(message.ruleId);
+      }
+
+      if (message.fix) {
+        sarifResult.fixes = [createFix(message.fix, artifactLocation)];
+      }
+
+      sarifResults.push(sarifResult);
+    }
+  }
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "lint-my-lines",
+            version: pkg.version,
+            informationUri: pkg.homepage,
+            rules,
+          },
+        },
+        originalUriBaseIds: {
+          [SRCROOT]: { uri: pathToFileURL(cwd + path.sep).href },
+        },
+        artifacts,
+        results: sarifResults,
+        columnKind: "utf16CodeUnits",
+      },
+    ],
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+module.exports = formatSarif;
@@ -161,8 +161,11 @@ const processors = {
 /**
  * Plugin object used in flat config presets.
  *
- * This object contains only the rules and is referenced by all flat configs.
- * Using a single plugin object ensures rule instances are shared.
+ * This object is referenced by all flat configs and becomes the complete
+ * plugin export (see Module Exports), so presets and a hand-written
+ * `plugins: { "lint-my-lines": lintMyLines }` register the same object,
+ * which flat config requires. Using a single plugin object also ensures
+ * rule instances are shared.
  *
  * @type {Object}
  */
@@ -338,7 +341,7 @@ function clearCaches() {
  * @property {Object} configs - All configuration presets
  * @property {Function} clearCaches - Clear all internal caches
  */
-module.exports = {
+module.exports = Object.assign(plugin, {
   // Plugin metadata (v1.0.3 - for ESLint v9 config inspector)
   meta,
 
@@ -362,4 +365,4 @@ module.exports = {
 
   // Config helpers (v1.1.0 - also available via "eslint-plugin-lint-my-lines/helpers")
   ...configHelpers,
-};
+});
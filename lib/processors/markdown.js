@@ -22,6 +22,10 @@ const LANG_MAP = {
 // Languages we can process
 const SUPPORTED_LANGS = new Set(Object.keys(LANG_MAP));
 
+// Code block metadata by filename, from preprocess to postprocess. Kept at
+// module level because ESLint calls processor methods without `this`.
+const markdownBlocks = new Map();
+
 /**
  * Extract code blocks from Markdown
  * @param {string} text - Markdown source
@@ -75,11 +79,10 @@ module.exports = {
     }
 
     // Store metadata for postprocess
-    this._markdownBlocks = this._markdownBlocks || {};
-    this._markdownBlocks[filename] = {
+    markdownBlocks.set(filename, {
       blocks: codeBlocks,
       text,
-    };
+    });
 
     // Return each code block as a separate virtual file
     return codeBlocks.map((block, index) => ({
@@ -95,7 +98,7 @@ module.exports = {
    * @returns {Array<Object>} Combined messages
    */
   postprocess(messages, filename) {
-    const metadata = this._markdownBlocks && this._markdownBlocks[filename];
+    const metadata = markdownBlocks.get(filename);
     const result = [];
 
     // Process messages from each code block
@@ -121,9 +124,7 @@ module.exports = {
     }
 
     // Clean up stored metadata
-    if (this._markdownBlocks) {
-      delete this._markdownBlocks[filename];
-    }
+    markdownBlocks.delete(filename);
 
     return result;
   },
@@ -5,6 +5,7 @@
 "use strict";
 
 const { isJSDocComment } = require("../utils/jsdoc-utils");
+const { countCommentLines } = require("../utils/comment-utils");
 
 module.exports = {
   meta: {
@@ -83,77 +84,12 @@ module.exports = {
     }
 
     /**
-     * Count comment lines, optionally excluding JSDoc and action comments
-     * @param {Array} comments - Array of comment objects
-     * @returns {number} Number of comment lines
-     */
-    function countCommentLines(comments) {
-      let totalLines = 0;
-
-      for (const comment of comments) {
-        // Skip JSDoc if configured
-        if (excludeJSDoc && isJSDocComment(comment)) {
-          continue;
-        }
-
-        // Skip action comments if configured
-        if (excludeTodo && isActionComment(comment)) {
-          continue;
-        }
-
-        // Count lines in this comment
-        const startLine = comment.loc.start.line;
-        const endLine = comment.loc.end.line;
-        totalLines += endLine - startLine + 1;
-      }
-
-      return totalLines;
-    }
-
-    /**
-     * Count non-blank, non-comment lines
-     * @param {Array} lines - Source lines
-     * @param {Set} commentLineNumbers - Set of line numbers that are comments
-     * @returns {Object} Object with codeLines and blankLines counts
-     */
-    function countCodeLines(lines, commentLineNumbers) {
-      let codeLines = 0;
-      let blankLines = 0;
-
-      for (let i = 0; i < lines.length; i++) {
-        const lineNum = i + 1;
-        const line = lines[i].trim();
-
-        if (line === "") {
-          blankLines++;
-        } else if (!commentLineNumbers.has(lineNum)) {
-          codeLines++;
-        }
-        // Lines that are part of comments are counted separately
-      }
-
-      return { codeLines, blankLines };
-    }
-
-    /**
-     * Build a set of line numbers that are part of comments
-     * @param {Array} comments - Array of comment objects
-     * @returns {Set} Set of line numbers
+     * Check if a comment counts towards the ratio
+     * @param {Object} comment - ESLint comment object
+     * @returns {boolean} True unless excluded by the options
      */
-    function buildCommentLineSet(comments) {
-      const lineSet = new Set();
-
-      for (const comment of comments) {
-        for (
-          let line = comment.loc.start.line;
-          line <= comment.loc.end.line;
-          line++
-        ) {
-          lineSet.add(line);
-        }
-      }
-
-      return lineSet;
+    function isCounted(comment) {
+      return !(excludeJSDoc && isJSDocComment(comment)) && !(excludeTodo && isActionComment(comment));
     }
 
     return {
@@ -167,9 +103,11 @@ module.exports = {
         }
 
         const comments = sourceCode.getAllComments();
-        const commentLineSet = buildCommentLineSet(comments);
-        const commentLines = countCommentLines(comments);
-        const { codeLines, blankLines } = countCodeLines(lines, commentLineSet);
+        const { commentLines, codeLines, blankLines } = countCommentLines(
+          lines,
+          comments,
+          comments.filter(isCounted)
+        );
 
         // Calculate base for ratio (code lines, optionally including blanks)
         const baseLines = countBlankLines ? codeLines + blankLines : codeLines;
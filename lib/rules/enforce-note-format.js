@@ -4,7 +4,7 @@
  */
 "use strict";
 
-const DEFAULT_PATTERN = "^NOTE\\s*\\(([^)]+)\\):";
+const { NOTE_PATTERN: DEFAULT_PATTERN } = require("../utils/action-comment-utils");
 
 module.exports = {
     meta: {
@@ -4,7 +4,7 @@
  */
 "use strict";
 
-const DEFAULT_PATTERN = "^TODO\\s*\\(([^)]+)\\):";
+const { TODO_PATTERN: DEFAULT_PATTERN } = require("../utils/action-comment-utils");
 
 module.exports = {
   meta: {
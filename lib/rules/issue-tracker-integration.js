@@ -4,7 +4,170 @@
  */
 "use strict";
 
-const { createClient } = require("../utils/issue-tracker-client");
+const path = require("path");
+const {
+  createClient,
+  getTrackerKey,
+  getTrackerConfigs,
+  getTrackerName,
+  routeTickets,
+} = require("../utils/issue-tracker-client");
+const {
+  readSnapshot,
+  findSnapshotTicket,
+  getSnapshotAgeDays,
+} = require("../utils/ticket-snapshot");
+
+// Days before a ticket snapshot is reported as stale
+const DEFAULT_SNAPSHOT_MAX_AGE = 7;
+
+// Options that configure one tracker, at the top level or in `trackers`
+const TRACKER_PROPERTIES = {
+  tracker: {
+    type: "string",
+    enum: ["github", "jira", "gitlab", "linear", "azure-devops", "bitbucket", "youtrack", "custom"],
+    description: "Issue tracker type",
+  },
+  // GitHub options
+  githubRepo: {
+    type: "string",
+    description: "GitHub repository (owner/repo)",
+  },
+  githubToken: {
+    type: "string",
+    description: "GitHub token or $ENV_VAR reference",
+  },
+  // Jira options
+  jiraBaseUrl: {
+    type: "string",
+    description: "Jira base URL",
+  },
+  jiraToken: {
+    type: "string",
+    description: "Jira API token or $ENV_VAR reference",
+  },
+  jiraEmail: {
+    type: "string",
+    description: "Jira account email",
+  },
+  // GitLab options
+  gitlabBaseUrl: {
+    type: "string",
+    description: "GitLab base URL",
+  },
+  gitlabToken: {
+    type: "string",
+    description: "GitLab token or $ENV_VAR reference",
+  },
+  gitlabProjectId: {
+    type: "string",
+    description: "GitLab project ID or path",
+  },
+  // Linear options
+  linearToken: {
+    type: "string",
+    description: "Linear API token or $ENV_VAR reference",
+  },
+  linearApiUrl: {
+    type: "string",
+    description: "Linear GraphQL API URL",
+  },
+  // Azure DevOps options
+  azureOrgUrl: {
+    type: "string",
+    description: "Azure DevOps organization URL (https://dev.azure.com/org)",
+  },
+  azureProject: {
+    type: "string",
+    description: "Azure DevOps project",
+  },
+  azureToken: {
+    type: "string",
+    description: "Azure DevOps personal access token or $ENV_VAR reference",
+  },
+  // Bitbucket options
+  bitbucketBaseUrl: {
+    type: "string",
+    description: "Bitbucket API base URL",
+  },
+  bitbucketRepo: {
+    type: "string",
+    description: "Bitbucket repository (workspace/repo)",
+  },
+  bitbucketToken: {
+    type: "string",
+    description: "Bitbucket access token or app password, or $ENV_VAR reference",
+  },
+  bitbucketUsername: {
+    type: "string",
+    description: "Bitbucket user name, when bitbucketToken is an app password",
+  },
+  // YouTrack options
+  youtrackBaseUrl: {
+    type: "string",
+    description: "YouTrack base URL",
+  },
+  youtrackToken: {
+    type: "string",
+    description: "YouTrack permanent token or $ENV_VAR reference",
+  },
+  // Custom options
+  customApiUrl: {
+    type: "string",
+    description: "Custom API URL with {{ticketId}} placeholder",
+  },
+  customHeaders: {
+    type: "object",
+    description: "Custom headers for API requests",
+  },
+  customMethod: {
+    type: "string",
+    enum: ["GET", "POST"],
+    description: "HTTP method (default: POST with a body, GET otherwise)",
+  },
+  customBody: {
+    type: ["object", "string"],
+    description: "Request body with {{ticketId}} placeholders; objects are sent as JSON",
+  },
+  customGraphQLQuery: {
+    type: "string",
+    description: "GraphQL query, sent with the ticket ID as the $ticketId variable",
+  },
+  customStatePath: {
+    type: "string",
+    description: "JSON path to the ticket state in the response",
+  },
+  customOpenStates: {
+    type: "array",
+    items: { type: "string" },
+    description: "States counted as open",
+  },
+  customClosedStates: {
+    type: "array",
+    items: { type: "string" },
+    description: "States counted as closed",
+  },
+  customNotFoundPath: {
+    type: "string",
+    description: "JSON path that is missing or null in responses for unknown tickets",
+  },
+  customTitlePath: {
+    type: "string",
+    description: "JSON path to the ticket title in the response",
+  },
+  customAssigneePath: {
+    type: "string",
+    description: "JSON path to the ticket assignee in the response",
+  },
+  ticketPattern: {
+    type: "string",
+    description: "Regex pattern to extract ticket IDs",
+  },
+  name: {
+    type: "string",
+    description: "Tracker name shown in messages (default: the tracker type)",
+  },
+};
 
 module.exports = {
   meta: {
@@ -19,70 +182,32 @@ module.exports = {
       {
         type: "object",
         properties: {
-          tracker: {
-            type: "string",
-            enum: ["github", "jira", "gitlab", "linear", "custom"],
-            description: "Issue tracker type",
-          },
-          // GitHub options
-          githubRepo: {
-            type: "string",
-            description: "GitHub repository (owner/repo)",
-          },
-          githubToken: {
-            type: "string",
-            description: "GitHub token or $ENV_VAR reference",
-          },
-          // Jira options
-          jiraBaseUrl: {
-            type: "string",
-            description: "Jira base URL",
-          },
-          jiraToken: {
-            type: "string",
-            description: "Jira API token or $ENV_VAR reference",
-          },
-          jiraEmail: {
-            type: "string",
-            description: "Jira account email",
-          },
-          // GitLab options
-          gitlabBaseUrl: {
-            type: "string",
-            description: "GitLab base URL",
-          },
-          gitlabToken: {
-            type: "string",
-            description: "GitLab token or $ENV_VAR reference",
-          },
-          gitlabProjectId: {
-            type: "string",
-            description: "GitLab project ID or path",
-          },
-          // Linear options
-          linearToken: {
-            type: "string",
-            description: "Linear API token or $ENV_VAR reference",
-          },
-          // Custom options
-          customApiUrl: {
-            type: "string",
-            description: "Custom API URL with {{ticketId}} placeholder",
-          },
-          customHeaders: {
-            type: "object",
-            description: "Custom headers for API requests",
-          },
-          // Common options
-          ticketPattern: {
-            type: "string",
-            description: "Regex pattern to extract ticket IDs",
+          ...TRACKER_PROPERTIES,
+          trackers: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              properties: TRACKER_PROPERTIES,
+              required: ["tracker"],
+              additionalProperties: false,
+            },
+            description: "Trackers to route tickets to, by the first matching ticketPattern",
           },
           cacheTimeout: {
             type: "integer",
             minimum: 0,
             description: "Cache timeout in seconds (0 to disable)",
           },
+          negativeCacheTimeout: {
+            type: "integer",
+            minimum: 0,
+            description: "Cache timeout in seconds for tickets that were not found (0 to disable)",
+          },
+          persistentCache: {
+            type: "boolean",
+            description: "Share cached results between runs in the lint cache directory",
+          },
           allowClosed: {
             type: "boolean",
             description: "Allow references to closed issues",
@@ -95,98 +220,207 @@ module.exports = {
             type: "boolean",
             description: "Skip API validation (offline mode)",
           },
+          snapshotPath: {
+            type: "string",
+            description: "Validate against a snapshot from `lint-my-lines tickets sync` instead of the API",
+          },
+          snapshotMaxAge: {
+            type: "integer",
+            minimum: 0,
+            description: "Days before the snapshot is reported as stale (0 to disable)",
+          },
         },
         additionalProperties: false,
       },
     ],
     messages: {
       invalidTicket: "Ticket '{{ticketId}}' does not exist in {{tracker}}.",
-      closedTicket: "Ticket '{{ticketId}}' is closed. Consider removing this TODO/FIXME.",
+      closedTicket: "Ticket '{{ticketId}}' is closed in {{tracker}}. Consider removing this TODO/FIXME.",
       unreachableTracker: "Could not reach {{tracker}} to validate '{{ticketId}}'. Check configuration.",
       missingConfig: "Issue tracker validation enabled but '{{field}}' is not configured.",
       authFailed: "Authentication failed for {{tracker}}. Check token configuration.",
       rateLimited: "Rate limited by {{tracker}}. Ticket '{{ticketId}}' validation skipped.",
+      snapshotUnavailable: "Could not read ticket snapshot '{{path}}' ({{reason}}). Run `lint-my-lines tickets sync`.",
+      staleSnapshot: "Ticket snapshot '{{path}}' is {{ageDays}} days old (max {{maxAge}}). Run `lint-my-lines tickets sync`.",
+      unsyncedTicket: "Ticket '{{ticketId}}' is not in snapshot '{{path}}'. Run `lint-my-lines tickets sync`.",
     },
   },
 
   create(context) {
     const options = context.options[0] || {};
+    const trackers = getTrackerConfigs(options);
 
-    // Skip if offline mode or no tracker configured
-    if (options.offline || !options.tracker) {
+    // Skip if no tracker configured, or offline mode without a snapshot
+    if (trackers.length === 0 || (options.offline && !options.snapshotPath)) {
       return {};
     }
 
-    const ticketPattern = new RegExp(
-      options.ticketPattern || "[A-Z]+-\\d+|#\\d+|GH-\\d+",
-      "gi"
-    );
     const allowClosed = options.allowClosed !== false;
     const warnOnClosed = options.warnOnClosed !== false;
 
     const sourceCode = context.getSourceCode();
 
-    // Create tracker client
-    let client;
-    try {
-      client = createClient(options);
-    } catch (err) {
-      // Invalid tracker configuration
-      return {
-        Program(node) {
-          context.report({
-            node,
-            messageId: "missingConfig",
-            data: { field: "tracker" },
-          });
-        },
-      };
-    }
-
-    // Collect all tickets to validate
+    // Collect all tickets to validate, keyed by tracker and ticket ID
     const ticketsToValidate = new Map();
 
     /**
-     * Extract ticket IDs from a comment
+     * Extract ticket IDs from a comment and route them to their trackers
      * @param {Object} comment - ESLint comment object
      */
     function extractTickets(comment) {
-      const text = comment.value;
+      for (const { ticketId, tracker } of routeTickets(comment.value, trackers)) {
+        const key = `${trackers.indexOf(tracker)}\0${ticketId}`;
 
-      // Only check TODO/FIXME comments
-      if (!/\b(TODO|FIXME)\b/i.test(text)) {
-        return;
+        // Store comment location for reporting
+        if (!ticketsToValidate.has(key)) {
+          ticketsToValidate.set(key, { ticketId, tracker, comments: [] });
+        }
+        ticketsToValidate.get(key).comments.push(comment);
+      }
+    }
+
+    /**
+     * Report a ticket that does not exist or is closed
+     * @param {Object} entry - `{ ticketId, tracker, comments }`
+     * @param {Object} ticket - `{ exists, closed }` from the tracker or snapshot
+     */
+    function reportTicket({ ticketId, tracker, comments }, ticket) {
+      let messageId = null;
+
+      if (!ticket.exists) {
+        messageId = "invalidTicket";
+      } else if (ticket.closed && (!allowClosed || warnOnClosed)) {
+        messageId = "closedTicket";
       }
 
-      // Find all ticket references
-      ticketPattern.lastIndex = 0;
-      let match;
-      while ((match = ticketPattern.exec(text)) !== null) {
-        const ticketId = match[0];
+      if (!messageId) {
+        return;
+      }
 
-        // Store comment location for reporting
-        if (!ticketsToValidate.has(ticketId)) {
-          ticketsToValidate.set(ticketId, []);
-        }
-        ticketsToValidate.get(ticketId).push(comment);
+      for (const comment of comments) {
+        context.report({
+          node: null,
+          loc: comment.loc,
+          messageId,
+          data: { ticketId, tracker: getTrackerName(tracker) },
+        });
       }
     }
 
-    return {
+    const collectTickets = {
       Program() {
         const comments = sourceCode.getAllComments();
         for (const comment of comments) {
           extractTickets(comment);
         }
       },
+    };
+
+    // Validate against the snapshot written by `lint-my-lines tickets sync`
+    if (options.snapshotPath) {
+      const snapshotPath = path.resolve(context.cwd || context.getCwd(), options.snapshotPath);
+      const maxAge = options.snapshotMaxAge === undefined ? DEFAULT_SNAPSHOT_MAX_AGE : options.snapshotMaxAge;
 
+      return {
+        ...collectTickets,
+
+        "Program:exit"() {
+          if (ticketsToValidate.size === 0) {
+            return;
+          }
+
+          const firstComment = [...ticketsToValidate.values()][0].comments[0];
+          let snapshot;
+
+          try {
+            snapshot = readSnapshot(snapshotPath);
+          } catch (err) {
+            context.report({
+              node: null,
+              loc: firstComment.loc,
+              messageId: "snapshotUnavailable",
+              data: { path: options.snapshotPath, reason: err.message },
+            });
+            return;
+          }
+
+          const ageDays = getSnapshotAgeDays(snapshot);
+          if (maxAge > 0 && ageDays > maxAge) {
+            context.report({
+              node: null,
+              loc: firstComment.loc,
+              messageId: "staleSnapshot",
+              data: { path: options.snapshotPath, ageDays, maxAge },
+            });
+          }
+
+          for (const entry of ticketsToValidate.values()) {
+            const ticket = findSnapshotTicket(snapshot, getTrackerKey(entry.tracker), entry.ticketId);
+
+            if (!ticket) {
+              for (const comment of entry.comments) {
+                context.report({
+                  node: null,
+                  loc: comment.loc,
+                  messageId: "unsyncedTicket",
+                  data: { ticketId: entry.ticketId, path: options.snapshotPath },
+                });
+              }
+              continue;
+            }
+
+            reportTicket(entry, ticket);
+          }
+        },
+      };
+    }
+
+    // Create tracker clients
+    const clients = new Map();
+    try {
+      for (const tracker of trackers) {
+        clients.set(tracker, createClient(tracker));
+      }
+    } catch (err) {
+      // Invalid tracker configuration
+      return {
+        Program(node) {
+          context.report({
+            node,
+            messageId: "missingConfig",
+            data: { field: "tracker" },
+          });
+        },
+      };
+    }
+
+    return {
+      ...collectTickets,
+
+      // ESLint does not await listeners, so only results already in the
+      // memory or disk cache are reported in this run. Fetching the rest
+      // fills the cache for later runs. Use snapshotPath in CI.
       async "Program:exit"() {
-        // Validate all tickets
-        for (const [ticketId, comments] of ticketsToValidate) {
+        const uncached = [];
+
+        // Runs before the first await, so these reports are kept
+        for (const entry of ticketsToValidate.values()) {
+          const cached = clients.get(entry.tracker).getCached(entry.ticketId);
+          if (cached) {
+            reportTicket(entry, cached);
+          } else {
+            uncached.push(entry);
+          }
+        }
+
+        // Validate the remaining tickets
+        for (const entry of uncached) {
+          const { ticketId, comments } = entry;
+          const tracker = getTrackerName(entry.tracker);
           let result;
 
           try {
-            result = await client.validateTicket(ticketId);
+            result = await clients.get(entry.tracker).validateTicket(ticketId);
           } catch (err) {
             result = { error: "unreachable", message: err.message };
           }
@@ -207,59 +441,27 @@ module.exports = {
                 node: null,
                 loc: comment.loc,
                 messageId: "authFailed",
-                data: { tracker: options.tracker },
+                data: { tracker },
               });
             } else if (result.error === "rateLimited") {
               context.report({
                 node: null,
                 loc: comment.loc,
                 messageId: "rateLimited",
-                data: { tracker: options.tracker, ticketId },
+                data: { tracker, ticketId },
               });
             } else if (result.error === "unreachable") {
               context.report({
                 node: null,
                 loc: comment.loc,
                 messageId: "unreachableTracker",
-                data: { tracker: options.tracker, ticketId },
+                data: { tracker, ticketId },
               });
             }
             continue;
           }
 
-          // Handle non-existent tickets
-          if (!result.exists) {
-            for (const comment of comments) {
-              context.report({
-                node: null,
-                loc: comment.loc,
-                messageId: "invalidTicket",
-                data: { ticketId, tracker: options.tracker },
-              });
-            }
-            continue;
-          }
-
-          // Handle closed tickets
-          if (result.closed && !allowClosed) {
-            for (const comment of comments) {
-              context.report({
-                node: null,
-                loc: comment.loc,
-                messageId: "closedTicket",
-                data: { ticketId },
-              });
-            }
-          } else if (result.closed && warnOnClosed) {
-            for (const comment of comments) {
-              context.report({
-                node: null,
-                loc: comment.loc,
-                messageId: "closedTicket",
-                data: { ticketId },
-              });
-            }
-          }
+          reportTicket(entry, result);
         }
       },
     };
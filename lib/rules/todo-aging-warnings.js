@@ -9,6 +9,13 @@ const {
   extractDateFromComment,
   formatAge,
 } = require("../utils/date-utils");
+const { getLineCommits } = require("../utils/git-utils");
+
+/**
+ * Where comment dates come from.
+ * @type {string[]}
+ */
+const DATE_SOURCES = ["comment", "git-blame", "comment-then-blame"];
 
 module.exports = {
   meta: {
@@ -49,6 +56,11 @@ module.exports = {
             type: "boolean",
             description: "Ignore future-dated comments (default: true)",
           },
+          dateSource: {
+            type: "string",
+            enum: DATE_SOURCES,
+            description: "Date a comment by its text, by the commit that last changed its line (git blame), or by its text with git blame as fallback (default: \"comment\")",
+          },
         },
         additionalProperties: false,
       },
@@ -79,9 +91,38 @@ module.exports = {
     const includeNote = options.includeNote || false;
     const warnOnNoDate = options.warnOnNoDate || false;
     const ignoreFutureDates = options.ignoreFutureDates !== false;
+    const dateSource = options.dateSource || "comment";
 
     const sourceCode = context.getSourceCode();
 
+    // Blamed lazily, once per file, and only if a comment needs it
+    let lineCommits;
+
+    /**
+     * Get the commit that last changed a line.
+     * @param {number} line - 1-based line number
+     * @returns {Object|null} Commit from getLineCommits, or null if unknown
+     */
+    function getLineCommit(line) {
+      if (lineCommits === undefined) {
+        // Code blocks a processor extracts do not line up with the file on disk
+        lineCommits = context.physicalFilename === context.filename
+          ? getLineCommits(context.physicalFilename, sourceCode.text)
+          : null;
+      }
+      return (lineCommits && lineCommits[line - 1]) || null;
+    }
+
+    /**
+     * Get the line of a comment that holds its keyword.
+     * @param {Object} comment - ESLint comment object
+     * @returns {number} 1-based line number
+     */
+    function getKeywordLine(comment) {
+      const index = comment.value.search(/\b(TODO|FIXME|NOTE)\b/i);
+      return comment.loc.start.line + comment.value.slice(0, Math.max(index, 0)).split("\n").length - 1;
+    }
+
     /**
      * Check a comment for aging
      * @param {Object} comment - ESLint comment object
@@ -106,8 +147,22 @@ module.exports = {
         return;
       }
 
+      // Date the comment by its text, its line's commit, or both
+      let date = dateSource === "git-blame" ? null : extracted.date;
+      let commit = null;
+
+      if (!date && dateSource !== "comment") {
+        commit = getLineCommit(getKeywordLine(comment));
+
+        // Lines that are not committed yet are new, not undated
+        if (commit && !commit.committed) {
+          return;
+        }
+        date = commit && commit.date;
+      }
+
       // Check if there's a date
-      if (!extracted.date) {
+      if (!date) {
         if (warnOnNoDate) {
           const messageId =
             extracted.keyword === "TODO" ? "todoNoDate" : "fixmeNoDate";
@@ -121,19 +176,22 @@ module.exports = {
       }
 
       // Ignore future dates
-      if (ignoreFutureDates && extracted.date > new Date()) {
+      if (ignoreFutureDates && date > new Date()) {
         return;
       }
 
       // Calculate age
-      const ageDays = calculateAgeDays(extracted.date);
+      const ageDays = calculateAgeDays(date);
 
       if (ageDays < 0) {
         return;
       }
 
-      // Determine reference text
-      const reference = extracted.reference || "no reference";
+      // Determine reference text, noting a date that is not in the comment
+      let reference = extracted.reference || "no reference";
+      if (commit) {
+        reference += `; line last changed in ${commit.sha.slice(0, 7)}`;
+      }
 
       // Check thresholds
       if (ageDays >= criticalAgeDays) {
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Parsing utilities for TODO/FIXME/NOTE action comments.
+ * @author Jules
+ *
+ * The format rules (enforce-todo-format, enforce-fixme-format and
+ * enforce-note-format) and the CLI inventory commands share the patterns
+ * defined here, so a comment the rules accept is always parsed the same
+ * way by the tooling that reports on it.
+ */
+"use strict";
+
+const {
+  parseDate,
+  calculateAgeDays,
+  extractDateFromComment,
+} = require("./date-utils");
+
+// ---------------------------------------------------------------------------
+// Patterns
+// ---------------------------------------------------------------------------
+
+// Default format patterns used by the enforce-*-format rules
+const TODO_PATTERN = "^TODO\\s*\\(([^)]+)\\):";
+const FIXME_PATTERN = "^FIXME\\s*\\(([^)]+)\\):";
+const NOTE_PATTERN = "^NOTE\\s*\\(([^)]+)\\):";
+
+/**
+ * Format patterns keyed by action keyword.
+ * @type {Object<string, string>}
+ */
+const FORMAT_PATTERNS = {
+  TODO: TODO_PATTERN,
+  FIXME: FIXME_PATTERN,
+  NOTE: NOTE_PATTERN,
+};
+
+// Default ticket pattern, shared with issue-tracker-integration
+const DEFAULT_TICKET_PATTERN = "[A-Z]+-\\d+|#\\d+|GH-\\d+";
+
+// Leading keyword check, matching how the format rules detect action comments
+const KEYWORD_PATTERN = /^(TODO|FIXME|NOTE)\b/i;
+
+// Keywords anywhere in a comment that make issue-tracker-integration check it
+const TICKET_KEYWORD_PATTERN = /\b(TODO|FIXME)\b/i;
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a reference like "alice, PROJ-123, 2025-01-03" into its parts.
+ *
+ * Each comma-separated token is classified as a ticket ID (matches the
+ * ticket pattern), a date (parseable by parseDate) or an owner. The first
+ * unclassified token wins as the owner.
+ *
+ * @param {string|null} reference - Text inside the parentheses
+ * @param {RegExp} ticketRegex - Anchored ticket ID pattern
+ * @returns {{ owner: string|null, ticket: string|null, date: Date|null }} Parts
+ */
+function splitReference(reference, ticketRegex) {
+  const parts = { owner: null, ticket: null, date: null };
+
+  if (!reference) {
+    return parts;
+  }
+
+  for (const token of reference.split(",").map((t) => t.trim()).filter(Boolean)) {
+    if (!parts.ticket && ticketRegex.test(token)) {
+      parts.ticket = token;
+    } else if (!parts.date && parseDate(token)) {
+      parts.date = parseDate(token);
+    } else if (!parts.owner) {
+      parts.owner = token;
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Parse an action comment into structured fields.
+ *
+ * Only comments that start with TODO, FIXME or NOTE are parsed, which is
+ * the same check the format rules use. Comments that do not follow the
+ * "KEYWORD (reference): description" format are still returned, with
+ * `formatted` set to false, so inventories include them.
+ *
+ * @param {string} text - Comment value (without delimiters)
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.ticketPattern] - Regex source for ticket IDs
+ * @param {Date} [options.now] - Reference date for age calculation
+ * @returns {Object|null} Parsed comment or null if not an action comment
+ *
+ * @example
+ * parseActionComment(" TODO (alice, PROJ-12, 2025-01-03): Handle retries");
+ * // => { keyword: "TODO", owner: "alice", ticket: "PROJ-12", date: Date, ... }
+ */
+function parseActionComment(text, options = {}) {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+
+  const value = text.trim();
+  const keywordMatch = value.match(KEYWORD_PATTERN);
+
+  if (!keywordMatch) {
+    return null;
+  }
+
+  const keyword = keywordMatch[1].toUpperCase();
+  const ticketSource = options.ticketPattern || DEFAULT_TICKET_PATTERN;
+  const extracted = extractDateFromComment(value);
+  const formatted = new RegExp(FORMAT_PATTERNS[keyword], "i").test(value);
+  const parts = splitReference(
+    formatted ? extracted.reference : null,
+    new RegExp(`^(?:${ticketSource})$`)
+  );
+
+  let description = extracted.description;
+  if (!formatted) {
+    description = value.replace(/^(TODO|FIXME|NOTE)\s*:?\s*/i, "");
+  }
+
+  // Fall back to a ticket mentioned anywhere in the comment
+  let ticket = parts.ticket;
+  if (!ticket) {
+    const anywhere = value.match(new RegExp(ticketSource));
+    ticket = anywhere ? anywhere[0] : null;
+  }
+
+  const date = parts.date || extracted.date;
+
+  return {
+    keyword,
+    formatted,
+    reference: formatted ? extracted.reference : null,
+    owner: parts.owner,
+    ticket,
+    date,
+    ageDays: date ? calculateAgeDays(date, options.now) : null,
+    description: description || "",
+  };
+}
+
+/**
+ * Find every ticket ID a TODO/FIXME comment references.
+ *
+ * Unlike parseActionComment, the keyword may appear anywhere in the
+ * comment and every match counts, not only the one in the reference.
+ * issue-tracker-integration and `tickets sync` both use this, so a
+ * snapshot holds exactly the tickets the rule looks up.
+ *
+ * @param {string} text - Comment text
+ * @param {string} [ticketPattern] - Regex source for ticket IDs
+ * @returns {string[]} Ticket IDs in order of appearance, without duplicates
+ *
+ * @example
+ * findTicketIds(" TODO (alice, GH-12): see also #14 ");
+ * // => ["GH-12", "#14"]
+ */
+function findTicketIds(text, ticketPattern) {
+  if (!TICKET_KEYWORD_PATTERN.test(text)) {
+    return [];
+  }
+
+  const ticketRegex = new RegExp(ticketPattern || DEFAULT_TICKET_PATTERN, "gi");
+  return [...new Set(text.match(ticketRegex) || [])];
+}
+
+module.exports = {
+  TODO_PATTERN,
+  FIXME_PATTERN,
+  NOTE_PATTERN,
+  FORMAT_PATTERNS,
+  DEFAULT_TICKET_PATTERN,
+  parseActionComment,
+  findTicketIds,
+};
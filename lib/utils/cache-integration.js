@@ -27,7 +27,7 @@
  * - Better invalidation when config changes
  * - New "metadata" vs "content" cache strategies
  *
- * ## Cache Strategies (ESLint v9)
+ * ## Cache Strategies
  *
  * | Strategy | Speed | Accuracy | Use Case |
  * |----------|-------|----------|----------|
@@ -81,6 +81,12 @@ const { createLogger } = require("./debug");
  */
 const log = createLogger("cache");
 
+/**
+ * Supported values for ESLint's `cacheStrategy` option.
+ * @type {string[]}
+ */
+const CACHE_STRATEGIES = ["metadata", "content"];
+
 /**
  * Package information for version tracking
  * Loaded lazily to avoid circular dependencies
@@ -233,21 +239,16 @@ function generateCacheKey(options = {}) {
  * Returns an object that can be spread into ESLint constructor options
  * to enable caching with appropriate settings for the installed version.
  *
- * ## ESLint v9 Options
+ * ## ESLint Options
  *
  * - `cache: true` - Enable caching
  * - `cacheLocation: string` - Path to cache file
  * - `cacheStrategy: "metadata" | "content"` - How to detect changes
  *
- * ## ESLint v8 Options
- *
- * - `cache: true` - Enable caching
- * - `cacheLocation: string` - Path to cache file
- *
  * @param {Object} options - Cache configuration options
  * @param {boolean} [options.enabled=true] - Whether to enable caching
  * @param {string} [options.location] - Custom cache file location
- * @param {string} [options.strategy="metadata"] - Cache strategy (v9 only)
+ * @param {string} [options.strategy="metadata"] - Cache strategy
  * @param {string} [options.preset] - Preset name for cache key generation
  * @returns {Object} ESLint cache configuration to spread into ESLint options
  *
@@ -317,24 +318,17 @@ function getCacheConfig(options = {}) {
     cacheLocation,
   };
 
-  // Add v9-specific options
-  if (isESLintV9()) {
-    // Validate strategy value
-    const validStrategies = ["metadata", "content"];
-    const normalizedStrategy = validStrategies.includes(strategy)
-      ? strategy
-      : "metadata";
+  // Validate strategy value (supported by ESLint v8 and v9)
+  config.cacheStrategy = CACHE_STRATEGIES.includes(strategy)
+    ? strategy
+    : "metadata";
 
-    config.cacheStrategy = normalizedStrategy;
-
-    log.debug(
-      "ESLint v9 cache config: location=%s, strategy=%s",
-      cacheLocation,
-      normalizedStrategy
-    );
-  } else {
-    log.debug("ESLint v8 cache config: location=%s", cacheLocation);
-  }
+  log.debug(
+    "ESLint %s cache config: location=%s, strategy=%s",
+    isESLintV9() ? "v9" : "v8",
+    cacheLocation,
+    config.cacheStrategy
+  );
 
   return config;
 }
@@ -585,6 +579,125 @@ function formatBytes(bytes) {
   return `${size.toFixed(2)} ${units[i]}`;
 }
 
+// ---------------------------------------------------------------------------
+// Cache Metadata
+// ---------------------------------------------------------------------------
+
+/**
+ * Name of the metadata file kept next to the cache files.
+ *
+ * ESLint's cache files only record per-file results, so the environment a
+ * cache file was written for (plugin version, Node major, preset and
+ * strategy) is recorded here, keyed by cache file name.
+ *
+ * @type {string}
+ */
+const CACHE_INFO_FILE = "cache-info.json";
+
+/**
+ * Read the recorded cache metadata.
+ *
+ * @param {string} [cacheDir] - Cache directory (default: getDefaultCacheDir())
+ * @returns {Object<string, Object>} Metadata keyed by cache file name
+ */
+function readCacheInfo(cacheDir = getDefaultCacheDir()) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(cacheDir, CACHE_INFO_FILE), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record the environment a cache file was written for.
+ *
+ * Called after a cached lint run. Failures are logged and ignored, since
+ * the metadata is only used for reporting.
+ *
+ * @param {string} cacheLocation - Cache file path from getCacheConfig
+ * @param {Object} info - Metadata from getCurrentCacheInfo, plus strategy
+ *
+ * @example
+ * recordCacheInfo(cacheConfig.cacheLocation, {
+ *   ...getCurrentCacheInfo({ preset: "recommended" }),
+ *   strategy: "metadata",
+ * });
+ */
+function recordCacheInfo(cacheLocation, info) {
+  const cacheDir = path.dirname(cacheLocation);
+  const all = readCacheInfo(cacheDir);
+
+  all[path.basename(cacheLocation)] = {
+    ...info,
+    updatedAt: new Date().toISOString(),
+  };
+
+  try {
+    fs.writeFileSync(path.join(cacheDir, CACHE_INFO_FILE), `${JSON.stringify(all, null, 2)}\n`, "utf8");
+  } catch (error) {
+    log.warn("Failed to record cache info: %s", error.message);
+  }
+}
+
+/**
+ * Count the files recorded in an ESLint cache file.
+ *
+ * ESLint cache files are serialized with `flatted`, where the first array
+ * element maps file paths to entries. Plain JSON objects are also
+ * accepted.
+ *
+ * @param {string} filePath - Cache file path
+ * @returns {number|null} Entry count, or null if the file is unreadable
+ * @private
+ */
+function countCacheEntries(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const map = Array.isArray(data) ? data[0] : data;
+    return map && typeof map === "object" ? Object.keys(map).length : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the cache files with their size, entry count and metadata.
+ *
+ * @param {string} [cacheDir] - Cache directory (default: getDefaultCacheDir())
+ * @returns {Array<{ key: string, file: string, size: number, sizeHuman: string,
+ *   entries: number|null, info: Object|null }>} Cache files, sorted by key
+ *
+ * @example
+ * for (const entry of getCacheEntries()) {
+ *   console.log(`${entry.key}: ${entry.entries} files (${entry.sizeHuman})`);
+ * }
+ */
+function getCacheEntries(cacheDir = getDefaultCacheDir()) {
+  if (!fs.existsSync(cacheDir)) {
+    return [];
+  }
+
+  const info = readCacheInfo(cacheDir);
+
+  return fs.readdirSync(cacheDir)
+    .filter((name) => name !== CACHE_INFO_FILE)
+    .map((name) => {
+      const file = path.join(cacheDir, name);
+      const stat = fs.statSync(file);
+      return { name, file, stat };
+    })
+    .filter(({ stat }) => stat.isFile())
+    .map(({ name, file, stat }) => ({
+      key: name,
+      file,
+      size: stat.size,
+      sizeHuman: formatBytes(stat.size),
+      entries: countCacheEntries(file),
+      info: info[name] || null,
+    }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
 // ---------------------------------------------------------------------------
 // Current Environment Info
 // ---------------------------------------------------------------------------
@@ -626,6 +739,8 @@ function getCurrentCacheInfo(options = {}) {
 // ---------------------------------------------------------------------------
 
 module.exports = {
+  CACHE_STRATEGIES,
+
   // Directory management
   getDefaultCacheDir,
 
@@ -644,4 +759,10 @@ module.exports = {
 
   // Cache statistics
   getCacheStats,
+  getCacheEntries,
+
+  // Cache metadata
+  CACHE_INFO_FILE,
+  readCacheInfo,
+  recordCacheInfo,
 };
@@ -391,6 +391,49 @@ function processTextWithIgnores(text, options = {}) {
   return result;
 }
 
+/**
+ * Count the comment, code and blank lines of a file.
+ *
+ * Comment lines are the lines each counted comment spans; code lines are
+ * non-blank lines outside every comment. This is how comment-code-ratio
+ * measures a file.
+ *
+ * @param {string[]} lines - Source lines
+ * @param {Object[]} comments - All comments of the file
+ * @param {Object[]} [countedComments=comments] - Comments whose lines count as
+ *   comment lines (e.g. without JSDoc)
+ * @returns {{ commentLines: number, codeLines: number, blankLines: number }} Line counts
+ *
+ * @example
+ * countCommentLines(sourceCode.lines, sourceCode.getAllComments());
+ * // { commentLines: 12, codeLines: 80, blankLines: 9 }
+ */
+function countCommentLines(lines, comments, countedComments = comments) {
+  const commentLineSet = new Set();
+  for (const comment of comments) {
+    for (let line = comment.loc.start.line; line <= comment.loc.end.line; line++) {
+      commentLineSet.add(line);
+    }
+  }
+
+  let commentLines = 0;
+  for (const comment of countedComments) {
+    commentLines += comment.loc.end.line - comment.loc.start.line + 1;
+  }
+
+  let codeLines = 0;
+  let blankLines = 0;
+  lines.forEach((line, index) => {
+    if (line.trim() === "") {
+      blankLines++;
+    } else if (!commentLineSet.has(index + 1)) {
+      codeLines++;
+    }
+  });
+
+  return { commentLines, codeLines, blankLines };
+}
+
 module.exports = {
   // Core comment utilities
   isJSDocComment,
@@ -401,6 +444,7 @@ module.exports = {
   getAllCommentsRaw,
   filterComments,
   getFirstCommentLine,
+  countCommentLines,
 
   // v1.1.2: Ignore pattern utilities
   URL_PATTERN,
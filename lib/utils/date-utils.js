@@ -6,6 +6,12 @@
 
 const { dateCache } = require("./performance-cache");
 
+// Rule whose options set the TODO age thresholds
+const AGING_RULE = "lint-my-lines/todo-aging-warnings";
+
+// todo-aging-warnings defaults, used when the config does not set them
+const DEFAULT_AGE_THRESHOLDS = { maxAgeDays: 30, criticalAgeDays: 90 };
+
 // Quick rejection pattern - skip expensive parsing if no date-like chars
 const QUICK_DATE_CHECK =
   /\d{4}|\d{1,2}[/.-]\d{1,2}|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec/i;
@@ -231,6 +237,26 @@ function formatAge(days) {
   return years === 1 ? "1 year" : `${years} years`;
 }
 
+/**
+ * Get the TODO age thresholds from the todo-aging-warnings setting.
+ *
+ * @param {Object} rules - Rule settings the files are linted with
+ * @returns {{ maxAgeDays: number, criticalAgeDays: number }} Thresholds in days
+ *
+ * @example
+ * getAgeThresholds({ "lint-my-lines/todo-aging-warnings": ["warn", { maxAgeDays: 14 }] });
+ * // => { maxAgeDays: 14, criticalAgeDays: 90 }
+ */
+function getAgeThresholds(rules) {
+  const setting = rules[AGING_RULE];
+  const options = (Array.isArray(setting) && setting[1]) || {};
+
+  return {
+    maxAgeDays: options.maxAgeDays || DEFAULT_AGE_THRESHOLDS.maxAgeDays,
+    criticalAgeDays: options.criticalAgeDays || DEFAULT_AGE_THRESHOLDS.criticalAgeDays,
+  };
+}
+
 module.exports = {
   parseDate,
   parseDateCached,
@@ -238,6 +264,7 @@ module.exports = {
   extractDateFromComment,
   isFutureDate,
   formatAge,
+  getAgeThresholds,
   DATE_PATTERNS,
   MONTH_MAP,
   QUICK_DATE_CHECK,
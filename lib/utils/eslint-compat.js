@@ -273,7 +273,6 @@ function getESLintClass() {
  * **ESLint v9:**
  * - Flat config is used by default
  * - No useEslintrc option needed
- * - Cache strategy can be specified
  * - Cache is enabled by default
  *
  * **ESLint v8:**
@@ -282,12 +281,13 @@ function getESLintClass() {
  * - Cache is disabled by default (less reliable with plugins)
  *
  * @param {Object} options - ESLint configuration options
+ * @param {string} [options.cwd] - Working directory for patterns and config (default: process.cwd())
  * @param {boolean} [options.fix=false] - Enable autofix
  * @param {Object} [options.overrideConfig] - Configuration overrides
  * @param {Object} [options.plugins] - Plugin instances (object format)
  * @param {boolean} [options.cache] - Enable caching (default: true for v9, false for v8)
  * @param {string} [options.cacheLocation] - Custom cache file location
- * @param {string} [options.cacheStrategy="metadata"] - Cache strategy (v9 only: "metadata" or "content")
+ * @param {string} [options.cacheStrategy="metadata"] - Cache strategy ("metadata" or "content")
  * @returns {import("eslint").ESLint} Configured ESLint instance
  *
  * @example
@@ -330,13 +330,15 @@ function createESLintInstance(options = {}) {
     // Key differences from v8:
     // - No useEslintrc option
     // - Plugins can be passed directly to the constructor
-    // - Cache strategy option available
     // - Better caching support
     // -------------------------------------------------------------------------
 
     debugLog("Creating ESLint v9 instance with flat config");
 
     const v9Options = {
+      // Working directory - patterns and ignores are resolved from it
+      cwd: options.cwd,
+
       // Fix option - enables autofix
       fix: options.fix || false,
 
@@ -353,7 +355,7 @@ function createESLintInstance(options = {}) {
       // Cache location - where to store the cache file
       cacheLocation: options.cacheLocation,
 
-      // Cache strategy - v9-specific option
+      // Cache strategy
       // "metadata" (default): Use file metadata (faster, less accurate)
       // "content": Use file content hash (slower, more accurate)
       cacheStrategy: options.cacheStrategy || "metadata",
@@ -372,7 +374,6 @@ function createESLintInstance(options = {}) {
     // Key differences from v9:
     // - Must set useEslintrc: false
     // - Plugins array must be in overrideConfig (for legacy format)
-    // - No cacheStrategy option
     // - Cache less reliable with dynamic plugins
     // -------------------------------------------------------------------------
 
@@ -383,6 +384,9 @@ function createESLintInstance(options = {}) {
       // This allows us to use flat config-style configuration
       useEslintrc: false,
 
+      // Working directory - patterns and ignores are resolved from it
+      cwd: options.cwd,
+
       // Fix option - enables autofix
       fix: options.fix || false,
 
@@ -405,10 +409,11 @@ function createESLintInstance(options = {}) {
       // Cache location - where to store the cache file
       cacheLocation: options.cacheLocation,
 
-      // Note: cacheStrategy is not available in v8
+      // Cache strategy - "metadata" (mtime/size) or "content" (hash)
+      cacheStrategy: options.cacheStrategy || "metadata",
     };
 
-    debugLog(`v8 options: cache=${v8Options.cache}`);
+    debugLog(`v8 options: cache=${v8Options.cache}, strategy=${v8Options.cacheStrategy}`);
 
     return new ESLintClass(v8Options);
   }
@@ -0,0 +1,401 @@
+/**
+ * @fileoverview Git helpers for diff-aware linting
+ * @author Jules
+ *
+ * Thin wrappers around the local `git` binary. They report which lines
+ * changed since a ref (or in the index) so the CLI can limit output to
+ * comments a developer actually touched, and when each line was last
+ * changed, for dating comments.
+ *
+ * @module git-utils
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./debug");
+const { blameCache } = require("./performance-cache");
+
+// ---------------------------------------------------------------------------
+// Module State
+// ---------------------------------------------------------------------------
+
+/**
+ * Logger for git operations
+ * @type {Object}
+ * @private
+ */
+const log = createLogger("git");
+
+// Diff output for large repos easily exceeds the default 1 MB buffer
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+// Hunk header: @@ -a[,b] +c[,d] @@
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+// Blame porcelain line header: <sha> <original line> <final line> [<group size>]
+const BLAME_HEADER = /^([0-9a-f]{40}) \d+ (\d+)(?: \d+)?$/;
+
+// Commit git blame reports for lines that are not committed yet
+const UNCOMMITTED_SHA = "0".repeat(40);
+
+// Tree to diff against in a repository without commits
+const EMPTY_TREE_SHA = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+// ---------------------------------------------------------------------------
+// Git Execution
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a git command and return its stdout.
+ *
+ * @param {string[]} args - Git arguments
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd=process.cwd()] - Working directory
+ * @param {string} [options.input] - Text written to git's stdin
+ * @returns {string} Command stdout
+ * @throws {Error} If git is missing or the command fails
+ */
+function runGit(args, options = {}) {
+  const cwd = options.cwd || process.cwd();
+
+  log.debug("git %s (cwd: %s)", args.join(" "), cwd);
+
+  const result = spawnSync("git", ["-c", "core.quotepath=off", ...args], {
+    cwd,
+    encoding: "utf8",
+    maxBuffer: MAX_BUFFER,
+    input: options.input,
+  });
+
+  if (result.error) {
+    throw new Error(`Could not run git: ${result.error.message}`);
+  }
+
+  if (result.status !== 0) {
+    const stderr = (result.stderr || "").trim();
+    throw new Error(stderr || `git ${args[0]} exited with code ${result.status}`);
+  }
+
+  return result.stdout;
+}
+
+/**
+ * Get the absolute path of the repository root.
+ * @param {string} [cwd=process.cwd()] - Directory inside the repository
+ * @returns {string} Repository root
+ * @throws {Error} If cwd is not inside a git repository
+ */
+function getRepoRoot(cwd = process.cwd()) {
+  return runGit(["rev-parse", "--show-toplevel"], { cwd }).trim();
+}
+
+/**
+ * Get the commit HEAD points to.
+ * @param {string} [cwd=process.cwd()] - Directory inside the repository
+ * @returns {{ sha: string, date: string }} Full commit hash and its
+ *   committer date (ISO 8601)
+ * @throws {Error} If cwd is not inside a git repository or has no commits
+ */
+function getHeadCommit(cwd = process.cwd()) {
+  const [sha, date] = runGit(["log", "-1", "--format=%H%n%cI"], { cwd }).trim().split("\n");
+  return { sha, date };
+}
+
+// ---------------------------------------------------------------------------
+// Diff Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Strip git's quoting from a path in diff headers.
+ * @param {string} filePath - Path as printed by git
+ * @returns {string} Unquoted path
+ * @private
+ */
+function unquotePath(filePath) {
+  if (filePath.startsWith("\"") && filePath.endsWith("\"")) {
+    return filePath.slice(1, -1).replace(/\\(["\\])/g, "$1");
+  }
+  return filePath;
+}
+
+/**
+ * Parse `git diff -U0` output into added line ranges per file.
+ *
+ * Only the post-image side is kept. Pure deletions produce no range,
+ * and deleted files are skipped entirely.
+ *
+ * @param {string} diff - Unified diff with zero context lines
+ * @returns {Map<string, Array<[number, number]>>} Inclusive line ranges keyed
+ *   by repository-relative path
+ *
+ * @example
+ * parseUnifiedDiff("+++ b/src/a.js\n@@ -3,0 +4,2 @@\n");
+ * // => Map { "src/a.js" => [[4, 5]] }
+ */
+function parseUnifiedDiff(diff) {
+  const changes = new Map();
+  let current = null;
+
+  for (const line of diff.split("\n")) {
+    if (line.startsWith("+++ ")) {
+      const target = line.slice(4).replace(/\t$/, "");
+      current = target === "/dev/null" ? null : unquotePath(target).replace(/^b\//, "");
+      if (current && !changes.has(current)) {
+        changes.set(current, []);
+      }
+      continue;
+    }
+
+    const hunk = current && line.match(HUNK_HEADER);
+    if (hunk) {
+      const start = parseInt(hunk[1], 10);
+      const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      if (count > 0) {
+        changes.get(current).push([start, start + count - 1]);
+      }
+    }
+  }
+
+  return changes;
+}
+
+// ---------------------------------------------------------------------------
+// Changed Lines
+// ---------------------------------------------------------------------------
+
+/**
+ * Count the lines of a file, for treating untracked files as fully changed.
+ * @param {string} filePath - Absolute file path
+ * @returns {number} Line count (0 if unreadable)
+ * @private
+ */
+function countLines(filePath) {
+  try {
+    const content = fs.readFileSync(filePath, "utf8");
+    return content.split("\n").length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Get the changed line ranges of every changed file.
+ *
+ * - `since`: changes between the ref and the working tree, plus untracked
+ *   files (which are new in their entirety).
+ * - `staged` with `index`: changes in the index relative to HEAD, for
+ *   linting the staged content.
+ * - `staged` alone: the files changed in the index, with the ranges of
+ *   their working tree copy relative to HEAD, for linting that copy.
+ *   Unstaged edits to those files count as changed, so line numbers
+ *   always match what is linted.
+ *
+ * @param {Object} options - Diff options
+ * @param {string} [options.since] - Git ref to diff against
+ * @param {boolean} [options.staged] - Only include files changed in the index
+ * @param {boolean} [options.index] - With `staged`, diff the index itself
+ * @param {string} [options.cwd=process.cwd()] - Directory inside the repository
+ * @returns {Map<string, Array<[number, number]>>} Inclusive line ranges keyed
+ *   by absolute (real) file path
+ * @throws {Error} If git fails (not a repository, unknown ref, ...)
+ */
+function getChangedLineRanges(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const root = getRepoRoot(cwd);
+
+  // Force the a/ b/ prefixes in case the user configured diff.noprefix
+  const args = [
+    "diff", "-U0", "--no-color", "--no-ext-diff", "--diff-filter=ACMR",
+    "--src-prefix=a/", "--dst-prefix=b/",
+  ];
+  if (options.staged && options.index) {
+    args.push("--cached");
+  } else if (options.staged) {
+    args.push(getHeadTree(root), "--");
+  } else {
+    args.push(options.since, "--");
+  }
+
+  let relative = parseUnifiedDiff(runGit(args, { cwd: root }));
+
+  if (options.staged && !options.index) {
+    const staged = runGit(["diff", "--cached", "--name-only", "-z", "--diff-filter=ACMR"], { cwd: root })
+      .split("\0")
+      .filter(Boolean);
+    relative = new Map([...relative].filter(([file]) => staged.includes(file)));
+  }
+
+  if (!options.staged) {
+    const untracked = runGit(["ls-files", "--others", "--exclude-standard"], { cwd: root });
+    for (const file of untracked.split("\n").filter(Boolean)) {
+      relative.set(file, [[1, Math.max(countLines(path.join(root, file)), 1)]]);
+    }
+  }
+
+  const changes = new Map();
+  for (const [file, ranges] of relative) {
+    changes.set(path.join(root, file), ranges);
+  }
+
+  log.debug("Changed files: %d", changes.size);
+
+  return changes;
+}
+
+/**
+ * Get what HEAD points to, for diffing the working tree against it.
+ * @param {string} root - Repository root
+ * @returns {string} "HEAD", or the empty tree before the first commit
+ * @private
+ */
+function getHeadTree(root) {
+  try {
+    runGit(["rev-parse", "--verify", "--quiet", "HEAD"], { cwd: root });
+    return "HEAD";
+  } catch {
+    return EMPTY_TREE_SHA;
+  }
+}
+
+/**
+ * Read the staged content of a file from the git index.
+ *
+ * The blob is read as stored, without textconv or smudge filters, so it is
+ * exactly what the next commit will contain.
+ *
+ * @param {string} filePath - Absolute path of a file in the repository
+ * @param {string} root - Repository root, from getRepoRoot
+ * @returns {string} Staged content
+ * @throws {Error} If the file is not in the index
+ */
+function readStagedFile(filePath, root) {
+  const relative = path.relative(root, filePath).split(path.sep).join("/");
+
+  return runGit(["cat-file", "blob", `:${relative}`], { cwd: root });
+}
+
+// ---------------------------------------------------------------------------
+// Blame
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse `git blame --porcelain` output into the commit of each line.
+ *
+ * Commit details are printed only for the first line from each commit, so
+ * lines share one object per commit.
+ *
+ * @param {string} output - Porcelain blame output
+ * @returns {Array<{ sha: string, date: Date|null, committed: boolean }>}
+ *   Commits by zero-based line index. Uncommitted lines have
+ *   `committed: false` and no date.
+ */
+function parseBlamePorcelain(output) {
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+
+  for (const line of output.split("\n")) {
+    // Line content, which could look like a header
+    if (line.startsWith("\t")) {
+      continue;
+    }
+
+    const header = BLAME_HEADER.exec(line);
+    if (header) {
+      const sha = header[1];
+      if (!commits.has(sha)) {
+        commits.set(sha, { sha, date: null, committed: sha !== UNCOMMITTED_SHA });
+      }
+      current = commits.get(sha);
+      lines[Number(header[2]) - 1] = current;
+    } else if (current && current.committed && line.startsWith("author-time ")) {
+      // Git dates uncommitted lines with the time of the blame
+      current.date = new Date(Number(line.slice("author-time ".length)) * 1000);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Get the commit that last changed each line of a file.
+ *
+ * The blame is run against the given contents instead of the file on disk,
+ * so lines match what is being linted; lines that are not in the file's
+ * history count as uncommitted. Whitespace changes are ignored, and lines
+ * moved within the file or copied from files changed in the same commit
+ * keep their original commit. Results are cached by path and contents, so
+ * a file is blamed once per lint run (including every fix pass).
+ *
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} contents - Text being linted
+ * @returns {Array<{ sha: string, date: Date|null, committed: boolean }>|null}
+ *   Commits by zero-based line index (see parseBlamePorcelain), or null if
+ *   the file is not in a git repository or has no commits
+ *
+ * @example
+ * const commits = getLineCommits("/repo/src/a.js", sourceCode.text);
+ * const lastChanged = commits && commits[comment.loc.start.line - 1].date;
+ */
+function getLineCommits(filePath, contents) {
+  if (!path.isAbsolute(filePath)) {
+    return null;
+  }
+
+  const cached = blameCache.get(filePath);
+  if (cached && cached.contents === contents) {
+    return cached.lines;
+  }
+
+  let lines = null;
+  try {
+    const output = runGit(
+      ["blame", "--porcelain", "-w", "-M", "-C", "--contents", "-", "--", path.basename(filePath)],
+      { cwd: path.dirname(filePath), input: contents }
+    );
+    lines = parseBlamePorcelain(output);
+  } catch (error) {
+    log.debug("No blame for %s: %s", filePath, error.message);
+  }
+
+  blameCache.set(filePath, { contents, lines });
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Line Ranges
+// ---------------------------------------------------------------------------
+
+/**
+ * Check whether a span of lines intersects any of the given ranges.
+ *
+ * @param {Array<[number, number]>} ranges - Inclusive line ranges
+ * @param {number} startLine - First line of the span
+ * @param {number} [endLine=startLine] - Last line of the span
+ * @returns {boolean} True if the span touches a range
+ */
+function intersectsRanges(ranges, startLine, endLine = startLine) {
+  return ranges.some(([start, end]) => startLine <= end && endLine >= start);
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  runGit,
+  getRepoRoot,
+  getHeadCommit,
+  parseUnifiedDiff,
+  getChangedLineRanges,
+  readStagedFile,
+  parseBlamePorcelain,
+  getLineCommits,
+  intersectsRanges,
+};
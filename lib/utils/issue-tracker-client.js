@@ -1,18 +1,125 @@
 /**
  * @fileoverview Issue tracker API clients for ticket validation.
  * @author Jules
+ *
+ * Validation results are cached in memory and on disk, under
+ * `tickets/` in the lint cache directory, so separate ESLint runs and
+ * lint workers share them. Each disk entry is one file keyed by tracker
+ * (see getTrackerKey) and ticket ID, replaced atomically, and carries its
+ * own expiry: `cacheTimeout` for found tickets, the shorter
+ * `negativeCacheTimeout` for tickets that were not found. Errors are
+ * never cached.
  */
 "use strict";
 
+const crypto = require("crypto");
+const fs = require("fs");
 const https = require("https");
 const http = require("http");
+const path = require("path");
+
+const { getDefaultCacheDir } = require("./cache-integration");
+const { DEFAULT_TICKET_PATTERN, findTicketIds } = require("./action-comment-utils");
+const { createLogger } = require("./debug");
 
 // Maximum cache size to prevent unbounded memory growth
 const MAX_TICKET_CACHE = 1000;
 
+// Default cache timeouts in seconds
+const DEFAULT_CACHE_TIMEOUT = 3600;
+const DEFAULT_NEGATIVE_CACHE_TIMEOUT = 300;
+
+// Directory under the lint cache directory that holds ticket results
+const TICKET_CACHE_DIR = "tickets";
+
+// Options of a single-tracker configuration that `trackers` entries inherit
+const SHARED_TRACKER_OPTIONS = ["cacheTimeout", "negativeCacheTimeout", "persistentCache"];
+
+// Linear's GraphQL endpoint, and the query that looks up an issue by identifier
+const LINEAR_API_URL = "https://api.linear.app/graphql";
+const LINEAR_ISSUE_QUERY =
+  "query($id: String!) { issue(id: $id) { title state { name type } assignee { name } } }";
+
 // In-memory cache for ticket validation results
 const ticketCache = new Map();
 
+const log = createLogger("cache");
+
+/**
+ * Store an entry in the in-memory cache, evicting the oldest entry once
+ * the cache holds MAX_TICKET_CACHE entries.
+ * @param {string} key - Tracker key and ticket ID
+ * @param {Object} entry - `{ expiresAt, result }`
+ */
+function rememberTicket(key, entry) {
+  if (ticketCache.size >= MAX_TICKET_CACHE && !ticketCache.has(key)) {
+    const firstKey = ticketCache.keys().next().value;
+    ticketCache.delete(firstKey);
+  }
+
+  ticketCache.set(key, entry);
+}
+
+/**
+ * Get the directory of the disk cache.
+ * @returns {string} Absolute directory
+ */
+function getTicketCacheDir() {
+  return path.join(getDefaultCacheDir(), TICKET_CACHE_DIR);
+}
+
+/**
+ * Get the disk cache file of a ticket.
+ * @param {string} trackerKey - Tracker key (see getTrackerKey)
+ * @param {string} ticketId - Ticket ID
+ * @returns {string} Absolute file path
+ */
+function getDiskCachePath(trackerKey, ticketId) {
+  const hash = (value) => crypto.createHash("sha1").update(value).digest("hex").slice(0, 16);
+  return path.join(getTicketCacheDir(), hash(trackerKey), `${hash(ticketId)}.json`);
+}
+
+/**
+ * Read a ticket's disk cache entry.
+ * @param {string} trackerKey - Tracker key
+ * @param {string} ticketId - Ticket ID
+ * @returns {Object|null} `{ expiresAt, result }`, or null if there is no
+ *   readable entry for this ticket
+ */
+function readDiskCache(trackerKey, ticketId) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(getDiskCachePath(trackerKey, ticketId), "utf8"));
+    return entry.trackerKey === trackerKey && entry.ticketId === ticketId ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a ticket's disk cache entry.
+ *
+ * The entry is written to a temporary file and renamed into place, so
+ * concurrent runs never read a partial entry. Failures are logged and
+ * ignored; the memory cache still works.
+ *
+ * @param {string} trackerKey - Tracker key
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} entry - `{ expiresAt, result }`
+ */
+function writeDiskCache(trackerKey, ticketId, entry) {
+  const filePath = getDiskCachePath(trackerKey, ticketId);
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ trackerKey, ticketId, ...entry }), "utf8");
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    log.debug("Could not cache %s on disk: %s", ticketId, error.message);
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
 /**
  * Resolve a token value, supporting environment variable references.
  * Logs a warning if environment variable is not set.
@@ -46,6 +153,7 @@ function resolveToken(tokenConfig, fieldName = "token") {
  * @param {string} options.url - Full URL to request
  * @param {Object} options.headers - Request headers
  * @param {string} options.method - HTTP method (default: GET)
+ * @param {string} [options.body] - Request body
  * @returns {Promise<Object>} Response object with status and data
  */
 function makeRequest(options) {
@@ -66,6 +174,10 @@ function makeRequest(options) {
       },
     };
 
+    if (options.body !== undefined) {
+      reqOptions.headers["Content-Length"] = Buffer.byteLength(options.body);
+    }
+
     const req = lib.request(reqOptions, (res) => {
       let data = "";
 
@@ -99,37 +211,129 @@ function makeRequest(options) {
       reject(new Error("Request timeout"));
     });
 
-    req.end();
+    req.end(options.body);
   });
 }
 
+/**
+ * Read a value from parsed JSON by path.
+ *
+ * Paths are dot-separated property names; array elements are selected
+ * with `[0]` or `.0`, and a leading `$.` is optional.
+ *
+ * @param {*} data - Parsed JSON
+ * @param {string} jsonPath - Path, e.g. "data.issue.state.name"
+ * @returns {*} Value, or undefined if any part of the path is missing
+ *
+ * @example
+ * getJsonPath({ issues: [{ state: "open" }] }, "$.issues[0].state");
+ * // => "open"
+ */
+function getJsonPath(data, jsonPath) {
+  const segments = jsonPath
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+
+  let value = data;
+  for (const segment of segments) {
+    if (value === null || typeof value !== "object" || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Build the request body of a custom tracker, if it sends one.
+ *
+ * `customGraphQLQuery` is sent as `{ query, variables: { ticketId } }`.
+ * Otherwise `{{ticketId}}` is substituted into `customBody`: into every
+ * string value of an object, which is then sent as JSON, or into a string
+ * as is.
+ *
+ * @param {Object} config - Tracker configuration
+ * @param {string} ticketId - Ticket ID
+ * @returns {{ body: string, json: boolean }|null} Body, and whether it is
+ *   JSON; null if the tracker sends no body
+ */
+function buildCustomBody(config, ticketId) {
+  if (config.customGraphQLQuery) {
+    return {
+      body: JSON.stringify({ query: config.customGraphQLQuery, variables: { ticketId } }),
+      json: true,
+    };
+  }
+
+  if (typeof config.customBody === "string") {
+    return { body: config.customBody.replace(/\{\{ticketId\}\}/g, ticketId), json: false };
+  }
+
+  if (config.customBody && typeof config.customBody === "object") {
+    const body = JSON.stringify(config.customBody, (_key, value) =>
+      typeof value === "string" ? value.replace(/\{\{ticketId\}\}/g, ticketId) : value
+    );
+    return { body, json: true };
+  }
+
+  return null;
+}
+
+/**
+ * Get the part of a custom tracker's key that identifies its request body,
+ * so GraphQL queries against one endpoint get separate cache entries.
+ *
+ * @param {Object} config - Tracker configuration
+ * @returns {string} `#` and a short body hash, or "" without a body
+ */
+function getCustomBodyKey(config) {
+  const request = buildCustomBody(config, "{{ticketId}}");
+  if (!request) {
+    return "";
+  }
+  return `#${crypto.createHash("sha1").update(request.body).digest("hex").slice(0, 8)}`;
+}
+
 /**
  * Base class for issue tracker clients
  */
 class IssueTrackerClient {
   constructor(config) {
     this.config = config;
-    this.cacheTimeout = (config.cacheTimeout || 3600) * 1000;
+    this.trackerKey = getTrackerKey(config) || this.constructor.name;
+    this.cacheTimeout = (config.cacheTimeout ?? DEFAULT_CACHE_TIMEOUT) * 1000;
+    this.negativeCacheTimeout = Math.min(
+      (config.negativeCacheTimeout ?? DEFAULT_NEGATIVE_CACHE_TIMEOUT) * 1000,
+      this.cacheTimeout
+    );
+    this.persistentCache = config.persistentCache !== false;
   }
 
   /**
-   * Get cached result for a ticket
+   * Get cached result for a ticket, from memory or disk
    * @param {string} ticketId - Ticket ID
    * @returns {Object|null} Cached result or null
    */
   getCached(ticketId) {
-    const key = `${this.constructor.name}_${ticketId}`;
-    const cached = ticketCache.get(key);
-
-    if (!cached) {
+    if (this.cacheTimeout === 0) {
       return null;
     }
 
-    if (Date.now() - cached.timestamp > this.cacheTimeout) {
+    const key = `${this.trackerKey}\0${ticketId}`;
+    let cached = ticketCache.get(key);
+
+    if (!cached && this.persistentCache) {
+      cached = readDiskCache(this.trackerKey, ticketId);
+    }
+
+    if (!cached || Date.now() >= cached.expiresAt) {
       ticketCache.delete(key);
       return null;
     }
 
+    rememberTicket(key, cached);
     return cached.result;
   }
 
@@ -141,28 +345,37 @@ class IssueTrackerClient {
    * @param {Object} result - Result to cache
    */
   setCache(ticketId, result) {
-    const key = `${this.constructor.name}_${ticketId}`;
+    // Errors are worth retrying on the next run
+    if (result.error) {
+      return;
+    }
 
-    // Evict oldest entry if at capacity
-    if (ticketCache.size >= MAX_TICKET_CACHE && !ticketCache.has(key)) {
-      const firstKey = ticketCache.keys().next().value;
-      ticketCache.delete(firstKey);
+    const timeout = result.exists ? this.cacheTimeout : this.negativeCacheTimeout;
+    if (timeout === 0) {
+      return;
     }
 
-    ticketCache.set(key, {
-      timestamp: Date.now(),
-      result,
-    });
+    const key = `${this.trackerKey}\0${ticketId}`;
+    const entry = { expiresAt: Date.now() + timeout, result };
+
+    rememberTicket(key, entry);
+
+    if (this.persistentCache) {
+      writeDiskCache(this.trackerKey, ticketId, entry);
+    }
   }
 
   /**
    * Validate a ticket exists
    * @param {string} ticketId - Ticket ID to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.refresh=false] - Skip cached results (the
+   *   new result is still cached)
    * @returns {Promise<Object>} Validation result
    */
-  async validateTicket(ticketId) {
+  async validateTicket(ticketId, options = {}) {
     // Check cache first
-    const cached = this.getCached(ticketId);
+    const cached = options.refresh ? null : this.getCached(ticketId);
     if (cached) {
       return cached;
     }
@@ -237,6 +450,7 @@ class GitHubClient extends IssueTrackerClient {
           exists: true,
           status: response.data.state,
           title: response.data.title,
+          assignee: response.data.assignee?.login || null,
           closed: response.data.state === "closed",
         };
       }
@@ -290,6 +504,7 @@ class JiraClient extends IssueTrackerClient {
           exists: true,
           status,
           title: response.data.fields?.summary,
+          assignee: response.data.fields?.assignee?.displayName || null,
           closed: ["Done", "Closed", "Resolved"].includes(status),
         };
       }
@@ -345,6 +560,7 @@ class GitLabClient extends IssueTrackerClient {
           exists: true,
           status: response.data.state,
           title: response.data.title,
+          assignee: response.data.assignee?.username || null,
           closed: response.data.state === "closed",
         };
       }
@@ -358,9 +574,13 @@ class GitLabClient extends IssueTrackerClient {
 
 /**
  * Linear client (GraphQL API)
+ *
+ * Issues are looked up by identifier (`ABC-123`). Linear reports unknown
+ * issues, rejected keys and rate limits as GraphQL errors, with or without
+ * an HTTP error status.
  */
 class LinearClient extends IssueTrackerClient {
-  async _validate(_ticketId) {
+  async _validate(ticketId) {
     const token = resolveToken(this.config.linearToken);
 
     if (!token) {
@@ -368,19 +588,229 @@ class LinearClient extends IssueTrackerClient {
     }
 
     try {
-      // Note: For POST with body, we'd need to extend makeRequest
-      // For now, return unreachable as Linear requires POST body
-      // This is a simplified implementation
-      await makeRequest({
-        url: "https://api.linear.app/graphql",
+      const response = await makeRequest({
+        url: this.config.linearApiUrl || LINEAR_API_URL,
         method: "POST",
         headers: {
           Authorization: token,
           "Content-Type": "application/json",
         },
+        body: JSON.stringify({ query: LINEAR_ISSUE_QUERY, variables: { id: ticketId } }),
       });
 
-      return { error: "unreachable", message: "Linear GraphQL not fully implemented" };
+      const errors = response.data?.errors || [];
+      const codes = errors.map((error) => error.extensions?.code);
+
+      if (response.status === 401 || response.status === 403 || codes.includes("AUTHENTICATION_ERROR")) {
+        return { error: "authFailed" };
+      }
+
+      if (response.status === 429 || codes.includes("RATELIMITED")) {
+        return { error: "rateLimited" };
+      }
+
+      const issue = response.data?.data?.issue;
+
+      if (issue) {
+        return {
+          exists: true,
+          status: issue.state?.name || "unknown",
+          title: issue.title,
+          assignee: issue.assignee?.name || null,
+          closed: ["completed", "canceled"].includes(issue.state?.type),
+        };
+      }
+
+      if (issue === null || errors.some((error) => /not found/i.test(error.message))) {
+        return { exists: false };
+      }
+
+      return { error: "unreachable" };
+    } catch (err) {
+      return { error: "unreachable", message: err.message };
+    }
+  }
+}
+
+/**
+ * Azure DevOps Boards client
+ */
+class AzureDevOpsClient extends IssueTrackerClient {
+  async _validate(ticketId) {
+    const token = resolveToken(this.config.azureToken);
+    const orgUrl = this.config.azureOrgUrl;
+    const project = this.config.azureProject;
+
+    if (!orgUrl) {
+      return { error: "missingConfig", field: "azureOrgUrl" };
+    }
+
+    // Extract work item ID (supports "123", "#123", "AB#123")
+    const workItemMatch = ticketId.match(/(?:AB)?#?(\d+)/i);
+    if (!workItemMatch) {
+      return { exists: false, error: "invalidFormat" };
+    }
+    const workItemId = workItemMatch[1];
+
+    const projectPath = project ? `/${encodeURIComponent(project)}` : "";
+    const url = `${orgUrl}${projectPath}/_apis/wit/workitems/${workItemId}?api-version=7.0`;
+    const headers = {};
+
+    if (token) {
+      // Personal access tokens use Basic auth with an empty user name
+      headers.Authorization = `Basic ${Buffer.from(`:${token}`).toString("base64")}`;
+    }
+
+    try {
+      const response = await makeRequest({ url, headers });
+
+      if (response.status === 404) {
+        return { exists: false };
+      }
+
+      // Azure DevOps answers rejected tokens with a 203 sign-in page
+      if (response.status === 401 || response.status === 403 || response.status === 203) {
+        return { error: "authFailed" };
+      }
+
+      if (response.status === 429) {
+        return { error: "rateLimited" };
+      }
+
+      if (response.status === 200 && response.data) {
+        const fields = response.data.fields || {};
+        const status = fields["System.State"] || "unknown";
+        return {
+          exists: true,
+          status,
+          title: fields["System.Title"],
+          assignee: fields["System.AssignedTo"]?.displayName || null,
+          closed: ["Closed", "Done", "Removed"].includes(status),
+        };
+      }
+
+      return { error: "unreachable" };
+    } catch (err) {
+      return { error: "unreachable", message: err.message };
+    }
+  }
+}
+
+/**
+ * Bitbucket Cloud Issues client
+ */
+class BitbucketClient extends IssueTrackerClient {
+  async _validate(ticketId) {
+    const token = resolveToken(this.config.bitbucketToken);
+    const username = this.config.bitbucketUsername;
+    const baseUrl = this.config.bitbucketBaseUrl || "https://api.bitbucket.org";
+    const repo = this.config.bitbucketRepo;
+
+    if (!repo) {
+      return { error: "missingConfig", field: "bitbucketRepo" };
+    }
+
+    // Extract issue number
+    const issueMatch = ticketId.match(/#?(\d+)/);
+    if (!issueMatch) {
+      return { exists: false, error: "invalidFormat" };
+    }
+    const issueNumber = issueMatch[1];
+
+    const url = `${baseUrl}/2.0/repositories/${repo}/issues/${issueNumber}`;
+    const headers = {};
+
+    if (token && username) {
+      // App passwords are paired with the account's user name
+      headers.Authorization = `Basic ${Buffer.from(`${username}:${token}`).toString("base64")}`;
+    } else if (token) {
+      // Repository, project and workspace access tokens
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    try {
+      const response = await makeRequest({ url, headers });
+
+      if (response.status === 404) {
+        return { exists: false };
+      }
+
+      if (response.status === 401 || response.status === 403) {
+        return { error: "authFailed" };
+      }
+
+      if (response.status === 429) {
+        return { error: "rateLimited" };
+      }
+
+      if (response.status === 200 && response.data) {
+        const status = response.data.state || "unknown";
+        return {
+          exists: true,
+          status,
+          title: response.data.title,
+          assignee: response.data.assignee?.display_name || null,
+          closed: ["resolved", "closed", "invalid", "duplicate", "wontfix"].includes(status),
+        };
+      }
+
+      return { error: "unreachable" };
+    } catch (err) {
+      return { error: "unreachable", message: err.message };
+    }
+  }
+}
+
+/**
+ * YouTrack client
+ */
+class YouTrackClient extends IssueTrackerClient {
+  async _validate(ticketId) {
+    const token = resolveToken(this.config.youtrackToken);
+    const baseUrl = this.config.youtrackBaseUrl;
+
+    if (!baseUrl) {
+      return { error: "missingConfig", field: "youtrackBaseUrl" };
+    }
+
+    const fields = "idReadable,summary,resolved,customFields(name,value(name,login,fullName))";
+    const url = `${baseUrl}/api/issues/${encodeURIComponent(ticketId)}?fields=${encodeURIComponent(fields)}`;
+    const headers = {};
+
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    try {
+      const response = await makeRequest({ url, headers });
+
+      if (response.status === 404) {
+        return { exists: false };
+      }
+
+      if (response.status === 401 || response.status === 403) {
+        return { error: "authFailed" };
+      }
+
+      if (response.status === 429) {
+        return { error: "rateLimited" };
+      }
+
+      if (response.status === 200 && response.data) {
+        const customFields = response.data.customFields || [];
+        const state = customFields.find((field) => field.name === "State")?.value;
+        const assignee = customFields.find((field) => field.name === "Assignee")?.value;
+        return {
+          exists: true,
+          status: state?.name || (response.data.resolved ? "resolved" : "unknown"),
+          title: response.data.summary,
+          assignee: assignee?.fullName || assignee?.login || null,
+          // Every state YouTrack counts as resolved sets this timestamp
+          closed: Boolean(response.data.resolved),
+        };
+      }
+
+      return { error: "unreachable" };
     } catch (err) {
       return { error: "unreachable", message: err.message };
     }
@@ -389,20 +819,31 @@ class LinearClient extends IssueTrackerClient {
 
 /**
  * Custom API client
+ *
+ * Without mapping options, responses are read as `{ status, title, assignee,
+ * closed }`. The `custom*Path` options point at the fields of any other
+ * shape, and `customOpenStates`/`customClosedStates` decide which states
+ * count as closed.
  */
 class CustomClient extends IssueTrackerClient {
   async _validate(ticketId) {
     const urlTemplate = this.config.customApiUrl;
-    const headers = this.config.customHeaders || {};
+    const headers = { ...this.config.customHeaders };
 
     if (!urlTemplate) {
       return { error: "missingConfig", field: "customApiUrl" };
     }
 
     const url = urlTemplate.replace("{{ticketId}}", encodeURIComponent(ticketId));
+    const request = buildCustomBody(this.config, ticketId);
+    const method = this.config.customMethod || (request ? "POST" : "GET");
+
+    if (request && request.json && !Object.keys(headers).some((name) => name.toLowerCase() === "content-type")) {
+      headers["Content-Type"] = "application/json";
+    }
 
     try {
-      const response = await makeRequest({ url, headers });
+      const response = await makeRequest({ url, headers, method, body: request ? request.body : undefined });
 
       if (response.status === 404) {
         return { exists: false };
@@ -413,12 +854,7 @@ class CustomClient extends IssueTrackerClient {
       }
 
       if (response.status >= 200 && response.status < 300) {
-        return {
-          exists: true,
-          status: response.data?.status || "unknown",
-          title: response.data?.title || response.data?.name,
-          closed: response.data?.closed || response.data?.state === "closed",
-        };
+        return this._mapResponse(response.data);
       }
 
       return { error: "unreachable" };
@@ -426,6 +862,69 @@ class CustomClient extends IssueTrackerClient {
       return { error: "unreachable", message: err.message };
     }
   }
+
+  /**
+   * Map a successful response to a validation result.
+   * @param {*} data - Parsed response body
+   * @returns {Object} Validation result
+   */
+  _mapResponse(data) {
+    const {
+      customNotFoundPath,
+      customStatePath,
+      customTitlePath,
+      customAssigneePath,
+      customOpenStates,
+      customClosedStates,
+    } = this.config;
+
+    // e.g. GraphQL answers `{ "data": { "issue": null } }` for unknown IDs
+    if (customNotFoundPath) {
+      const found = getJsonPath(data, customNotFoundPath);
+      if (found === undefined || found === null) {
+        return { exists: false };
+      }
+    }
+
+    const title = customTitlePath ? getJsonPath(data, customTitlePath) : data?.title || data?.name;
+    const assignee = customAssigneePath ? getJsonPath(data, customAssigneePath) : data?.assignee;
+
+    if (!customStatePath && !customOpenStates && !customClosedStates) {
+      return {
+        exists: true,
+        status: data?.status || "unknown",
+        title,
+        assignee: assignee || null,
+        closed: data?.closed || data?.state === "closed",
+      };
+    }
+
+    const state = getJsonPath(data, customStatePath || "status");
+    const status = state === undefined || state === null ? "unknown" : String(state);
+    let closed;
+
+    if (customClosedStates && customClosedStates.includes(status)) {
+      closed = true;
+    } else if (customOpenStates && customOpenStates.includes(status)) {
+      closed = false;
+    } else if (customClosedStates && customOpenStates) {
+      // A state in neither list usually means a wrong path or a new workflow state
+      return { error: "unreachable", message: `unexpected state '${status}' at ${customStatePath || "status"}` };
+    } else if (customClosedStates || customOpenStates) {
+      // Only one list: everything else belongs to the other
+      closed = !customClosedStates;
+    } else {
+      closed = status === "closed" || status === "true";
+    }
+
+    return {
+      exists: true,
+      status,
+      title: title === undefined ? undefined : String(title),
+      assignee: assignee === undefined || assignee === null ? null : String(assignee),
+      closed,
+    };
+  }
 }
 
 /**
@@ -443,6 +942,12 @@ function createClient(config) {
       return new GitLabClient(config);
     case "linear":
       return new LinearClient(config);
+    case "azure-devops":
+      return new AzureDevOpsClient(config);
+    case "bitbucket":
+      return new BitbucketClient(config);
+    case "youtrack":
+      return new YouTrackClient(config);
     case "custom":
       return new CustomClient(config);
     default:
@@ -451,10 +956,111 @@ function createClient(config) {
 }
 
 /**
- * Clear the ticket cache
+ * Identify the tracker a configuration points at, e.g. "github:owner/repo".
+ *
+ * Ticket IDs are only unique within one tracker, so snapshots store them
+ * under this key.
+ *
+ * @param {Object} config - Tracker configuration
+ * @returns {string} Tracker key
+ */
+function getTrackerKey(config) {
+  switch (config.tracker) {
+    case "github":
+      return `github:${config.githubRepo || ""}`;
+    case "jira":
+      return `jira:${config.jiraBaseUrl || ""}`;
+    case "gitlab":
+      return `gitlab:${config.gitlabBaseUrl || "https://gitlab.com"}/${config.gitlabProjectId || ""}`;
+    case "azure-devops":
+      return `azure-devops:${config.azureOrgUrl || ""}${config.azureProject ? `/${config.azureProject}` : ""}`;
+    case "bitbucket":
+      return `bitbucket:${config.bitbucketBaseUrl || "https://api.bitbucket.org"}/${config.bitbucketRepo || ""}`;
+    case "linear":
+      return `linear:${config.linearApiUrl || LINEAR_API_URL}`;
+    case "youtrack":
+      return `youtrack:${config.youtrackBaseUrl || ""}`;
+    case "custom":
+      return `custom:${config.customApiUrl || ""}${getCustomBodyKey(config)}`;
+    default:
+      return config.tracker;
+  }
+}
+
+/**
+ * Get the trackers a rule configuration validates against.
+ *
+ * A `trackers` array lists one configuration per tracker; each entry
+ * inherits the cache options of the surrounding configuration. Without
+ * it, the configuration itself is the only tracker.
+ *
+ * @param {Object} options - issue-tracker-integration options
+ * @returns {Object[]} Tracker configurations, in routing order
+ *
+ * @example
+ * getTrackerConfigs({ trackers: [{ tracker: "jira", ticketPattern: "PAY-\\d+" }], cacheTimeout: 60 });
+ * // => [{ cacheTimeout: 60, tracker: "jira", ticketPattern: "PAY-\\d+" }]
+ */
+function getTrackerConfigs(options) {
+  if (Array.isArray(options.trackers)) {
+    const shared = {};
+    for (const key of SHARED_TRACKER_OPTIONS) {
+      if (options[key] !== undefined) {
+        shared[key] = options[key];
+      }
+    }
+    return options.trackers.map((entry) => ({ ...shared, ...entry }));
+  }
+
+  return options.tracker ? [options] : [];
+}
+
+/**
+ * Get the name a tracker is shown with in messages.
+ * @param {Object} config - Tracker configuration
+ * @returns {string} `name`, or the tracker type
+ */
+function getTrackerName(config) {
+  return config.name || config.tracker;
+}
+
+/**
+ * Find the ticket IDs in a TODO/FIXME comment and the tracker each
+ * belongs to: the first tracker whose `ticketPattern` matches the whole ID.
+ *
+ * @param {string} text - Comment text
+ * @param {Object[]} trackers - Tracker configurations from getTrackerConfigs
+ * @returns {Array<{ ticketId: string, tracker: Object }>} Routed tickets,
+ *   without duplicates
+ *
+ * @example
+ * routeTickets(" TODO (PAY-12, #4): Refund", [jira, github]);
+ * // => [{ ticketId: "PAY-12", tracker: jira }, { ticketId: "#4", tracker: github }]
+ */
+function routeTickets(text, trackers) {
+  const patterns = trackers.map(
+    (tracker) => new RegExp(`^(?:${tracker.ticketPattern || DEFAULT_TICKET_PATTERN})$`, "i")
+  );
+  const routed = new Map();
+
+  for (const tracker of trackers) {
+    for (const ticketId of findTicketIds(text, tracker.ticketPattern)) {
+      if (!routed.has(ticketId)) {
+        const index = patterns.findIndex((pattern) => pattern.test(ticketId));
+        routed.set(ticketId, index === -1 ? tracker : trackers[index]);
+      }
+    }
+  }
+
+  return [...routed].map(([ticketId, tracker]) => ({ ticketId, tracker }));
+}
+
+/**
+ * Clear the ticket cache, in memory and on disk
  */
 function clearCache() {
   ticketCache.clear();
+  fs.rmSync(getTicketCacheDir(), { recursive: true, force: true });
 }
 
 module.exports = {
@@ -463,9 +1069,17 @@ module.exports = {
   JiraClient,
   GitLabClient,
   LinearClient,
+  AzureDevOpsClient,
+  BitbucketClient,
+  YouTrackClient,
   CustomClient,
   createClient,
+  getTrackerKey,
+  getTrackerConfigs,
+  getTrackerName,
+  routeTickets,
   clearCache,
+  getTicketCacheDir,
   resolveToken,
   makeRequest,
 };
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview JSON-RPC message framing for the language server
+ * @author Jules
+ *
+ * The Language Server Protocol sends JSON-RPC messages over a byte stream,
+ * each preceded by a header block:
+ *
+ *     Content-Length: 52\r\n
+ *     \r\n
+ *     {"jsonrpc":"2.0","id":1,"method":"initialize",...}
+ *
+ * `Content-Length` counts bytes, not characters. Other headers (such as
+ * `Content-Type`) are accepted and ignored.
+ *
+ * @module json-rpc
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// Separates the header block from the content
+const HEADER_END = "\r\n\r\n";
+
+// Content-Length header, case-insensitive like HTTP headers
+const CONTENT_LENGTH = /^content-length:\s*(\d+)\s*$/im;
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+/**
+ * Frame a message for sending.
+ *
+ * @param {Object} message - JSON-RPC message
+ * @returns {string} Header block and JSON content
+ *
+ * @example
+ * process.stdout.write(encodeMessage({ jsonrpc: "2.0", id: 1, result: null }));
+ */
+function encodeMessage(message) {
+  const content = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(content, "utf8")}${HEADER_END}${content}`;
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a reader that splits a byte stream into messages.
+ *
+ * Chunks may end anywhere, including inside a header or a multi-byte
+ * character, and may hold several messages.
+ *
+ * @param {Function} onMessage - Called with each parsed message
+ * @param {Function} [onError] - Called with an Error for a header without
+ *   Content-Length or content that is not valid JSON; the bad message is skipped
+ * @returns {{ push: Function }} Reader; `push(chunk)` accepts a Buffer or string
+ *
+ * @example
+ * const reader = createMessageReader((message) => handle(message));
+ * process.stdin.on("data", (chunk) => reader.push(chunk));
+ */
+function createMessageReader(onMessage, onError = () => {}) {
+  let buffer = Buffer.alloc(0);
+
+  return {
+    push(chunk) {
+      buffer = Buffer.concat([buffer, typeof chunk === "string" ? Buffer.from(chunk, "utf8") : chunk]);
+
+      for (;;) {
+        const headerEnd = buffer.indexOf(HEADER_END);
+        if (headerEnd === -1) {
+          return;
+        }
+
+        const header = buffer.slice(0, headerEnd).toString("ascii");
+        const match = CONTENT_LENGTH.exec(header);
+        const contentStart = headerEnd + HEADER_END.length;
+
+        if (!match) {
+          buffer = buffer.slice(contentStart);
+          onError(new Error(`Message header without Content-Length: ${JSON.stringify(header)}`));
+          continue;
+        }
+
+        const contentEnd = contentStart + Number(match[1]);
+        if (buffer.length < contentEnd) {
+          return;
+        }
+
+        const content = buffer.slice(contentStart, contentEnd).toString("utf8");
+        buffer = buffer.slice(contentEnd);
+
+        let message;
+        try {
+          message = JSON.parse(content);
+        } catch (error) {
+          onError(new Error(`Invalid JSON-RPC message: ${error.message}`));
+          continue;
+        }
+        onMessage(message);
+      }
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  encodeMessage,
+  createMessageReader,
+};
@@ -115,6 +115,12 @@ const nodeIndexCache = new WeakMap();
 const fileContextCache = new WeakMap();      // Cache file context per sourceCode
 const commentContextCache = new LRUCache(300);  // Cache enhanced comment classification
 
+// git blame per file, keyed by path and checked against the linted text
+const blameCache = new LRUCache(100);
+
+// Parsed ticket snapshots, keyed by path and checked against the file's mtime
+const snapshotCache = new LRUCache(10);
+
 /**
  * Clear all global caches. Call this between test runs to ensure clean state.
  * Note: WeakMap caches (commentCache, identifierCache, nodeIndexCache)
@@ -125,6 +131,8 @@ function clearAllCaches() {
   jsdocCache.clear();
   dateCache.clear();
   commentContextCache.clear();  // v1.1.1
+  blameCache.clear();
+  snapshotCache.clear();
 }
 
 /**
@@ -163,6 +171,8 @@ module.exports = {
   // v1.1.1: Enhanced context caches
   fileContextCache,
   commentContextCache,
+  blameCache,
+  snapshotCache,
   clearAllCaches,
   getCachedRegex,
 };
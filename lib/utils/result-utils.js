@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Helpers for post-processing ESLint lint results
+ * @author Jules
+ *
+ * The CLI filters and rewrites results after ESLint produces them (for
+ * example, to keep only messages on changed lines). These helpers keep the
+ * result objects consistent with what ESLint formatters expect.
+ *
+ * @module result-utils
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+
+// ---------------------------------------------------------------------------
+// Counting
+// ---------------------------------------------------------------------------
+
+/**
+ * Recompute the error, warning and fixable counts of a result from its
+ * messages. Call this after removing messages.
+ *
+ * @param {Object} result - ESLint lint result (mutated)
+ * @returns {Object} The same result
+ */
+function recountResult(result) {
+  result.errorCount = 0;
+  result.warningCount = 0;
+  result.fatalErrorCount = 0;
+  result.fixableErrorCount = 0;
+  result.fixableWarningCount = 0;
+
+  for (const message of result.messages) {
+    if (message.severity === 2) {
+      result.errorCount++;
+      if (message.fatal) result.fatalErrorCount++;
+      if (message.fix) result.fixableErrorCount++;
+    } else {
+      result.warningCount++;
+      if (message.fix) result.fixableWarningCount++;
+    }
+  }
+
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Source Text
+// ---------------------------------------------------------------------------
+
+/**
+ * Get the source text a result was produced from.
+ *
+ * ESLint only includes `source` on results with messages and no fixes,
+ * so fall back to reading the file.
+ *
+ * @param {Object} result - ESLint lint result
+ * @returns {string|null} Source text or null if unavailable
+ */
+function getResultSource(result) {
+  if (typeof result.source === "string") {
+    return result.source;
+  }
+  try {
+    return fs.readFileSync(result.filePath, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Fixing
+// ---------------------------------------------------------------------------
+
+/**
+ * Apply the fixes of the given messages to a source text.
+ *
+ * Fixes are applied in range order in a single pass; a fix that overlaps
+ * an earlier one is skipped, as ESLint does within one pass.
+ *
+ * @param {string} text - Source text
+ * @param {Object[]} messages - Messages with a `fix` property
+ * @returns {{ output: string, applied: Object[], skipped: Object[] }} Fixed
+ *   text and the messages whose fixes were or were not applied
+ */
+function applyFixes(text, messages) {
+  const sorted = messages
+    .filter((message) => message.fix)
+    .sort((a, b) => a.fix.range[0] - b.fix.range[0] || a.fix.range[1] - b.fix.range[1]);
+
+  const applied = [];
+  const skipped = [];
+  let output = "";
+  let lastPos = 0;
+
+  for (const message of sorted) {
+    const [start, end] = message.fix.range;
+    if (start < lastPos) {
+      skipped.push(message);
+      continue;
+    }
+    output += text.slice(lastPos, start) + message.fix.text;
+    lastPos = end;
+    applied.push(message);
+  }
+
+  output += text.slice(lastPos);
+
+  return { output, applied, skipped };
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  recountResult,
+  getResultSource,
+  applyFixes,
+};
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Plain-text table rendering for CLI output.
+ * @author Jules
+ */
+"use strict";
+
+/**
+ * Render rows as an aligned text table.
+ *
+ * Columns are separated by two spaces and padded to the widest cell. The
+ * last column is not padded, and trailing whitespace is trimmed.
+ *
+ * @param {string[]} headers - Column headers
+ * @param {string[][]} rows - Cell values
+ * @param {string} [indent=""] - Prefix for every line
+ * @returns {string} Table text
+ *
+ * @example
+ * renderTable(["Rule", "Fixable"], [["enforce-todo-format", "yes"]]);
+ * // Rule                 Fixable
+ * // enforce-todo-format  yes
+ */
+function renderTable(headers, rows, indent = "") {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => String(row[column]).length)));
+
+  return [headers, ...rows]
+    .map((row) => (indent + row
+      .map((cell, column) => (column === row.length - 1 ? String(cell) : String(cell).padEnd(widths[column])))
+      .join("  ")).trimEnd())
+    .join("\n");
+}
+
+module.exports = {
+  renderTable,
+};
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Ticket snapshot files for offline ticket validation
+ * @author Jules
+ *
+ * `lint-my-lines tickets sync` fetches every referenced ticket once and
+ * writes what it found to a snapshot file. `issue-tracker-integration`
+ * then validates against that file synchronously, so its reports do not
+ * depend on the network or on ESLint awaiting the rule.
+ *
+ * A snapshot looks like:
+ *
+ * ```json
+ * {
+ *   "version": 1,
+ *   "syncedAt": "2026-10-19T08:00:00.000Z",
+ *   "trackers": {
+ *     "github:owner/repo": {
+ *       "GH-12": {
+ *         "exists": true,
+ *         "state": "open",
+ *         "closed": false,
+ *         "title": "Retry failed uploads",
+ *         "assignee": "octocat",
+ *         "fetchedAt": "2026-10-19T08:00:00.000Z"
+ *       }
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * Tickets are stored under their tracker's key (see getTrackerKey), since
+ * IDs are only unique within one tracker.
+ *
+ * @module ticket-snapshot
+ */
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Requirements
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const { snapshotCache } = require("./performance-cache");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Snapshot format version.
+ * @type {number}
+ */
+const SNAPSHOT_VERSION = 1;
+
+// ---------------------------------------------------------------------------
+// Reading and Writing
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a snapshot file.
+ *
+ * Parsed snapshots are cached until the file's modification time changes,
+ * so linting many files reads the snapshot once.
+ *
+ * @param {string} filePath - Absolute snapshot path
+ * @returns {Object} Snapshot
+ * @throws {Error} If the file is missing, not JSON or not a snapshot
+ *
+ * @example
+ * const snapshot = readSnapshot("/repo/.lintmylines-tickets.json");
+ */
+function readSnapshot(filePath) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    throw new Error("file not found");
+  }
+
+  const cached = snapshotCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.snapshot;
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    throw new Error("not valid JSON");
+  }
+
+  if (
+    !snapshot ||
+    snapshot.version !== SNAPSHOT_VERSION ||
+    !snapshot.trackers ||
+    typeof snapshot.trackers !== "object" ||
+    Array.isArray(snapshot.trackers) ||
+    isNaN(Date.parse(snapshot.syncedAt))
+  ) {
+    throw new Error(`not a version ${SNAPSHOT_VERSION} ticket snapshot`);
+  }
+
+  snapshotCache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, snapshot });
+  return snapshot;
+}
+
+/**
+ * Write a snapshot file, creating its directory if needed.
+ * @param {string} filePath - Snapshot path
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ */
+function writeSnapshot(filePath, snapshot) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(snapshot, null, 2)}\n`, "utf8");
+}
+
+// ---------------------------------------------------------------------------
+// Building and Querying
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an empty snapshot.
+ * @param {Date} [now=new Date()] - Sync time
+ * @returns {Object} Snapshot without trackers
+ */
+function createSnapshot(now = new Date()) {
+  return {
+    version: SNAPSHOT_VERSION,
+    syncedAt: now.toISOString(),
+    trackers: {},
+  };
+}
+
+/**
+ * Convert a client validation result into a snapshot entry.
+ * @param {Object} result - Result of a client's validateTicket
+ * @param {Date} fetchedAt - When the ticket was fetched
+ * @returns {Object} `{ exists, state, closed, title, assignee, fetchedAt }`
+ */
+function toSnapshotEntry(result, fetchedAt) {
+  return {
+    exists: Boolean(result.exists),
+    state: result.exists ? result.status || null : null,
+    closed: Boolean(result.closed),
+    title: result.title || null,
+    assignee: result.assignee || null,
+    fetchedAt: fetchedAt.toISOString(),
+  };
+}
+
+/**
+ * Look up a ticket in a snapshot.
+ * @param {Object} snapshot - Snapshot
+ * @param {string} trackerKey - Tracker key (see getTrackerKey)
+ * @param {string} ticketId - Ticket ID as written in the comment
+ * @returns {Object|null} Snapshot entry, or null if the ticket was not synced
+ */
+function findSnapshotTicket(snapshot, trackerKey, ticketId) {
+  const tickets = snapshot.trackers[trackerKey];
+  return tickets && Object.prototype.hasOwnProperty.call(tickets, ticketId) ? tickets[ticketId] : null;
+}
+
+/**
+ * Get the age of a snapshot.
+ * @param {Object} snapshot - Snapshot
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {number} Whole days since the snapshot was synced
+ */
+function getSnapshotAgeDays(snapshot, now = new Date()) {
+  return Math.floor((now.getTime() - Date.parse(snapshot.syncedAt)) / (1000 * 60 * 60 * 24));
+}
+
+// ---------------------------------------------------------------------------
+// Module Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  readSnapshot,
+  writeSnapshot,
+  createSnapshot,
+  toSnapshotEntry,
+  findSnapshotTicket,
+  getSnapshotAgeDays,
+};
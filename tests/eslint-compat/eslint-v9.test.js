@@ -241,6 +241,15 @@ describe("ESLint v9 Compatibility", function () {
       }
     });
 
+    it("should register the exported plugin object itself", function () {
+      // Flat config rejects two different objects under one plugin name, so a
+      // user's `plugins: { "lint-my-lines": plugin }` must be the same object
+      for (const preset of presets) {
+        assert.strictEqual(plugin.configs[preset].plugins["lint-my-lines"], plugin, preset);
+      }
+      assert.strictEqual(require("../../lib/index.js"), plugin);
+    });
+
     it("should freeze config objects to prevent mutation", function () {
       const config = plugin.configs["flat/recommended"];
 
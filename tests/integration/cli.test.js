@@ -140,6 +140,215 @@ describe("CLI: lint-my-lines", function() {
       const content = fs.readFileSync(configPath, "utf8");
       assert(content.includes("strict"), "Config should use strict preset");
     });
+
+    it("should compose detected presets with --yes", function() {
+      fs.writeFileSync(
+        path.join(fixturesDir, "package.json"),
+        JSON.stringify({
+          type: "module",
+          devDependencies: { typescript: "5.0.0", "@typescript-eslint/parser": "7.0.0", mocha: "10.0.0" },
+        }, null, 2)
+      );
+
+      const result = spawnSync("node", [binPath, "init", "--yes"], {
+        cwd: fixturesDir,
+        encoding: "utf8"
+      });
+
+      assert.strictEqual(result.status, 0);
+      assert(result.stdout.includes("Detected: typescript (@typescript-eslint/parser), tests (mocha)"));
+
+      const content = fs.readFileSync(path.join(fixturesDir, "eslint.config.js"), "utf8");
+      assert(content.includes('lintMyLines.configs["flat/typescript"]'));
+      assert(content.includes('lintMyLines.configs["flat/test-files"]'));
+      assert(content.includes("createFileTypePreset({"));
+      assert(content.includes('import tsParser from "@typescript-eslint/parser";'));
+    });
+
+    it("should ask for presets and globs with --interactive", function() {
+      fs.writeFileSync(
+        path.join(fixturesDir, "package.json"),
+        JSON.stringify({ name: "test-cjs" }, null, 2)
+      );
+
+      // Answers: base preset, base files, exclusions, then enable markdown
+      // (the fifth preset question) with custom files
+      const result = spawnSync("node", [binPath, "init", "--interactive"], {
+        cwd: fixturesDir,
+        encoding: "utf8",
+        input: "strict\nsrc/**/*.js\ngenerated/**\n\n\n\n\ny\ndocs/**/*.md\n"
+      });
+
+      assert.strictEqual(result.status, 0);
+
+      const content = fs.readFileSync(path.join(fixturesDir, "eslint.config.cjs"), "utf8");
+      assert(content.includes('lintMyLines.configs["flat/strict"]'));
+      assert(content.includes('files: ["src/**/*.js"]'));
+      assert(content.includes('const ignores = ["generated/**"];'));
+      assert(content.includes('files: ["docs/**/*.md"]'));
+      assert(!content.includes("flat/typescript"));
+    });
+
+    it("should reject --no-flat with --yes", function() {
+      const result = spawnSync("node", [binPath, "init", "--yes", "--no-flat"], {
+        cwd: fixturesDir,
+        encoding: "utf8"
+      });
+
+      assert.strictEqual(result.status, 1);
+      assert(result.stderr.includes("only generates flat config"));
+    });
+  });
+
+  describe("migrate command", function() {
+    beforeEach(function() {
+      fs.writeFileSync(
+        path.join(fixturesDir, "package.json"),
+        JSON.stringify({ type: "module" }, null, 2)
+      );
+      fs.writeFileSync(
+        path.join(fixturesDir, ".eslintrc.json"),
+        JSON.stringify({
+          env: { node: true },
+          extends: ["plugin:lint-my-lines/recommended"],
+          overrides: [{ files: ["*.test.js"], extends: ["plugin:lint-my-lines/minimal"] }],
+        }, null, 2)
+      );
+    });
+
+    it("should print a diff without writing with --dry-run", function() {
+      const result = spawnSync("node", [binPath, "migrate", "--dry-run"], {
+        cwd: fixturesDir,
+        encoding: "utf8"
+      });
+
+      assert.strictEqual(result.status, 0);
+      assert(result.stdout.includes("--- .eslintrc.json"));
+      assert(result.stdout.includes("+++ eslint.config.js"));
+      assert(result.stdout.includes('+  createConfigForFiles(lintMyLines.configs["flat/minimal"], ["**/*.test.js"]),'));
+      assert(result.stderr.includes("Warning: Could not translate env"));
+      assert(!fs.existsSync(path.join(fixturesDir, "eslint.config.js")));
+    });
+
+    it("should write eslint.config.js", function() {
+      const result = spawnSync("node", [binPath, "migrate", ".eslintrc.json"], {
+        cwd: fixturesDir,
+        encoding: "utf8"
+      });
+
+      assert.strictEqual(result.status, 0);
+      const content = fs.readFileSync(path.join(fixturesDir, "eslint.config.js"), "utf8");
+      assert(content.includes('lintMyLines.configs["flat/recommended"],'));
+    });
+
+    it("should not overwrite an existing flat config without --force", function() {
+      fs.writeFileSync(path.join(fixturesDir, "eslint.config.js"), "export default [];\n");
+
+      const result = spawnSync("node", [binPath, "migrate"], {
+        cwd: fixturesDir,
+        encoding: "utf8"
+      });
+
+      assert.strictEqual(result.status, 1);
+      assert(result.stderr.includes("Use --force to overwrite it"));
+      assert.strictEqual(fs.readFileSync(path.join(fixturesDir, "eslint.config.js"), "utf8"), "export default [];\n");
+    });
+  });
+
+  describe("rules command", function() {
+    it("should list rules with their presets", function() {
+      const result = spawnSync("node", [binPath, "rules"], { encoding: "utf8" });
+
+      assert.strictEqual(result.status, 0);
+      assert(/enforce-todo-format\s+Stylistic Issues\s+yes\s+minimal, recommended/.test(result.stdout));
+    });
+
+    it("should filter by preset", function() {
+      const result = spawnSync("node", [binPath, "rules", "--preset", "analysis", "--format", "json"], {
+        encoding: "utf8"
+      });
+
+      assert.strictEqual(result.status, 0);
+      const names = JSON.parse(result.stdout).map((rule) => rule.name).sort();
+      assert.deepStrictEqual(names, ["comment-code-ratio", "stale-comment-detection", "todo-aging-warnings"]);
+    });
+  });
+
+  describe("explain command", function() {
+    it("should show options, messages, presets and docs", function() {
+      const result = spawnSync("node", [binPath, "explain", "lint-my-lines/enforce-comment-length"], {
+        encoding: "utf8"
+      });
+
+      assert.strictEqual(result.status, 0);
+      assert(/ignoreRegex\s+string\s+-\s+Custom regex pattern/.test(result.stdout));
+      assert(/tooLong\s+Comment is too long/.test(result.stdout));
+      assert(/strict\s+error \{"maxLength":120\}\s+inherited from recommended/.test(result.stdout));
+      assert(result.stdout.includes("# enforce-comment-length"));
+    });
+
+    it("should suggest similar rules for unknown names", function() {
+      const result = spawnSync("node", [binPath, "explain", "tsdoc"], { encoding: "utf8" });
+
+      assert.strictEqual(result.status, 1);
+      assert(result.stderr.includes("Did you mean: valid-tsdoc?"));
+    });
+  });
+
+  describe("cache command", function() {
+    const run = (args) => spawnSync("node", [binPath, ...args], { cwd: fixturesDir, encoding: "utf8" });
+
+    beforeEach(function() {
+      fs.writeFileSync(path.join(fixturesDir, "a.js"), "// TODO: Fix\nfunction a() {}\n");
+    });
+
+    it("should report the cache written by lint --cache", function() {
+      assert.strictEqual(run(["lint", "--cache", "a.js"]).status, 0);
+
+      const result = run(["cache", "stats"]);
+
+      assert.strictEqual(result.status, 0);
+      assert(result.stdout.includes(path.join("node_modules", ".cache", "lint-my-lines")));
+      assert(/recommended\s+\S+\s+\d+\s+metadata\s+1\s+.+\s+valid/.test(result.stdout));
+      assert(result.stdout.includes("reuses cache"));
+    });
+
+    it("should report when the current config invalidates the cache", function() {
+      run(["lint", "--cache", "a.js"]);
+
+      const result = run(["cache", "stats", "--cache-strategy", "content", "--format", "json"]);
+      const stats = JSON.parse(result.stdout);
+
+      assert.strictEqual(stats.current.invalidated, true);
+      assert.deepStrictEqual(stats.current.reasons, ["strategy metadata -> content"]);
+    });
+
+    it("should show the cache file lint --cache would use", function() {
+      const result = run(["cache", "info", "--preset", "strict", "--format", "json"]);
+      const info = JSON.parse(result.stdout);
+
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(info.preset, "strict");
+      assert.strictEqual(info.exists, false);
+      assert(info.eslintVersion);
+    });
+
+    it("should clear the cache", function() {
+      run(["lint", "--cache", "a.js"]);
+
+      const result = run(["cache", "clear"]);
+
+      assert.strictEqual(result.status, 0);
+      assert(result.stdout.includes("Cleared cache"));
+      assert(!fs.existsSync(path.join(fixturesDir, "node_modules", ".cache", "lint-my-lines")));
+    });
+
+    it("should reject an unknown cache strategy", function() {
+      const result = run(["lint", "--cache", "--cache-strategy", "mtime", "a.js"]);
+
+      assert.strictEqual(result.status, 1);
+      assert(result.stderr.includes('Invalid cache strategy "mtime"'));
+    });
   });
 
   describe("help command", function() {
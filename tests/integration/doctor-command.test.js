@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Tests for the doctor command
+ * @author Jules
+ */
+"use strict";
+
+const assert = require("assert");
+const { execSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("CLI: lint-my-lines doctor", function () {
+  this.timeout(30000);
+
+  const binPath = path.join(__dirname, "../../bin/lint-my-lines.js");
+  let testDir;
+
+  beforeEach(function () {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-doctor-cli-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("prints the environment and exits 0 without errors", function () {
+    const output = execSync(`node ${binPath} doctor`, { cwd: testDir, encoding: "utf8", stdio: "pipe" });
+
+    assert(/^ESLint: {10}\d+\.\d+\.\d+/.test(output));
+    assert(output.includes("Config file:     none"));
+    assert(output.includes("⚠ No ESLint config file found"));
+    assert(output.includes("  Fix: Run `lint-my-lines init"));
+  });
+
+  it("exits 1 and suggests fixes for configuration errors", function () {
+    fs.writeFileSync(path.join(testDir, ".lintmylinesrc"), JSON.stringify({
+      rules: { "lint-my-lines/enforce-comment-length": ["warn", { maxLen: 80 }] },
+    }));
+
+    assert.throws(
+      () => execSync(`node ${binPath} doctor --format json`, { cwd: testDir, encoding: "utf8", stdio: "pipe" }),
+      (error) => {
+        const report = JSON.parse(error.stdout);
+        assert.strictEqual(error.status, 1);
+        assert.deepStrictEqual(report.findings[0], {
+          severity: "error",
+          check: "project-config",
+          message: ".lintmylinesrc: rules[\"lint-my-lines/enforce-comment-length\"][1].maxLen is not a known option",
+          fix: "See the options of the rule with `lint-my-lines explain enforce-comment-length`",
+        });
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Tests for the install-hooks and uninstall-hooks commands
+ * @author Jules
+ */
+"use strict";
+
+const assert = require("assert");
+const { execSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("CLI: lint-my-lines install-hooks", function () {
+  this.timeout(30000);
+
+  const binPath = path.join(__dirname, "../../bin/lint-my-lines.js");
+  let repoDir;
+  let hookPath;
+
+  // Hooks must run even where the environment turns them off with
+  // core.hooksPath
+  const env = { ...process.env };
+  for (const key of Object.keys(env).filter((name) => name.startsWith("GIT_CONFIG_"))) {
+    delete env[key];
+  }
+
+  function git(args) {
+    return execSync(`git ${args}`, { cwd: repoDir, encoding: "utf8", stdio: "pipe", env });
+  }
+
+  function run(args) {
+    return execSync(`node ${binPath} ${args}`, { cwd: repoDir, encoding: "utf8", stdio: "pipe", env });
+  }
+
+  beforeEach(function () {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-hooks-"));
+    hookPath = path.join(repoDir, ".git", "hooks", "pre-commit");
+    git("init -q");
+    git("config user.email test@example.com");
+    git("config user.name Test");
+
+    // The hook runs the project's local binary
+    fs.mkdirSync(path.join(repoDir, "node_modules", ".bin"), { recursive: true });
+    fs.symlinkSync(binPath, path.join(repoDir, "node_modules", ".bin", "lint-my-lines"));
+    fs.writeFileSync(path.join(repoDir, ".gitignore"), "node_modules\n");
+  });
+
+  afterEach(function () {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it("blocks commits whose staged content has errors, ignoring unstaged edits", function () {
+    run("install-hooks --preset strict");
+    const filePath = path.join(repoDir, "a.js");
+
+    fs.writeFileSync(filePath, "// TODO: Broken\nconst a = 1;\n");
+    git("add a.js");
+    fs.writeFileSync(filePath, "// TODO (alice): Fixed only in the working tree\nconst a = 1;\n");
+
+    assert.throws(() => git("commit -q -m broken"), (error) => {
+      assert(error.stderr.includes("enforce-todo-format"));
+      return true;
+    });
+
+    git("add a.js");
+    git("commit -q -m fixed");
+    assert.strictEqual(git("log --format=%s").trim(), "fixed");
+  });
+
+  it("fails commits with more warnings than --max-warnings", function () {
+    fs.writeFileSync(path.join(repoDir, ".lintmylinesrc"), JSON.stringify({
+      rules: { "lint-my-lines/enforce-todo-format": "warn" },
+    }));
+    fs.writeFileSync(path.join(repoDir, "a.js"), "// TODO: Warned\n");
+    git("add -A");
+
+    run("install-hooks --max-warnings 0");
+    assert.throws(() => git("commit -q -m warned"), (error) => error.stderr.includes("Too many warnings (1)"));
+
+    run("install-hooks");
+    git("commit -q -m warned");
+  });
+
+  it("chains an existing hook and restores it on uninstall", function () {
+    const original = "#!/bin/sh\necho existing >> hook.log\n";
+    fs.writeFileSync(hookPath, original, { mode: 0o755 });
+
+    const output = run("install-hooks");
+    assert(output.includes("Moved the existing hook to .git/hooks/pre-commit.chained"));
+
+    fs.writeFileSync(path.join(repoDir, "a.js"), "const a = 1;\n");
+    git("add a.js");
+    git("commit -q -m first");
+    assert.strictEqual(fs.readFileSync(path.join(repoDir, "hook.log"), "utf8"), "existing\n");
+
+    // Reinstalling keeps the chained hook
+    assert(run("install-hooks --preset minimal").includes("Updated the pre-commit hook"));
+    assert(fs.existsSync(`${hookPath}.chained`));
+
+    run("uninstall-hooks");
+    assert.strictEqual(fs.readFileSync(hookPath, "utf8"), original);
+    assert(!fs.existsSync(`${hookPath}.chained`));
+    assert(run("uninstall-hooks").includes("No lint-my-lines hook found"));
+  });
+
+  it("adds to and removes from a husky hook", function () {
+    const huskyHook = path.join(repoDir, ".husky", "pre-commit");
+    fs.mkdirSync(path.dirname(huskyHook));
+    fs.writeFileSync(huskyHook, "npm test\n");
+
+    run("install-hooks --max-warnings 3");
+    const installed = fs.readFileSync(huskyHook, "utf8");
+    assert(installed.startsWith("npm test\n\n# >>> lint-my-lines >>>\n"));
+    assert(installed.includes("lint-my-lines lint --staged --index --max-warnings 3"));
+    assert(!fs.existsSync(hookPath));
+
+    run("uninstall-hooks");
+    assert.strictEqual(fs.readFileSync(huskyHook, "utf8"), "npm test\n");
+  });
+
+  it("rejects invalid options", function () {
+    assert.throws(() => run("install-hooks --manager lefthook"), (error) =>
+      error.status === 1 && error.stderr.includes("Invalid hook manager \"lefthook\""));
+    assert.throws(() => run("install-hooks --max-warnings -1"), (error) =>
+      error.status === 1 && error.stderr.includes("Invalid --max-warnings"));
+    assert(!fs.existsSync(hookPath));
+  });
+
+  it("reports a hooks path that is not a directory", function () {
+    git("config core.hooksPath /dev/null");
+
+    assert.throws(() => run("install-hooks"), (error) =>
+      error.status === 1 && error.stderr.includes("Error: Git runs hooks from /dev/null (core.hooksPath), which is not a directory"));
+  });
+});
@@ -7,6 +7,7 @@
 const assert = require("assert");
 const { execSync } = require("child_process");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 
 describe("CLI: lint-my-lines lint", function () {
@@ -108,6 +109,53 @@ function hello() {
     });
   });
 
+  describe("--max-warnings option", function () {
+    it("should fail when there are more warnings than allowed", function () {
+      const filePath = path.join(testDir, "warned.js");
+      fs.writeFileSync(filePath, `// this comment is lowercase\nfunction test() {}\n`, "utf8");
+
+      execSync(`node ${binPath} lint --max-warnings 1 ${filePath}`, { encoding: "utf8" });
+
+      try {
+        execSync(`node ${binPath} lint --max-warnings 0 ${filePath}`, { encoding: "utf8", stdio: "pipe" });
+        assert.fail("Should have failed");
+      } catch (error) {
+        assert.strictEqual(error.status, 1);
+        assert(error.stderr.includes("Error: Too many warnings (1). The maximum is 0 (--max-warnings)"));
+      }
+    });
+  });
+
+  describe("--fix-interactive option", function () {
+    it("should apply, edit and skip fixes from answers on stdin", function () {
+      const filePath = path.join(testDir, "review.js");
+      fs.writeFileSync(filePath, "// TODO: First\n// TODO: Second\n// FIXME: Third\nfunction test() {}\n", "utf8");
+
+      const output = execSync(`node ${binPath} lint --fix-interactive --format json ${filePath}`, {
+        encoding: "utf8",
+        input: "y\ne\n// TODO (API-1): Second\n\n",
+        stdio: ["pipe", "pipe", "pipe"],
+      });
+
+      assert.strictEqual(
+        fs.readFileSync(filePath, "utf8"),
+        "// TODO (TICKET-XXX): First\n// TODO (API-1): Second\n// FIXME: Third\nfunction test() {}\n"
+      );
+
+      // Prompts go to stderr, so stdout is the report for the fixed file
+      const ruleIds = JSON.parse(output)[0].messages.map((message) => message.ruleId);
+      assert(ruleIds.includes("lint-my-lines/enforce-fixme-format"));
+      assert(!ruleIds.includes("lint-my-lines/enforce-todo-format"));
+    });
+
+    it("should not be combined with --fix", function () {
+      assert.throws(
+        () => execSync(`node ${binPath} lint --fix --fix-interactive ${testDir}`, { encoding: "utf8", stdio: "pipe" }),
+        (error) => error.status === 1 && error.stderr.includes("--fix-interactive cannot be used with --fix")
+      );
+    });
+  });
+
   describe("--format option", function () {
     it("should output JSON format when specified", function () {
       fs.writeFileSync(
@@ -143,6 +191,60 @@ function hello() {
         assert(error.stdout.includes(":1:1:"));
       }
     });
+
+    it("should output SARIF when specified", function () {
+      fs.writeFileSync(
+        path.join(testDir, "sarif.js"),
+        `// TODO: Test\nfunction test() {}\n`,
+        "utf8"
+      );
+
+      const result = execSync(`node ${binPath} lint --format sarif ${testDir}/sarif.js`, {
+        encoding: "utf8",
+      });
+
+      const log = JSON.parse(result);
+      const run = log.runs[0];
+      assert.strictEqual(log.version, "2.1.0");
+      assert.strictEqual(run.tool.driver.rules[0].id, "lint-my-lines/enforce-todo-format");
+      assert.strictEqual(run.results[0].locations[0].physicalLocation.region.startLine, 1);
+      assert(run.results[0].fixes, "Fixable messages should include fixes");
+    });
+
+    it("should output an HTML report", function () {
+      fs.writeFileSync(
+        path.join(testDir, "report.js"),
+        `// TODO: Test\nfunction test() {}\n`,
+        "utf8"
+      );
+
+      const result = execSync(`node ${binPath} lint --format html ${testDir}/report.js`, {
+        encoding: "utf8",
+      });
+
+      assert(result.startsWith("<!DOCTYPE html>"));
+      assert(result.includes("lint-my-lines/enforce-todo-format"));
+      assert(result.includes("<td>Test</td>"), "TODO table should list the comment");
+      assert(!result.includes("problem"), "The summary line should not be printed");
+    });
+
+    it("should output JUnit, Checkstyle and GitLab Code Quality reports", function () {
+      fs.writeFileSync(
+        path.join(testDir, "ci.js"),
+        `// TODO: Test\nfunction test() {}\n`,
+        "utf8"
+      );
+      const run = (format) => execSync(`node ${binPath} lint --format ${format} ${testDir}/ci.js`, {
+        encoding: "utf8",
+      });
+
+      assert(run("junit").includes('<testcase time="0" name="lint-my-lines/enforce-todo-format"'));
+      assert(run("checkstyle").includes('source="lint-my-lines/enforce-todo-format"'));
+
+      const issues = JSON.parse(run("gitlab"));
+      assert.strictEqual(issues[0].check_name, "lint-my-lines/enforce-todo-format");
+      assert.strictEqual(issues[0].fingerprint, JSON.parse(run("gitlab"))[0].fingerprint);
+    });
   });
 
   describe("multiple files", function () {
@@ -169,6 +271,488 @@ function hello() {
     });
   });
 
+  describe("--since and --staged options", function () {
+    let repoDir;
+
+    function git(args) {
+      execSync(`git ${args}`, { cwd: repoDir, stdio: "pipe" });
+    }
+
+    beforeEach(function () {
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "lint-my-lines-git-"));
+      git("init -q");
+      git("config user.email test@example.com");
+      git("config user.name Test");
+      fs.writeFileSync(
+        path.join(repoDir, "legacy.js"),
+        `// TODO: Old issue\nfunction a() {}\n`,
+        "utf8"
+      );
+      git("add .");
+      git("commit -q -m init");
+    });
+
+    afterEach(function () {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    it("should only report comments changed since a ref", function () {
+      fs.writeFileSync(
+        path.join(repoDir, "legacy.js"),
+        `// TODO: Old issue\nfunction a() {}\n// TODO: New issue\n`,
+        "utf8"
+      );
+      fs.writeFileSync(path.join(repoDir, "added.js"), `// TODO: Untracked\n`, "utf8");
+
+      const result = execSync(`node ${binPath} lint --since HEAD --format json .`, {
+        cwd: repoDir,
+        encoding: "utf8",
+      });
+
+      const parsed = JSON.parse(result);
+      const legacy = parsed.find((r) => r.filePath.endsWith("legacy.js"));
+      const added = parsed.find((r) => r.filePath.endsWith("added.js"));
+      assert.deepStrictEqual(legacy.messages.map((m) => m.line), [3]);
+      assert.strictEqual(added.messages.length, 1);
+    });
+
+    it("should only fix staged lines with --staged --fix", function () {
+      const filePath = path.join(repoDir, "legacy.js");
+      fs.writeFileSync(filePath, `// TODO: Old issue\nfunction a() {}\n// TODO: Staged\n`, "utf8");
+      git("add legacy.js");
+
+      execSync(`node ${binPath} lint --staged --fix .`, { cwd: repoDir, encoding: "utf8" });
+
+      const fixed = fs.readFileSync(filePath, "utf8");
+      assert(fixed.startsWith("// TODO: Old issue\n"), "Unchanged lines should not be fixed");
+      // Fixed until no fix is left, like a full --fix run (ban-specific-words replaces the placeholder XXX)
+      assert(fixed.includes("// TODO (TICKET-TODO): Staged"), "Staged lines should be fixed");
+    });
+
+    it("should not report messages that another fix resolved with --since --fix", function () {
+      const filePath = path.join(repoDir, "legacy.js");
+      fs.writeFileSync(filePath, `// TODO: Old issue\nfunction a() {}\n// todo: new one\n`, "utf8");
+
+      const result = execSync(`node ${binPath} lint --since HEAD --fix --format json .`, {
+        cwd: repoDir,
+        encoding: "utf8",
+      });
+
+      const fixed = fs.readFileSync(filePath, "utf8").split("\n");
+      assert.strictEqual(fixed[0], "// TODO: Old issue", "Unchanged lines should not be fixed");
+      assert.match(fixed[2], /^\/\/ TODO \(\S+\): new one$/);
+
+      // The format fix also capitalizes the keyword
+      const parsed = JSON.parse(result);
+      assert.deepStrictEqual(parsed[0].messages, []);
+    });
+
+    it("should report working tree lines of staged files with --staged", function () {
+      const filePath = path.join(repoDir, "legacy.js");
+      fs.writeFileSync(filePath, `// TODO: Old issue\nfunction a() {}\n// TODO: Staged\n`, "utf8");
+      git("add legacy.js");
+      // Unstaged lines above the staged comment shift it down
+      fs.writeFileSync(filePath, `// TODO: Old issue\n\n\nfunction a() {}\n// TODO: Staged\n`, "utf8");
+
+      const result = execSync(`node ${binPath} lint --staged --format json`, {
+        cwd: repoDir,
+        encoding: "utf8",
+        stdio: "pipe",
+      });
+
+      const parsed = JSON.parse(result);
+      assert.strictEqual(parsed.length, 1);
+      assert.deepStrictEqual(parsed[0].messages.map((m) => m.line), [5]);
+    });
+
+    it("should report the lines changed after interactive fixes with --since", function () {
+      const filePath = path.join(repoDir, "legacy.js");
+      fs.writeFileSync(filePath, `// TODO: Old issue\nfunction a() {}\n// TODO: First\n// FIXME: Second\n`, "utf8");
+
+      // The edited fix adds a line, moving the FIXME comment down
+      const result = execSync(`node ${binPath} lint --since HEAD --fix-interactive --format json .`, {
+        cwd: repoDir,
+        encoding: "utf8",
+        input: "e\n// TODO (API-1): First\\n\n",
+        stdio: ["pipe", "pipe", "pipe"],
+      });
+
+      assert.strictEqual(
+        fs.readFileSync(filePath, "utf8"),
+        "// TODO: Old issue\nfunction a() {}\n// TODO (API-1): First\n\n// FIXME: Second\n"
+      );
+      const parsed = JSON.parse(result);
+      assert.deepStrictEqual(parsed[0].messages.map((m) => [m.ruleId, m.line]), [
+        ["lint-my-lines/enforce-fixme-format", 5],
+      ]);
+    });
+
+    it("should lint the staged content with --staged --index", function () {
+      const filePath = path.join(repoDir, "legacy.js");
+      fs.writeFileSync(filePath, `// TODO: Old issue\nfunction a() {}\n// TODO: Staged\n`, "utf8");
+      git("add legacy.js");
+      fs.writeFileSync(filePath, `// TODO: Old issue\nfunction a() {}\n// TODO (alice): Staged\n// TODO: Unstaged\n`, "utf8");
+
+      const result = execSync(`node ${binPath} lint --staged --index --format json`, {
+        cwd: repoDir,
+        encoding: "utf8",
+      });
+
+      const parsed = JSON.parse(result);
+      assert.strictEqual(parsed.length, 1);
+      assert.deepStrictEqual(parsed[0].messages.map((m) => [m.ruleId, m.line]), [
+        ["lint-my-lines/enforce-todo-format", 3],
+      ]);
+    });
+
+    it("should lint staged files deleted from the working tree with --staged --index", function () {
+      fs.mkdirSync(path.join(repoDir, "src"));
+      fs.writeFileSync(path.join(repoDir, "src", "removed.js"), `// TODO: Staged\n`, "utf8");
+      fs.writeFileSync(path.join(repoDir, "src", "notes.txt"), `// TODO: Not JavaScript\n`, "utf8");
+      fs.writeFileSync(path.join(repoDir, "legacy.js"), `// TODO: Old issue\nfunction a() {}\n// TODO: Outside src\n`, "utf8");
+      git("add .");
+      fs.rmSync(path.join(repoDir, "src", "removed.js"));
+
+      const result = execSync(`node ${binPath} lint --staged --index --format json src`, {
+        cwd: repoDir,
+        encoding: "utf8",
+      });
+
+      const parsed = JSON.parse(result);
+      assert.deepStrictEqual(parsed.map((r) => path.relative(fs.realpathSync(repoDir), r.filePath)), [
+        path.join("src", "removed.js"),
+      ]);
+      assert.deepStrictEqual(parsed[0].messages.map((m) => m.line), [1]);
+    });
+
+    it("should reject --index without --staged or with --fix", function () {
+      for (const args of ["--index", "--staged --index --fix"]) {
+        try {
+          execSync(`node ${binPath} lint ${args} .`, { cwd: repoDir, encoding: "utf8", stdio: "pipe" });
+          assert.fail("Should have failed");
+        } catch (error) {
+          assert.strictEqual(error.status, 1);
+          assert(/--index (requires --staged|cannot be used with --fix)/.test(error.stderr));
+        }
+      }
+    });
+
+    it("should fail outside a git repository", function () {
+      const plainDir = fs.mkdtempSync(path.join(os.tmpdir(), "lint-my-lines-plain-"));
+      fs.writeFileSync(path.join(plainDir, "a.js"), `function a() {}\n`, "utf8");
+
+      try {
+        execSync(`node ${binPath} lint --staged .`, { cwd: plainDir, encoding: "utf8", stdio: "pipe" });
+        assert.fail("Should have failed");
+      } catch (error) {
+        assert.strictEqual(error.status, 1);
+        assert(error.stderr.includes("Error running lint"));
+      } finally {
+        fs.rmSync(plainDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("--baseline options", function () {
+    it("should only report issues that are not in the baseline", function () {
+      const filePath = path.join(testDir, "legacy.js");
+      const baselinePath = path.join(testDir, "baseline.json");
+      fs.writeFileSync(filePath, `// TODO: Old issue\nfunction a() {}\n`, "utf8");
+
+      const created = execSync(
+        `node ${binPath} lint --baseline-create --baseline ${baselinePath} ${filePath}`,
+        { encoding: "utf8" }
+      );
+      assert(created.includes("Baseline written"));
+      assert(fs.existsSync(baselinePath));
+
+      // Shift the old comment down and add a new one
+      fs.writeFileSync(
+        filePath,
+        `// TODO: New issue\n\n// TODO: Old issue\nfunction a() {}\n`,
+        "utf8"
+      );
+
+      const result = execSync(
+        `node ${binPath} lint --format json --baseline ${baselinePath} ${filePath}`,
+        { encoding: "utf8" }
+      );
+      const parsed = JSON.parse(result);
+      assert.deepStrictEqual(parsed[0].messages.map((m) => m.line), [1]);
+    });
+
+    it("should report baselined issues that disappeared", function () {
+      const filePath = path.join(testDir, "pruned.js");
+      const baselinePath = path.join(testDir, "baseline.json");
+      fs.writeFileSync(filePath, `// TODO: Old issue\nfunction a() {}\n`, "utf8");
+
+      execSync(`node ${binPath} lint --baseline-create --baseline ${baselinePath} ${filePath}`);
+      fs.writeFileSync(filePath, `function a() {}\n`, "utf8");
+
+      const result = execSync(`node ${binPath} lint --baseline ${baselinePath} ${filePath}`, {
+        encoding: "utf8",
+      });
+      assert(result.includes("no longer occur"));
+      assert(result.includes("TODO: Old issue"));
+    });
+  });
+
+  describe(".lintmylinesrc", function () {
+    const longComment = `// This comment is longer than forty characters for sure\nfunction a() {}\n`;
+
+    beforeEach(function () {
+      fs.mkdirSync(path.join(testDir, "src"), { recursive: true });
+      fs.writeFileSync(path.join(testDir, "src/a.js"), longComment, "utf8");
+      fs.writeFileSync(path.join(testDir, "src/a.test.js"), longComment, "utf8");
+      fs.writeFileSync(path.join(testDir, "src/a.generated.js"), longComment, "utf8");
+      fs.writeFileSync(path.join(testDir, "root.js"), longComment, "utf8");
+    });
+
+    it("should apply preset, rules, files, ignorePatterns and overrides", function () {
+      fs.writeFileSync(path.join(testDir, ".lintmylinesrc"), JSON.stringify({
+        preset: "minimal",
+        files: ["src"],
+        ignorePatterns: ["**/*.generated.js"],
+        rules: { "lint-my-lines/enforce-comment-length": ["error", { maxLength: 40 }] },
+        overrides: [{ files: "*.test.js", rules: { "lint-my-lines/enforce-comment-length": "off" } }],
+      }), "utf8");
+
+      try {
+        execSync(`node ${binPath} lint --format json`, { cwd: testDir, encoding: "utf8", stdio: "pipe" });
+        assert.fail("Should have failed");
+      } catch (error) {
+        assert.strictEqual(error.status, 1);
+        const parsed = JSON.parse(error.stdout);
+        const files = parsed.map((r) => path.relative(testDir, r.filePath)).sort();
+        assert.deepStrictEqual(files, [path.join("src", "a.js"), path.join("src", "a.test.js")]);
+
+        const messages = parsed.find((r) => r.filePath.endsWith("a.js") && !r.filePath.endsWith("test.js")).messages;
+        assert.deepStrictEqual(messages.map((m) => m.ruleId), ["lint-my-lines/enforce-comment-length"]);
+        assert.strictEqual(parsed.find((r) => r.filePath.endsWith("a.test.js")).messages.length, 0);
+      }
+    });
+
+    it("should grade HTML report ages by the configured todo-aging-warnings thresholds", function () {
+      fs.writeFileSync(path.join(testDir, ".lintmylinesrc"), JSON.stringify({
+        rules: { "lint-my-lines/todo-aging-warnings": ["warn", { maxAgeDays: 5, criticalAgeDays: 10 }] },
+      }), "utf8");
+
+      const result = execSync(`node ${binPath} lint --format html root.js`, { cwd: testDir, encoding: "utf8" });
+
+      assert(result.includes("Aged after 5 days, critical after 10 days"));
+    });
+
+    it("should let --preset override the configured preset", function () {
+      fs.writeFileSync(path.join(testDir, ".lintmylinesrc"), '{ "preset": "strict" }', "utf8");
+
+      const result = execSync(`node ${binPath} lint --preset minimal --format json root.js`, {
+        cwd: testDir,
+        encoding: "utf8",
+      });
+
+      assert.strictEqual(JSON.parse(result)[0].messages.length, 0);
+    });
+
+    it("should report the offending key of an invalid config", function () {
+      fs.writeFileSync(path.join(testDir, "package.json"), JSON.stringify({
+        lintmylines: { rules: { "lint-my-lines/enforce-comment-length": ["warn", { maxLength: "40" }] } },
+      }), "utf8");
+
+      try {
+        execSync(`node ${binPath} lint root.js`, { cwd: testDir, encoding: "utf8", stdio: "pipe" });
+        assert.fail("Should have failed");
+      } catch (error) {
+        assert.strictEqual(error.status, 1);
+        assert(error.stderr.includes("Invalid package.json#lintmylines"));
+        assert(error.stderr.includes('rules["lint-my-lines/enforce-comment-length"][1].maxLength should be integer'));
+      }
+    });
+  });
+
+  describe("--concurrency option", function () {
+    beforeEach(function () {
+      // Enough files for two workers
+      for (let i = 0; i < 120; i++) {
+        fs.writeFileSync(
+          path.join(testDir, `file${i}.js`),
+          `// TODO: Fix ${i}\n// lowercase comment\nfunction f${i}() {}\n`,
+          "utf8"
+        );
+      }
+    });
+
+    it("should report the same results as a single-threaded run", function () {
+      const run = (args) => execSync(`node ${binPath} lint --format json ${args} .`, {
+        cwd: testDir,
+        encoding: "utf8",
+      });
+
+      const single = JSON.parse(run(""));
+      const parallel = JSON.parse(run("--concurrency 2 --cache"));
+
+      assert.strictEqual(parallel.length, 120);
+      assert.deepStrictEqual(parallel, single);
+
+      const cacheDir = path.join(testDir, "node_modules/.cache/lint-my-lines");
+      const shards = fs.readdirSync(cacheDir).filter((name) => name.endsWith("-of-2"));
+      assert.strictEqual(shards.length, 2, "Each worker should keep its own cache file");
+    });
+
+    it("should write fixes from workers", function () {
+      execSync(`node ${binPath} lint --fix --concurrency 2 .`, { cwd: testDir, encoding: "utf8" });
+
+      const fixed = fs.readFileSync(path.join(testDir, "file7.js"), "utf8");
+      assert(fixed.startsWith("// TODO (TICKET-"), "Fixes should be written");
+    });
+
+    it("should reject an invalid value", function () {
+      try {
+        execSync(`node ${binPath} lint --concurrency none .`, { cwd: testDir, encoding: "utf8", stdio: "pipe" });
+        assert.fail("Should have failed");
+      } catch (error) {
+        assert.strictEqual(error.status, 1);
+        assert(error.stderr.includes('Invalid concurrency "none"'));
+      }
+    });
+  });
+
+  describe("--stdin option", function () {
+    const run = (args, input) => execSync(`node ${binPath} lint --stdin ${args}`, {
+      cwd: testDir,
+      encoding: "utf8",
+      input,
+    });
+
+    it("should lint stdin as the --stdin-filename path", function () {
+      const parsed = JSON.parse(run("--format json --stdin-filename src/a.js", "// TODO: Fix this\nfunction a() {}\n"));
+
+      assert.strictEqual(parsed.length, 1);
+      assert.strictEqual(parsed[0].filePath, path.join(testDir, "src/a.js"));
+      assert(parsed[0].messages.some((m) => m.ruleId === "lint-my-lines/enforce-todo-format"));
+    });
+
+    it("should apply .lintmylinesrc overrides matching the filename", function () {
+      fs.writeFileSync(path.join(testDir, ".lintmylinesrc"), JSON.stringify({
+        overrides: [{ files: "*.test.js", rules: { "lint-my-lines/enforce-todo-format": "off" } }],
+      }), "utf8");
+      const code = "// TODO: Fix this\nfunction a() {}\n";
+
+      const source = JSON.parse(run("--format json --stdin-filename src/a.js", code));
+      const test = JSON.parse(run("--format json --stdin-filename src/a.test.js", code));
+
+      assert(source[0].messages.some((m) => m.ruleId === "lint-my-lines/enforce-todo-format"));
+      assert(!test[0].messages.some((m) => m.ruleId === "lint-my-lines/enforce-todo-format"));
+    });
+
+    it("should select the Markdown processor by filename, as on disk", function () {
+      const markdown = "# Usage\n\n```js\n// TODO: Fix this\n// const unused = 1;\n```\n";
+      fs.writeFileSync(path.join(testDir, "README.md"), markdown, "utf8");
+
+      const piped = JSON.parse(run("--format json --stdin-filename README.md", markdown));
+      const disk = JSON.parse(execSync(`node ${binPath} lint --format json README.md`, {
+        cwd: testDir,
+        encoding: "utf8",
+      }));
+
+      const rules = piped[0].messages.map((m) => `${m.line}:${m.ruleId}`);
+      assert(rules.includes("4:lint-my-lines/enforce-todo-format"));
+      assert(!rules.some((rule) => rule.endsWith("no-commented-code")), "Code blocks are examples");
+      assert.deepStrictEqual(piped[0].messages, disk[0].messages);
+    });
+
+    it("should print the fixed text with --fix", function () {
+      fs.writeFileSync(path.join(testDir, "a.js"), "// TODO: Fix this\n", "utf8");
+
+      const output = run("--fix --stdin-filename a.js", "// TODO: Fix this\nfunction a() {}\n");
+
+      assert(output.startsWith("// TODO (TICKET-"), "Fixed text should be printed");
+      assert(output.endsWith("function a() {}\n"));
+      assert.strictEqual(fs.readFileSync(path.join(testDir, "a.js"), "utf8"), "// TODO: Fix this\n");
+    });
+
+    it("should report an unknown --format as a lint error", function () {
+      try {
+        execSync(`node ${binPath} lint --stdin --format bogus`, {
+          cwd: testDir,
+          encoding: "utf8",
+          input: "// todo: x\n",
+          stdio: "pipe",
+        });
+        assert.fail("Should have failed");
+      } catch (error) {
+        assert.strictEqual(error.status, 1);
+        assert(error.stderr.includes("Error running lint"));
+        assert(!error.stderr.includes("UnhandledPromiseRejection"), error.stderr);
+      }
+    });
+
+    it("should reject --stdin-filename without --stdin", function () {
+      try {
+        execSync(`node ${binPath} lint --stdin-filename a.js`, { cwd: testDir, encoding: "utf8", stdio: "pipe" });
+        assert.fail("Should have failed");
+      } catch (error) {
+        assert.strictEqual(error.status, 1);
+        assert(error.stderr.includes("--stdin-filename requires --stdin"));
+      }
+    });
+  });
+
+  describe("--workspaces option", function () {
+    beforeEach(function () {
+      fs.writeFileSync(path.join(testDir, "package.json"), JSON.stringify({ workspaces: ["packages/*"] }), "utf8");
+      for (const name of ["api", "web"]) {
+        fs.mkdirSync(path.join(testDir, "packages", name), { recursive: true });
+        fs.writeFileSync(
+          path.join(testDir, "packages", name, "package.json"),
+          JSON.stringify({ name: `@acme/${name}` }),
+          "utf8"
+        );
+        fs.writeFileSync(
+          path.join(testDir, "packages", name, "index.js"),
+          "// TODO: Fix this\nfunction a() {}\n",
+          "utf8"
+        );
+      }
+      fs.writeFileSync(path.join(testDir, "packages/api/.lintmylinesrc"), '{ "preset": "strict" }', "utf8");
+    });
+
+    it("should lint each package with its own config and print a summary table", function () {
+      try {
+        execSync(`node ${binPath} lint --workspaces`, { cwd: testDir, encoding: "utf8", stdio: "pipe" });
+        assert.fail("Should have failed");
+      } catch (error) {
+        // The strict package reports the TODO format as an error
+        assert.strictEqual(error.status, 1);
+        assert.match(error.stdout, /@acme\/api\s+packages\/api\s+strict\s+1\s+[1-9]\d*\s+/);
+        assert.match(error.stdout, /@acme\/web\s+packages\/web\s+recommended\s+1\s+0\s+/);
+        assert.match(error.stdout, /Total\s+2 package\(s\)\s+2\s+[1-9]\d*\s+/);
+      }
+    });
+
+    it("should filter packages with --workspace and print JSON", function () {
+      const result = execSync(`node ${binPath} lint --workspace @acme/web --format json`, {
+        cwd: testDir,
+        encoding: "utf8",
+      });
+
+      const parsed = JSON.parse(result);
+      assert.deepStrictEqual(parsed.packages.map((pkg) => pkg.name), ["@acme/web"]);
+      assert.strictEqual(parsed.packages[0].todoCount, 1);
+      assert.strictEqual(parsed.packages[0].results.length, 1);
+      assert.strictEqual(parsed.total.warningCount, parsed.packages[0].warningCount);
+    });
+
+    it("should reject an unknown workspace", function () {
+      try {
+        execSync(`node ${binPath} lint --workspace @acme/cli`, { cwd: testDir, encoding: "utf8", stdio: "pipe" });
+        assert.fail("Should have failed");
+      } catch (error) {
+        assert.strictEqual(error.status, 1);
+        assert(error.stderr.includes('Unknown workspace "@acme/cli". Available: @acme/api, @acme/web'));
+      }
+    });
+  });
+
   describe("error handling", function () {
     it("should reject invalid preset", function () {
       fs.writeFileSync(path.join(testDir, "test.js"), `function test() {}\n`, "utf8");
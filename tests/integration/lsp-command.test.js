@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Tests for the lsp command
+ * @author Jules
+ */
+"use strict";
+
+const assert = require("assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { encodeMessage, createMessageReader } = require("../../lib/utils/json-rpc");
+
+describe("CLI: lint-my-lines lsp", function () {
+  this.timeout(30000);
+
+  const binPath = path.join(__dirname, "../../bin/lint-my-lines.js");
+  let testDir;
+
+  beforeEach(function () {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-lsp-cli-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the server with a scripted session.
+   * @param {Object[]} messages - Client messages
+   * @returns {{ status: number, messages: Object[] }} Exit code and server messages
+   */
+  function runSession(messages) {
+    const result = spawnSync("node", [binPath, "lsp", "--stdio"], {
+      cwd: testDir,
+      input: messages.map((message) => encodeMessage({ jsonrpc: "2.0", ...message })).join(""),
+      timeout: 20000,
+    });
+    const received = [];
+    createMessageReader((message) => received.push(message)).push(result.stdout);
+    return { status: result.status, messages: received };
+  }
+
+  it("publishes diagnostics and exits 0 after shutdown", function () {
+    const uri = pathToFileURL(path.join(testDir, "a.js")).href;
+
+    const { status, messages } = runSession([
+      { id: 1, method: "initialize", params: { rootUri: pathToFileURL(testDir).href, capabilities: {} } },
+      { method: "initialized", params: {} },
+      { method: "textDocument/didOpen", params: { textDocument: { uri, languageId: "javascript", version: 1, text: "// TODO: fix\n" } } },
+      { id: 2, method: "textDocument/hover", params: { textDocument: { uri }, position: { line: 0, character: 4 } } },
+      { id: 3, method: "shutdown" },
+      { method: "exit" },
+    ]);
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(messages[0].result.serverInfo.name, "lint-my-lines");
+    assert(messages.some((message) => message.method === "textDocument/publishDiagnostics" &&
+      message.params.diagnostics.some((diagnostic) => diagnostic.code === "lint-my-lines/enforce-todo-format")));
+    assert(messages.find((message) => message.id === 2).result.contents.value.startsWith("**TODO**"));
+    assert.strictEqual(messages.find((message) => message.id === 3).result, null);
+  });
+
+  it("exits 1 when the client closes the connection without shutdown", function () {
+    const { status } = runSession([{ id: 1, method: "initialize", params: { capabilities: {} } }]);
+
+    assert.strictEqual(status, 1);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tests for the stats command
+ * @author Jules
+ */
+"use strict";
+
+const assert = require("assert");
+const { execSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("CLI: lint-my-lines stats", function () {
+  this.timeout(60000);
+
+  const binPath = path.join(__dirname, "../../bin/lint-my-lines.js");
+  let testDir;
+
+  /**
+   * Write a file and commit it.
+   * @param {string} content - Content of src/a.js
+   */
+  function commit(content) {
+    fs.writeFileSync(path.join(testDir, "src", "a.js"), content, "utf8");
+    execSync("git add -A && git -c user.name=test -c user.email=test@example.com commit -q -m change", {
+      cwd: testDir,
+      stdio: "pipe",
+    });
+  }
+
+  function run(args) {
+    return execSync(`node ${binPath} stats ${args}`, { cwd: testDir, encoding: "utf8", stdio: "pipe" });
+  }
+
+  beforeEach(function () {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-stats-cli-"));
+    fs.mkdirSync(path.join(testDir, "src"));
+    execSync("git init -q", { cwd: testDir, stdio: "pipe" });
+    commit("/**\n * Documented\n */\nexport function a() {}\n");
+  });
+
+  afterEach(function () {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("records metrics keyed by the HEAD commit", function () {
+    const head = execSync("git rev-parse HEAD", { cwd: testDir, encoding: "utf8" }).trim();
+
+    const output = run("src");
+    assert(output.includes("JSDoc coverage  100.0% (1 of 1 exported functions)"));
+    assert(output.includes("Recorded in .lint-my-lines-history.json (1 entries)"));
+
+    run("src");
+    const history = JSON.parse(fs.readFileSync(path.join(testDir, ".lint-my-lines-history.json"), "utf8"));
+    assert.strictEqual(history.entries.length, 1, "Measuring a commit again replaces its entry");
+    assert.strictEqual(history.entries[0].commit, head);
+  });
+
+  it("does not write the history with --no-record", function () {
+    const entry = JSON.parse(run("src --no-record --format json"));
+
+    assert.strictEqual(entry.metrics.files, 1);
+    assert(!fs.existsSync(path.join(testDir, ".lint-my-lines-history.json")));
+  });
+
+  it("fails --trend when a metric regresses beyond its tolerance", function () {
+    run("src");
+    commit("/**\n * Documented\n */\nexport function a() {}\nexport function b() {}\n");
+
+    assert.throws(() => run("src --trend"), (error) => {
+      assert.strictEqual(error.status, 1);
+      assert(error.stdout.includes("JSDoc coverage fell from 100.0% to 50.0%"));
+      return true;
+    });
+
+    fs.writeFileSync(
+      path.join(testDir, ".lintmylinesrc"),
+      JSON.stringify({ stats: { tolerance: { jsdocCoverage: 0.5, commentRatio: 2 } } })
+    );
+    const output = run("src --trend");
+    assert(output.includes("Trend (2 entries):"));
+    assert(output.includes("No regressions since"));
+  });
+});
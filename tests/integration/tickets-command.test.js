@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Tests for the tickets sync command
+ * @author Jules
+ */
+"use strict";
+
+const assert = require("assert");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+describe("CLI: lint-my-lines tickets sync", function () {
+  this.timeout(30000);
+
+  const binPath = path.join(__dirname, "../../bin/lint-my-lines.js");
+
+  // Tickets served by the fake tracker
+  const TICKETS = {
+    "PROJ-1": { status: "open", title: "Retry uploads", assignee: "alice" },
+    "PROJ-2": { status: "done", title: "Old work", closed: true },
+  };
+
+  let server;
+  let apiUrl;
+  let tmpDir;
+
+  /**
+   * Run the CLI without blocking the fake tracker in this process.
+   * @param {string[]} args - CLI arguments
+   * @returns {Promise<{ status: number, stdout: string, stderr: string }>} Result
+   */
+  function run(args) {
+    return new Promise((resolve) => {
+      execFile("node", [binPath, ...args], { cwd: tmpDir, encoding: "utf8" }, (error, stdout, stderr) => {
+        resolve({ status: error ? error.code : 0, stdout, stderr });
+      });
+    });
+  }
+
+  function writeConfig(ruleOptions) {
+    fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc"), JSON.stringify({
+      preset: "minimal",
+      rules: {
+        "lint-my-lines/issue-tracker-integration": ["error", {
+          tracker: "custom",
+          customApiUrl: `${apiUrl}/issues/{{ticketId}}`,
+          ...ruleOptions,
+        }],
+      },
+    }));
+  }
+
+  function readSnapshot() {
+    return JSON.parse(fs.readFileSync(path.join(tmpDir, "tickets.json"), "utf8"));
+  }
+
+  before(function (done) {
+    server = http.createServer((req, res) => {
+      const ticket = TICKETS[decodeURIComponent(req.url.split("?")[0].replace("/issues/", ""))];
+      if (req.url.includes("BROKEN")) {
+        res.writeHead(500);
+        res.end();
+        return;
+      }
+      res.writeHead(ticket ? 200 : 404, { "Content-Type": "application/json" });
+      res.end(ticket ? JSON.stringify(ticket) : "");
+    });
+    server.listen(0, "127.0.0.1", () => {
+      apiUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-tickets-"));
+    fs.writeFileSync(path.join(tmpDir, "a.js"), [
+      "// TODO (PROJ-1): Retry",
+      "// FIXME (PROJ-2): Clean up",
+      "// See PROJ-9 for background",
+      "const a = 1;",
+      "",
+    ].join("\n"));
+    fs.writeFileSync(path.join(tmpDir, "b.js"), "// TODO (PROJ-3): Deleted ticket\nconst b = 1;\n");
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("writes state, title, assignee and fetch time to the snapshotPath", async function () {
+    writeConfig({ snapshotPath: "tickets.json" });
+
+    const result = await run(["tickets", "sync"]);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Wrote 3 ticket\(s\) to tickets\.json \(1 not found, 1 closed\)/);
+
+    const snapshot = readSnapshot();
+    const tickets = snapshot.trackers[`custom:${apiUrl}/issues/{{ticketId}}`];
+    assert.strictEqual(snapshot.version, 1);
+    assert.deepStrictEqual(Object.keys(tickets), ["PROJ-1", "PROJ-2", "PROJ-3"]);
+    assert.deepStrictEqual(tickets["PROJ-1"], {
+      exists: true,
+      state: "open",
+      closed: false,
+      title: "Retry uploads",
+      assignee: "alice",
+      fetchedAt: snapshot.syncedAt,
+    });
+    assert.strictEqual(tickets["PROJ-2"].closed, true);
+    assert.strictEqual(tickets["PROJ-3"].exists, false);
+  });
+
+  it("lets lint report missing, closed and unsynced tickets from the snapshot", async function () {
+    writeConfig({ snapshotPath: "tickets.json", allowClosed: false });
+    assert.strictEqual((await run(["tickets", "sync"])).status, 0);
+
+    fs.appendFileSync(path.join(tmpDir, "b.js"), "// TODO (PROJ-4): Added after the sync\n");
+    const result = await run(["lint", "--format", "json"]);
+    const messages = JSON.parse(result.stdout)
+      .flatMap((file) => file.messages.map((message) => `${path.basename(file.filePath)}:${message.line} ${message.message}`))
+      .sort();
+
+    assert.strictEqual(result.status, 1);
+    assert.deepStrictEqual(messages, [
+      "a.js:2 Ticket 'PROJ-2' is closed in custom. Consider removing this TODO/FIXME.",
+      "b.js:1 Ticket 'PROJ-3' does not exist in custom.",
+      "b.js:3 Ticket 'PROJ-4' is not in snapshot 'tickets.json'. Run `lint-my-lines tickets sync`.",
+    ]);
+  });
+
+  it("routes tickets to the first tracker whose pattern matches", async function () {
+    fs.writeFileSync(path.join(tmpDir, "c.js"), "// TODO (#7, PROJ-1): Both trackers\n");
+    writeConfig({
+      snapshotPath: "tickets.json",
+      trackers: [
+        { tracker: "custom", name: "GitHub", customApiUrl: `${apiUrl}/issues/{{ticketId}}?github`, ticketPattern: "#\\d+" },
+        { tracker: "custom", name: "Jira", customApiUrl: `${apiUrl}/issues/{{ticketId}}?jira`, ticketPattern: "PROJ-\\d+" },
+      ],
+    });
+
+    assert.strictEqual((await run(["tickets", "sync"])).status, 0);
+    const { trackers } = readSnapshot();
+    assert.deepStrictEqual(Object.keys(trackers[`custom:${apiUrl}/issues/{{ticketId}}?github`]), ["#7"]);
+    assert.deepStrictEqual(Object.keys(trackers[`custom:${apiUrl}/issues/{{ticketId}}?jira`]), ["PROJ-1", "PROJ-2", "PROJ-3"]);
+
+    const result = await run(["lint", "c.js", "b.js", "--format", "json"]);
+    const messages = JSON.parse(result.stdout).flatMap((file) => file.messages.map((message) => message.message));
+    assert.deepStrictEqual(messages.sort(), [
+      "Ticket '#7' does not exist in GitHub.",
+      "Ticket 'PROJ-3' does not exist in Jira.",
+    ]);
+  });
+
+  it("writes to --output when the rule has no snapshotPath", async function () {
+    writeConfig({});
+
+    const missing = await run(["tickets", "sync"]);
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /has no snapshotPath\. Set it or pass --output/);
+
+    const result = await run(["tickets", "sync", "a.js", "--output", "tickets.json"]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Wrote 2 ticket\(s\) to tickets\.json/);
+  });
+
+  it("keeps the previous snapshot when a ticket cannot be fetched", async function () {
+    writeConfig({ snapshotPath: "tickets.json" });
+    assert.strictEqual((await run(["tickets", "sync"])).status, 0);
+    const before = fs.readFileSync(path.join(tmpDir, "tickets.json"), "utf8");
+
+    fs.writeFileSync(path.join(tmpDir, "c.js"), "// TODO (PROJ-BROKEN): Server error\n");
+    writeConfig({ snapshotPath: "tickets.json", ticketPattern: "PROJ-\\w+" });
+    const result = await run(["tickets", "sync"]);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Could not fetch PROJ-BROKEN from custom:.*: tracker unreachable/);
+    assert.match(result.stderr, /Did not update tickets\.json/);
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, "tickets.json"), "utf8"), before);
+  });
+
+  it("fails when no file enables issue-tracker-integration", async function () {
+    const result = await run(["tickets", "sync"]);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /No linted file enables lint-my-lines\/issue-tracker-integration with a tracker/);
+  });
+});
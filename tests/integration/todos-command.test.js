@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Tests for the todos command
+ * @author Jules
+ */
+"use strict";
+
+const assert = require("assert");
+const { execSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+describe("CLI: lint-my-lines todos", function () {
+  this.timeout(30000);
+
+  const testDir = path.join(__dirname, "../fixtures/todos-test");
+  const binPath = path.join(__dirname, "../../bin/lint-my-lines.js");
+
+  beforeEach(function () {
+    fs.mkdirSync(path.join(testDir, "src/api"), { recursive: true });
+    fs.writeFileSync(
+      path.join(testDir, "src/api/client.js"),
+      `// TODO (alice, PROJ-12, 2025-01-03): Handle retries
+/* FIXME: Broken for "empty", see #45 */
+function fetch() {}
+`,
+      "utf8"
+    );
+    fs.writeFileSync(
+      path.join(testDir, "src/index.js"),
+      `// NOTE (bob): Entry point\n// TODO (alice): Export types\n`,
+      "utf8"
+    );
+  });
+
+  afterEach(function () {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  function run(args) {
+    return execSync(`node ${binPath} todos ${args}`, { cwd: testDir, encoding: "utf8" });
+  }
+
+  it("should output structured JSON", function () {
+    const parsed = JSON.parse(run("src --format json"));
+
+    assert.strictEqual(parsed.total, 4);
+    const todo = parsed.items.find((item) => item.ticket === "PROJ-12");
+    assert.strictEqual(todo.keyword, "TODO");
+    assert.strictEqual(todo.owner, "alice");
+    assert.strictEqual(todo.date, "2025-01-03");
+    assert.strictEqual(todo.file, "src/api/client.js");
+    assert.strictEqual(todo.line, 1);
+    assert(todo.ageDays > 0);
+  });
+
+  it("should group JSON output by owner", function () {
+    const parsed = JSON.parse(run("src --format json --group-by owner"));
+
+    assert.deepStrictEqual(parsed.groups.map((g) => g.key), ["alice", "bob", "(none)"]);
+    assert.strictEqual(parsed.groups[0].count, 2);
+  });
+
+  it("should output CSV grouped by directory", function () {
+    const lines = run("src --format csv --group-by directory").trim().split("\n");
+
+    assert.strictEqual(lines[0], "group,keyword,owner,ticket,date,ageDays,file,line,description");
+    assert(lines.some((line) => line.startsWith("src/api,FIXME,,#45")));
+    assert(lines.some((line) => line.includes("\"Broken for \"\"empty\"\", see #45\"")));
+  });
+
+  it("should output a Markdown table grouped by ticket", function () {
+    const result = run("src --group-by ticket");
+
+    assert(result.includes("## ticket: PROJ-12 (1)"));
+    assert(result.includes("| Keyword | Owner | Ticket | Date | Age | Location | Description |"));
+    assert(result.includes("src/index.js:1"));
+  });
+
+  it("should filter keywords and write to a file", function () {
+    run("src --format json --keywords FIXME --output report.json");
+
+    const parsed = JSON.parse(fs.readFileSync(path.join(testDir, "report.json"), "utf8"));
+    assert.strictEqual(parsed.total, 1);
+    assert.strictEqual(parsed.items[0].keyword, "FIXME");
+  });
+
+  it("should reject an invalid group field", function () {
+    try {
+      execSync(`node ${binPath} todos src --group-by team`, {
+        cwd: testDir,
+        encoding: "utf8",
+        stdio: "pipe",
+      });
+      assert.fail("Should have failed");
+    } catch (error) {
+      assert(error.stderr.includes("Invalid group"));
+    }
+  });
+});
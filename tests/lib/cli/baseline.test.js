@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Tests for lint baselines.
+ */
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+const {
+  describeMessage,
+  createBaseline,
+  applyBaseline,
+} = require("../../../lib/cli/baseline");
+
+describe("cli/baseline", function () {
+  const cwd = path.join(path.sep, "project");
+  const filePath = path.join(cwd, "src", "a.js");
+
+  // Context as collected for:
+  //   1: // TODO: Old
+  //   2: function run() {
+  //   3:   /* todo:
+  //   4:    *   nested */
+  //   5: }
+  const context = {
+    comments: [
+      { loc: { start: { line: 1, column: 0 }, end: { line: 1, column: 12 } }, text: " TODO: Old" },
+      { loc: { start: { line: 3, column: 2 }, end: { line: 4, column: 15 } }, text: " todo:\n   *   nested " },
+    ],
+    functions: [
+      { loc: { start: { line: 2, column: 0 }, end: { line: 5, column: 1 } }, name: "run" },
+    ],
+    lines: ["// TODO: Old", "function run() {", "  /* todo:", "   *   nested */", "}"],
+  };
+
+  function message(ruleId, line, column = 1) {
+    return { ruleId, severity: 1, message: "msg", line, column };
+  }
+
+  function results(messages) {
+    return [{ filePath, messages, errorCount: 0, warningCount: messages.length }];
+  }
+
+  describe("describeMessage", function () {
+    it("uses the normalized comment text and enclosing function", function () {
+      assert.deepStrictEqual(describeMessage(message("r", 1), context), {
+        text: "TODO: Old",
+        function: "(program)",
+      });
+      assert.deepStrictEqual(describeMessage(message("r", 3, 3), context), {
+        text: "todo: nested",
+        function: "run",
+      });
+    });
+
+    it("falls back to the source line outside comments", function () {
+      assert.strictEqual(describeMessage(message("r", 2), context).text, "function run() {");
+    });
+  });
+
+  describe("createBaseline", function () {
+    it("counts identical fingerprints and omits parse errors", function () {
+      const baseline = createBaseline(results([
+        message("lint-my-lines/enforce-todo-format", 1),
+        message("lint-my-lines/enforce-todo-format", 1),
+        { fatal: true, severity: 2, message: "Parsing error", line: 1, column: 1 },
+      ]), new Map([[filePath, context]]), cwd);
+
+      assert.strictEqual(baseline.version, 1);
+      assert.strictEqual(baseline.entries.length, 1);
+      assert.strictEqual(baseline.entries[0].count, 2);
+      assert.deepStrictEqual(baseline.entries[0].files, ["src/a.js"]);
+    });
+  });
+
+  describe("applyBaseline", function () {
+    const baseline = createBaseline(results([
+      message("lint-my-lines/enforce-todo-format", 1),
+      message("lint-my-lines/enforce-todo-format", 3, 3),
+    ]), new Map([[filePath, context]]), cwd);
+
+    it("suppresses baselined messages after lines shift", function () {
+      // Same comments, moved down two lines
+      const shifted = {
+        ...context,
+        comments: context.comments.map((c) => ({
+          ...c,
+          loc: {
+            start: { ...c.loc.start, line: c.loc.start.line + 2 },
+            end: { ...c.loc.end, line: c.loc.end.line + 2 },
+          },
+        })),
+        functions: [{ loc: { start: { line: 4, column: 0 }, end: { line: 7, column: 1 } }, name: "run" }],
+      };
+      const current = results([
+        message("lint-my-lines/enforce-todo-format", 3),
+        message("lint-my-lines/enforce-todo-format", 5, 3),
+        message("lint-my-lines/enforce-capitalization", 5, 3),
+      ]);
+
+      const summary = applyBaseline(current, baseline, new Map([[filePath, shifted]]));
+
+      assert.strictEqual(summary.suppressed, 2);
+      assert.deepStrictEqual(current[0].messages.map((m) => m.ruleId), ["lint-my-lines/enforce-capitalization"]);
+      assert.strictEqual(current[0].warningCount, 1);
+      assert.deepStrictEqual(summary.stale, []);
+    });
+
+    it("reports entries that no longer occur as stale", function () {
+      const current = results([message("lint-my-lines/enforce-todo-format", 1)]);
+
+      const summary = applyBaseline(current, baseline, new Map([[filePath, context]]));
+
+      assert.strictEqual(summary.suppressed, 1);
+      assert.strictEqual(summary.stale.length, 1);
+      assert.strictEqual(summary.stale[0].text, "todo: nested");
+      assert.strictEqual(summary.stale[0].count, 1);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Tests for the cache command.
+ */
+"use strict";
+
+const assert = require("assert");
+const { getInvalidationReasons } = require("../../../lib/cli/cache");
+
+describe("cli/cache", function () {
+  describe("getInvalidationReasons", function () {
+    const current = { pluginVersion: "1.2.0", nodeMajor: "20", preset: "strict", strategy: "content" };
+
+    it("returns no reasons when the metadata matches", function () {
+      assert.deepStrictEqual(getInvalidationReasons({ ...current, updatedAt: "x" }, current), []);
+    });
+
+    it("names every field that changed", function () {
+      const recorded = { pluginVersion: "1.1.0", nodeMajor: "20", preset: "strict", strategy: "metadata" };
+
+      assert.deepStrictEqual(getInvalidationReasons(recorded, current), [
+        "plugin version 1.1.0 -> 1.2.0",
+        "strategy metadata -> content",
+      ]);
+    });
+
+    it("treats cache files without metadata as invalid", function () {
+      assert.deepStrictEqual(getInvalidationReasons(null, current), ["no metadata recorded"]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Tests for collector rules.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createCollectorESLint, collectCommentMetrics } = require("../../../lib/cli/collector");
+
+const overrideConfig = {
+  plugins: ["lint-my-lines"],
+  parserOptions: { ecmaVersion: 2020, sourceType: "module" },
+  rules: {
+    "lint-my-lines/enforce-todo-format": "error",
+    "lint-my-lines/todo-aging-warnings": ["warn", { maxAgeDays: 30, criticalAgeDays: 36500 }],
+  },
+  overrides: [{ files: ["*.test.js"], rules: { "lint-my-lines/no-commented-code": "error" } }],
+};
+
+describe("cli/collector", function () {
+  this.timeout(20000);
+
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-collector-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("createCollectorESLint", function () {
+    it("runs only the collector rule, in overrides too", async function () {
+      fs.writeFileSync(path.join(tmpDir, "a.js"), "// TODO: no reference\n", "utf8");
+      fs.writeFileSync(path.join(tmpDir, "a.test.js"), "// const unused = require(\"fs\");\n", "utf8");
+
+      const seen = [];
+      const collector = {
+        rules: {
+          collect: {
+            meta: { type: "suggestion", schema: [] },
+            create(context) {
+              return {
+                Program() {
+                  seen.push(path.basename(context.getFilename()));
+                },
+              };
+            },
+          },
+        },
+      };
+
+      const eslint = createCollectorESLint({ cwd: tmpDir, overrideConfig }, "lml-test-collector", collector);
+      const results = await eslint.lintFiles(["."]);
+
+      assert.deepStrictEqual(seen.sort(), ["a.js", "a.test.js"]);
+      assert.deepStrictEqual(results.map((result) => result.messages), [[], []]);
+    });
+  });
+
+  describe("collectCommentMetrics", function () {
+    it("counts comment lines and grades TODOs by the configured thresholds", async function () {
+      const file = path.join(tmpDir, "a.js");
+      fs.writeFileSync(
+        file,
+        "// TODO (2020-01-01): Aged\n// TODO: Undated\nconst a = 1;\n// FIXME: Not a TODO\nconst b = 2;\n",
+        "utf8"
+      );
+
+      const metrics = await collectCommentMetrics({ cwd: tmpDir, overrideConfig }, [file]);
+
+      assert.deepStrictEqual(metrics, {
+        commentLines: 3,
+        codeLines: 2,
+        todos: { total: 2, fresh: 0, aged: 1, critical: 0, undated: 1 },
+      });
+    });
+
+    it("runs extra listeners for each file", async function () {
+      const file = path.join(tmpDir, "a.js");
+      fs.writeFileSync(file, "function a() {}\nfunction b() {}\n", "utf8");
+
+      let count = 0;
+      await collectCommentMetrics({ cwd: tmpDir, overrideConfig }, [file], () => ({
+        FunctionDeclaration() {
+          count++;
+        },
+      }));
+
+      assert.strictEqual(count, 2);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Tests for environment and configuration diagnostics.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const plugin = require("../../../lib/index");
+const { diagnose, formatReport } = require("../../../lib/cli/doctor");
+
+const PLUGIN_PATH = JSON.stringify(path.resolve(__dirname, "../../../lib/index.js"));
+
+/**
+ * Write a CommonJS flat config exporting the given array source.
+ * @param {string} dir - Project directory
+ * @param {string} blocks - Array literal source; `lml` is the plugin
+ */
+function writeFlatConfig(dir, blocks) {
+  fs.writeFileSync(path.join(dir, "eslint.config.js"), `const lml = require(${PLUGIN_PATH});\nmodule.exports = ${blocks};\n`);
+}
+
+/**
+ * Get the messages of findings from one check.
+ * @param {Object} report - From diagnose
+ * @param {string} check - Check name
+ * @returns {string[]} Messages
+ */
+function messages(report, check) {
+  return report.findings.filter((finding) => finding.check === check).map((finding) => finding.message);
+}
+
+describe("cli/doctor", function () {
+  this.timeout(20000);
+
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-doctor-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reports no problems for a clean flat config", async function () {
+    writeFlatConfig(tmpDir, "[lml.configs[\"flat/recommended\"], { rules: { \"lint-my-lines/enforce-todo-format\": \"error\" } }]");
+
+    const report = await diagnose({ cwd: tmpDir, env: {} });
+
+    assert.deepStrictEqual(report.configFile, { file: "eslint.config.js", type: "flat" });
+    assert.deepStrictEqual(report.findings, []);
+    assert.strictEqual(report.parsers.length, 3);
+    assert(formatReport(report).includes("No problems found."));
+  });
+
+  it("reports unknown rules, invalid options and conflicting severities", async function () {
+    writeFlatConfig(tmpDir, `[
+      { rules: { "lint-my-lines/enforce-todo-format": "error", "lint-my-lines/no-such-rule": "warn" } },
+      { rules: { "lint-my-lines/enforce-todo-format": "warn", "lint-my-lines/enforce-comment-length": ["warn", { maxLen: 80 }] } },
+      { files: ["**/*.test.js"], rules: { "lint-my-lines/enforce-todo-format": "off" } },
+    ]`);
+
+    const report = await diagnose({ cwd: tmpDir, env: {} });
+
+    assert.deepStrictEqual(messages(report, "rules"), [
+      "eslint.config.js config[0].rules[\"lint-my-lines/no-such-rule\"] is not a lint-my-lines rule",
+      "eslint.config.js config[1].rules[\"lint-my-lines/enforce-comment-length\"][1].maxLen is not a known option",
+      "eslint.config.js config[0] and eslint.config.js config[1] set different severities for " +
+        "lint-my-lines/enforce-todo-format (\"error\", then \"warn\"); the last one wins",
+    ]);
+    assert(report.findings[1].fix.includes("lint-my-lines explain enforce-comment-length"));
+  });
+
+  it("reports presets that conflict, but not user overrides of a preset", async function () {
+    writeFlatConfig(tmpDir, `[
+      lml.configs["flat/recommended"],
+      lml.configs["flat/strict"],
+      { rules: { "lint-my-lines/comment-spacing": "off" } },
+    ]`);
+
+    const report = await diagnose({ cwd: tmpDir, env: {} });
+    const conflicts = report.findings.filter((finding) => finding.check === "rules");
+
+    assert.strictEqual(conflicts.length, 1);
+    assert(conflicts[0].message.startsWith("eslint.config.js config[0] (\"lint-my-lines/flat/recommended\") and"));
+    assert.strictEqual(conflicts[0].fix, "Keep only one of the presets");
+  });
+
+  it("reports flat presets extended from .eslintrc and processors without their parser", async function () {
+    fs.writeFileSync(path.join(tmpDir, ".eslintrc.json"), JSON.stringify({
+      extends: ["plugin:lint-my-lines/flat/recommended"],
+      overrides: [{ files: ["*.svelte"], processor: "lint-my-lines/.svelte" }],
+    }));
+
+    const report = await diagnose({ cwd: tmpDir, env: { ESLINT_USE_FLAT_CONFIG: "false" } });
+
+    assert.deepStrictEqual(report.configFile, { file: ".eslintrc.json", type: "legacy" });
+    assert(messages(report, "config").includes(
+      ".eslintrc.json extends \"plugin:lint-my-lines/flat/recommended\", a flat config preset; .eslintrc cannot read it"
+    ));
+
+    if (!report.parsers.find((parser) => parser.name === "svelte-eslint-parser").version) {
+      assert.deepStrictEqual(messages(report, "parsers"), [
+        "The Svelte processor is registered in .eslintrc.json overrides[0], but svelte-eslint-parser is not installed",
+      ]);
+    }
+  });
+
+  it("reports a legacy config ignored next to a flat config", async function () {
+    writeFlatConfig(tmpDir, "[]");
+    fs.writeFileSync(path.join(tmpDir, ".eslintrc.json"), "{}");
+
+    const report = await diagnose({ cwd: tmpDir, env: {} });
+
+    assert.deepStrictEqual(messages(report, "config"), [".eslintrc.json is ignored because eslint.config.js is used"]);
+    assert.strictEqual(report.findings[0].severity, "warning");
+  });
+
+  it("reports tracker tokens whose environment variable is not set", async function () {
+    writeFlatConfig(tmpDir, `[
+      { rules: { "lint-my-lines/issue-tracker-integration": ["warn", { tracker: "github", githubToken: "$GH_TOKEN" }] } },
+      { rules: { "lint-my-lines/issue-tracker-integration": ["warn", { tracker: "jira", jiraToken: "$JIRA_TOKEN" }] } },
+      { files: ["a.js"], rules: { "lint-my-lines/issue-tracker-integration": ["warn", { linearToken: "$LINEAR", offline: true }] } },
+      { files: ["b.js"], rules: { "lint-my-lines/issue-tracker-integration": ["warn", { trackers: [
+        { tracker: "jira", jiraToken: "$JIRA_TOKEN" },
+        { tracker: "gitlab", gitlabToken: "$GITLAB_TOKEN" },
+      ] }] } },
+    ]`);
+
+    const report = await diagnose({ cwd: tmpDir, env: { JIRA_TOKEN: "secret" } });
+
+    assert.deepStrictEqual(messages(report, "tokens"), [
+      "eslint.config.js config[0]: lint-my-lines/issue-tracker-integration githubToken references $GH_TOKEN, which is not set",
+      "eslint.config.js config[3]: lint-my-lines/issue-tracker-integration trackers[1].gitlabToken references $GITLAB_TOKEN, which is not set",
+    ]);
+    assert(report.findings[0].fix.includes("export GH_TOKEN=<token>"));
+  });
+
+  it("validates .lintmylinesrc and reports a legacy overrides object", async function () {
+    writeFlatConfig(tmpDir, "[]");
+    fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc"), JSON.stringify({
+      overrides: { "lint-my-lines/comment-spacing": "off" },
+      rules: { "lint-my-lines/comment-spacing": "error" },
+    }));
+
+    const report = await diagnose({ cwd: tmpDir, env: {} });
+
+    assert.strictEqual(report.projectConfig, ".lintmylinesrc");
+    assert.deepStrictEqual(messages(report, "project-config"), [
+      ".lintmylinesrc: an \"overrides\" object is read as \"rules\" for compatibility with earlier releases",
+    ]);
+    assert.strictEqual(messages(report, "rules").length, 1);
+
+    fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc"), JSON.stringify({ preset: "loose" }));
+    const invalid = await diagnose({ cwd: tmpDir, env: {} });
+
+    assert.strictEqual(invalid.findings[0].severity, "error");
+    assert(invalid.findings[0].message.startsWith(".lintmylinesrc: preset should be one of"));
+  });
+
+  it("reports options marked deprecated in a rule schema", async function () {
+    const properties = plugin.rules["enforce-comment-length"].meta.schema[0].properties;
+    properties.maxLength.deprecated = true;
+
+    try {
+      writeFlatConfig(tmpDir, "[{ rules: { \"lint-my-lines/enforce-comment-length\": [\"warn\", { maxLength: 80 }] } }]");
+      const report = await diagnose({ cwd: tmpDir, env: {} });
+
+      assert.deepStrictEqual(messages(report, "rules"), [
+        "eslint.config.js config[0]: option \"maxLength\" of lint-my-lines/enforce-comment-length is deprecated",
+      ]);
+    } finally {
+      delete properties.maxLength.deprecated;
+    }
+  });
+
+  it("reports a config file that fails to load", async function () {
+    fs.writeFileSync(path.join(tmpDir, "eslint.config.js"), "throw new Error(\"boom\");\n");
+
+    const report = await diagnose({ cwd: tmpDir, env: {} });
+
+    assert.deepStrictEqual(messages(report, "config"), ["Could not load eslint.config.js: boom"]);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Tests for interactive fix review.
+ */
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+const { formatFixDiff, reviewFixes } = require("../../../lib/cli/fix-review");
+
+const SOURCE = "// TODO: One\nconst a = 1;\n// TODO: Two\n// FIXME: Three\n";
+
+/**
+ * Build a fixable message that replaces a line of SOURCE.
+ * @param {string} ruleId - Rule ID
+ * @param {string} line - Line text to replace
+ * @param {string} text - Replacement
+ * @returns {Object} ESLint message
+ */
+function fixable(ruleId, line, text) {
+  const start = SOURCE.indexOf(line);
+  return {
+    ruleId,
+    message: `${ruleId} message`,
+    line: SOURCE.slice(0, start).split("\n").length,
+    column: 1,
+    fix: { range: [start, start + line.length], text },
+  };
+}
+
+/**
+ * Build a lint result for SOURCE.
+ * @param {Object[]} messages - Messages
+ * @returns {Object} ESLint lint result
+ */
+function result(messages) {
+  return { filePath: path.join(process.cwd(), "a.js"), source: SOURCE, messages };
+}
+
+/**
+ * Create a prompter that returns the given answers in order, then defaults.
+ * @param {string[]} answers - Answers to give
+ * @returns {Object} Prompter and the questions it was asked
+ */
+function fakePrompter(answers) {
+  const queue = [...answers];
+  const questions = [];
+  return {
+    questions,
+    async ask(question) {
+      questions.push(question);
+      return queue.shift() || "";
+    },
+    async choose(question, choices, defaultValue) {
+      questions.push(question);
+      return queue.shift() || defaultValue;
+    },
+  };
+}
+
+/**
+ * Create a stream that collects what is written to it.
+ * @returns {Object} Stream with a `text` property
+ */
+function fakeOutput() {
+  return {
+    text: "",
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+describe("cli/fix-review", function () {
+  describe("formatFixDiff", function () {
+    it("shows the whole lines touched by a fix before and after", function () {
+      const start = SOURCE.indexOf("TODO: Two") + "TODO".length;
+      const diff = formatFixDiff(SOURCE, { range: [start, start + 1], text: " (A-1):" });
+
+      assert.strictEqual(diff, "- // TODO: Two\n+ // TODO (A-1): Two");
+    });
+
+    it("shows added lines and colors when asked", function () {
+      const diff = formatFixDiff(SOURCE, { range: [0, 12], text: "// TODO (A-1):\n// One" }, { color: true });
+
+      assert.strictEqual(diff, [
+        "\u001b[31m- // TODO: One\u001b[0m",
+        "\u001b[32m+ // TODO (A-1):\u001b[0m",
+        "\u001b[32m+ // One\u001b[0m",
+      ].join("\n"));
+    });
+  });
+
+  describe("reviewFixes", function () {
+    it("applies accepted and edited fixes and skips the rest", async function () {
+      const results = [result([
+        fixable("todo", "// TODO: One", "// TODO (TICKET-XXX): One"),
+        fixable("todo", "// TODO: Two", "// TODO (TICKET-XXX): Two"),
+        fixable("fixme", "// FIXME: Three", "// FIXME (BUG-XXX): Three"),
+      ])];
+      const output = fakeOutput();
+
+      const review = await reviewFixes(results, {
+        prompter: fakePrompter(["y", "e", "// TODO (A-1):\\nTwo", "n"]),
+        output,
+        color: false,
+      });
+
+      assert.deepStrictEqual(review, { accepted: 2, skipped: 1 });
+      assert.strictEqual(
+        results[0].output,
+        "// TODO (TICKET-XXX): One\nconst a = 1;\n// TODO (A-1):\nTwo\n// FIXME: Three\n"
+      );
+      assert(output.text.includes("a.js:3:1  todo message"));
+      assert(output.text.includes("+ // FIXME (BUG-XXX): Three"));
+    });
+
+    it("applies later fixes of a rule without asking after \"a\"", async function () {
+      const results = [result([
+        fixable("todo", "// TODO: One", "// TODO (X): One"),
+        fixable("todo", "// TODO: Two", "// TODO (X): Two"),
+        fixable("fixme", "// FIXME: Three", "// FIXME (X): Three"),
+      ])];
+      const prompter = fakePrompter(["a", "n"]);
+
+      const review = await reviewFixes(results, { prompter, output: fakeOutput() });
+
+      assert.deepStrictEqual(review, { accepted: 2, skipped: 1 });
+      assert.strictEqual(prompter.questions.length, 2);
+      assert(results[0].output.includes("// TODO (X): Two\n// FIXME: Three"));
+    });
+
+    it("skips remaining fixes after \"q\" and overlapping fixes", async function () {
+      const overlapping = fixable("other", "// TODO: One", "// NOTE: One");
+      const results = [
+        result([fixable("todo", "// TODO: One", "// TODO (X): One"), overlapping]),
+        result([fixable("todo", "// TODO: Two", "// TODO (X): Two")]),
+      ];
+      results[1].filePath = path.join(process.cwd(), "b.js");
+      const prompter = fakePrompter(["y", "q"]);
+
+      const review = await reviewFixes(results, { prompter, output: fakeOutput() });
+
+      assert.deepStrictEqual(review, { accepted: 1, skipped: 2 });
+      assert.strictEqual(prompter.questions.length, 2);
+      assert(results[0].output.startsWith("// TODO (X): One\n"));
+      assert.strictEqual(results[1].output, undefined);
+    });
+
+    it("leaves results unchanged when every fix is skipped", async function () {
+      const results = [result([fixable("todo", "// TODO: One", "// TODO (X): One")])];
+
+      const review = await reviewFixes(results, { prompter: fakePrompter([]), output: fakeOutput() });
+
+      assert.deepStrictEqual(review, { accepted: 0, skipped: 1 });
+      assert.strictEqual(results[0].output, undefined);
+    });
+  });
+});
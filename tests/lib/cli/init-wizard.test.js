@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Tests for the init setup wizard.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const {
+  detectProject,
+  createPlan,
+  renderFlatConfig,
+  createPrompter,
+} = require("../../../lib/cli/init-wizard");
+const plugin = require("../../../lib");
+const helpers = require("../../../lib/utils/config-helpers");
+
+describe("cli/init-wizard", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-init-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writePackage(pkg) {
+    fs.writeFileSync(path.join(tmpDir, "package.json"), JSON.stringify(pkg));
+  }
+
+  function detection(overrides = {}) {
+    return {
+      frameworks: [],
+      parsers: {},
+      testRunner: null,
+      outputDirectories: [],
+      esm: false,
+      ...overrides,
+    };
+  }
+
+  // Evaluate CommonJS config source against the local plugin
+  function evaluate(source) {
+    const modules = {
+      "eslint-plugin-lint-my-lines": plugin,
+      "eslint-plugin-lint-my-lines/helpers": helpers,
+      "@typescript-eslint/parser": { parseForESLint() {} },
+    };
+    const module = { exports: null };
+    new Function("require", "module", source)((name) => modules[name], module);
+    return module.exports;
+  }
+
+  describe("detectProject", function () {
+    it("detects frameworks, parsers and test runners from dependencies", function () {
+      writePackage({
+        type: "module",
+        dependencies: { react: "18.0.0", vue: "3.0.0" },
+        devDependencies: { typescript: "5.0.0", "@typescript-eslint/parser": "7.0.0", jest: "29.0.0" },
+      });
+      fs.mkdirSync(path.join(tmpDir, "dist"));
+
+      const result = detectProject(tmpDir);
+
+      assert.deepStrictEqual(result.frameworks, ["typescript", "react", "vue"]);
+      assert.strictEqual(result.parsers.typescript.module, "@typescript-eslint/parser");
+      assert.strictEqual(result.testRunner, "jest");
+      assert.deepStrictEqual(result.outputDirectories, ["dist"]);
+      assert.strictEqual(result.esm, true);
+    });
+
+    it("falls back to typescript-eslint for the TypeScript parser", function () {
+      writePackage({ devDependencies: { typescript: "5.0.0", "typescript-eslint": "8.0.0" } });
+
+      assert.strictEqual(detectProject(tmpDir).parsers.typescript.expression, "tseslint.parser");
+    });
+
+    it("detects nothing without a package.json", function () {
+      const result = detectProject(tmpDir);
+
+      assert.deepStrictEqual(result.frameworks, []);
+      assert.strictEqual(result.testRunner, null);
+      assert.strictEqual(result.esm, false);
+    });
+  });
+
+  describe("createPlan", function () {
+    it("enables detected presets with their default files", async function () {
+      const plan = await createPlan(detection({
+        frameworks: ["typescript", "svelte"],
+        testRunner: "mocha",
+        outputDirectories: ["build"],
+      }));
+
+      assert.strictEqual(plan.preset, "recommended");
+      assert.deepStrictEqual(plan.ignores, ["build/**"]);
+      assert.deepStrictEqual(plan.presets.map((entry) => entry.name), ["typescript", "svelte", "accessibility", "test-files"]);
+      assert.deepStrictEqual(plan.presets[2].files, ["**/*.svelte"]);
+      assert.deepStrictEqual(plan.missingParsers, ["typescript"]);
+    });
+
+    it("uses typescript-strict with the strict base preset", async function () {
+      const plan = await createPlan(detection({ frameworks: ["typescript"] }), { preset: "strict" });
+
+      assert.strictEqual(plan.presets[0].name, "typescript-strict");
+    });
+
+    it("uses the prompter's answers", async function () {
+      const answers = {
+        "Base preset": "minimal",
+        "Files for the base preset": ["src/**/*.js"],
+        "Paths to exclude": [],
+        "Enable the markdown preset?": true,
+        "Files for markdown": ["docs/**/*.md"],
+      };
+      const prompter = {
+        choose: async (question, choices, defaultValue) => answers[question] || defaultValue,
+        askList: async (question, defaults) => answers[question] || defaults,
+        confirm: async (question, defaultValue) => answers[question] || defaultValue,
+      };
+
+      const plan = await createPlan(detection(), { prompter });
+
+      assert.strictEqual(plan.preset, "minimal");
+      assert.deepStrictEqual(plan.files, ["src/**/*.js"]);
+      assert.deepStrictEqual(plan.presets, [{ name: "markdown", files: ["docs/**/*.md"], parser: null }]);
+    });
+  });
+
+  describe("renderFlatConfig", function () {
+    it("renders a CommonJS config that composes the presets", async function () {
+      const plan = await createPlan(detection({
+        frameworks: ["typescript"],
+        parsers: { typescript: { module: "@typescript-eslint/parser", local: "tsParser", expression: "tsParser" } },
+        testRunner: "mocha",
+        outputDirectories: ["dist"],
+      }));
+
+      const config = evaluate(renderFlatConfig(plan));
+
+      assert.strictEqual(config.length, 4);
+      assert.deepStrictEqual(config[0].files, ["**/*.js", "**/*.mjs", "**/*.cjs"]);
+      assert.deepStrictEqual(config[0].ignores, ["dist/**"]);
+      assert.strictEqual(config[0].rules["lint-my-lines/enforce-todo-format"], "warn");
+      assert(config[1].rules["lint-my-lines/valid-tsdoc"]);
+      assert.ok(config[2].languageOptions.parser);
+      assert.strictEqual(config[3].rules["lint-my-lines/no-commented-code"], "off");
+    });
+
+    it("omits createConfigWithExclude when nothing is excluded", async function () {
+      const plan = await createPlan(detection());
+      const source = renderFlatConfig(plan, { esm: true });
+
+      assert(source.includes('import { createFileTypePreset } from "eslint-plugin-lint-my-lines/helpers";'));
+      assert(!source.includes("createConfigWithExclude"));
+      assert(source.includes("export default ["));
+    });
+  });
+
+  describe("createPrompter", function () {
+    it("reads answers piped before the questions and falls back to defaults", async function () {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      input.end("strict\nsrc/**/*.js, lib/**/*.js\n");
+
+      const prompter = createPrompter({ input, output });
+      const preset = await prompter.choose("Base preset", ["minimal", "strict"], "minimal");
+      const files = await prompter.askList("Files", ["**/*.js"]);
+      const enabled = await prompter.confirm("Enable?", true);
+      prompter.close();
+
+      assert.strictEqual(preset, "strict");
+      assert.deepStrictEqual(files, ["src/**/*.js", "lib/**/*.js"]);
+      assert.strictEqual(enabled, true);
+    });
+
+    it("asks again for an invalid choice", async function () {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      input.end("huge\nminimal\n");
+
+      const prompter = createPrompter({ input, output });
+      const preset = await prompter.choose("Base preset", ["minimal", "strict"], "strict");
+      prompter.close();
+
+      assert.strictEqual(preset, "minimal");
+      assert(output.read().toString().includes("Please choose one of: minimal, strict"));
+    });
+  });
+});
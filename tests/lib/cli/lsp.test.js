@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Tests for the language server.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { pathToFileURL } = require("url");
+const { createLanguageServer, lsp } = require("../../../lib/cli/lsp");
+const { encodeMessage, createMessageReader } = require("../../../lib/utils/json-rpc");
+
+/**
+ * Create a scripted client for a server created with createLanguageServer.
+ * @param {Object} [options] - Server options
+ * @returns {Object} Client with `request`, `notify`, the messages the
+ *   server sent and the exit code it reported
+ */
+function createClient(options = {}) {
+  const client = { sent: [], exitCode: null };
+  const server = createLanguageServer({
+    ...options,
+    send: (message) => client.sent.push(message),
+    onExit: (exitCode) => {
+      client.exitCode = exitCode;
+    },
+  });
+  let nextId = 1;
+
+  client.request = async (method, params) => {
+    const id = nextId++;
+    await server.handle({ jsonrpc: "2.0", id, method, params });
+    return client.sent.find((message) => message.id === id);
+  };
+  client.notify = (method, params) => server.handle({ jsonrpc: "2.0", method, params });
+  client.diagnostics = (uri) => client.sent
+    .filter((message) => message.method === "textDocument/publishDiagnostics" && message.params.uri === uri)
+    .map((message) => message.params);
+
+  return client;
+}
+
+describe("cli/lsp", function () {
+  this.timeout(20000);
+
+  let tmpDir;
+  let uri;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-lsp-"));
+    uri = pathToFileURL(path.join(tmpDir, "a.js")).href;
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Initialize a client for the temporary workspace.
+   * @returns {Promise<Object>} Client
+   */
+  async function initialize() {
+    const client = createClient();
+    const response = await client.request("initialize", { rootUri: pathToFileURL(tmpDir).href, capabilities: {} });
+    await client.notify("initialized", {});
+    client.capabilities = response.result.capabilities;
+    return client;
+  }
+
+  it("rejects requests before initialize and reports its capabilities", async function () {
+    const client = createClient({ cwd: tmpDir });
+
+    const early = await client.request("textDocument/hover", {});
+    assert.strictEqual(early.error.code, -32002);
+
+    const response = await client.request("initialize", { rootUri: null, capabilities: {} });
+    assert.strictEqual(response.result.serverInfo.name, "lint-my-lines");
+    assert.strictEqual(response.result.capabilities.hoverProvider, true);
+    assert.deepStrictEqual(response.result.capabilities.codeActionProvider.codeActionKinds, [
+      "quickfix",
+      "source.fixAll.lint-my-lines",
+    ]);
+
+    const unknown = await client.request("textDocument/completion", {});
+    assert.strictEqual(unknown.error.code, -32601);
+  });
+
+  it("publishes diagnostics on open and change, and clears them on close", async function () {
+    const client = await initialize();
+
+    await client.notify("textDocument/didOpen", {
+      textDocument: { uri, languageId: "javascript", version: 1, text: "// TODO: fix this\nconst a = 1;\n" },
+    });
+    const [opened] = client.diagnostics(uri);
+    const todo = opened.diagnostics.find((diagnostic) => diagnostic.code === "lint-my-lines/enforce-todo-format");
+
+    assert.strictEqual(opened.version, 1);
+    assert.deepStrictEqual(todo.range.start, { line: 0, character: 0 });
+    assert.strictEqual(todo.source, "lint-my-lines");
+    assert(todo.codeDescription.href.startsWith("https://"));
+
+    await client.notify("textDocument/didChange", {
+      textDocument: { uri, version: 2 },
+      contentChanges: [{ range: { start: { line: 0, character: 7 }, end: { line: 0, character: 7 } }, text: " (alice)" }],
+    });
+    const changed = client.diagnostics(uri)[1];
+
+    assert.strictEqual(changed.version, 2);
+    assert(!changed.diagnostics.some((diagnostic) => diagnostic.code === "lint-my-lines/enforce-todo-format"));
+
+    await client.notify("textDocument/didClose", { textDocument: { uri } });
+    assert.deepStrictEqual(client.diagnostics(uri)[2], { uri, diagnostics: [] });
+  });
+
+  it("publishes only the latest text when changes arrive during a lint", async function () {
+    const client = await initialize();
+    const open = client.notify("textDocument/didOpen", {
+      textDocument: { uri, languageId: "javascript", version: 1, text: "// TODO: one\n" },
+    });
+    const change = client.notify("textDocument/didChange", {
+      textDocument: { uri, version: 2 },
+      contentChanges: [{ text: "const a = 1;\n" }],
+    });
+
+    await Promise.all([open, change]);
+
+    assert.deepStrictEqual(client.diagnostics(uri), [{ uri, version: 2, diagnostics: [] }]);
+  });
+
+  it("offers quick fixes and a fix-all action for autofixable problems", async function () {
+    const client = await initialize();
+    const text = "// TODO: first\n// TODO: second\n";
+    await client.notify("textDocument/didOpen", { textDocument: { uri, languageId: "javascript", version: 1, text } });
+
+    const range = { start: { line: 1, character: 3 }, end: { line: 1, character: 3 } };
+    const response = await client.request("textDocument/codeAction", { textDocument: { uri }, range, context: { diagnostics: [] } });
+    const [quickFix] = response.result.filter((action) => action.kind === "quickfix");
+    const fixAll = response.result.find((action) => action.kind === "source.fixAll.lint-my-lines");
+
+    assert.strictEqual(quickFix.title, "Fix this lint-my-lines/enforce-todo-format problem");
+    assert.strictEqual(quickFix.isPreferred, true);
+    assert.strictEqual(quickFix.edit.changes[uri][0].range.start.line, 1);
+    assert(fixAll.edit.changes[uri].length >= 2);
+
+    const only = await client.request("textDocument/codeAction", {
+      textDocument: { uri },
+      range,
+      context: { diagnostics: [], only: ["source.fixAll"] },
+    });
+    assert.deepStrictEqual(only.result.map((action) => action.kind), ["source.fixAll.lint-my-lines"]);
+  });
+
+  it("shows the owner, ticket and age of an action comment on hover", async function () {
+    fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc"), JSON.stringify({
+      rules: { "lint-my-lines/todo-aging-warnings": ["warn", { maxAgeDays: 10, criticalAgeDays: 400 }] },
+    }));
+    const client = await initialize();
+    const date = new Date(Date.now() - 20 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const text = `const url = "http://example.com"; // TODO (alice, PROJ-12, ${date}): Retry\n/* FIXME: later */\n`;
+    await client.notify("textDocument/didOpen", { textDocument: { uri, languageId: "javascript", version: 1, text } });
+
+    const hover = await client.request("textDocument/hover", { textDocument: { uri }, position: { line: 0, character: 40 } });
+
+    assert.strictEqual(hover.result.contents.kind, "markdown");
+    assert.strictEqual(hover.result.contents.value, [
+      "**TODO**",
+      "",
+      "- Owner: alice",
+      "- Ticket: PROJ-12",
+      "- Age: 2 weeks old (aged: over 10 days)",
+    ].join("\n"));
+    assert.deepStrictEqual(hover.result.range.start, { line: 0, character: 34 });
+
+    const unformatted = await client.request("textDocument/hover", { textDocument: { uri }, position: { line: 1, character: 5 } });
+    assert(unformatted.result.contents.value.includes("- Age: undated"));
+    assert(unformatted.result.contents.value.includes("Not in the `FIXME (reference): description` format."));
+
+    const code = await client.request("textDocument/hover", { textDocument: { uri }, position: { line: 0, character: 5 } });
+    assert.strictEqual(code.result, null);
+  });
+
+  it("reports an invalid project config and reloads it on save", async function () {
+    const configPath = path.join(tmpDir, ".lintmylinesrc");
+    fs.writeFileSync(configPath, JSON.stringify({ preset: "loose" }));
+    const client = await initialize();
+
+    const shown = client.sent.find((message) => message.method === "window/showMessage");
+    assert(shown.params.message.startsWith("lint-my-lines: "));
+
+    await client.notify("textDocument/didOpen", {
+      textDocument: { uri, languageId: "javascript", version: 1, text: "// TODO: fix this\n" },
+    });
+    assert.deepStrictEqual(client.diagnostics(uri)[0].diagnostics, []);
+
+    fs.writeFileSync(configPath, JSON.stringify({ preset: "recommended" }));
+    await client.notify("textDocument/didSave", { textDocument: { uri: pathToFileURL(configPath).href } });
+    assert(client.diagnostics(uri)[1].diagnostics.length > 0);
+  });
+
+  it("exits with 0 after shutdown and 1 without it", async function () {
+    const client = await initialize();
+
+    assert.strictEqual((await client.request("shutdown")).result, null);
+    assert.strictEqual((await client.request("textDocument/hover", {})).error.code, -32600);
+    await client.notify("exit");
+    assert.strictEqual(client.exitCode, 0);
+
+    const abrupt = createClient({ cwd: tmpDir });
+    await abrupt.notify("exit");
+    assert.strictEqual(abrupt.exitCode, 1);
+  });
+
+  it("talks JSON-RPC over streams and keeps console output off them", async function () {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const received = [];
+    const reader = createMessageReader((message) => received.push(message));
+    output.on("data", (chunk) => reader.push(chunk));
+
+    const stderrWrite = process.stderr.write;
+    process.stderr.write = () => true;
+    let exitCode;
+    try {
+      const running = lsp({ input, output });
+      console.log("not protocol");
+      input.write(encodeMessage({ jsonrpc: "2.0", id: 1, method: "initialize", params: { rootUri: pathToFileURL(tmpDir).href } }));
+      input.write(encodeMessage({ jsonrpc: "2.0", id: 2, method: "shutdown" }));
+      input.write(encodeMessage({ jsonrpc: "2.0", method: "exit" }));
+      exitCode = await running;
+    } finally {
+      process.stderr.write = stderrWrite;
+    }
+
+    assert.strictEqual(exitCode, 0);
+    assert.deepStrictEqual(received.map((message) => message.id), [1, 2]);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Tests for legacy config migration.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  findLegacyConfig,
+  loadLegacyConfig,
+  stripJsonComments,
+  translateConfig,
+  renderFlatConfig,
+} = require("../../../lib/cli/migrate");
+const plugin = require("../../../lib");
+const helpers = require("../../../lib/utils/config-helpers");
+
+describe("cli/migrate", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-migrate-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Evaluate CommonJS config source against the local plugin
+  function evaluate(source) {
+    const modules = {
+      "eslint-plugin-lint-my-lines": plugin,
+      "eslint-plugin-lint-my-lines/helpers": helpers,
+    };
+    const module = { exports: null };
+    new Function("require", "module", source)((name) => modules[name], module);
+    return module.exports;
+  }
+
+  describe("loading", function () {
+    it("finds legacy configs in ESLint's lookup order", function () {
+      fs.writeFileSync(path.join(tmpDir, ".eslintrc.json"), "{}");
+      fs.writeFileSync(path.join(tmpDir, ".eslintrc.yml"), "");
+
+      assert.strictEqual(findLegacyConfig(tmpDir), ".eslintrc.yml");
+    });
+
+    it("strips comments from JSON but not from strings", function () {
+      const text = '{\n  // comment\n  "a": "http://x/*y*/", /* block */ "b": 1\n}';
+
+      assert.deepStrictEqual(JSON.parse(stripJsonComments(text)), { a: "http://x/*y*/", b: 1 });
+    });
+
+    it("loads JSON, YAML and CommonJS configs", function () {
+      const files = {
+        ".eslintrc.json": '{ "extends": "plugin:lint-my-lines/minimal" } // trailing',
+        ".eslintrc.yaml": "extends: plugin:lint-my-lines/minimal\n",
+        ".eslintrc": "extends: plugin:lint-my-lines/minimal\n",
+        ".eslintrc.cjs": 'module.exports = { extends: "plugin:lint-my-lines/minimal" };',
+      };
+
+      for (const [name, content] of Object.entries(files)) {
+        const filePath = path.join(tmpDir, name);
+        fs.writeFileSync(filePath, content);
+        assert.strictEqual(loadLegacyConfig(filePath).extends, "plugin:lint-my-lines/minimal", name);
+      }
+    });
+
+    it("reports parse errors with the file name", function () {
+      const filePath = path.join(tmpDir, ".eslintrc.json");
+      fs.writeFileSync(filePath, "{ nope");
+
+      assert.throws(() => loadLegacyConfig(filePath), /Could not parse \.eslintrc\.json/);
+    });
+  });
+
+  describe("translateConfig", function () {
+    it("translates presets, rules and overrides", function () {
+      const { blocks, warnings } = translateConfig({
+        root: true,
+        extends: ["plugin:lint-my-lines/strict"],
+        plugins: ["lint-my-lines"],
+        rules: { "lint-my-lines/require-jsdoc": "off" },
+        overrides: [{
+          files: ["*.test.js", "scripts/**/*.js"],
+          excludedFiles: "fixtures/**",
+          extends: "plugin:lint-my-lines/minimal",
+          rules: { "lint-my-lines/no-commented-code": "off" },
+        }],
+      });
+
+      assert.deepStrictEqual(warnings, []);
+      assert.deepStrictEqual(blocks, [
+        { preset: "strict", files: undefined, ignores: undefined },
+        { rules: { "lint-my-lines/require-jsdoc": "off" }, files: undefined, ignores: undefined },
+        { preset: "minimal", files: ["**/*.test.js", "scripts/**/*.js"], ignores: ["fixtures/**"] },
+        {
+          rules: { "lint-my-lines/no-commented-code": "off" },
+          files: ["**/*.test.js", "scripts/**/*.js"],
+          ignores: ["fixtures/**"],
+        },
+      ]);
+    });
+
+    it("warns about settings it cannot translate", function () {
+      const { blocks, warnings } = translateConfig({
+        env: { node: true },
+        extends: ["eslint:recommended", "plugin:lint-my-lines/unknown"],
+        plugins: ["react"],
+        rules: { "no-console": "warn", "lint-my-lines/ban-specific-words": ["warn", { words: [/x/] }] },
+        overrides: [{ files: "*.ts", parser: "@typescript-eslint/parser" }, { rules: {} }],
+      });
+
+      assert.deepStrictEqual(blocks, []);
+      assert.deepStrictEqual(warnings, [
+        'Could not translate extends "eslint:recommended"',
+        'Could not translate extends "plugin:lint-my-lines/unknown"',
+        'Could not translate plugins "react"',
+        'Could not translate rules "lint-my-lines/ban-specific-words": options cannot be written as JSON',
+        "Skipped rules from ESLint core or other plugins: no-console",
+        "Could not translate env",
+        "Could not translate overrides[0].parser",
+        "Could not translate overrides[1]: no files",
+      ]);
+    });
+  });
+
+  describe("renderFlatConfig", function () {
+    it("renders a CommonJS config equivalent to the legacy one", function () {
+      const { blocks } = translateConfig({
+        extends: "plugin:lint-my-lines/recommended",
+        rules: { "lint-my-lines/enforce-comment-length": ["warn", { maxLength: 100 }] },
+        overrides: [{ files: "*.test.js", excludedFiles: "fixtures/**", extends: "plugin:lint-my-lines/minimal" }],
+      });
+      const source = renderFlatConfig(blocks, { source: ".eslintrc.json" });
+      const config = evaluate(source);
+
+      assert(source.startsWith("// Migrated from .eslintrc.json"));
+      assert(source.includes('"lint-my-lines/enforce-comment-length": ["warn", { "maxLength": 100 }],'));
+      assert.strictEqual(config.length, 4);
+      assert.deepStrictEqual(config[0], { plugins: { "lint-my-lines": plugin } });
+      assert.strictEqual(config[1], plugin.configs["flat/recommended"]);
+      assert.deepStrictEqual(config[2].rules, { "lint-my-lines/enforce-comment-length": ["warn", { maxLength: 100 }] });
+      assert.deepStrictEqual(config[3].files, ["**/*.test.js"]);
+      assert.deepStrictEqual(config[3].ignores, ["fixtures/**"]);
+      assert.strictEqual(config[3].rules, plugin.configs["flat/minimal"].rules);
+    });
+
+    it("renders configs that ESLint loads when no preset covers the rules", async function () {
+      this.timeout(20000);
+
+      // Resolve the plugin from the generated config like an installed package
+      fs.mkdirSync(path.join(tmpDir, "node_modules"));
+      fs.symlinkSync(path.join(__dirname, "../../.."), path.join(tmpDir, "node_modules", "eslint-plugin-lint-my-lines"), "dir");
+      fs.writeFileSync(path.join(tmpDir, "a.js"), "// TODO: Unformatted\nconst a = 1;\n");
+      fs.writeFileSync(path.join(tmpDir, "a.test.js"), "// TODO: Unformatted\nconst a = 1;\n");
+
+      const { blocks } = translateConfig({
+        plugins: ["lint-my-lines"],
+        rules: { "lint-my-lines/enforce-todo-format": "error" },
+        overrides: [{ files: "*.test.js", extends: "plugin:lint-my-lines/minimal", rules: { "lint-my-lines/enforce-todo-format": "off" } }],
+      });
+      fs.writeFileSync(path.join(tmpDir, "eslint.config.js"), renderFlatConfig(blocks));
+
+      const { FlatESLint } = require("eslint/use-at-your-own-risk");
+      const eslint = new FlatESLint({ cwd: tmpDir });
+      const results = await eslint.lintFiles(["a.js", "a.test.js"]);
+
+      assert.deepStrictEqual(
+        results.map((result) => [path.basename(result.filePath), result.messages.map((message) => message.ruleId)]),
+        [["a.js", ["lint-my-lines/enforce-todo-format"]], ["a.test.js", []]]
+      );
+    });
+
+    it("renders ES modules without unused helper imports", function () {
+      const source = renderFlatConfig([{ preset: "minimal" }], { esm: true });
+
+      assert(source.includes('import lintMyLines from "eslint-plugin-lint-my-lines";'));
+      assert(!source.includes("helpers"));
+      assert(source.includes("export default ["));
+    });
+  });
+});
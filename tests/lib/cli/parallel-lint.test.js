@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Tests for parallel linting.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MIN_FILES_PER_WORKER,
+  resolveConcurrency,
+  getWorkerCount,
+  shardFiles,
+  listLintTargets,
+  lintInWorkers,
+} = require("../../../lib/cli/parallel-lint");
+const plugin = require("../../../lib");
+
+const overrideConfig = {
+  plugins: ["lint-my-lines"],
+  parserOptions: { ecmaVersion: "latest", sourceType: "module" },
+  rules: { "lint-my-lines/enforce-todo-format": "warn" },
+};
+
+describe("cli/parallel-lint", function () {
+  this.timeout(20000);
+
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-parallel-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("resolveConcurrency", function () {
+    it("accepts positive integers and auto", function () {
+      assert.strictEqual(resolveConcurrency(undefined), 1);
+      assert.strictEqual(resolveConcurrency("3"), 3);
+      assert(resolveConcurrency("auto") >= 1);
+    });
+
+    it("rejects other values", function () {
+      for (const value of ["0", "-1", "1.5", "many"]) {
+        assert.strictEqual(resolveConcurrency(value), null, value);
+      }
+    });
+  });
+
+  describe("getWorkerCount", function () {
+    it("only starts workers for enough files", function () {
+      assert.strictEqual(getWorkerCount(8, 10), 1);
+      assert.strictEqual(getWorkerCount(8, MIN_FILES_PER_WORKER * 3), 3);
+      assert.strictEqual(getWorkerCount(2, MIN_FILES_PER_WORKER * 100), 2);
+    });
+  });
+
+  describe("shardFiles", function () {
+    it("assigns every file to the same shard on every run", function () {
+      const files = Array.from({ length: 200 }, (_, i) => `/repo/src/file${i}.js`);
+      const shards = shardFiles(files, 4);
+
+      assert.deepStrictEqual(shardFiles(files, 4), shards);
+      assert.deepStrictEqual(shards.flat().sort(), [...files].sort());
+      assert(shards.every((shard) => shard.length > 0));
+    });
+  });
+
+  describe("listLintTargets", function () {
+    it("lists the files ESLint would lint", async function () {
+      fs.mkdirSync(path.join(tmpDir, "src"));
+      fs.writeFileSync(path.join(tmpDir, "src/a.js"), "// TODO: a\n");
+      fs.writeFileSync(path.join(tmpDir, "src/b.generated.js"), "// TODO: b\n");
+      fs.writeFileSync(path.join(tmpDir, "src/c.txt"), "// TODO: c\n");
+
+      const files = await listLintTargets([path.join(tmpDir, "src")], {
+        ...overrideConfig,
+        ignorePatterns: ["**/*.generated.js"],
+      });
+
+      assert.deepStrictEqual(files, [path.join(tmpDir, "src/a.js")]);
+    });
+
+    it("does not process or parse files with their own processor or parser", async function () {
+      const markdown = plugin.processors[".md"];
+      const { preprocess } = markdown;
+      let preprocessed = 0;
+      markdown.preprocess = (...args) => {
+        preprocessed++;
+        return preprocess.apply(markdown, args);
+      };
+      fs.writeFileSync(path.join(tmpDir, "a.md"), "# A\n\n```js\n// TODO: a\n```\n");
+      fs.writeFileSync(path.join(tmpDir, "b.vue"), "<script>\n// TODO: b\n</script>\n");
+
+      try {
+        const files = await listLintTargets([tmpDir], {
+          ...overrideConfig,
+          overrides: [
+            { files: ["*.md"], processor: "lint-my-lines/.md" },
+            { files: ["*.vue"], parser: "not-installed-parser" },
+          ],
+        }, tmpDir);
+
+        assert.deepStrictEqual(files.map((file) => path.basename(file)).sort(), ["a.md", "b.vue"]);
+        assert.strictEqual(preprocessed, 0);
+      } finally {
+        markdown.preprocess = preprocess;
+      }
+    });
+  });
+
+  describe("lintInWorkers", function () {
+    it("merges worker results in file order", async function () {
+      const files = Array.from({ length: 6 }, (_, i) => {
+        const file = path.join(tmpDir, `f${i}.js`);
+        fs.writeFileSync(file, `// TODO: fix ${i}\nfunction f${i}() {}\n`);
+        return file;
+      });
+
+      const { results, cacheLocations } = await lintInWorkers(files, 2, {
+        fix: true,
+        overrideConfig,
+        cacheConfig: { cache: false },
+      });
+
+      assert.deepStrictEqual(results.map((r) => r.filePath), files);
+      assert.deepStrictEqual(cacheLocations, []);
+      assert(results.every((r) => r.output.includes("TODO (TICKET-")), "Fixes are returned, not written");
+      assert(fs.readFileSync(files[0], "utf8").startsWith("// TODO: fix 0"));
+    });
+  });
+});
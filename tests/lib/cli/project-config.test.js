@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for .lintmylinesrc loading and validation.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  readProjectConfig,
+  validateProjectConfig,
+  loadProjectConfig,
+} = require("../../../lib/cli/project-config");
+
+const PRESETS = ["minimal", "recommended", "strict", "analysis"];
+
+describe("cli/project-config", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-project-config-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("readProjectConfig", function () {
+    it("prefers .lintmylinesrc over package.json", function () {
+      fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc"), '{ "preset": "strict" }');
+      fs.writeFileSync(path.join(tmpDir, "package.json"), '{ "lintmylines": { "preset": "minimal" } }');
+
+      assert.deepStrictEqual(readProjectConfig(tmpDir), { file: ".lintmylinesrc", config: { preset: "strict" } });
+    });
+
+    it("reads the lintmylines key in package.json", function () {
+      fs.writeFileSync(path.join(tmpDir, "package.json"), '{ "lintmylines": { "preset": "minimal" } }');
+
+      assert.strictEqual(readProjectConfig(tmpDir).file, "package.json#lintmylines");
+    });
+
+    it("reports JSON errors with the file name", function () {
+      fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc.json"), "{ nope");
+
+      assert.throws(() => readProjectConfig(tmpDir), /Could not parse \.lintmylinesrc\.json/);
+    });
+  });
+
+  describe("validateProjectConfig", function () {
+    it("accepts a complete config", function () {
+      const errors = validateProjectConfig({
+        preset: "strict",
+        rules: { "lint-my-lines/enforce-comment-length": ["warn", { maxLength: 100 }] },
+        ignorePatterns: ["dist/**"],
+        files: "src",
+        overrides: [{
+          files: ["*.test.js"],
+          excludedFiles: "fixtures/**",
+          rules: { "lint-my-lines/no-commented-code": 0 },
+        }],
+        stats: { history: ".stats.json", tolerance: { jsdocCoverage: 0.02, todos: 3 } },
+      }, PRESETS);
+
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it("points schema errors at the offending option", function () {
+      const errors = validateProjectConfig({
+        rules: {
+          "lint-my-lines/enforce-comment-length": ["warn", { maxLength: "long" }],
+          "lint-my-lines/enforce-todo-format": ["warn", { nope: true }],
+          "lint-my-lines/comment-spacing": ["warn", {}, {}],
+        },
+      }, PRESETS);
+
+      assert.deepStrictEqual(errors, [
+        'rules["lint-my-lines/enforce-comment-length"][1].maxLength should be integer',
+        'rules["lint-my-lines/enforce-todo-format"][1].nope is not a known option',
+        'rules["lint-my-lines/comment-spacing"] options should NOT have more than 1 items',
+      ]);
+    });
+
+    it("reports unknown keys, rules, severities and presets", function () {
+      const errors = validateProjectConfig({
+        preset: "loose",
+        extends: "x",
+        rules: { "no-console": "warn", "lint-my-lines/enforce-todo-format": "warning" },
+        overrides: [{ rules: {}, parser: "x" }, "src"],
+      }, PRESETS);
+
+      assert.deepStrictEqual(errors, [
+        "extends is not a supported key (expected preset, rules, ignorePatterns, files, overrides, stats)",
+        'preset should be one of "minimal", "recommended", "strict", "analysis"',
+        'rules["no-console"] is not a lint-my-lines rule',
+        'rules["lint-my-lines/enforce-todo-format"] should be "off", "warn" or "error" (or 0, 1, 2)',
+        "overrides[0].parser is not a supported key (expected files, excludedFiles, rules)",
+        "overrides[0].files is required",
+        "overrides[1] should be an object",
+      ]);
+    });
+
+    it("validates the stats block", function () {
+      const errors = validateProjectConfig({
+        stats: { history: "", tolerance: { todos: -1, lines: 2, violations: "1" }, trend: true },
+      }, PRESETS);
+
+      assert.deepStrictEqual(errors, [
+        "stats.trend is not a supported key (expected history, tolerance)",
+        "stats.history should be a non-empty string",
+        "stats.tolerance.todos should be a number >= 0",
+        "stats.tolerance.lines is not a known metric (expected commentRatio, jsdocCoverage, todos, criticalTodos, violations)",
+        "stats.tolerance.violations should be a number >= 0",
+      ]);
+    });
+  });
+
+  describe("loadProjectConfig", function () {
+    it("normalizes globs and legacy overrides objects", function () {
+      fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc"), JSON.stringify({
+        ignorePatterns: "dist/**",
+        overrides: { "lint-my-lines/enforce-todo-format": "error" },
+      }));
+
+      assert.deepStrictEqual(loadProjectConfig({ cwd: tmpDir, presets: PRESETS }), {
+        file: ".lintmylinesrc",
+        preset: undefined,
+        rules: { "lint-my-lines/enforce-todo-format": "error" },
+        ignorePatterns: ["dist/**"],
+        files: [],
+        overrides: [],
+        stats: { tolerance: {} },
+      });
+    });
+
+    it("lists every problem in the thrown error", function () {
+      fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc"), '{ "preset": "loose", "files": [""] }');
+
+      assert.throws(
+        () => loadProjectConfig({ cwd: tmpDir, presets: PRESETS }),
+        (error) => error.message === [
+          "Invalid .lintmylinesrc:",
+          '  - preset should be one of "minimal", "recommended", "strict", "analysis"',
+          "  - files[0] should be a non-empty string",
+        ].join("\n")
+      );
+    });
+
+    it("returns null without a project config", function () {
+      assert.strictEqual(loadProjectConfig({ cwd: tmpDir, presets: PRESETS }), null);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Tests for the rule catalog.
+ */
+"use strict";
+
+const assert = require("assert");
+const plugin = require("../../../lib");
+const {
+  getRuleCatalog,
+  getRulePresets,
+  describeOptions,
+  describeType,
+} = require("../../../lib/cli/rules");
+
+describe("cli/rules", function () {
+  describe("getRulePresets", function () {
+    it("resolves inheritance to the preset that introduces the rule", function () {
+      const presets = getRulePresets("enforce-todo-format");
+      const byName = Object.fromEntries(presets.map((p) => [p.preset, p]));
+
+      assert.strictEqual(byName.minimal.inheritedFrom, null);
+      assert.strictEqual(byName.recommended.inheritedFrom, "minimal");
+      assert.strictEqual(byName["typescript-strict"].inheritedFrom, "minimal");
+      assert.strictEqual(byName.strict.setting, "error");
+      assert(!byName["test-files"], "test-files turns the rule off");
+    });
+
+    it("returns an empty list for rules no preset enables", function () {
+      assert.deepStrictEqual(getRulePresets("issue-tracker-integration"), []);
+    });
+  });
+
+  describe("describeType", function () {
+    it("describes enums, unions, arrays and bounds", function () {
+      assert.strictEqual(describeType({ type: "string", enum: ["a", "b"] }), '"a" | "b"');
+      assert.strictEqual(describeType({ type: "array", items: { type: "string" } }), "string[]");
+      assert.strictEqual(
+        describeType({ type: "array", items: { oneOf: [{ type: "string" }, { type: "object" }] } }),
+        "(string | object)[]"
+      );
+      assert.strictEqual(describeType({ type: "integer", minimum: 0 }), "integer >= 0");
+    });
+  });
+
+  describe("describeOptions", function () {
+    it("flattens nested options and extracts defaults", function () {
+      const rows = describeOptions([{
+        type: "object",
+        properties: {
+          enabled: { type: "boolean", description: "Turn it on (default: true)" },
+          limit: { type: "integer", default: 3, description: "Limit" },
+          nested: {
+            type: "object",
+            properties: { mode: { type: "string", enum: ["a"], description: "Mode" } },
+          },
+        },
+      }]);
+
+      assert.deepStrictEqual(rows, [
+        { name: "enabled", type: "boolean", default: "true", description: "Turn it on" },
+        { name: "limit", type: "integer", default: "3", description: "Limit" },
+        { name: "nested.mode", type: '"a"', default: null, description: "Mode" },
+      ]);
+    });
+  });
+
+  describe("getRuleCatalog", function () {
+    it("describes every exported rule", function () {
+      const catalog = getRuleCatalog();
+
+      assert.strictEqual(catalog.length, Object.keys(plugin.rules).length);
+      for (const entry of catalog) {
+        assert(entry.description, `${entry.name} has a description`);
+        assert(entry.docsPath, `${entry.name} has a documentation page`);
+      }
+    });
+
+    it("fills defaults from the documentation page", function () {
+      const entry = getRuleCatalog().find((e) => e.name === "enforce-comment-length");
+      const maxLength = entry.options.find((option) => option.name === "maxLength");
+
+      assert.strictEqual(maxLength.default, "120");
+      assert(entry.options.some((option) => option.name === "commentContext.inlineComments"));
+    });
+  });
+});
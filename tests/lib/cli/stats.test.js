@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Tests for comment metrics history and trends.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  collectStats,
+  loadHistory,
+  addHistoryEntry,
+  compareEntries,
+  findBaseEntry,
+  formatTrend,
+} = require("../../../lib/cli/stats");
+
+/**
+ * Build a history entry with the given metric values.
+ * @param {string} commit - Commit hash
+ * @param {Object} values - Metric overrides
+ * @returns {Object} History entry
+ */
+function entry(commit, values = {}) {
+  return {
+    commit,
+    date: "2026-01-01T00:00:00+00:00",
+    metrics: {
+      commentRatio: values.commentRatio ?? 0.2,
+      jsdoc: { coverage: values.jsdocCoverage ?? 0.5 },
+      todos: { total: values.todos ?? 4, critical: values.criticalTodos ?? 1 },
+      violations: { total: values.violations ?? 10 },
+    },
+  };
+}
+
+describe("cli/stats", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-stats-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("collectStats", function () {
+    this.timeout(20000);
+
+    it("measures comments, JSDoc coverage, TODO ages and violations", async function () {
+      fs.mkdirSync(path.join(tmpDir, "src"));
+      fs.writeFileSync(path.join(tmpDir, "src", "a.js"), [
+        "/**",
+        " * Documented",
+        " */",
+        "export function a() {}",
+        "export const b = () => 1;",
+        "function internal() {}",
+        "// TODO (alice, 2020-01-01): Old",
+        "// TODO: Fix this",
+        "module.exports.c = function () {};",
+        "",
+      ].join("\n"));
+
+      const { preset, metrics } = await collectStats(["src"], { cwd: tmpDir });
+
+      assert.strictEqual(preset, "recommended");
+      assert.strictEqual(metrics.files, 1);
+      assert.strictEqual(metrics.commentLines, 5);
+      assert.strictEqual(metrics.codeLines, 4);
+      assert.deepStrictEqual(metrics.jsdoc, { exported: 3, documented: 1, coverage: 1 / 3 });
+      assert.deepStrictEqual(metrics.todos, { total: 2, fresh: 0, aged: 0, critical: 1, undated: 1 });
+      assert.strictEqual(metrics.violations.byRule["lint-my-lines/enforce-todo-format"], 1);
+      assert.strictEqual(
+        metrics.violations.total,
+        Object.values(metrics.violations.byRule).reduce((sum, count) => sum + count, 0)
+      );
+    });
+
+    it("uses the todo-aging-warnings thresholds and stats settings of .lintmylinesrc", async function () {
+      fs.writeFileSync(path.join(tmpDir, ".lintmylinesrc"), JSON.stringify({
+        rules: { "lint-my-lines/todo-aging-warnings": ["warn", { maxAgeDays: 1, criticalAgeDays: 100000 }] },
+        stats: { history: "metrics.json", tolerance: { todos: 2 } },
+      }));
+      fs.writeFileSync(path.join(tmpDir, "a.js"), "// TODO (alice, 2020-01-01): Old\n");
+
+      const result = await collectStats([], { cwd: tmpDir });
+
+      assert.deepStrictEqual(result.metrics.todos, { total: 1, fresh: 0, aged: 1, critical: 0, undated: 0 });
+      assert.strictEqual(result.metrics.jsdoc.coverage, null);
+      assert.strictEqual(result.history, "metrics.json");
+      assert.deepStrictEqual(result.tolerance, { todos: 2 });
+    });
+  });
+
+  describe("history", function () {
+    it("starts empty without a history file", function () {
+      assert.deepStrictEqual(loadHistory(path.join(tmpDir, "missing.json")), { version: 1, entries: [] });
+    });
+
+    it("rejects malformed history files", function () {
+      const file = path.join(tmpDir, "history.json");
+      fs.writeFileSync(file, '{ "entries": {} }');
+
+      assert.throws(() => loadHistory(file), /Invalid history .*expected version 1/);
+    });
+
+    it("replaces the entry of a commit measured again", function () {
+      let history = { version: 1, entries: [] };
+      history = addHistoryEntry(history, entry("aaa", { todos: 1 }));
+      history = addHistoryEntry(history, entry("bbb"));
+      history = addHistoryEntry(history, entry("aaa", { todos: 2 }));
+
+      assert.deepStrictEqual(history.entries.map((e) => e.commit), ["bbb", "aaa"]);
+      assert.strictEqual(history.entries[1].metrics.todos.total, 2);
+    });
+  });
+
+  describe("compareEntries", function () {
+    it("flags metrics that got worse beyond the tolerance", function () {
+      const changes = compareEntries(
+        entry("b", { commentRatio: 0.195, jsdocCoverage: 0.4, todos: 6, violations: 9 }),
+        entry("a"),
+        { todos: 2 }
+      );
+      const byKey = Object.fromEntries(changes.map((change) => [change.key, change]));
+
+      assert.strictEqual(byKey.commentRatio.regressed, false, "Within the default 1 point");
+      assert.strictEqual(byKey.jsdocCoverage.regressed, true);
+      assert.strictEqual(byKey.todos.regressed, false, "Configured tolerance");
+      assert.strictEqual(byKey.criticalTodos.delta, 0);
+      assert.strictEqual(byKey.violations.regressed, false, "Improvements never regress");
+    });
+
+    it("skips metrics without a value", function () {
+      const current = entry("b");
+      current.metrics.jsdoc.coverage = null;
+      const changes = compareEntries(current, entry("a"));
+
+      assert.strictEqual(changes.find((change) => change.key === "jsdocCoverage").delta, null);
+      assert(changes.every((change) => !change.regressed));
+    });
+  });
+
+  describe("findBaseEntry", function () {
+    const entries = [entry("aaa111"), entry("bbb222"), entry("ccc333")];
+
+    it("defaults to the entry before the current one", function () {
+      assert.strictEqual(findBaseEntry(entries).commit, "bbb222");
+      assert.strictEqual(findBaseEntry(entries.slice(0, 1)), null);
+    });
+
+    it("finds an entry by commit prefix", function () {
+      assert.strictEqual(findBaseEntry(entries, "aaa").commit, "aaa111");
+      assert.throws(() => findBaseEntry(entries, "fff"), /No history entry for commit "fff"/);
+    });
+  });
+
+  describe("formatTrend", function () {
+    it("shows the latest entries with changes since the previous one", function () {
+      const output = formatTrend([
+        entry("aaaaaaa1"),
+        entry("bbbbbbb2", { todos: 3 }),
+        entry("ccccccc3", { commentRatio: 0.215, todos: 5 }),
+      ], 2);
+      const lines = output.split("\n");
+
+      assert.strictEqual(lines[0], "Trend (last 2 of 3 entries):");
+      assert(lines[3].includes("bbbbbbb") && lines[3].includes("3 (-1)"));
+      assert(lines[4].includes("21.5% (+1.5)") && lines[4].includes("5 (+2)"));
+    });
+  });
+});
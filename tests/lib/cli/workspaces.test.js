@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Tests for workspace discovery and metrics.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  readWorkspacePatterns,
+  globToRegExp,
+  discoverWorkspaces,
+  filterWorkspaces,
+  collectWorkspaceMetrics,
+  getWorkspaceTotal,
+  formatWorkspaceSummary,
+} = require("../../../lib/cli/workspaces");
+
+const overrideConfig = {
+  plugins: ["lint-my-lines"],
+  parserOptions: { ecmaVersion: 2020, sourceType: "module" },
+  rules: { "lint-my-lines/enforce-todo-format": "warn" },
+};
+
+describe("cli/workspaces", function () {
+  this.timeout(20000);
+
+  let tmpDir;
+
+  /**
+   * Write a file below the temp dir, creating directories.
+   * @param {string} file - Relative path
+   * @param {string} content - File content
+   */
+  function write(file, content) {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), content, "utf8");
+  }
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-workspaces-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("readWorkspacePatterns", function () {
+    it("reads package.json workspaces in npm and yarn classic form", function () {
+      write("package.json", JSON.stringify({ workspaces: ["packages/*"] }));
+      assert.deepStrictEqual(readWorkspacePatterns(tmpDir), ["packages/*"]);
+
+      write("package.json", JSON.stringify({ workspaces: { packages: ["apps/*"] } }));
+      assert.deepStrictEqual(readWorkspacePatterns(tmpDir), ["apps/*"]);
+    });
+
+    it("reads pnpm-workspace.yaml", function () {
+      write("pnpm-workspace.yaml", "packages:\n  - 'packages/*'\n  - '!packages/legacy'\n");
+      assert.deepStrictEqual(readWorkspacePatterns(tmpDir), ["packages/*", "!packages/legacy"]);
+    });
+
+    it("returns null without workspaces", function () {
+      write("package.json", JSON.stringify({ name: "single" }));
+      assert.strictEqual(readWorkspacePatterns(tmpDir), null);
+    });
+
+    it("names the file that cannot be parsed", function () {
+      write("pnpm-workspace.yaml", "packages: [\n");
+      assert.throws(() => readWorkspacePatterns(tmpDir), /Could not parse pnpm-workspace.yaml/);
+    });
+  });
+
+  describe("globToRegExp", function () {
+    it("matches single and nested segments", function () {
+      assert(globToRegExp("packages/*").test("packages/api"));
+      assert(!globToRegExp("packages/*").test("packages/api/nested"));
+      assert(globToRegExp("./apps/**").test("apps/web/admin"));
+      assert(globToRegExp("**/pkg-?").test("a/b/pkg-1"));
+      assert(!globToRegExp("packages.old/*").test("packagesXold/api"));
+    });
+  });
+
+  describe("discoverWorkspaces", function () {
+    it("lists packages with a package.json, sorted by path", function () {
+      write("package.json", JSON.stringify({ workspaces: ["packages/*", "apps/**", "!apps/legacy"] }));
+      write("packages/web/package.json", JSON.stringify({ name: "@acme/web" }));
+      write("packages/api/package.json", "{}");
+      write("packages/docs/README.md", "# Not a package");
+      write("apps/admin/ui/package.json", JSON.stringify({ name: "admin-ui" }));
+      write("apps/legacy/package.json", JSON.stringify({ name: "legacy" }));
+      write("apps/admin/node_modules/dep/package.json", JSON.stringify({ name: "dep" }));
+
+      const workspaces = discoverWorkspaces(tmpDir);
+
+      assert.deepStrictEqual(workspaces.map((w) => [w.name, w.path]), [
+        ["admin-ui", "apps/admin/ui"],
+        ["packages/api", "packages/api"],
+        ["@acme/web", "packages/web"],
+      ]);
+      assert.strictEqual(workspaces[0].dir, path.join(tmpDir, "apps/admin/ui"));
+    });
+
+    it("returns null when no workspaces are declared", function () {
+      assert.strictEqual(discoverWorkspaces(tmpDir), null);
+    });
+  });
+
+  describe("filterWorkspaces", function () {
+    const workspaces = [
+      { name: "@acme/api", path: "packages/api" },
+      { name: "@acme/web", path: "packages/web" },
+    ];
+
+    it("matches names and paths", function () {
+      assert.deepStrictEqual(filterWorkspaces(workspaces, ["packages/web"]), [workspaces[1]]);
+      assert.deepStrictEqual(filterWorkspaces(workspaces, ["@acme/api"]), [workspaces[0]]);
+    });
+
+    it("lists the available packages for an unknown name", function () {
+      assert.throws(
+        () => filterWorkspaces(workspaces, ["@acme/cli"]),
+        /Unknown workspace "@acme\/cli". Available: @acme\/api, @acme\/web/
+      );
+    });
+  });
+
+  describe("collectWorkspaceMetrics", function () {
+    it("counts TODO comments and comment lines per code line", async function () {
+      write("a.js", "// TODO: First\nconst a = 1;\n\n/*\n * FIXME: Not a TODO\n */\nconst b = 2;\n");
+      write("b.js", "const c = 3; // TODO (ABC-1): Second\n");
+
+      const metrics = await collectWorkspaceMetrics(
+        [path.join(tmpDir, "a.js"), path.join(tmpDir, "b.js")],
+        { cwd: tmpDir, overrideConfig }
+      );
+
+      assert.deepStrictEqual(metrics, {
+        todoCount: 2,
+        commentLines: 5,
+        codeLines: 2,
+        commentRatio: 2.5,
+      });
+    });
+
+    it("has no ratio without code", async function () {
+      const metrics = await collectWorkspaceMetrics([], { cwd: tmpDir, overrideConfig });
+      assert.strictEqual(metrics.commentRatio, null);
+    });
+  });
+
+  describe("formatWorkspaceSummary", function () {
+    const packages = [
+      { name: "@acme/api", path: "packages/api", preset: "strict", files: 2, errorCount: 1, warningCount: 0, todoCount: 3, commentLines: 10, codeLines: 40, commentRatio: 0.25 },
+      { name: "@acme/web", path: "packages/web", preset: "recommended", files: 1, errorCount: 0, warningCount: 2, todoCount: 0, commentLines: 0, codeLines: 60, commentRatio: 0 },
+    ];
+
+    it("recomputes the total ratio from line counts", function () {
+      assert.deepStrictEqual(getWorkspaceTotal(packages), {
+        packages: 2,
+        files: 3,
+        errorCount: 1,
+        warningCount: 2,
+        todoCount: 3,
+        commentRatio: 0.1,
+      });
+    });
+
+    it("renders a row per package and a total row", function () {
+      const lines = formatWorkspaceSummary(packages).split("\n");
+
+      assert.strictEqual(lines.length, 4);
+      assert.match(lines[0], /^Package\s+Path\s+Preset\s+Files\s+Errors\s+Warnings\s+TODOs\s+Comment ratio$/);
+      assert.match(lines[1], /^@acme\/api\s+packages\/api\s+strict\s+2\s+1\s+0\s+3\s+25%$/);
+      assert.match(lines[3], /^Total\s+2 package\(s\)\s+3\s+1\s+2\s+3\s+10%$/);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Tests for the Checkstyle XML formatter.
+ */
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+const formatCheckstyle = require("../../../lib/formatters/checkstyle");
+const plugin = require("../../../lib/index");
+
+describe("formatters/checkstyle", function () {
+  const cwd = path.join(path.sep, "project");
+  const rulesMeta = {
+    "lint-my-lines/enforce-todo-format": plugin.rules["enforce-todo-format"].meta,
+  };
+
+  const results = [
+    {
+      filePath: path.join(cwd, "src", "a.js"),
+      messages: [
+        {
+          ruleId: "lint-my-lines/enforce-todo-format",
+          severity: 1,
+          message: "TODO comments must be in the format 'TODO (reference): description'.",
+          line: 1,
+          column: 1,
+        },
+        { ruleId: null, fatal: true, severity: 2, message: "Parsing error: Unexpected \"=\"", line: 4, column: 7 },
+      ],
+    },
+    { filePath: path.join(cwd, "src", "clean.js"), messages: [] },
+  ];
+
+  function format() {
+    return formatCheckstyle(results, { cwd, rulesMeta });
+  }
+
+  it("writes one file element per result", function () {
+    const xml = format();
+
+    assert(xml.startsWith("<?xml version=\"1.0\" encoding=\"utf-8\"?>\n<checkstyle version=\"4.3\">"));
+    assert(xml.includes('<file name="src/a.js">'));
+    assert(xml.includes('<file name="src/clean.js"/>'));
+    assert(xml.trimEnd().endsWith("</checkstyle>"));
+  });
+
+  it("writes an error element with the rule ID as source", function () {
+    const xml = format();
+    const url = plugin.rules["enforce-todo-format"].meta.docs.url;
+
+    assert(xml.includes(
+      '<error line="1" column="1" severity="warning" ' +
+      'message="TODO comments must be in the format &#39;TODO (reference): description&#39;." ' +
+      `source="lint-my-lines/enforce-todo-format" category="Stylistic Issues" url="${url}"/>`
+    ));
+  });
+
+  it("writes parse errors without rule metadata", function () {
+    assert(format().includes('<error line="4" column="7" severity="error" message="Parsing error: Unexpected &quot;=&quot;"/>'));
+  });
+});
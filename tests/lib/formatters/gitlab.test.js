@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Tests for the GitLab Code Quality formatter.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const formatGitlab = require("../../../lib/formatters/gitlab");
+const plugin = require("../../../lib/index");
+
+describe("formatters/gitlab", function () {
+  this.timeout(20000);
+
+  const ruleId = "lint-my-lines/enforce-todo-format";
+  const rulesMeta = { [ruleId]: plugin.rules["enforce-todo-format"].meta };
+
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-gitlab-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a file and format one message per given line.
+   * @param {string} source - File content
+   * @param {number[]} lines - Lines with a message
+   * @returns {Promise<Object[]>} Code Quality issues
+   */
+  async function format(source, lines) {
+    const filePath = path.join(tmpDir, "a.js");
+    fs.writeFileSync(filePath, source, "utf8");
+
+    const messages = lines.map((line) => ({ ruleId, severity: 1, message: "Bad TODO", line, column: 1 }));
+    return JSON.parse(await formatGitlab([{ filePath, messages }], { cwd: tmpDir, rulesMeta }));
+  }
+
+  it("writes Code Quality issues", async function () {
+    const [issue] = await format("// TODO: Fix\n", [1]);
+
+    assert.strictEqual(issue.type, "issue");
+    assert.strictEqual(issue.check_name, ruleId);
+    assert.strictEqual(issue.description, "Bad TODO");
+    assert.strictEqual(issue.severity, "minor");
+    assert.deepStrictEqual(issue.location, { path: "a.js", lines: { begin: 1, end: 1 } });
+    assert.match(issue.fingerprint, /^[0-9a-f]{32}$/);
+  });
+
+  it("maps the rule's category and docs URL", async function () {
+    const [issue] = await format("// TODO: Fix\n", [1]);
+
+    assert.deepStrictEqual(issue.categories, ["Style"]);
+    assert(issue.content.body.includes("Category: Stylistic Issues"));
+    assert(issue.content.body.includes(`(${rulesMeta[ruleId].docs.url})`));
+  });
+
+  it("keeps fingerprints when the issue moves", async function () {
+    const [before] = await format("function a() {\n  // TODO: Fix\n}\n", [2]);
+    const [after] = await format("const x = 1;\n\nfunction a() {\n  // TODO: Fix\n}\n", [4]);
+
+    assert.strictEqual(after.fingerprint, before.fingerprint);
+  });
+
+  it("changes fingerprints when the comment changes", async function () {
+    const [before] = await format("// TODO: Fix\n", [1]);
+    const [after] = await format("// TODO: Fix later\n", [1]);
+
+    assert.notStrictEqual(after.fingerprint, before.fingerprint);
+  });
+
+  it("gives identical issues unique fingerprints", async function () {
+    const issues = await format("// TODO: Fix\n// TODO: Fix\n", [1, 2]);
+
+    assert.notStrictEqual(issues[0].fingerprint, issues[1].fingerprint);
+  });
+
+  it("reports parse errors as critical", async function () {
+    const filePath = path.join(tmpDir, "broken.js");
+    fs.writeFileSync(filePath, "const = ;\n", "utf8");
+
+    const messages = [{ ruleId: null, fatal: true, severity: 2, message: "Parsing error", line: 1, column: 7 }];
+    const [issue] = JSON.parse(await formatGitlab([{ filePath, messages }], { cwd: tmpDir }));
+
+    assert.strictEqual(issue.check_name, "parse-error");
+    assert.strictEqual(issue.severity, "critical");
+    assert.strictEqual(issue.categories, undefined);
+  });
+});
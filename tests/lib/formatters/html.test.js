@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests for the HTML report formatter.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const formatHtml = require("../../../lib/formatters/html");
+const plugin = require("../../../lib/index");
+
+describe("formatters/html", function () {
+  this.timeout(20000);
+
+  let tmpDir;
+  let results;
+
+  const rulesMeta = {
+    "lint-my-lines/enforce-todo-format": plugin.rules["enforce-todo-format"].meta,
+  };
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-html-"));
+    fs.mkdirSync(path.join(tmpDir, "src"));
+    fs.writeFileSync(
+      path.join(tmpDir, "src", "a.js"),
+      [
+        "// TODO (alice, 2020-01-05): Remove <legacy> path",
+        "const a = 1;",
+        "// FIXME: Handle null",
+        "const b = 2;",
+        "",
+        "// TODO: Fix this",
+        "function c() {}",
+      ].join("\n"),
+      "utf8"
+    );
+    fs.writeFileSync(path.join(tmpDir, "src", "broken.js"), "const = ;\n", "utf8");
+
+    results = [
+      {
+        filePath: path.join(tmpDir, "src", "a.js"),
+        errorCount: 1,
+        warningCount: 1,
+        messages: [
+          {
+            ruleId: "lint-my-lines/enforce-todo-format",
+            severity: 2,
+            message: "TODO comments must be in the format 'TODO (reference): description'.",
+            line: 6,
+            column: 1,
+          },
+          {
+            ruleId: "lint-my-lines/enforce-todo-format",
+            severity: 1,
+            message: "Second message",
+            line: 3,
+            column: 1,
+          },
+        ],
+      },
+      {
+        filePath: path.join(tmpDir, "src", "broken.js"),
+        errorCount: 1,
+        warningCount: 0,
+        messages: [{ ruleId: null, fatal: true, severity: 2, message: "Parsing error: Unexpected token =", line: 1, column: 7 }],
+      },
+    ];
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function format() {
+    return formatHtml(results, { cwd: tmpDir, rulesMeta });
+  }
+
+  it("produces one document without external resources", async function () {
+    const html = await format();
+
+    assert(html.startsWith("<!DOCTYPE html>"));
+    assert(html.includes("<style>") && html.includes("<script>"));
+    assert(!/<(script|link|img)[^>]+(src|href)=/.test(html), "Nothing should be loaded from elsewhere");
+  });
+
+  it("breaks messages down per rule with docs links", async function () {
+    const html = await format();
+    const row = html.match(/<tr><td><a href="([^"]+)">lint-my-lines\/enforce-todo-format<\/a><\/td>(.*?)<\/tr>/);
+
+    assert(row, "Rule row should link to the docs");
+    assert.strictEqual(row[1], plugin.rules["enforce-todo-format"].meta.docs.url);
+    assert(row[2].includes('<td class="num">1</td><td class="num">1</td><td class="num">1</td>'));
+    assert(html.includes("<td>(parse error)</td>"));
+  });
+
+  it("lists files with comment-to-code ratios", async function () {
+    const html = await format();
+
+    // Three comment lines, three code lines
+    assert(html.includes('<a href="#file-0">src/a.js</a>'));
+    assert(html.includes('data-sort="1">100%</td>'));
+    assert(/<a href="#file-1">src\/broken.js<\/a>.*?<td class="num">-<\/td>/.test(html), "Unparsed files have no ratio");
+  });
+
+  it("lists TODO/FIXME comments oldest first with aging status", async function () {
+    const html = await format();
+    const rows = html.split("<th>Location</th></tr></thead><tbody>")[1].split("</tbody>")[0].split("</tr>").filter(Boolean);
+
+    assert.strictEqual(rows.length, 3);
+    assert(rows[0].includes("<td>TODO</td>"));
+    assert(rows[0].includes('<td class="status-critical">critical</td>'));
+    assert(rows[0].includes("Remove &lt;legacy&gt; path"), "Text should be escaped");
+    assert(rows[1].includes("<td>FIXME</td>") && rows[1].includes("<td>Handle null</td>"));
+    assert(rows[1].includes('<td class="status-undated">undated</td>'));
+    assert(rows[2].includes("src/a.js:6"));
+  });
+
+  it("grades ages by the configured thresholds", async function () {
+    const html = await formatHtml(results, { cwd: tmpDir, rulesMeta, ageThresholds: { maxAgeDays: 36500, criticalAgeDays: 73000 } });
+
+    assert(html.includes("Aged after 36500 days, critical after 73000 days"));
+    assert(html.includes('<td class="status-ok">ok</td>'));
+    assert(!html.includes('<td class="status-critical">'));
+  });
+
+  it("shows source lines around each message", async function () {
+    const html = await format();
+    const section = html.split('<details id="file-0" open>')[1].split("</details>")[0];
+
+    assert(section.includes('<span class="hit"><span class="gutter">6</span>// TODO: Fix this</span>'));
+    assert(section.includes('<span class="gutter">4</span>const b = 2;'));
+    assert(!section.includes('<span class="gutter">3</span>// FIXME: Handle null</span><span class="gutter">'));
+  });
+});
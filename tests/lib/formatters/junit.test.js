@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Tests for the JUnit XML formatter.
+ */
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+const formatJunit = require("../../../lib/formatters/junit");
+const plugin = require("../../../lib/index");
+
+describe("formatters/junit", function () {
+  const cwd = path.join(path.sep, "project");
+  const rulesMeta = {
+    "lint-my-lines/enforce-todo-format": plugin.rules["enforce-todo-format"].meta,
+  };
+
+  const results = [
+    {
+      filePath: path.join(cwd, "src", "a.js"),
+      messages: [
+        {
+          ruleId: "lint-my-lines/enforce-todo-format",
+          severity: 1,
+          message: "TODO comments must be in the format 'TODO (reference): description'.",
+          line: 1,
+          column: 1,
+        },
+        { ruleId: null, fatal: true, severity: 2, message: "Parsing error: Unexpected <token>", line: 4, column: 7 },
+      ],
+    },
+    { filePath: path.join(cwd, "src", "clean.js"), messages: [] },
+  ];
+
+  function format() {
+    return formatJunit(results, { cwd, rulesMeta });
+  }
+
+  it("writes one test suite per file with totals", function () {
+    const xml = format();
+
+    assert(xml.startsWith("<?xml version=\"1.0\" encoding=\"utf-8\"?>"));
+    assert(xml.includes('<testsuites name="lint-my-lines" tests="3" failures="2" errors="0" time="0">'));
+    assert(xml.includes('<testsuite name="src/a.js" tests="2" failures="2" errors="0" time="0">'));
+    assert(xml.includes('<testsuite name="src/clean.js" tests="1" failures="0" errors="0" time="0">'));
+    assert(xml.includes('<testcase time="0" name="lint-my-lines" classname="src/clean.js"/>'));
+  });
+
+  it("writes a failed test case per message", function () {
+    const xml = format();
+
+    assert(xml.includes('<testcase time="0" name="lint-my-lines/enforce-todo-format" classname="src/a.js">'));
+    assert(xml.includes('<failure type="warning" message="TODO comments must be in the format &#39;TODO (reference): description&#39;.">'));
+    assert(xml.includes("src/a.js:1:1 warning: TODO comments"));
+    assert(xml.includes('<testcase time="0" name="parse-error" classname="src/a.js">'));
+    assert(xml.includes("Parsing error: Unexpected &lt;token&gt;"), "Text should be escaped");
+  });
+
+  it("maps the rule's category and docs URL into properties", function () {
+    const xml = format();
+    const url = plugin.rules["enforce-todo-format"].meta.docs.url;
+
+    assert(xml.includes(
+      `<properties><property name="category" value="Stylistic Issues"/><property name="docs" value="${url}"/></properties>`
+    ));
+    assert(xml.includes(`See ${url}</failure>`));
+  });
+});
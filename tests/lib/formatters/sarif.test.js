@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Tests for the SARIF formatter.
+ */
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+const formatSarif = require("../../../lib/formatters/sarif");
+const plugin = require("../../../lib/index");
+
+describe("formatters/sarif", function () {
+  const cwd = path.join(path.sep, "project");
+  const rulesMeta = {
+    "lint-my-lines/enforce-todo-format": plugin.rules["enforce-todo-format"].meta,
+    "lint-my-lines/todo-aging-warnings": plugin.rules["todo-aging-warnings"].meta,
+  };
+
+  const results = [
+    {
+      filePath: path.join(cwd, "src", "a.js"),
+      messages: [
+        {
+          ruleId: "lint-my-lines/enforce-todo-format",
+          severity: 1,
+          message: "TODO comments must be in the format 'TODO (reference): description'.",
+          line: 1,
+          column: 1,
+          endLine: 1,
+          endColumn: 12,
+          fix: { range: [0, 11], text: "// TODO (TICKET-XXX): Fix" },
+        },
+        {
+          ruleId: "lint-my-lines/todo-aging-warnings",
+          severity: 2,
+          message: "TODO is 2 months old (max: 30 days). Reference: alice",
+          line: 3,
+          column: 5,
+        },
+      ],
+    },
+    {
+      filePath: path.join(cwd, "src", "b.js"),
+      messages: [
+        {
+          ruleId: "lint-my-lines/enforce-todo-format",
+          severity: 1,
+          message: "TODO comments must be in the format 'TODO (reference): description'.",
+          line: 2,
+          column: 1,
+        },
+      ],
+    },
+  ];
+
+  function format() {
+    return JSON.parse(formatSarif(results, { cwd, rulesMeta }));
+  }
+
+  it("produces a SARIF 2.1.0 log with one run", function () {
+    const log = format();
+    assert.strictEqual(log.version, "2.1.0");
+    assert.strictEqual(log.runs.length, 1);
+    assert.strictEqual(log.runs[0].tool.driver.name, "lint-my-lines");
+  });
+
+  it("maps rule meta.docs into deduplicated rule entries", function () {
+    const rules = format().runs[0].tool.driver.rules;
+
+    assert.deepStrictEqual(rules.map((r) => r.id), [
+      "lint-my-lines/enforce-todo-format",
+      "lint-my-lines/todo-aging-warnings",
+    ]);
+    assert.strictEqual(rules[0].shortDescription.text, "Enforce a standard format for TODO comments");
+    assert.strictEqual(rules[0].properties.category, "Stylistic Issues");
+    assert(rules[0].helpUri.includes("STYLE_GUIDE.md"));
+    // Falls back to the rule docs page when meta.docs.url is missing
+    assert(rules[1].helpUri.endsWith("docs/rules/todo-aging-warnings.md"));
+  });
+
+  it("maps messages to results with levels and regions", function () {
+    const sarifResults = format().runs[0].results;
+
+    assert.strictEqual(sarifResults.length, 3);
+    assert.strictEqual(sarifResults[0].level, "warning");
+    assert.strictEqual(sarifResults[1].level, "error");
+    assert.strictEqual(sarifResults[2].ruleIndex, 0);
+
+    const location = sarifResults[0].locations[0].physicalLocation;
+    assert.strictEqual(location.artifactLocation.uri, "src/a.js");
+    assert.strictEqual(location.artifactLocation.uriBaseId, "%SRCROOT%");
+    assert.deepStrictEqual(location.region, { startLine: 1, startColumn: 1, endLine: 1, endColumn: 12 });
+    assert.deepStrictEqual(sarifResults[1].locations[0].physicalLocation.region, {
+      startLine: 3,
+      startColumn: 5,
+    });
+  });
+
+  it("includes fixes for fixable messages", function () {
+    const sarifResults = format().runs[0].results;
+    const replacement = sarifResults[0].fixes[0].artifactChanges[0].replacements[0];
+
+    assert.deepStrictEqual(replacement.deletedRegion, { charOffset: 0, charLength: 11 });
+    assert.strictEqual(replacement.insertedContent.text, "// TODO (TICKET-XXX): Fix");
+    assert.strictEqual(sarifResults[1].fixes, undefined);
+  });
+
+  it("keeps parse errors as results without a rule", function () {
+    const log = JSON.parse(formatSarif([
+      {
+        filePath: path.join(cwd, "broken.js"),
+        messages: [{ fatal: true, severity: 2, message: "Parsing error", line: 1, column: 1 }],
+      },
+    ], { cwd }));
+
+    assert.strictEqual(log.runs[0].tool.driver.rules.length, 0);
+    assert.strictEqual(log.runs[0].results[0].ruleId, undefined);
+    assert.strictEqual(log.runs[0].results[0].level, "error");
+  });
+});
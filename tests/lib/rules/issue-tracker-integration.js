@@ -4,7 +4,11 @@
  */
 "use strict";
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const rule = require("../../../lib/rules/issue-tracker-integration");
+const { createClient, clearCache } = require("../../../lib/utils/issue-tracker-client");
 const RuleTester = require("eslint").RuleTester;
 
 const ruleTester = new RuleTester({
@@ -109,6 +113,144 @@ function multi() {}
   ],
 });
 
+describe("issue-tracker-integration snapshotPath", function () {
+  const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-tickets-"));
+  const snapshotPath = path.join(snapshotDir, "tickets.json");
+  const stalePath = path.join(snapshotDir, "stale.json");
+  const brokenPath = path.join(snapshotDir, "broken.json");
+  const github = { tracker: "github", githubRepo: "owner/repo" };
+
+  function writeSnapshot(file, syncedAt) {
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      syncedAt,
+      trackers: {
+        "github:owner/repo": {
+          "GH-1": { exists: true, state: "open", closed: false, title: "Open", assignee: null, fetchedAt: syncedAt },
+          "GH-2": { exists: true, state: "closed", closed: true, title: "Done", assignee: null, fetchedAt: syncedAt },
+          "GH-3": { exists: false, state: null, closed: false, title: null, assignee: null, fetchedAt: syncedAt },
+        },
+        "jira:https://example.atlassian.net": {
+          "PAY-1": { exists: true, state: "Done", closed: true, title: "Refunds", assignee: null, fetchedAt: syncedAt },
+        },
+      },
+    }));
+  }
+
+  writeSnapshot(snapshotPath, new Date().toISOString());
+  writeSnapshot(stalePath, new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString());
+  fs.writeFileSync(brokenPath, "{");
+
+  after(function () {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  ruleTester.run("issue-tracker-integration", rule, {
+    valid: [
+      { code: "// TODO (GH-1): Open ticket", options: [{ ...github, snapshotPath }] },
+
+      // Closed tickets are allowed without warnOnClosed
+      { code: "// TODO (GH-2): Closed ticket", options: [{ ...github, snapshotPath, warnOnClosed: false }] },
+
+      // The snapshot is read without network access, even offline
+      { code: "// TODO (GH-1): Open ticket", options: [{ ...github, snapshotPath, offline: true }] },
+
+      // Files without tickets never read the snapshot
+      { code: "// TODO: No ticket", options: [{ ...github, snapshotPath: brokenPath }] },
+
+      // snapshotMaxAge: 0 never reports stale snapshots
+      { code: "// TODO (GH-1): Open ticket", options: [{ ...github, snapshotPath: stalePath, snapshotMaxAge: 0 }] },
+    ],
+    invalid: [
+      {
+        code: "// TODO (GH-3): Deleted ticket\n// FIXME (GH-2): Closed ticket",
+        options: [{ ...github, snapshotPath }],
+        errors: [
+          { message: "Ticket 'GH-3' does not exist in github.", line: 1 },
+          { messageId: "closedTicket", line: 2 },
+        ],
+      },
+      // Each ticket is routed to the first tracker whose pattern matches
+      {
+        code: "// TODO (PAY-1, GH-3): Refund the deleted order",
+        options: [{
+          snapshotPath,
+          trackers: [
+            { tracker: "jira", name: "Payments Jira", jiraBaseUrl: "https://example.atlassian.net", ticketPattern: "PAY-\\d+" },
+            { ...github, name: "GitHub", ticketPattern: "[A-Z]+-\\d+" },
+          ],
+        }],
+        errors: [
+          { message: "Ticket 'PAY-1' is closed in Payments Jira. Consider removing this TODO/FIXME." },
+          { message: "Ticket 'GH-3' does not exist in GitHub." },
+        ],
+      },
+      {
+        code: "// TODO (GH-4): Added after the sync",
+        options: [{ ...github, snapshotPath }],
+        errors: [{ message: `Ticket 'GH-4' is not in snapshot '${snapshotPath}'. Run \`lint-my-lines tickets sync\`.` }],
+      },
+
+      // Tickets are looked up under the configured tracker only
+      {
+        code: "// TODO (GH-1): Other repository",
+        options: [{ ...github, githubRepo: "owner/other", snapshotPath }],
+        errors: [{ messageId: "unsyncedTicket" }],
+      },
+      {
+        code: "// TODO (GH-1): Open ticket\n// TODO (GH-3): Deleted ticket",
+        options: [{ ...github, snapshotPath: stalePath }],
+        errors: [
+          { message: `Ticket snapshot '${stalePath}' is 30 days old (max 7). Run \`lint-my-lines tickets sync\`.`, line: 1 },
+          { messageId: "invalidTicket", line: 2 },
+        ],
+      },
+      {
+        code: "// TODO (GH-1): Open ticket",
+        options: [{ ...github, snapshotPath: brokenPath }],
+        errors: [{ message: `Could not read ticket snapshot '${brokenPath}' (not valid JSON). Run \`lint-my-lines tickets sync\`.` }],
+      },
+      {
+        code: "// TODO (GH-1): Open ticket",
+        options: [{ ...github, snapshotPath: path.join(snapshotDir, "missing.json") }],
+        errors: [{ messageId: "snapshotUnavailable" }],
+      },
+    ],
+  });
+});
+
+describe("issue-tracker-integration cached results", function () {
+  const options = { tracker: "github", githubRepo: "owner/repo", persistentCache: false };
+
+  // Results a previous run cached; nothing here reaches the network
+  before(function () {
+    const client = createClient(options);
+    client.setCache("GH-1", { exists: true, status: "open", closed: false });
+    client.setCache("GH-2", { exists: true, status: "closed", closed: true });
+    client.setCache("GH-3", { exists: false });
+  });
+
+  after(function () {
+    clearCache();
+  });
+
+  ruleTester.run("issue-tracker-integration", rule, {
+    valid: [
+      { code: "// TODO (GH-1): Open ticket", options: [options] },
+    ],
+    invalid: [
+      {
+        code: "// TODO (GH-3): Deleted ticket\n// FIXME (GH-2): Closed ticket",
+        options: [options],
+        errors: [
+          { messageId: "invalidTicket", line: 1 },
+          { messageId: "closedTicket", line: 2 },
+        ],
+      },
+    ],
+  });
+});
+
 // Additional unit tests for ticket pattern extraction
 describe("issue-tracker-integration pattern matching", function () {
 
@@ -4,8 +4,13 @@
  */
 "use strict";
 
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const rule = require("../../../lib/rules/todo-aging-warnings");
-const RuleTester = require("eslint").RuleTester;
+const { Linter, RuleTester } = require("eslint");
 
 const ruleTester = new RuleTester({
   parserOptions: {
@@ -217,3 +222,125 @@ ruleTester.run("todo-aging-warnings", rule, {
     },
   ],
 });
+
+describe("todo-aging-warnings dateSource", function () {
+  this.timeout(20000);
+
+  // A repository with files committed 100 days ago and one committed now
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-aging-"));
+  const oldFile = path.join(repoDir, "old.js");
+  const blockFile = path.join(repoDir, "block.js");
+  const newFile = path.join(repoDir, "new.js");
+  const markdownFile = path.join(repoDir, "README.md");
+  const oldCode = `// TODO: Undated task\n// TODO (alice, ${daysAgo(5)}): Dated recently\n`;
+  const newCode = "// TODO (alice, 2020-01-15): Dated long ago\n";
+
+  function commit(file, code, date) {
+    fs.writeFileSync(file, code);
+    const env = { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date };
+    execFileSync("git", ["add", path.basename(file)], { cwd: repoDir });
+    execFileSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", "commit", "-q", "-m", "add"], { cwd: repoDir, env });
+  }
+
+  execFileSync("git", ["init", "-q"], { cwd: repoDir });
+  commit(oldFile, oldCode, `${daysAgo(100)}T12:00:00`);
+  commit(blockFile, "/*\n * TODO: Undated task\n */\n", `${daysAgo(100)}T12:00:00`);
+  commit(markdownFile, "# Notes\n\n```js\n// TODO: Undated task\n```\n", `${daysAgo(100)}T12:00:00`);
+  commit(newFile, newCode, new Date().toISOString());
+  const oldSha = execFileSync("git", ["log", "-1", "--format=%h", "--", "old.js"], { cwd: repoDir, encoding: "utf8" }).trim();
+
+  after(function () {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  ruleTester.run("todo-aging-warnings", rule, {
+    valid: [
+      // Comment dates only by default
+      { code: oldCode, filename: oldFile },
+
+      // The written date wins over the line's commit
+      {
+        code: `// TODO (alice, ${daysAgo(5)}): Dated recently\n`,
+        filename: oldFile,
+        options: [{ dateSource: "comment-then-blame" }],
+      },
+
+      // git-blame ignores written dates
+      { code: newCode, filename: newFile, options: [{ dateSource: "git-blame" }] },
+
+      // Lines that are not committed yet are not undated
+      {
+        code: "// TODO: Added in the working tree\n",
+        filename: newFile,
+        options: [{ dateSource: "git-blame", warnOnNoDate: true }],
+      },
+    ],
+    invalid: [
+      {
+        code: oldCode,
+        filename: oldFile,
+        options: [{ dateSource: "git-blame" }],
+        errors: [
+          {
+            message: `TODO is critically overdue (3 months old, critical: 90 days). Reference: no reference; line last changed in ${oldSha}`,
+            line: 1,
+          },
+          { messageId: "todoCritical", line: 2 },
+        ],
+      },
+      {
+        code: oldCode,
+        filename: oldFile,
+        options: [{ dateSource: "comment-then-blame" }],
+        errors: [{ messageId: "todoCritical", line: 1 }],
+      },
+
+      // Lines that are not committed yet are new
+      {
+        code: `// TODO: Added in the working tree\n${oldCode}`,
+        filename: oldFile,
+        options: [{ dateSource: "git-blame", maxAgeDays: 1 }],
+        errors: [{ messageId: "todoCritical", line: 2 }, { messageId: "todoCritical", line: 3 }],
+      },
+
+      // Reindenting a line keeps its commit
+      {
+        code: `function wrap() {\n  ${oldCode.split("\n")[0]}\n}\n`,
+        filename: oldFile,
+        options: [{ dateSource: "git-blame" }],
+        errors: [{ messageId: "todoCritical", line: 2 }],
+      },
+
+      // Block comments are dated by the line of their keyword
+      {
+        code: "/* Added in the working tree\n * TODO: Undated task\n */\n",
+        filename: blockFile,
+        options: [{ dateSource: "git-blame" }],
+        errors: [{ messageId: "todoCritical", line: 1 }],
+      },
+
+      // Without history, comments have no date
+      {
+        code: "// TODO: Undated task\n",
+        options: [{ dateSource: "git-blame", warnOnNoDate: true }],
+        errors: [{ messageId: "todoNoDate" }],
+      },
+    ],
+  });
+  it("should not blame code blocks a processor extracts", function () {
+    const linter = new Linter();
+    linter.defineRule("todo-aging-warnings", rule);
+
+    const messages = linter.verify(
+      fs.readFileSync(markdownFile, "utf8"),
+      { rules: { "todo-aging-warnings": ["warn", { dateSource: "git-blame", warnOnNoDate: true }] } },
+      {
+        filename: markdownFile,
+        preprocess: () => [{ text: "// TODO: Undated task\n", filename: "0.js" }],
+        postprocess: (blocks) => blocks.flat(),
+      }
+    );
+
+    assert.deepStrictEqual(messages.map((message) => message.messageId), ["todoNoDate"]);
+  });
+});
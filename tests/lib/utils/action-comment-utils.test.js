@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests for action-comment-utils.js.
+ */
+"use strict";
+
+const assert = require("assert");
+const {
+  TODO_PATTERN,
+  parseActionComment,
+  findTicketIds,
+} = require("../../../lib/utils/action-comment-utils");
+
+describe("action-comment-utils", function () {
+  describe("TODO_PATTERN", function () {
+    it("matches the enforce-todo-format default", function () {
+      const regex = new RegExp(TODO_PATTERN, "i");
+      assert.strictEqual(regex.test("TODO (alice): Fix"), true);
+      assert.strictEqual(regex.test("TODO: Fix"), false);
+    });
+  });
+
+  describe("parseActionComment", function () {
+    it("returns null for non-action comments", function () {
+      assert.strictEqual(parseActionComment(" Regular comment"), null);
+      assert.strictEqual(parseActionComment(" See the TODO list"), null);
+      assert.strictEqual(parseActionComment(null), null);
+    });
+
+    it("splits owner, ticket and date from the reference", function () {
+      const result = parseActionComment(" TODO (alice, PROJ-12, 2025-01-03): Handle retries", {
+        now: new Date(2025, 0, 13),
+      });
+
+      assert.strictEqual(result.keyword, "TODO");
+      assert.strictEqual(result.formatted, true);
+      assert.strictEqual(result.owner, "alice");
+      assert.strictEqual(result.ticket, "PROJ-12");
+      assert.strictEqual(result.date.getFullYear(), 2025);
+      assert.strictEqual(result.ageDays, 10);
+      assert.strictEqual(result.description, "Handle retries");
+    });
+
+    it("treats a lone ticket reference as the ticket", function () {
+      const result = parseActionComment("FIXME (BUG-7): Crash on empty input");
+      assert.strictEqual(result.ticket, "BUG-7");
+      assert.strictEqual(result.owner, null);
+    });
+
+    it("parses unformatted comments and finds tickets anywhere", function () {
+      const result = parseActionComment(" fixme: broken, see #45");
+      assert.strictEqual(result.keyword, "FIXME");
+      assert.strictEqual(result.formatted, false);
+      assert.strictEqual(result.reference, null);
+      assert.strictEqual(result.ticket, "#45");
+      assert.strictEqual(result.description, "broken, see #45");
+      assert.strictEqual(result.ageDays, null);
+    });
+
+    it("honors a custom ticket pattern", function () {
+      const result = parseActionComment("NOTE (carol, T123): Keep in sync", {
+        ticketPattern: "T\\d+",
+      });
+      assert.strictEqual(result.ticket, "T123");
+      assert.strictEqual(result.owner, "carol");
+    });
+  });
+
+  describe("findTicketIds", function () {
+    it("finds every ticket once, in order", function () {
+      assert.deepStrictEqual(findTicketIds(" TODO (GH-1): see PROJ-2 and GH-1"), ["GH-1", "PROJ-2"]);
+    });
+
+    it("checks comments that mention TODO or FIXME anywhere", function () {
+      assert.deepStrictEqual(findTicketIds(" Blocked, fixme later: #12"), ["#12"]);
+      assert.deepStrictEqual(findTicketIds(" NOTE (GH-1): Not an action item"), []);
+    });
+
+    it("honors a custom ticket pattern", function () {
+      assert.deepStrictEqual(findTicketIds(" TODO (T123): Keep in sync", "T\\d+"), ["T123"]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Tests for cache-integration.js cache metadata.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  CACHE_INFO_FILE,
+  readCacheInfo,
+  recordCacheInfo,
+  getCacheEntries,
+} = require("../../../lib/utils/cache-integration");
+
+describe("cache-integration", function () {
+  let cacheDir;
+
+  beforeEach(function () {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-cache-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe("recordCacheInfo", function () {
+    it("records metadata per cache file", function () {
+      recordCacheInfo(path.join(cacheDir, "aaa"), { preset: "minimal" });
+      recordCacheInfo(path.join(cacheDir, "bbb"), { preset: "strict" });
+
+      const info = readCacheInfo(cacheDir);
+      assert.deepStrictEqual(Object.keys(info).sort(), ["aaa", "bbb"]);
+      assert.strictEqual(info.bbb.preset, "strict");
+      assert(info.aaa.updatedAt, "records when the cache was written");
+    });
+
+    it("returns no metadata for a missing or corrupt file", function () {
+      assert.deepStrictEqual(readCacheInfo(cacheDir), {});
+
+      fs.writeFileSync(path.join(cacheDir, CACHE_INFO_FILE), "{ nope");
+      assert.deepStrictEqual(readCacheInfo(cacheDir), {});
+    });
+  });
+
+  describe("getCacheEntries", function () {
+    it("lists cache files with entry counts and metadata", function () {
+      // ESLint writes its cache with flatted: data[0] maps file paths to entries
+      fs.writeFileSync(path.join(cacheDir, "aaa"), JSON.stringify([{ "/a.js": "1", "/b.js": "2" }, {}, {}]));
+      fs.writeFileSync(path.join(cacheDir, "bbb"), "not json");
+      recordCacheInfo(path.join(cacheDir, "aaa"), { preset: "minimal" });
+
+      const entries = getCacheEntries(cacheDir);
+
+      assert.deepStrictEqual(entries.map((e) => [e.key, e.entries]), [["aaa", 2], ["bbb", null]]);
+      assert.strictEqual(entries[0].info.preset, "minimal");
+      assert.strictEqual(entries[1].info, null);
+      assert(entries[0].size > 0);
+    });
+
+    it("returns no entries when the cache directory does not exist", function () {
+      assert.deepStrictEqual(getCacheEntries(path.join(cacheDir, "missing")), []);
+    });
+  });
+});
@@ -13,6 +13,7 @@ const {
   stripInlineCode,
   applyIgnoreRegex,
   processTextWithIgnores,
+  countCommentLines,
 } = require("../../../lib/utils/comment-utils");
 
 describe("comment-utils", function () {
@@ -300,4 +301,36 @@ describe("comment-utils", function () {
       assert.strictEqual(result, "See  and  and   here");
     });
   });
+
+  describe("countCommentLines", function () {
+    const comment = (start, end) => ({ loc: { start: { line: start }, end: { line: end } } });
+
+    it("counts comment, code and blank lines", function () {
+      const lines = ["/**", " * Doc", " */", "const a = 1;", "", "// note", "a();"];
+      assert.deepStrictEqual(countCommentLines(lines, [comment(1, 3), comment(6, 6)]), {
+        commentLines: 4,
+        codeLines: 2,
+        blankLines: 1,
+      });
+    });
+
+    it("only counts the given comments as comment lines", function () {
+      const lines = ["/**", " * Doc", " */", "const a = 1;", "// note"];
+      const comments = [comment(1, 3), comment(5, 5)];
+      assert.deepStrictEqual(countCommentLines(lines, comments, [comments[1]]), {
+        commentLines: 1,
+        codeLines: 1,
+        blankLines: 0,
+      });
+    });
+
+    it("does not count lines with a trailing comment as code", function () {
+      const lines = ["const a = 1; // note"];
+      assert.deepStrictEqual(countCommentLines(lines, [comment(1, 1)]), {
+        commentLines: 1,
+        codeLines: 0,
+        blankLines: 0,
+      });
+    });
+  });
 });
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Tests for git-utils.js diff parsing.
+ */
+"use strict";
+
+const assert = require("assert");
+const {
+  parseUnifiedDiff,
+  parseBlamePorcelain,
+  intersectsRanges,
+} = require("../../../lib/utils/git-utils");
+
+describe("git-utils", function () {
+  describe("parseUnifiedDiff", function () {
+    it("collects added line ranges per file", function () {
+      const diff = [
+        "diff --git a/src/a.js b/src/a.js",
+        "index 1111111..2222222 100644",
+        "--- a/src/a.js",
+        "+++ b/src/a.js",
+        "@@ -3,0 +4,2 @@ function a() {",
+        "+// TODO: one",
+        "+// TODO: two",
+        "@@ -10 +12 @@",
+        "-old",
+        "+new",
+      ].join("\n");
+
+      const changes = parseUnifiedDiff(diff);
+      assert.deepStrictEqual(changes.get("src/a.js"), [[4, 5], [12, 12]]);
+    });
+
+    it("ignores pure deletions and deleted files", function () {
+      const diff = [
+        "--- a/src/a.js",
+        "+++ b/src/a.js",
+        "@@ -5,2 +4,0 @@",
+        "--- a/src/gone.js",
+        "+++ /dev/null",
+        "@@ -1,3 +0,0 @@",
+      ].join("\n");
+
+      const changes = parseUnifiedDiff(diff);
+      assert.deepStrictEqual(changes.get("src/a.js"), []);
+      assert.strictEqual(changes.has("src/gone.js"), false);
+      assert.strictEqual(changes.size, 1);
+    });
+
+    it("unquotes paths with special characters", function () {
+      const changes = parseUnifiedDiff("+++ \"b/src/my \\\"file\\\".js\"\n@@ -0,0 +1 @@\n");
+      assert.deepStrictEqual(changes.get("src/my \"file\".js"), [[1, 1]]);
+    });
+  });
+
+  describe("parseBlamePorcelain", function () {
+    it("maps each line to its commit and author time, without dating uncommitted lines", function () {
+      const sha = "6b84e8f3d67ea5f5af7137e9ed271b05b66f1a7e";
+      const output = [
+        `${"0".repeat(40)} 1 1 1`,
+        "author Not Committed Yet",
+        "author-time 1792434822",
+        "filename a.js",
+        "\tnew",
+        `${sha} 1 2 2`,
+        "author Test",
+        "author-time 1577836800",
+        "filename a.js",
+        `\t${sha} 1 9`,
+        `${sha} 2 3`,
+        "\t// TODO: x",
+        "",
+      ].join("\n");
+
+      const lines = parseBlamePorcelain(output);
+
+      assert.strictEqual(lines.length, 3);
+      assert.deepStrictEqual(lines[0], { sha: "0".repeat(40), date: null, committed: false });
+      assert.deepStrictEqual(lines[1], { sha, date: new Date("2020-01-01T00:00:00Z"), committed: true });
+      assert.strictEqual(lines[2], lines[1]);
+    });
+  });
+
+  describe("intersectsRanges", function () {
+    const ranges = [[4, 5], [12, 12]];
+
+    it("detects spans that touch a range", function () {
+      assert.strictEqual(intersectsRanges(ranges, 5), true);
+      assert.strictEqual(intersectsRanges(ranges, 10, 12), true);
+      assert.strictEqual(intersectsRanges(ranges, 1, 20), true);
+    });
+
+    it("rejects spans outside all ranges", function () {
+      assert.strictEqual(intersectsRanges(ranges, 3), false);
+      assert.strictEqual(intersectsRanges(ranges, 6, 11), false);
+      assert.strictEqual(intersectsRanges([], 1), false);
+    });
+  });
+});
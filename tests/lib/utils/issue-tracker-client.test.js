@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Tests for the issue tracker client cache.
+ */
+"use strict";
+
+const assert = require("assert");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {
+  CustomClient,
+  createClient,
+  getTrackerKey,
+  clearCache,
+  getTicketCacheDir,
+  getTrackerConfigs,
+  getTrackerName,
+  routeTickets,
+} = require("../../../lib/utils/issue-tracker-client");
+
+describe("issue-tracker-client cache", function () {
+  this.timeout(20000);
+
+  const clientPath = path.join(__dirname, "../../../lib/utils/issue-tracker-client");
+  const originalCwd = process.cwd();
+  let server;
+  let apiUrl;
+  let hits;
+  let tmpDir;
+
+  function config(overrides = {}) {
+    return { tracker: "custom", customApiUrl: `${apiUrl}/a/{{ticketId}}`, ...overrides };
+  }
+
+  before(function (done) {
+    server = http.createServer((req, res) => {
+      hits.push(req.url);
+      if (req.url.endsWith("/BROKEN")) {
+        res.writeHead(500);
+        res.end();
+      } else if (req.url.endsWith("/MISSING")) {
+        res.writeHead(404);
+        res.end();
+      } else {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ status: "open", title: "Open" }));
+      }
+    });
+    server.listen(0, "127.0.0.1", () => {
+      apiUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    hits = [];
+    tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "lml-tracker-")));
+    // The disk cache lives under the working directory
+    process.chdir(tmpDir);
+    clearCache();
+  });
+
+  afterEach(function () {
+    clearCache();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("shares results with later runs through the lint cache directory", async function () {
+    assert.strictEqual((await createClient(config()).validateTicket("T-1")).exists, true);
+    assert.strictEqual(getTicketCacheDir(), path.join(tmpDir, "node_modules", ".cache", "lint-my-lines", "tickets"));
+
+    const script = `require(${JSON.stringify(clientPath)}).createClient(${JSON.stringify(config())})` +
+      ".validateTicket('T-1').then((result) => console.log(JSON.stringify(result)))";
+    const stdout = await new Promise((resolve, reject) => {
+      execFile("node", ["-e", script], { cwd: tmpDir, encoding: "utf8" }, (error, out) => (error ? reject(error) : resolve(out)));
+    });
+
+    assert.strictEqual(JSON.parse(stdout).title, "Open");
+    assert.deepStrictEqual(hits, ["/a/T-1"]);
+  });
+
+  it("keeps entries of trackers with different base URLs apart", async function () {
+    await createClient(config()).validateTicket("T-1");
+    await createClient(config({ customApiUrl: `${apiUrl}/b/{{ticketId}}` })).validateTicket("T-1");
+    await createClient(config()).validateTicket("T-1");
+
+    assert.deepStrictEqual(hits, ["/a/T-1", "/b/T-1"]);
+  });
+
+  it("expires not-found results after negativeCacheTimeout and never caches errors", async function () {
+    const client = createClient(config({ negativeCacheTimeout: 0 }));
+
+    for (const ticketId of ["T-1", "MISSING", "BROKEN", "T-1", "MISSING", "BROKEN"]) {
+      await client.validateTicket(ticketId);
+    }
+
+    assert.deepStrictEqual(hits, ["/a/T-1", "/a/MISSING", "/a/BROKEN", "/a/MISSING", "/a/BROKEN"]);
+  });
+
+  it("honors each entry's expiry, cacheTimeout: 0 and refresh", async function () {
+    await createClient(config()).validateTicket("T-1");
+
+    // Only the disk entry is left, and it has expired
+    const [trackerDir] = fs.readdirSync(getTicketCacheDir());
+    const [entryFile] = fs.readdirSync(path.join(getTicketCacheDir(), trackerDir));
+    const entryPath = path.join(getTicketCacheDir(), trackerDir, entryFile);
+    const entry = JSON.parse(fs.readFileSync(entryPath, "utf8"));
+    clearCache();
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+    fs.writeFileSync(entryPath, JSON.stringify({ ...entry, expiresAt: Date.now() - 1 }));
+    const client = new CustomClient(config());
+
+    assert.strictEqual(client.getCached("T-1"), null);
+    await client.validateTicket("T-1");
+    await client.validateTicket("T-1", { refresh: true });
+    await createClient(config({ cacheTimeout: 0 })).validateTicket("T-1");
+
+    assert.deepStrictEqual(hits, ["/a/T-1", "/a/T-1", "/a/T-1", "/a/T-1"]);
+  });
+
+  it("clears memory and disk entries with clearCache", async function () {
+    await createClient(config()).validateTicket("T-1");
+    assert.ok(fs.existsSync(getTicketCacheDir()));
+
+    clearCache();
+
+    assert.ok(!fs.existsSync(getTicketCacheDir()));
+    await createClient(config()).validateTicket("T-1");
+    assert.deepStrictEqual(hits, ["/a/T-1", "/a/T-1"]);
+  });
+
+  it("keeps entries read from disk within the memory cache limit", function () {
+    const result = { exists: true, status: "open" };
+    const client = new CustomClient(config());
+    const memoryClient = new CustomClient(config({ persistentCache: false }));
+
+    // Fill the memory cache until the disk entry is evicted from it
+    client.setCache("DISK", result);
+    for (let i = 0; i < 1000; i++) {
+      memoryClient.setCache(`T-${i}`, result);
+    }
+    assert.strictEqual(memoryClient.getCached("DISK"), null);
+
+    assert.deepStrictEqual(client.getCached("DISK"), result);
+    assert.strictEqual(memoryClient.getCached("T-0"), null);
+    assert.deepStrictEqual(memoryClient.getCached("T-1"), result);
+  });
+
+  it("skips the disk with persistentCache: false", async function () {
+    await createClient(config({ persistentCache: false })).validateTicket("T-1");
+
+    assert.ok(!fs.existsSync(getTicketCacheDir()));
+  });
+});
+
+describe("issue-tracker-client trackers", function () {
+  const jira = { tracker: "jira", name: "Payments", ticketPattern: "PAY-\\d+" };
+  const github = { tracker: "github", ticketPattern: "#\\d+|[A-Z]+-\\d+" };
+
+  it("reads single-tracker options as shorthand", function () {
+    const options = { tracker: "github", githubRepo: "owner/repo" };
+
+    assert.deepStrictEqual(getTrackerConfigs(options), [options]);
+    assert.deepStrictEqual(getTrackerConfigs({}), []);
+  });
+
+  it("lets trackers entries inherit the cache options only", function () {
+    const configs = getTrackerConfigs({ trackers: [jira, { ...github, cacheTimeout: 5 }], cacheTimeout: 60, allowClosed: false });
+
+    assert.deepStrictEqual(configs, [{ cacheTimeout: 60, ...jira }, { ...github, cacheTimeout: 5 }]);
+    assert.deepStrictEqual(configs.map(getTrackerName), ["Payments", "github"]);
+  });
+
+  it("routes each ticket to the first tracker whose pattern matches", function () {
+    const routed = routeTickets(" TODO (#4, PAY-12): also ABC-1 and PAY-12", [jira, github]);
+
+    assert.deepStrictEqual(
+      routed.map(({ ticketId, tracker }) => [ticketId, tracker.tracker]),
+      [["PAY-12", "jira"], ["#4", "github"], ["ABC-1", "github"]]
+    );
+  });
+});
+
+describe("issue-tracker-client clients", function () {
+  let server;
+  let apiUrl;
+  let requests;
+  let responses;
+
+  /**
+   * Validate tickets against the stand-in without caching.
+   * @param {Object} trackerConfig - Tracker configuration
+   * @param {string[]} ticketIds - Ticket IDs
+   * @returns {Promise<Object[]>} Validation results
+   */
+  async function validate(trackerConfig, ticketIds) {
+    const client = createClient({ ...trackerConfig, cacheTimeout: 0, persistentCache: false });
+    const results = [];
+    for (const ticketId of ticketIds) {
+      results.push(await client.validateTicket(ticketId));
+    }
+    return results;
+  }
+
+  before(function (done) {
+    server = http.createServer((req, res) => {
+      let requestBody = "";
+      req.on("data", (chunk) => {
+        requestBody += chunk;
+      });
+      req.on("end", () => {
+        const [pathname] = req.url.split("?");
+        requests.push({
+          url: req.url,
+          method: req.method,
+          authorization: req.headers.authorization,
+          contentType: req.headers["content-type"],
+          body: requestBody,
+        });
+        const response = responses[pathname];
+        const [status, body] = (typeof response === "function" ? response(requestBody) : response) || [404];
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(body ? JSON.stringify(body) : "");
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      apiUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+    responses = {};
+  });
+
+  it("validates Azure DevOps work items with a personal access token", async function () {
+    const workItems = "/org/My%20Project/_apis/wit/workitems";
+    responses[`${workItems}/1`] = [200, { fields: { "System.State": "Active", "System.Title": "Retry", "System.AssignedTo": { displayName: "Alice" } } }];
+    responses[`${workItems}/2`] = [200, { fields: { "System.State": "Done", "System.Title": "Old" } }];
+    responses[`${workItems}/4`] = [203, null];
+    responses[`${workItems}/5`] = [429, null];
+    const azure = { tracker: "azure-devops", azureOrgUrl: `${apiUrl}/org`, azureProject: "My Project", azureToken: "pat" };
+
+    const results = await validate(azure, ["AB#1", "#2", "3", "4", "5"]);
+
+    assert.deepStrictEqual(results, [
+      { exists: true, status: "Active", title: "Retry", assignee: "Alice", closed: false },
+      { exists: true, status: "Done", title: "Old", assignee: null, closed: true },
+      { exists: false },
+      { error: "authFailed" },
+      { error: "rateLimited" },
+    ]);
+    assert.strictEqual(requests[0].url, `${workItems}/1?api-version=7.0`);
+    assert.strictEqual(requests[0].authorization, `Basic ${Buffer.from(":pat").toString("base64")}`);
+    assert.strictEqual(getTrackerKey(azure), `azure-devops:${apiUrl}/org/My Project`);
+    assert.deepStrictEqual(await validate({ tracker: "azure-devops" }, ["1"]), [{ error: "missingConfig", field: "azureOrgUrl" }]);
+  });
+
+  it("validates Bitbucket issues with an access token or an app password", async function () {
+    const issues = "/2.0/repositories/team/app/issues";
+    responses[`${issues}/1`] = [200, { state: "open", title: "Retry", assignee: { display_name: "Alice" } }];
+    responses[`${issues}/2`] = [200, { state: "wontfix", title: "Old" }];
+    responses[`${issues}/4`] = [403, null];
+    responses[`${issues}/5`] = [429, null];
+    const bitbucket = { tracker: "bitbucket", bitbucketBaseUrl: apiUrl, bitbucketRepo: "team/app", bitbucketToken: "secret" };
+
+    const results = await validate(bitbucket, ["#1", "2", "3", "4", "5"]);
+    await validate({ ...bitbucket, bitbucketUsername: "alice" }, ["1"]);
+
+    assert.deepStrictEqual(results, [
+      { exists: true, status: "open", title: "Retry", assignee: "Alice", closed: false },
+      { exists: true, status: "wontfix", title: "Old", assignee: null, closed: true },
+      { exists: false },
+      { error: "authFailed" },
+      { error: "rateLimited" },
+    ]);
+    assert.strictEqual(requests[0].authorization, "Bearer secret");
+    assert.strictEqual(requests[5].authorization, `Basic ${Buffer.from("alice:secret").toString("base64")}`);
+    assert.strictEqual(getTrackerKey({ tracker: "bitbucket", bitbucketRepo: "team/app" }), "bitbucket:https://api.bitbucket.org/team/app");
+  });
+
+  it("validates YouTrack issues with a permanent token", async function () {
+    const customFields = (state) => [
+      { name: "State", value: { name: state } },
+      { name: "Assignee", value: { login: "alice", fullName: "Alice" } },
+    ];
+    responses["/api/issues/APP-1"] = [200, { summary: "Retry", resolved: null, customFields: customFields("In Progress") }];
+    responses["/api/issues/APP-2"] = [200, { summary: "Old", resolved: 1760000000000, customFields: customFields("Fixed") }];
+    responses["/api/issues/APP-4"] = [401, null];
+    responses["/api/issues/APP-5"] = [429, null];
+    const youtrack = { tracker: "youtrack", youtrackBaseUrl: apiUrl, youtrackToken: "perm:abc" };
+
+    const results = await validate(youtrack, ["APP-1", "APP-2", "APP-3", "APP-4", "APP-5"]);
+
+    assert.deepStrictEqual(results, [
+      { exists: true, status: "In Progress", title: "Retry", assignee: "Alice", closed: false },
+      { exists: true, status: "Fixed", title: "Old", assignee: "Alice", closed: true },
+      { exists: false },
+      { error: "authFailed" },
+      { error: "rateLimited" },
+    ]);
+    assert.match(requests[0].url, /^\/api\/issues\/APP-1\?fields=/);
+    assert.strictEqual(requests[0].authorization, "Bearer perm:abc");
+    assert.strictEqual(getTrackerKey(youtrack), `youtrack:${apiUrl}`);
+  });
+
+  it("validates Linear issues with a GraphQL query", async function () {
+    const issues = {
+      "ENG-1": [200, { data: { issue: { title: "Retry", state: { name: "In Progress", type: "started" }, assignee: { name: "Alice" } } } }],
+      "ENG-2": [200, { data: { issue: { title: "Old", state: { name: "Won't Do", type: "canceled" }, assignee: null } } }],
+      "ENG-3": [200, { data: null, errors: [{ message: "Entity not found: Issue" }] }],
+      "ENG-4": [400, { errors: [{ message: "Authentication required", extensions: { code: "AUTHENTICATION_ERROR" } }] }],
+      "ENG-5": [400, { errors: [{ message: "Rate limit exceeded", extensions: { code: "RATELIMITED" } }] }],
+    };
+    responses["/graphql"] = (body) => issues[JSON.parse(body).variables.id];
+    const linear = { tracker: "linear", linearApiUrl: `${apiUrl}/graphql`, linearToken: "lin_api_key" };
+
+    const results = await validate(linear, ["ENG-1", "ENG-2", "ENG-3", "ENG-4", "ENG-5"]);
+
+    assert.deepStrictEqual(results, [
+      { exists: true, status: "In Progress", title: "Retry", assignee: "Alice", closed: false },
+      { exists: true, status: "Won't Do", title: "Old", assignee: null, closed: true },
+      { exists: false },
+      { error: "authFailed" },
+      { error: "rateLimited" },
+    ]);
+    assert.strictEqual(requests[0].method, "POST");
+    assert.strictEqual(requests[0].authorization, "lin_api_key");
+    assert.strictEqual(requests[0].contentType, "application/json");
+    assert.match(JSON.parse(requests[0].body).query, /issue\(id: \$id\)/);
+    assert.strictEqual(getTrackerKey(linear), `linear:${apiUrl}/graphql`);
+    assert.deepStrictEqual(await validate({ tracker: "linear" }, ["ENG-1"]), [{ error: "missingConfig", field: "linearToken" }]);
+  });
+
+  describe("custom response mapping", function () {
+    const ISSUES = {
+      "INT-1": { fields: { status: { name: "In Review" }, summary: "Retry", owner: ["alice"] } },
+      "INT-2": { fields: { status: { name: "Shipped" }, summary: "Old" } },
+      "INT-3": { fields: { status: { name: "Parked" }, summary: "Odd" } },
+    };
+
+    it("reads state, title and assignee by path and maps states to open or closed", async function () {
+      responses["/search"] = (body) => [200, { results: [ISSUES[new URLSearchParams(body).get("id")]].filter(Boolean) }];
+      const custom = {
+        tracker: "custom",
+        customApiUrl: `${apiUrl}/search`,
+        customHeaders: { "Content-Type": "application/x-www-form-urlencoded" },
+        customBody: "id={{ticketId}}",
+        customNotFoundPath: "results[0]",
+        customStatePath: "$.results[0].fields.status.name",
+        customTitlePath: "results.0.fields.summary",
+        customAssigneePath: "results[0].fields.owner[0]",
+        customOpenStates: ["Open", "In Review"],
+        customClosedStates: ["Shipped"],
+      };
+
+      const results = await validate(custom, ["INT-1", "INT-2", "INT-3", "INT-4"]);
+
+      assert.deepStrictEqual(results, [
+        { exists: true, status: "In Review", title: "Retry", assignee: "alice", closed: false },
+        { exists: true, status: "Shipped", title: "Old", assignee: null, closed: true },
+        { error: "unreachable", message: "unexpected state 'Parked' at $.results[0].fields.status.name" },
+        { exists: false },
+      ]);
+      assert.deepStrictEqual(
+        requests.map(({ method, contentType, body }) => [method, contentType, body]),
+        ["INT-1", "INT-2", "INT-3", "INT-4"].map((id) => ["POST", "application/x-www-form-urlencoded", `id=${id}`])
+      );
+
+      // With one list, every other state belongs to the other
+      const closedOnly = await validate({ ...custom, customOpenStates: undefined }, ["INT-3"]);
+      const openOnly = await validate({ ...custom, customClosedStates: undefined }, ["INT-3"]);
+      assert.strictEqual(closedOnly[0].closed, false);
+      assert.strictEqual(openOnly[0].closed, true);
+    });
+
+    it("sends GraphQL queries with the ticket ID as a variable", async function () {
+      responses["/graphql"] = (body) => {
+        const issue = ISSUES[JSON.parse(body).variables.ticketId];
+        return [200, { data: { issue: issue ? { state: issue.fields.status.name, title: issue.fields.summary } : null } }];
+      };
+      const query = "query Issue($ticketId: String!) { issue(id: $ticketId) { state title } }";
+      const graphql = {
+        tracker: "custom",
+        customApiUrl: `${apiUrl}/graphql`,
+        customGraphQLQuery: query,
+        customNotFoundPath: "data.issue",
+        customStatePath: "data.issue.state",
+        customTitlePath: "data.issue.title",
+        customClosedStates: ["Shipped"],
+      };
+
+      const results = await validate(graphql, ["INT-2", "INT-4"]);
+
+      assert.deepStrictEqual(results, [
+        { exists: true, status: "Shipped", title: "Old", assignee: null, closed: true },
+        { exists: false },
+      ]);
+      assert.strictEqual(requests[0].method, "POST");
+      assert.strictEqual(requests[0].contentType, "application/json");
+      assert.deepStrictEqual(JSON.parse(requests[0].body), { query, variables: { ticketId: "INT-2" } });
+    });
+
+    it("substitutes the ticket ID into JSON bodies and keeps trackers with different bodies apart", async function () {
+      responses["/find"] = [200, { status: "done", title: "Done", closed: true }];
+      const custom = { tracker: "custom", customApiUrl: `${apiUrl}/find`, customBody: { filter: { key: "{{ticketId}}" }, limit: 1 } };
+
+      const [result] = await validate(custom, ["INT-1"]);
+
+      assert.deepStrictEqual(result, { exists: true, status: "done", title: "Done", assignee: null, closed: true });
+      assert.deepStrictEqual(JSON.parse(requests[0].body), { filter: { key: "INT-1" }, limit: 1 });
+      assert.strictEqual(getTrackerKey({ tracker: "custom", customApiUrl: `${apiUrl}/find` }), `custom:${apiUrl}/find`);
+      assert.notStrictEqual(getTrackerKey(custom), getTrackerKey({ ...custom, customBody: { key: "{{ticketId}}" } }));
+      assert.match(getTrackerKey(custom), /^custom:.*\/find#[0-9a-f]{8}$/);
+    });
+  });
+});
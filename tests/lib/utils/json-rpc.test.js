@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Tests for json-rpc.js.
+ */
+"use strict";
+
+const assert = require("assert");
+const { encodeMessage, createMessageReader } = require("../../../lib/utils/json-rpc");
+
+describe("json-rpc", function () {
+  describe("encodeMessage", function () {
+    it("counts content bytes, not characters", function () {
+      const encoded = encodeMessage({ text: "é" });
+
+      assert.strictEqual(encoded, "Content-Length: 13\r\n\r\n{\"text\":\"é\"}");
+    });
+  });
+
+  describe("createMessageReader", function () {
+    it("reads several messages from one chunk and one message from many", function () {
+      const messages = [];
+      const reader = createMessageReader((message) => messages.push(message));
+      const bytes = Buffer.from(encodeMessage({ id: 1 }) + encodeMessage({ text: "ü" }) + encodeMessage({ id: 3 }));
+
+      // Split inside the header and inside the two-byte character
+      const split = bytes.indexOf("ü") + 1;
+      reader.push(bytes.slice(0, 5));
+      reader.push(bytes.slice(5, split));
+      reader.push(bytes.slice(split));
+
+      assert.deepStrictEqual(messages, [{ id: 1 }, { text: "ü" }, { id: 3 }]);
+    });
+
+    it("accepts other headers and skips invalid messages", function () {
+      const messages = [];
+      const errors = [];
+      const reader = createMessageReader((message) => messages.push(message), (error) => errors.push(error.message));
+
+      reader.push("Content-Type: application/vscode-jsonrpc\r\ncontent-length: 8\r\n\r\n{\"id\":1}");
+      reader.push("Content-Type: text/plain\r\n\r\n");
+      reader.push("Content-Length: 3\r\n\r\n{x}");
+      reader.push(encodeMessage({ id: 2 }));
+
+      assert.deepStrictEqual(messages, [{ id: 1 }, { id: 2 }]);
+      assert.strictEqual(errors.length, 2);
+      assert(errors[0].startsWith("Message header without Content-Length"));
+      assert(errors[1].startsWith("Invalid JSON-RPC message"));
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Tests for result-utils.js.
+ */
+"use strict";
+
+const assert = require("assert");
+const {
+  recountResult,
+  applyFixes,
+} = require("../../../lib/utils/result-utils");
+
+describe("result-utils", function () {
+  describe("recountResult", function () {
+    it("recomputes counts from messages", function () {
+      const result = recountResult({
+        errorCount: 9,
+        warningCount: 9,
+        messages: [
+          { severity: 2, fix: { range: [0, 1], text: "" } },
+          { severity: 2, fatal: true },
+          { severity: 1, fix: { range: [2, 3], text: "" } },
+          { severity: 1 },
+        ],
+      });
+
+      assert.strictEqual(result.errorCount, 2);
+      assert.strictEqual(result.fatalErrorCount, 1);
+      assert.strictEqual(result.fixableErrorCount, 1);
+      assert.strictEqual(result.warningCount, 2);
+      assert.strictEqual(result.fixableWarningCount, 1);
+    });
+  });
+
+  describe("applyFixes", function () {
+    it("applies fixes in range order", function () {
+      const messages = [
+        { fix: { range: [6, 11], text: "there" } },
+        { fix: { range: [0, 5], text: "Howdy" } },
+        { message: "no fix" },
+      ];
+
+      const { output, applied, skipped } = applyFixes("hello world", messages);
+      assert.strictEqual(output, "Howdy there");
+      assert.strictEqual(applied.length, 2);
+      assert.strictEqual(skipped.length, 0);
+    });
+
+    it("skips overlapping fixes", function () {
+      const messages = [
+        { fix: { range: [0, 5], text: "HELLO" } },
+        { fix: { range: [3, 8], text: "xx" } },
+      ];
+
+      const { output, skipped } = applyFixes("hello world", messages);
+      assert.strictEqual(output, "HELLO world");
+      assert.strictEqual(skipped.length, 1);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests for ticket-snapshot.js.
+ */
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  readSnapshot,
+  writeSnapshot,
+  createSnapshot,
+  toSnapshotEntry,
+  findSnapshotTicket,
+  getSnapshotAgeDays,
+} = require("../../../lib/utils/ticket-snapshot");
+const { clearAllCaches } = require("../../../lib/utils/performance-cache");
+
+describe("ticket-snapshot", function () {
+  let tmpDir;
+  let snapshotPath;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "lml-snapshot-"));
+    snapshotPath = path.join(tmpDir, "nested", "tickets.json");
+    clearAllCaches();
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("round-trips a snapshot and looks up tickets by tracker", function () {
+    const now = new Date("2026-10-01T00:00:00Z");
+    const snapshot = createSnapshot(now);
+    snapshot.trackers["github:owner/repo"] = {
+      "GH-1": toSnapshotEntry({ exists: true, status: "open", title: "Open", assignee: "alice", closed: false }, now),
+      "GH-2": toSnapshotEntry({ exists: false }, now),
+    };
+
+    writeSnapshot(snapshotPath, snapshot);
+    const read = readSnapshot(snapshotPath);
+
+    assert.deepStrictEqual(findSnapshotTicket(read, "github:owner/repo", "GH-1"), {
+      exists: true,
+      state: "open",
+      closed: false,
+      title: "Open",
+      assignee: "alice",
+      fetchedAt: "2026-10-01T00:00:00.000Z",
+    });
+    assert.strictEqual(findSnapshotTicket(read, "github:owner/repo", "GH-2").exists, false);
+    assert.strictEqual(findSnapshotTicket(read, "github:owner/repo", "GH-3"), null);
+    assert.strictEqual(findSnapshotTicket(read, "github:owner/other", "GH-1"), null);
+    assert.strictEqual(getSnapshotAgeDays(read, new Date("2026-10-19T12:00:00Z")), 18);
+  });
+
+  it("rereads the file when it changes", function () {
+    writeSnapshot(snapshotPath, createSnapshot(new Date("2026-10-01T00:00:00Z")));
+    assert.strictEqual(readSnapshot(snapshotPath).syncedAt, "2026-10-01T00:00:00.000Z");
+
+    writeSnapshot(snapshotPath, createSnapshot(new Date("2026-10-19T00:00:00Z")));
+    fs.utimesSync(snapshotPath, new Date(), new Date(Date.now() + 5000));
+    assert.strictEqual(readSnapshot(snapshotPath).syncedAt, "2026-10-19T00:00:00.000Z");
+  });
+
+  it("explains why a file is not a snapshot", function () {
+    assert.throws(() => readSnapshot(snapshotPath), /file not found/);
+
+    fs.mkdirSync(path.dirname(snapshotPath));
+    fs.writeFileSync(snapshotPath, "{");
+    assert.throws(() => readSnapshot(snapshotPath), /not valid JSON/);
+
+    fs.writeFileSync(snapshotPath, JSON.stringify({ version: 2, syncedAt: "2026-10-01", trackers: {} }));
+    assert.throws(() => readSnapshot(snapshotPath), /not a version 1 ticket snapshot/);
+
+    for (const trackers of [null, [], "github"]) {
+      fs.writeFileSync(snapshotPath, JSON.stringify({ version: 1, syncedAt: "2026-10-01", trackers }));
+      assert.throws(() => readSnapshot(snapshotPath), /not a version 1 ticket snapshot/);
+    }
+  });
+});